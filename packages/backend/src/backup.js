@@ -0,0 +1,287 @@
+/**
+ * Weekly Wallet — Backup archives
+ *
+ * Shape of the archive produced by GET /api/export?format=json and the
+ * pure helpers POST /api/import uses to validate it, merge it into (or
+ * replace) the current data and summarize the difference.
+ *
+ * Archive: { app, version, exportedAt, weeks: [...], monthlyPlanning: [{ year, month, data }],
+ *   recurringRules, categoryRules, goals, accounts, transfers, exchangeRates,
+ *   attachments?: [{ id, name, type, size, data }] }
+ *
+ * Version 1 archives carry weeks and monthlyPlanning only; restoring one
+ * leaves the other documents as they are. Receipts are only exported on
+ * request, so any archive may leave out attachments.
+ */
+
+import {
+  isPlainObject,
+  validateAccount,
+  validateCategoryRule,
+  validateExchangeRate,
+  validateGoal,
+  validateMonthlyPlanning,
+  validateRecurringRule,
+  validateStoredAttachment,
+  validateTransfer,
+  validateWeek,
+  validateYearMonth,
+} from './validation.js'
+
+export const BACKUP_APP_ID = 'weekly-wallet'
+export const BACKUP_ARCHIVE_VERSION = 2
+
+const MAX_REPORTED_ERRORS = 20
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+
+function planKey({ year, month }) {
+  return `${year}-${month}`
+}
+
+function sameContent(left, right) {
+  return JSON.stringify(left) === JSON.stringify(right)
+}
+
+function byId(item) {
+  return item.id
+}
+
+function getCategoryName(category) {
+  return typeof category === 'string' ? category : category?.name
+}
+
+// Items from `incoming` replace those with the same key; the rest are appended
+function mergeByKey(current = [], incoming = [], getKey) {
+  const incomingByKey = new Map(incoming.map((item) => [getKey(item), item]))
+  const merged = current.map((item) => {
+    const key = getKey(item)
+    if (!incomingByKey.has(key)) return item
+    const replacement = incomingByKey.get(key)
+    incomingByKey.delete(key)
+    return replacement
+  })
+  return [...merged, ...incomingByKey.values()]
+}
+
+// ──────────────────────────────────────────────
+// List sections
+// ──────────────────────────────────────────────
+
+/**
+ * The archive's other documents, each a list of items restored one by one:
+ * how an item is validated and what identifies it across restores.
+ * `optional` sections may be missing from any archive; `keyOnly` items never
+ * change once stored, so only their keys are compared.
+ */
+export const BACKUP_SECTIONS = {
+  recurringRules: { validate: validateRecurringRule, getKey: byId },
+  categoryRules: { validate: validateCategoryRule, getKey: byId },
+  goals: { validate: validateGoal, getKey: byId },
+  accounts: { validate: validateAccount, getKey: byId },
+  transfers: { validate: validateTransfer, getKey: byId },
+  exchangeRates: { validate: validateExchangeRate, getKey: (rate) => `${rate.date}:${rate.from}:${rate.to}` },
+  attachments: { validate: validateStoredAttachment, getKey: byId, optional: true, keyOnly: true },
+}
+
+// ──────────────────────────────────────────────
+// Validation
+// ──────────────────────────────────────────────
+
+/**
+ * Check an uploaded archive. Weeks and plans go through the same
+ * validators as the regular routes, with errors keyed by their path in the
+ * archive (e.g. "weeks[2].expenses[0].amount"); an empty object means valid.
+ */
+export function validateBackupArchive(archive) {
+  const fields = {}
+  const report = (path, message) => {
+    if (Object.keys(fields).length < MAX_REPORTED_ERRORS) fields[path] = message
+  }
+  const reportAll = (nested) => Object.entries(nested).forEach(([path, message]) => report(path, message))
+
+  if (!isPlainObject(archive)) {
+    report('archive', 'must be an object')
+    return fields
+  }
+  if (archive.app !== BACKUP_APP_ID) {
+    report('app', `must be "${BACKUP_APP_ID}"`)
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_ARCHIVE_VERSION) {
+    report('version', `must be an integer between 1 and ${BACKUP_ARCHIVE_VERSION}`)
+  }
+
+  if (!Array.isArray(archive.weeks)) {
+    report('weeks', 'must be an array')
+  } else {
+    const weekIds = new Set()
+    archive.weeks.forEach((week, weekIndex) => {
+      const path = `weeks[${weekIndex}]`
+      reportAll(validateWeek(week, { path }))
+      if (!isPlainObject(week)) return
+      if (weekIds.has(week.id)) report(`${path}.id`, 'is duplicated')
+      weekIds.add(week.id)
+    })
+  }
+
+  if (!Array.isArray(archive.monthlyPlanning)) {
+    report('monthlyPlanning', 'must be an array')
+  } else {
+    const months = new Set()
+    archive.monthlyPlanning.forEach((plan, planIndex) => {
+      const path = `monthlyPlanning[${planIndex}]`
+      if (!isPlainObject(plan)) return report(path, 'must be an object')
+      reportAll(validateYearMonth(plan.year, plan.month, { path }))
+      if (months.has(planKey(plan))) report(path, 'month is duplicated')
+      months.add(planKey(plan))
+
+      reportAll(validateMonthlyPlanning(plan.data, { path: `${path}.data` }))
+    })
+  }
+
+  Object.entries(BACKUP_SECTIONS).forEach(([name, { validate, getKey, optional }]) => {
+    const items = archive[name]
+    if (items === undefined && (optional || archive.version < 2)) return
+    if (!Array.isArray(items)) return report(name, 'must be an array')
+
+    const keys = new Set()
+    items.forEach((item, index) => {
+      const path = `${name}[${index}]`
+      reportAll(validate(item, { path }))
+      if (!isPlainObject(item)) return
+      if (keys.has(getKey(item))) report(path, 'is duplicated')
+      keys.add(getKey(item))
+    })
+  })
+
+  // Transfers move money between the archive's own accounts
+  if (Array.isArray(archive.accounts) && Array.isArray(archive.transfers)) {
+    const accountIds = new Set(archive.accounts.filter(isPlainObject).map(byId))
+    archive.transfers.forEach((transfer, index) => {
+      if (!isPlainObject(transfer)) return
+      if (!accountIds.has(transfer.fromAccountId)) report(`transfers[${index}].fromAccountId`, 'must be an account in the archive')
+      if (!accountIds.has(transfer.toAccountId)) report(`transfers[${index}].toAccountId`, 'must be an account in the archive')
+    })
+  }
+
+  return fields
+}
+
+// ──────────────────────────────────────────────
+// Merge / replace
+// ──────────────────────────────────────────────
+
+/**
+ * Weeks after restoring. 'merge' keeps current weeks and upserts archived
+ * expenses by id; 'replace' takes the archive as-is. Changed weeks get a
+ * revision bump so other devices see a conflict instead of overwriting.
+ */
+export function restoreWeeks(currentWeeks, archiveWeeks, mode) {
+  const currentById = new Map(currentWeeks.map((week) => [week.id, week]))
+
+  const nextWeeks = mode === 'replace'
+    ? archiveWeeks
+    : mergeByKey(currentWeeks, archiveWeeks.map((week) => {
+        const current = currentById.get(week.id)
+        return current ? { ...current, ...week, expenses: mergeByKey(current.expenses, week.expenses, (expense) => expense.id) } : week
+      }), (week) => week.id)
+
+  return nextWeeks.map((week) => {
+    const current = currentById.get(week.id)
+    const currentRevision = current ? current.revision : 0
+    const unchanged = current && sameContent({ ...week, revision: 0 }, { ...current, revision: 0 })
+    return { ...week, revision: unchanged ? currentRevision : currentRevision + 1 }
+  })
+}
+
+/**
+ * Monthly plans after restoring. 'merge' upserts categories by name and
+ * expenses by id within each month; 'replace' takes the archive as-is.
+ */
+export function restoreMonthlyPlanning(currentPlans, archivePlans, mode) {
+  if (mode === 'replace') return archivePlans
+
+  const currentByKey = new Map(currentPlans.map((plan) => [planKey(plan), plan]))
+  const mergedPlans = archivePlans.map((plan) => {
+    const current = currentByKey.get(planKey(plan))
+    if (!current) return plan
+
+    return {
+      ...plan,
+      data: {
+        ...current.data,
+        ...plan.data,
+        categories: mergeByKey(current.data.categories, plan.data.categories, getCategoryName),
+        expenses: mergeByKey(current.data.expenses, plan.data.expenses, (expense) => expense.id),
+      },
+    }
+  })
+
+  return mergeByKey(currentPlans, mergedPlans, planKey)
+}
+
+/**
+ * A list section after restoring: 'merge' upserts archived items by key,
+ * 'replace' takes the archive as-is. A section the archive does not carry
+ * (version 1) stays as it is.
+ */
+export function restoreSection(name, currentItems, archiveItems, mode) {
+  if (archiveItems === undefined) return currentItems
+  if (mode === 'replace') return archiveItems
+  return mergeByKey(currentItems, archiveItems, BACKUP_SECTIONS[name].getKey)
+}
+
+// ──────────────────────────────────────────────
+// Diff summary
+// ──────────────────────────────────────────────
+
+function diffByKey(currentItems, nextItems, getKey, keyOnly = false) {
+  const currentByKey = new Map(currentItems.map((item) => [getKey(item), item]))
+  const nextKeys = new Set()
+  let added = 0
+  let updated = 0
+
+  nextItems.forEach((item) => {
+    const key = getKey(item)
+    nextKeys.add(key)
+    if (!currentByKey.has(key)) added += 1
+    else if (!keyOnly && !sameContent(currentByKey.get(key), item)) updated += 1
+  })
+
+  const removed = [...currentByKey.keys()].filter((key) => !nextKeys.has(key)).length
+  return { added, updated, removed }
+}
+
+function collectCategoryNames(plans) {
+  return new Set(plans.flatMap((plan) => (plan.data.categories || []).map(getCategoryName).filter(Boolean)))
+}
+
+/**
+ * What a restore changes: counts of months, transactions and the items of
+ * each list section added, updated and removed, plus the category names
+ * that appear or disappear. Sections are keyed by name in
+ * currentSections/nextSections.
+ */
+export function summarizeRestore({ currentWeeks, nextWeeks, currentPlans, nextPlans, currentSections = {}, nextSections = {} }) {
+  const withoutRevision = (week) => ({ ...week, revision: 0 })
+  const toTransactions = (weeks) => weeks.flatMap((week) => week.expenses.map((expense) => ({ ...expense, weekId: week.id })))
+
+  const currentCategories = collectCategoryNames(currentPlans)
+  const nextCategories = collectCategoryNames(nextPlans)
+
+  return {
+    weeks: diffByKey(currentWeeks.map(withoutRevision), nextWeeks.map(withoutRevision), (week) => week.id),
+    months: diffByKey(currentPlans, nextPlans, planKey),
+    transactions: diffByKey(toTransactions(currentWeeks), toTransactions(nextWeeks), (expense) => expense.id),
+    categories: {
+      added: [...nextCategories].filter((name) => !currentCategories.has(name)),
+      removed: [...currentCategories].filter((name) => !nextCategories.has(name)),
+    },
+    ...Object.fromEntries(Object.entries(BACKUP_SECTIONS).map(([name, { getKey, keyOnly }]) => [
+      name,
+      diffByKey(currentSections[name] || [], nextSections[name] || [], getKey, keyOnly),
+    ])),
+  }
+}
@@ -0,0 +1,221 @@
+import { describe, expect, it } from 'vitest'
+import {
+  BACKUP_APP_ID,
+  BACKUP_ARCHIVE_VERSION,
+  restoreMonthlyPlanning,
+  restoreSection,
+  restoreWeeks,
+  summarizeRestore,
+  validateBackupArchive,
+} from './backup.js'
+
+const expense = (id, amount = 10) => ({ id, name: `Expense ${id}`, amount, date: '2026-03-05', type: 'expense', category: 'Food' })
+const week = (id, expenses, revision = 1) => ({ id, startDate: '2026-03-01', endDate: '2026-03-07', expenses, revision })
+const plan = (month, data) => ({ year: 2026, month, data })
+
+function archive(overrides = {}) {
+  return {
+    app: BACKUP_APP_ID,
+    version: BACKUP_ARCHIVE_VERSION,
+    exportedAt: '2026-03-10T12:00:00.000Z',
+    weeks: [week('w1', [expense('e1')])],
+    monthlyPlanning: [plan(3, { salary: 3000, categories: [{ name: 'Food', type: 'spend', budget: 400 }] })],
+    recurringRules: [],
+    categoryRules: [],
+    goals: [{ id: 'g1', name: 'Car', targetAmount: 1000 }],
+    accounts: [
+      { id: 'a1', name: 'Checking', type: 'checking', openingBalance: 0 },
+      { id: 'a2', name: 'Savings', type: 'savings', openingBalance: 100 },
+    ],
+    transfers: [{ id: 't1', fromAccountId: 'a1', toAccountId: 'a2', amount: 50, date: '2026-03-05' }],
+    exchangeRates: [{ date: '2026-03-01', from: 'USD', to: 'BRL', rate: 5 }],
+    attachments: [],
+    ...overrides,
+  }
+}
+
+describe('validateBackupArchive', () => {
+  it('accepts a complete archive', () => {
+    expect(validateBackupArchive(archive())).toEqual({})
+  })
+
+  it('accepts a version 1 archive without the list sections', () => {
+    const { app, exportedAt, weeks, monthlyPlanning } = archive()
+    expect(validateBackupArchive({ app, version: 1, exportedAt, weeks, monthlyPlanning })).toEqual({})
+  })
+
+  it('requires the list sections from version 2 on', () => {
+    expect(validateBackupArchive(archive({ goals: undefined }))).toEqual({ goals: 'must be an array' })
+  })
+
+  it('accepts an archive exported without receipts', () => {
+    expect(validateBackupArchive(archive({ attachments: undefined }))).toEqual({})
+  })
+
+  it('rejects other apps, unknown versions and non-objects', () => {
+    expect(validateBackupArchive(null)).toEqual({ archive: 'must be an object' })
+    expect(validateBackupArchive(archive({ app: 'other', version: BACKUP_ARCHIVE_VERSION + 1 }))).toEqual({
+      app: `must be "${BACKUP_APP_ID}"`,
+      version: `must be an integer between 1 and ${BACKUP_ARCHIVE_VERSION}`,
+    })
+  })
+
+  it('reports invalid items by their path in the archive', () => {
+    const fields = validateBackupArchive(archive({
+      weeks: [week('w1', [{ ...expense('e1'), amount: 'ten' }])],
+      goals: [{ id: 'g1', name: 'Car' }],
+    }))
+    expect(fields).toEqual({
+      'weeks[0].expenses[0].amount': 'must be a number',
+      'goals[0].targetAmount': 'is required',
+    })
+  })
+
+  it('reports duplicated weeks, months and section items', () => {
+    const fields = validateBackupArchive(archive({
+      weeks: [week('w1', []), week('w1', [])],
+      monthlyPlanning: [plan(3, {}), plan(3, {})],
+      exchangeRates: [
+        { date: '2026-03-01', from: 'USD', to: 'BRL', rate: 5 },
+        { date: '2026-03-01', from: 'USD', to: 'BRL', rate: 6 },
+      ],
+    }))
+    expect(fields).toEqual({
+      'weeks[1].id': 'is duplicated',
+      'monthlyPlanning[1]': 'month is duplicated',
+      'exchangeRates[1]': 'is duplicated',
+    })
+  })
+
+  it('requires transfers to use accounts from the archive', () => {
+    const fields = validateBackupArchive(archive({
+      transfers: [{ id: 't1', fromAccountId: 'a1', toAccountId: 'gone', amount: 50, date: '2026-03-05' }],
+    }))
+    expect(fields).toEqual({ 'transfers[0].toAccountId': 'must be an account in the archive' })
+  })
+})
+
+describe('restoreWeeks', () => {
+  const current = [week('w1', [expense('e1'), expense('e2')], 3), week('w2', [expense('e3')], 1)]
+
+  it('merges archived expenses into current weeks by id', () => {
+    const next = restoreWeeks(current, [week('w1', [expense('e2', 99), expense('e4')]), week('w9', [expense('e9')])], 'merge')
+
+    expect(next.map((item) => item.id)).toEqual(['w1', 'w2', 'w9'])
+    expect(next[0].expenses.map((item) => [item.id, item.amount])).toEqual([['e1', 10], ['e2', 99], ['e4', 10]])
+  })
+
+  it('bumps the revision of changed weeks only', () => {
+    const next = restoreWeeks(current, [week('w1', [expense('e5')]), week('w2', [expense('e3')], 7), week('w9', [])], 'merge')
+
+    expect(next.map((item) => [item.id, item.revision])).toEqual([['w1', 4], ['w2', 1], ['w9', 1]])
+  })
+
+  it('takes the archive as-is when replacing', () => {
+    const next = restoreWeeks(current, [week('w1', [expense('e5')])], 'replace')
+
+    expect(next).toEqual([{ ...week('w1', [expense('e5')]), revision: 4 }])
+  })
+})
+
+describe('restoreMonthlyPlanning', () => {
+  const current = [
+    plan(3, { salary: 3000, categories: [{ name: 'Food', budget: 400 }, 'Rent'], expenses: [expense('p1')] }),
+    plan(4, { salary: 3100, categories: [] }),
+  ]
+
+  it('merges categories by name and expenses by id within each month', () => {
+    const next = restoreMonthlyPlanning(current, [
+      plan(3, { salary: 3200, categories: [{ name: 'Food', budget: 500 }, { name: 'Fun', budget: 50 }], expenses: [expense('p2')] }),
+      plan(5, { salary: 3300, categories: [] }),
+    ], 'merge')
+
+    expect(next.map((item) => item.month)).toEqual([3, 4, 5])
+    expect(next[0].data).toEqual({
+      salary: 3200,
+      categories: [{ name: 'Food', budget: 500 }, 'Rent', { name: 'Fun', budget: 50 }],
+      expenses: [expense('p1'), expense('p2')],
+    })
+  })
+
+  it('takes the archive as-is when replacing', () => {
+    const archived = [plan(5, { salary: 1, categories: [] })]
+    expect(restoreMonthlyPlanning(current, archived, 'replace')).toBe(archived)
+  })
+})
+
+describe('restoreSection', () => {
+  const current = [{ id: 'g1', name: 'Car' }, { id: 'g2', name: 'Trip' }]
+
+  it('upserts archived items by key when merging', () => {
+    expect(restoreSection('goals', current, [{ id: 'g2', name: 'Holiday' }, { id: 'g3', name: 'House' }], 'merge')).toEqual([
+      { id: 'g1', name: 'Car' },
+      { id: 'g2', name: 'Holiday' },
+      { id: 'g3', name: 'House' },
+    ])
+  })
+
+  it('keys exchange rates by date and currency pair', () => {
+    const rates = [{ date: '2026-03-01', from: 'USD', to: 'BRL', rate: 5 }]
+    expect(restoreSection('exchangeRates', rates, [{ date: '2026-03-01', from: 'USD', to: 'BRL', rate: 6 }], 'merge')).toEqual([
+      { date: '2026-03-01', from: 'USD', to: 'BRL', rate: 6 },
+    ])
+  })
+
+  it('takes the archive as-is when replacing', () => {
+    expect(restoreSection('goals', current, [], 'replace')).toEqual([])
+  })
+
+  it('keeps a section the archive does not carry', () => {
+    expect(restoreSection('goals', current, undefined, 'replace')).toBe(current)
+  })
+})
+
+describe('summarizeRestore', () => {
+  it('counts what is added, updated and removed', () => {
+    const currentWeeks = [week('w1', [expense('e1'), expense('e2')], 3)]
+    const nextWeeks = [week('w1', [expense('e1', 20), expense('e3')], 4), week('w2', [])]
+    const currentPlans = [plan(3, { categories: ['Food', 'Rent'] })]
+    const nextPlans = [plan(3, { categories: ['Food', 'Fun'] }), plan(4, { categories: [] })]
+
+    const summary = summarizeRestore({
+      currentWeeks,
+      nextWeeks,
+      currentPlans,
+      nextPlans,
+      currentSections: { goals: [{ id: 'g1', name: 'Car' }] },
+      nextSections: { goals: [{ id: 'g2', name: 'Trip' }] },
+    })
+
+    expect(summary.weeks).toEqual({ added: 1, updated: 1, removed: 0 })
+    expect(summary.transactions).toEqual({ added: 1, updated: 1, removed: 1 })
+    expect(summary.months).toEqual({ added: 1, updated: 1, removed: 0 })
+    expect(summary.categories).toEqual({ added: ['Fun'], removed: ['Rent'] })
+    expect(summary.goals).toEqual({ added: 1, updated: 0, removed: 1 })
+    expect(summary.accounts).toEqual({ added: 0, updated: 0, removed: 0 })
+  })
+
+  it('compares receipts by id only', () => {
+    const summary = summarizeRestore({
+      currentWeeks: [],
+      nextWeeks: [],
+      currentPlans: [],
+      nextPlans: [],
+      currentSections: { attachments: [{ id: 'r1' }, { id: 'r2' }] },
+      nextSections: { attachments: [{ id: 'r1', name: 'receipt.pdf', data: 'AAAA' }, { id: 'r3', name: 'new.pdf', data: 'BBBB' }] },
+    })
+
+    expect(summary.attachments).toEqual({ added: 1, updated: 0, removed: 1 })
+  })
+
+  it('ignores revision changes alone', () => {
+    const summary = summarizeRestore({
+      currentWeeks: [week('w1', [], 3)],
+      nextWeeks: [week('w1', [], 9)],
+      currentPlans: [],
+      nextPlans: [],
+    })
+
+    expect(summary.weeks).toEqual({ added: 0, updated: 0, removed: 0 })
+  })
+})
@@ -15,11 +15,20 @@ import { Buffer } from 'node:buffer';
 // Helpers
 // ──────────────────────────────────────────────
 
-function toBase64(buffer) {
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+// Chunked so large payloads (e.g. receipt attachments) stay under the
+// engine's argument limit for String.fromCharCode
+const BASE64_CHUNK_SIZE = 0x8000;
+
+export function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+    }
+    return btoa(binary);
 }
 
-function fromBase64(b64) {
+export function fromBase64(b64) {
     const binary = atob(b64);
     const bytes = new Uint8Array(binary.length);
     for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
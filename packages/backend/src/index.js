@@ -16,12 +16,46 @@ import {
   importDEK,
   encryptData,
   decryptData,
+  toBase64,
+  fromBase64,
 } from './crypto.js'
+import {
+  BACKUP_APP_ID,
+  BACKUP_ARCHIVE_VERSION,
+  validateBackupArchive,
+  restoreWeeks,
+  restoreMonthlyPlanning,
+  restoreSection,
+  summarizeRestore,
+} from './backup.js'
+import {
+  hasErrors,
+  isAttachmentId,
+  isPlainObject,
+  validationError,
+  validateAttachmentUpload,
+  validateCategoryRule,
+  validateGoal,
+  validateExpense,
+  validateExpenseBatch,
+  validateExpenseMoves,
+  validateBaseCurrency,
+  validateAccount,
+  validateExchangeRates,
+  validateMonthlyPlanning,
+  validatePayday,
+  validateRecurringRule,
+  validateTransfer,
+  validateWeek,
+  validateWeekMeta,
+  validateWeekStrategy,
+  validateYearMonth,
+} from './validation.js'
 
 const app = new Hono()
 
 app.get('/', (c) => c.text('🐱 Weekly Wallet Backend is Alive!'))
-app.use('/*', cors())
+app.use('/*', cors({ exposeHeaders: ['ETag', 'Content-Disposition'] }))
 
 // ──────────────────────────────────────────────
 // Public Routes — Auth
@@ -33,9 +67,23 @@ app.route('/api/auth', auth)
 // ──────────────────────────────────────────────
 app.use('/api/weeks', authMiddleware())
 app.use('/api/weeks/*', authMiddleware())
+app.use('/api/expenses/*', authMiddleware())
 app.use('/api/monthly-planning/*', authMiddleware())
 app.use('/api/monthly-plannings', authMiddleware())
 app.use('/api/user/*', authMiddleware())
+app.use('/api/recurring', authMiddleware())
+app.use('/api/recurring/*', authMiddleware())
+app.use('/api/category-rules', authMiddleware())
+app.use('/api/category-rules/*', authMiddleware())
+app.use('/api/goals', authMiddleware())
+app.use('/api/goals/*', authMiddleware())
+app.use('/api/exchange-rates', authMiddleware())
+app.use('/api/accounts', authMiddleware())
+app.use('/api/accounts/*', authMiddleware())
+app.use('/api/attachments', authMiddleware())
+app.use('/api/attachments/*', authMiddleware())
+app.use('/api/export', authMiddleware())
+app.use('/api/import', authMiddleware())
 
 // ──────────────────────────────────────────────
 // Helper: get user's DEK for encryption/decryption
@@ -69,10 +117,90 @@ async function encryptedGet(bucket, key, dek) {
   return JSON.parse(plaintext)
 }
 
-async function encryptedPut(bucket, key, data, dek) {
+/**
+ * Like encryptedGet, but also returns the R2 etag of the stored object
+ * (null when the object does not exist yet).
+ */
+async function encryptedGetWithEtag(bucket, key, dek) {
+  const obj = await bucket.get(key)
+  if (!obj) return { data: null, etag: null }
+  const encrypted = await obj.text()
+  const plaintext = await decryptData(encrypted, dek)
+  return { data: JSON.parse(plaintext), etag: obj.etag }
+}
+
+/**
+ * Encrypt and store `data`. When `options.etag` is given the write only
+ * succeeds if the stored object still has that etag, and `etag: null` only
+ * succeeds if there is no object yet; returns the new etag, or null when the
+ * precondition failed.
+ */
+async function encryptedPut(bucket, key, data, dek, options = {}) {
   const plaintext = JSON.stringify(data)
   const encrypted = await encryptData(plaintext, dek)
-  await bucket.put(key, encrypted)
+  const putOptions = 'etag' in options
+    ? { onlyIf: options.etag ? { etagMatches: options.etag } : { etagDoesNotMatch: '*' } }
+    : undefined
+  const obj = await bucket.put(key, encrypted, putOptions)
+  return obj ? obj.etag : null
+}
+
+// ──────────────────────────────────────────────
+// Helper: optimistic concurrency (If-Match / ETag)
+// ──────────────────────────────────────────────
+const MISSING_VERSION = '0'
+const MAX_WRITE_ATTEMPTS = 3
+
+function toEtagHeader(version) {
+  return `"${version ?? MISSING_VERSION}"`
+}
+
+/**
+ * Read the version a client expects from If-Match. Returns null when the
+ * header is missing; "0" means "this document should not exist yet".
+ */
+function getExpectedVersion(c) {
+  const header = c.req.header('If-Match')
+  if (!header) return null
+  return header.trim().replace(/^W\//, '').replace(/^"|"$/g, '')
+}
+
+function preconditionRequired(c) {
+  return c.json({ error: 'If-Match header is required' }, 428)
+}
+
+/**
+ * Read-modify-write a small document of independent edits (rule lists,
+ * goals, accounts): a lost etag race is retried rather than reported as a
+ * conflict. `fallback` is the empty document; it also fills in fields the
+ * stored one lacks.
+ */
+async function updateDocument(bucket, key, dek, fallback, mutate) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt += 1) {
+    const { data, etag } = await encryptedGetWithEtag(bucket, key, dek)
+    const next = mutate({ ...fallback, ...data })
+
+    if (await encryptedPut(bucket, key, next, dek, { etag })) {
+      return next
+    }
+  }
+
+  throw new Error(`Too many concurrent writes to ${key}`)
+}
+
+function upsertById(items, item) {
+  return items.some((existing) => existing.id === item.id)
+    ? items.map((existing) => (existing.id === item.id ? item : existing))
+    : [...items, item]
+}
+
+// Malformed JSON reads as undefined so validation reports it as a 400
+async function readJsonBody(c) {
+  try {
+    return await c.req.json()
+  } catch {
+    return undefined
+  }
 }
 
 const REFUNDS_CATEGORY_NAME = 'Refunds'
@@ -143,6 +271,7 @@ function normalizeWeeksData(payload = {}) {
     weeks: Array.isArray(payload.weeks)
       ? payload.weeks.map((week) => ({
           ...week,
+          revision: Number(week?.revision) || 0,
           expenses: Array.isArray(week?.expenses)
             ? dedupeRefundExpenses(week.expenses)
             : [],
@@ -189,6 +318,7 @@ function normalizeMonthlyPlanningData(payload = {}) {
 
   if (!hasRefundsCategory) {
     dedupedCategories.push({
+      key: 'refunds',
       name: REFUNDS_CATEGORY_NAME,
       budget: 0,
       type: 'credit',
@@ -210,6 +340,7 @@ function normalizeMonthlyPlanningData(payload = {}) {
       if (isRefundsCategory(category.name)) {
         return {
           ...category,
+          key: 'refunds',
           name: REFUNDS_CATEGORY_NAME,
           type: 'credit',
           frequency: category.frequency || 'monthly',
@@ -225,6 +356,138 @@ function normalizeMonthlyPlanningData(payload = {}) {
   }
 }
 
+// ──────────────────────────────────────────────
+// Helper: R2 keys & single-week read-modify-write
+// ──────────────────────────────────────────────
+function weeksDataKey(userId) {
+  return `${userId}/weeks-data.json`
+}
+
+function monthlyPlanningKey(userId, year, month) {
+  return `${userId}/monthly-planning-${year}-${month}.json`
+}
+
+// Newest first: [{ year, month }]
+async function listMonthlyPlans(bucket, userId) {
+  const prefix = `${userId}/monthly-planning-`
+  const listed = await bucket.list({ prefix })
+
+  const plans = listed.objects.map(obj => {
+    const match = obj.key.match(/monthly-planning-(\d{4})-(\d{1,2})\.json/)
+    if (match) {
+      return { year: parseInt(match[1]), month: parseInt(match[2]) }
+    }
+    return null
+  }).filter(p => p !== null)
+
+  plans.sort((a, b) => {
+    if (a.year !== b.year) return b.year - a.year
+    return b.month - a.month
+  })
+
+  return plans
+}
+
+async function readWeeksData(bucket, userId, dek) {
+  const data = await encryptedGet(bucket, weeksDataKey(userId), dek)
+  return normalizeWeeksData(data || { weeks: [] })
+}
+
+class NotFoundError extends Error {}
+
+class WeekConflictError extends Error {
+  constructor(week) {
+    super('Week was modified by another client')
+    this.week = week
+  }
+}
+
+/**
+ * Load weeks-data.json, hand the target week (or null) to `mutate`, and
+ * persist the result. `mutate` returns the new week, or null to delete it.
+ *
+ * Each week carries its own `revision`; the write is rejected with a
+ * WeekConflictError when it does not match `expectedRevision`. The document
+ * itself is written with an R2 etag precondition so concurrent requests
+ * touching different weeks are retried instead of overwriting each other.
+ */
+async function updateWeek(bucket, userId, dek, weekId, expectedRevision, mutate) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt += 1) {
+    const { data: stored, etag } = await encryptedGetWithEtag(bucket, weeksDataKey(userId), dek)
+    const data = normalizeWeeksData(stored || { weeks: [] })
+    const index = data.weeks.findIndex((week) => week.id === weekId)
+    const current = index === -1 ? null : data.weeks[index]
+    const currentRevision = current ? current.revision : 0
+
+    if (String(currentRevision) !== String(expectedRevision)) {
+      throw new WeekConflictError(current)
+    }
+
+    const next = mutate(current)
+
+    if (next === current) {
+      return current
+    }
+
+    if (next === null) {
+      data.weeks.splice(index, 1)
+    } else if (index === -1) {
+      data.weeks.push({ ...next, revision: currentRevision + 1 })
+    } else {
+      data.weeks[index] = { ...next, revision: currentRevision + 1 }
+    }
+
+    const normalizedData = normalizeWeeksData(data)
+    const newEtag = await encryptedPut(bucket, weeksDataKey(userId), normalizedData, dek, { etag })
+
+    if (newEtag) {
+      return next === null ? null : normalizedData.weeks.find((week) => week.id === weekId)
+    }
+  }
+
+  throw new Error('Too many concurrent writes to weeks data')
+}
+
+/**
+ * Shared response handling for the week mutation routes.
+ */
+async function respondWithWeekUpdate(c, weekId, mutate, failureMessage) {
+  const expectedRevision = getExpectedVersion(c)
+  if (expectedRevision === null) {
+    return preconditionRequired(c)
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    const week = await updateWeek(c.env.WEEKLY_WALLET_BUCKET, c.get('userId'), dek, weekId, expectedRevision, mutate)
+    c.header('ETag', toEtagHeader(week ? week.revision : MISSING_VERSION))
+    return c.json({ success: true, week })
+  } catch (err) {
+    if (err instanceof WeekConflictError) {
+      c.header('ETag', toEtagHeader(err.week ? err.week.revision : MISSING_VERSION))
+      return c.json({ error: err.message, week: err.week }, 409)
+    }
+
+    if (err instanceof NotFoundError) {
+      return c.json({ error: err.message }, 404)
+    }
+
+    console.error(`${failureMessage}:`, err)
+    return c.json({ error: 'Failed to save' }, 500)
+  }
+}
+
+function createWeek(weekId, meta = {}) {
+  return {
+    id: weekId,
+    startDate: meta.startDate,
+    endDate: meta.endDate,
+    initialBalance: 0,
+    expenses: [],
+    isQuarter: true,
+  }
+}
+
 // ──────────────────────────────────────────────
 // GET /api/weeks
 // ──────────────────────────────────────────────
@@ -234,13 +497,15 @@ app.get('/api/weeks', async (c) => {
 
   try {
     const dek = await getUserDEK(c)
-    const data = await encryptedGet(bucket, `${userId}/weeks-data.json`, dek)
+    const { data, etag } = await encryptedGetWithEtag(bucket, weeksDataKey(userId), dek)
     const normalizedData = normalizeWeeksData(data || { weeks: [] })
+    let currentEtag = etag
 
     if (data && JSON.stringify(data) !== JSON.stringify(normalizedData)) {
-      await encryptedPut(bucket, `${userId}/weeks-data.json`, normalizedData, dek)
+      currentEtag = await encryptedPut(bucket, weeksDataKey(userId), normalizedData, dek, { etag }) || etag
     }
 
+    c.header('ETag', toEtagHeader(currentEtag))
     return c.json(normalizedData)
   } catch (err) {
     console.error('Error reading weeks:', err)
@@ -249,19 +514,239 @@ app.get('/api/weeks', async (c) => {
 })
 
 // ──────────────────────────────────────────────
-// POST /api/weeks
+// GET /api/weeks/:weekId
 // ──────────────────────────────────────────────
-app.post('/api/weeks', async (c) => {
+app.get('/api/weeks/:weekId', async (c) => {
   const userId = c.get('userId')
+  const { weekId } = c.req.param()
   const bucket = c.env.WEEKLY_WALLET_BUCKET
-  const body = await c.req.json()
 
   try {
     const dek = await getUserDEK(c)
-    await encryptedPut(bucket, `${userId}/weeks-data.json`, normalizeWeeksData(body), dek)
-    return c.json({ success: true })
+    const data = await readWeeksData(bucket, userId, dek)
+    const week = data.weeks.find((item) => item.id === weekId)
+
+    if (!week) {
+      c.header('ETag', toEtagHeader(MISSING_VERSION))
+      return c.json({ error: 'Week not found' }, 404)
+    }
+
+    c.header('ETag', toEtagHeader(week.revision))
+    return c.json({ week })
+  } catch (err) {
+    console.error('Error reading week:', err)
+    return c.json({ error: 'Failed to read week' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// PUT /api/weeks/:weekId
+// Requires If-Match with the week revision ("0" for a new week)
+// ──────────────────────────────────────────────
+app.put('/api/weeks/:weekId', async (c) => {
+  const { weekId } = c.req.param()
+  const body = await readJsonBody(c)
+
+  const fields = validateWeek({ ...body, id: weekId })
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  return respondWithWeekUpdate(c, weekId, () => ({
+    ...body,
+    id: weekId,
+    expenses: Array.isArray(body.expenses) ? body.expenses : [],
+  }), 'Error saving week')
+})
+
+// ──────────────────────────────────────────────
+// DELETE /api/weeks/:weekId
+// ──────────────────────────────────────────────
+app.delete('/api/weeks/:weekId', async (c) => {
+  const { weekId } = c.req.param()
+
+  return respondWithWeekUpdate(c, weekId, () => null, 'Error deleting week')
+})
+
+// ──────────────────────────────────────────────
+// POST /api/weeks/:weekId/expenses/:expenseId
+// Body: { expense, week?: { startDate, endDate } }
+// Creates the week on first use.
+// ──────────────────────────────────────────────
+app.post('/api/weeks/:weekId/expenses/:expenseId', async (c) => {
+  const { weekId, expenseId } = c.req.param()
+  const body = await readJsonBody(c)
+
+  const fields = {
+    ...validateExpense(body?.expense && { ...body.expense, id: expenseId }, { path: 'expense' }),
+    ...validateWeekMeta(body?.week, { path: 'week' }),
+  }
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  const expense = { ...body.expense, id: expenseId }
+
+  return respondWithWeekUpdate(c, weekId, (current) => {
+    const target = current || createWeek(weekId, body.week)
+    return {
+      ...target,
+      expenses: [expense, ...target.expenses.filter((item) => item.id !== expenseId)],
+    }
+  }, 'Error adding expense')
+})
+
+// ──────────────────────────────────────────────
+// PATCH /api/weeks/:weekId/expenses/:expenseId
+// ──────────────────────────────────────────────
+app.patch('/api/weeks/:weekId/expenses/:expenseId', async (c) => {
+  const { weekId, expenseId } = c.req.param()
+  const changes = await readJsonBody(c)
+
+  const fields = validateExpense(changes, { partial: true })
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  return respondWithWeekUpdate(c, weekId, (current) => {
+    if (!current || !current.expenses.some((item) => item.id === expenseId)) {
+      throw new NotFoundError('Expense not found')
+    }
+
+    return {
+      ...current,
+      expenses: current.expenses.map((item) => (
+        item.id === expenseId ? { ...item, ...changes, id: expenseId } : item
+      )),
+    }
+  }, 'Error updating expense')
+})
+
+// ──────────────────────────────────────────────
+// DELETE /api/weeks/:weekId/expenses/:expenseId
+// ──────────────────────────────────────────────
+app.delete('/api/weeks/:weekId/expenses/:expenseId', async (c) => {
+  const { weekId, expenseId } = c.req.param()
+
+  return respondWithWeekUpdate(c, weekId, (current) => {
+    if (!current || !current.expenses.some((item) => item.id === expenseId)) {
+      return current
+    }
+
+    return {
+      ...current,
+      expenses: current.expenses.filter((item) => item.id !== expenseId),
+    }
+  }, 'Error deleting expense')
+})
+
+/**
+ * Add each group's expenses to its week (replacing any with the same id) in
+ * one write of the weeks document, bumping the revision of every week touched.
+ */
+async function addExpensesToWeeks(bucket, userId, dek, groups) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt += 1) {
+    const { data: stored, etag } = await encryptedGetWithEtag(bucket, weeksDataKey(userId), dek)
+    const data = normalizeWeeksData(stored || { weeks: [] })
+
+    groups.forEach((group) => {
+      const index = data.weeks.findIndex((week) => week.id === group.weekId)
+      const current = index === -1 ? createWeek(group.weekId, group.week) : data.weeks[index]
+      const addedIds = new Set(group.expenses.map((expense) => expense.id))
+      const next = {
+        ...current,
+        expenses: [...group.expenses, ...current.expenses.filter((item) => !addedIds.has(item.id))],
+        revision: (current.revision || 0) + 1,
+      }
+
+      if (index === -1) data.weeks.push(next)
+      else data.weeks[index] = next
+    })
+
+    const normalizedData = normalizeWeeksData(data)
+    if (await encryptedPut(bucket, weeksDataKey(userId), normalizedData, dek, { etag })) {
+      const weekIds = new Set(groups.map((group) => group.weekId))
+      return normalizedData.weeks.filter((week) => weekIds.has(week.id))
+    }
+  }
+
+  throw new Error('Too many concurrent writes to weeks data')
+}
+
+// ──────────────────────────────────────────────
+// POST /api/expenses/bulk
+// Body: { weeks: [{ weekId, week?: { startDate, endDate }, expenses }] }
+// Files many transactions (e.g. a bank import) in a single request, creating
+// weeks on first use. Like the single add it needs no If-Match: filing an
+// expense by id gives the same result on any revision.
+// ──────────────────────────────────────────────
+app.post('/api/expenses/bulk', async (c) => {
+  const body = await readJsonBody(c)
+
+  const fields = validateExpenseBatch(body)
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  try {
+    const dek = await getUserDEK(c)
+    const weeks = await addExpensesToWeeks(c.env.WEEKLY_WALLET_BUCKET, c.get('userId'), dek, body.weeks)
+    return c.json({ success: true, weeks })
   } catch (err) {
-    console.error('Error saving weeks:', err)
+    console.error('Error adding expenses:', err)
+    return c.json({ error: 'Failed to save' }, 500)
+  }
+})
+
+/**
+ * Move each expense, by id, from one week to another (creating the target
+ * week on first use) in one write of the weeks document, bumping the
+ * revision of every week touched. An expense no longer in its source week
+ * was already moved or deleted and is left alone, so replays change nothing.
+ */
+async function moveExpensesBetweenWeeks(bucket, userId, dek, moves) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt += 1) {
+    const { data: stored, etag } = await encryptedGetWithEtag(bucket, weeksDataKey(userId), dek)
+    const data = normalizeWeeksData(stored || { weeks: [] })
+    const touched = new Set()
+
+    moves.forEach((move) => {
+      const from = data.weeks.findIndex((week) => week.id === move.fromWeekId)
+      const expense = from === -1 ? undefined : data.weeks[from].expenses.find((item) => item.id === move.expenseId)
+      if (!expense || move.fromWeekId === move.toWeekId) return
+
+      data.weeks[from] = { ...data.weeks[from], expenses: data.weeks[from].expenses.filter((item) => item.id !== move.expenseId) }
+      let to = data.weeks.findIndex((week) => week.id === move.toWeekId)
+      if (to === -1) to = data.weeks.push(createWeek(move.toWeekId, move.week)) - 1
+      data.weeks[to] = { ...data.weeks[to], expenses: [...data.weeks[to].expenses.filter((item) => item.id !== move.expenseId), expense] }
+      touched.add(move.fromWeekId)
+      touched.add(move.toWeekId)
+    })
+
+    if (touched.size === 0) return []
+
+    data.weeks = data.weeks.map((week) => (touched.has(week.id) ? { ...week, revision: (week.revision || 0) + 1 } : week))
+    const normalizedData = normalizeWeeksData(data)
+    if (await encryptedPut(bucket, weeksDataKey(userId), normalizedData, dek, { etag })) {
+      return normalizedData.weeks.filter((week) => touched.has(week.id))
+    }
+  }
+
+  throw new Error('Too many concurrent writes to weeks data')
+}
+
+// ──────────────────────────────────────────────
+// POST /api/expenses/move
+// Body: { moves: [{ expenseId, fromWeekId, toWeekId, week?: { startDate, endDate } }] }
+// Refiles transactions into other weeks (e.g. after the payday or week
+// strategy changed) in a single write, so an expense is never in both
+// weeks or in neither. Needs no If-Match: moving by id is safe on any
+// revision.
+// ──────────────────────────────────────────────
+app.post('/api/expenses/move', async (c) => {
+  const body = await readJsonBody(c)
+
+  const fields = validateExpenseMoves(body)
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  try {
+    const dek = await getUserDEK(c)
+    const weeks = await moveExpensesBetweenWeeks(c.env.WEEKLY_WALLET_BUCKET, c.get('userId'), dek, body.moves)
+    return c.json({ success: true, weeks })
+  } catch (err) {
+    console.error('Error moving expenses:', err)
     return c.json({ error: 'Failed to save' }, 500)
   }
 })
@@ -274,24 +759,21 @@ app.get('/api/monthly-planning/:year/:month', async (c) => {
   const { year, month } = c.req.param()
   const bucket = c.env.WEEKLY_WALLET_BUCKET
 
+  const fields = validateYearMonth(year, month)
+  if (hasErrors(fields)) return validationError(c, fields)
+
   try {
     const dek = await getUserDEK(c)
-    const data = await encryptedGet(
-      bucket,
-      `${userId}/monthly-planning-${year}-${month}.json`,
-      dek
-    )
+    const key = monthlyPlanningKey(userId, year, month)
+    const { data, etag } = await encryptedGetWithEtag(bucket, key, dek)
     const normalizedData = normalizeMonthlyPlanningData(data || { categories: [], expenses: [], salary: 0 })
+    let currentEtag = etag
 
     if (data && JSON.stringify(data) !== JSON.stringify(normalizedData)) {
-      await encryptedPut(
-        bucket,
-        `${userId}/monthly-planning-${year}-${month}.json`,
-        normalizedData,
-        dek
-      )
+      currentEtag = await encryptedPut(bucket, key, normalizedData, dek, { etag }) || etag
     }
 
+    c.header('ETag', toEtagHeader(currentEtag))
     return c.json(normalizedData)
   } catch (err) {
     console.error('Error reading monthly planning:', err)
@@ -301,21 +783,49 @@ app.get('/api/monthly-planning/:year/:month', async (c) => {
 
 // ──────────────────────────────────────────────
 // POST /api/monthly-planning/:year/:month
+// Requires If-Match with the ETag from the last GET ("0" for a new month).
+// On conflict responds 409 with the server copy.
 // ──────────────────────────────────────────────
 app.post('/api/monthly-planning/:year/:month', async (c) => {
   const userId = c.get('userId')
   const { year, month } = c.req.param()
   const bucket = c.env.WEEKLY_WALLET_BUCKET
-  const body = await c.req.json()
+  const body = await readJsonBody(c)
+  const expectedEtag = getExpectedVersion(c)
+
+  const fields = {
+    ...validateYearMonth(year, month),
+    ...validateMonthlyPlanning(body),
+  }
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  if (expectedEtag === null) {
+    return preconditionRequired(c)
+  }
 
   try {
     const dek = await getUserDEK(c)
-    await encryptedPut(
-      bucket,
-      `${userId}/monthly-planning-${year}-${month}.json`,
-      normalizeMonthlyPlanningData(body),
-      dek
-    )
+    const key = monthlyPlanningKey(userId, year, month)
+    const { data: serverData, etag: serverEtag } = await encryptedGetWithEtag(bucket, key, dek)
+    const currentEtag = serverEtag || MISSING_VERSION
+
+    const newEtag = currentEtag === expectedEtag
+      ? await encryptedPut(bucket, key, normalizeMonthlyPlanningData(body), dek, { etag: serverEtag })
+      : null
+
+    if (!newEtag) {
+      const { data: latestData, etag: latestEtag } = currentEtag === expectedEtag
+        ? await encryptedGetWithEtag(bucket, key, dek)
+        : { data: serverData, etag: serverEtag }
+
+      c.header('ETag', toEtagHeader(latestEtag))
+      return c.json({
+        error: 'Monthly planning was modified by another client',
+        data: normalizeMonthlyPlanningData(latestData || { categories: [], expenses: [], salary: 0 }),
+      }, 409)
+    }
+
+    c.header('ETag', toEtagHeader(newEtag))
     return c.json({ success: true })
   } catch (err) {
     console.error('Error saving monthly planning:', err)
@@ -329,79 +839,995 @@ app.post('/api/monthly-planning/:year/:month', async (c) => {
 app.get('/api/monthly-plannings', async (c) => {
   const userId = c.get('userId')
   const bucket = c.env.WEEKLY_WALLET_BUCKET
-  const prefix = `${userId}/monthly-planning-`
-  const listed = await bucket.list({ prefix })
-
-  const plans = listed.objects.map(obj => {
-    const match = obj.key.match(/monthly-planning-(\d{4})-(\d{1,2})\.json/)
-    if (match) {
-      return { year: parseInt(match[1]), month: parseInt(match[2]) }
-    }
-    return null
-  }).filter(p => p !== null)
-
-  plans.sort((a, b) => {
-    if (a.year !== b.year) return b.year - a.year
-    return b.month - a.month
-  })
+  const plans = await listMonthlyPlans(bucket, userId)
 
   return c.json({ plans })
 })
 
 // ──────────────────────────────────────────────
-// GET /api/user/profile
+// Helper: recurring rules
 // ──────────────────────────────────────────────
-app.get('/api/user/profile', async (c) => {
-  const email = c.get('email')
+function recurringRulesKey(userId) {
+  return `${userId}/recurring-rules.json`
+}
+
+// ──────────────────────────────────────────────
+// GET /api/recurring
+// ──────────────────────────────────────────────
+app.get('/api/recurring', async (c) => {
+  const userId = c.get('userId')
   const bucket = c.env.WEEKLY_WALLET_BUCKET
 
   try {
-    const key = `users/${email.toLowerCase()}.json`
-    const obj = await bucket.get(key)
-    if (!obj) {
-      return c.json({ error: 'User not found' }, 404)
-    }
+    const dek = await getUserDEK(c)
+    const data = await encryptedGet(bucket, recurringRulesKey(userId), dek)
+    return c.json({ rules: Array.isArray(data?.rules) ? data.rules : [] })
+  } catch (err) {
+    console.error('Error reading recurring rules:', err)
+    return c.json({ error: 'Failed to read recurring rules' }, 500)
+  }
+})
 
-    const user = await obj.json()
-    return c.json({ id: user.id, email: user.email, avatar: user.avatar || '/no-avatar.jpg', customTabs: user.customTabs, projectionMonths: user.projectionMonths })
+// ──────────────────────────────────────────────
+// PUT /api/recurring/:ruleId
+// Creates or replaces a rule.
+// ──────────────────────────────────────────────
+app.put('/api/recurring/:ruleId', async (c) => {
+  const userId = c.get('userId')
+  const { ruleId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const body = await readJsonBody(c)
+
+  const fields = validateRecurringRule(body && { ...body, id: ruleId })
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  const rule = {
+    id: ruleId,
+    name: body.name.trim(),
+    amount: body.amount,
+    type: body.type,
+    category: body.category || 'Uncategorized',
+    cadence: body.cadence,
+    ...(body.cadence === 'day-of-month' ? { dayOfMonth: body.dayOfMonth } : {}),
+    startDate: body.startDate,
+    endDate: body.endDate || null,
+    paused: body.paused || false,
+    generatedThrough: body.generatedThrough || null,
+    skippedDates: body.skippedDates || [],
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, recurringRulesKey(userId), dek, { rules: [] }, (doc) => ({ rules: upsertById(doc.rules, rule) }))
+    return c.json({ success: true, rule })
   } catch (err) {
-    console.error('Error reading profile:', err)
-    return c.json({ error: 'Failed to read profile' }, 500)
+    console.error('Error saving recurring rule:', err)
+    return c.json({ error: 'Failed to save' }, 500)
   }
 })
 
 // ──────────────────────────────────────────────
-// POST /api/user/profile
+// DELETE /api/recurring/:ruleId
+// Transactions already generated from the rule are kept.
 // ──────────────────────────────────────────────
-app.post('/api/user/profile', async (c) => {
-  const email = c.get('email')
+app.delete('/api/recurring/:ruleId', async (c) => {
+  const userId = c.get('userId')
+  const { ruleId } = c.req.param()
   const bucket = c.env.WEEKLY_WALLET_BUCKET
-  const body = await c.req.json()
 
   try {
-    const key = `users/${email.toLowerCase()}.json`
-    const obj = await bucket.get(key)
-    if (!obj) {
-      return c.json({ error: 'User not found' }, 404)
-    }
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, recurringRulesKey(userId), dek, { rules: [] }, (doc) => ({
+      rules: doc.rules.filter((item) => item.id !== ruleId),
+    }))
+    return c.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting recurring rule:', err)
+    return c.json({ error: 'Failed to delete' }, 500)
+  }
+})
 
-    const user = await obj.json()
+// ──────────────────────────────────────────────
+// Helper: auto-categorization rules
+// ──────────────────────────────────────────────
+// The list order is the match order: the first rule that matches a
+// transaction wins.
+function categoryRulesKey(userId) {
+  return `${userId}/category-rules.json`
+}
 
-    // Only update supported profile fields
-    if (body.avatar !== undefined) {
-      user.avatar = body.avatar
-    }
-    if (body.customTabs !== undefined) {
-      user.customTabs = body.customTabs
+// ──────────────────────────────────────────────
+// GET /api/category-rules
+// ──────────────────────────────────────────────
+app.get('/api/category-rules', async (c) => {
+  const userId = c.get('userId')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const dek = await getUserDEK(c)
+    const data = await encryptedGet(bucket, categoryRulesKey(userId), dek)
+    return c.json({ rules: Array.isArray(data?.rules) ? data.rules : [] })
+  } catch (err) {
+    console.error('Error reading category rules:', err)
+    return c.json({ error: 'Failed to read category rules' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// PUT /api/category-rules/:ruleId
+// Creates (appended last) or replaces a rule in place.
+// ──────────────────────────────────────────────
+app.put('/api/category-rules/:ruleId', async (c) => {
+  const userId = c.get('userId')
+  const { ruleId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const body = await readJsonBody(c)
+
+  const fields = validateCategoryRule(body && { ...body, id: ruleId })
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  const rule = {
+    id: ruleId,
+    pattern: body.pattern || '',
+    matchType: body.matchType,
+    minAmount: body.minAmount ?? null,
+    maxAmount: body.maxAmount ?? null,
+    accountId: body.accountId || null,
+    category: body.category || '',
+    tags: body.tags || [],
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, categoryRulesKey(userId), dek, { rules: [] }, (doc) => ({ rules: upsertById(doc.rules, rule) }))
+    return c.json({ success: true, rule })
+  } catch (err) {
+    console.error('Error saving category rule:', err)
+    return c.json({ error: 'Failed to save' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// DELETE /api/category-rules/:ruleId
+// Transactions it already categorized keep their category.
+// ──────────────────────────────────────────────
+app.delete('/api/category-rules/:ruleId', async (c) => {
+  const userId = c.get('userId')
+  const { ruleId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, categoryRulesKey(userId), dek, { rules: [] }, (doc) => ({
+      rules: doc.rules.filter((item) => item.id !== ruleId),
+    }))
+    return c.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting category rule:', err)
+    return c.json({ error: 'Failed to delete' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// Helper: savings goals
+// ──────────────────────────────────────────────
+function goalsKey(userId) {
+  return `${userId}/goals.json`
+}
+
+// ──────────────────────────────────────────────
+// GET /api/goals
+// ──────────────────────────────────────────────
+app.get('/api/goals', async (c) => {
+  const userId = c.get('userId')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const dek = await getUserDEK(c)
+    const data = await encryptedGet(bucket, goalsKey(userId), dek)
+    return c.json({ goals: Array.isArray(data?.goals) ? data.goals : [] })
+  } catch (err) {
+    console.error('Error reading goals:', err)
+    return c.json({ error: 'Failed to read goals' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// PUT /api/goals/:goalId
+// ──────────────────────────────────────────────
+app.put('/api/goals/:goalId', async (c) => {
+  const userId = c.get('userId')
+  const { goalId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const body = await readJsonBody(c)
+
+  const fields = validateGoal(body && { ...body, id: goalId })
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  const goal = {
+    id: goalId,
+    name: body.name.trim(),
+    targetAmount: body.targetAmount,
+    startingAmount: body.startingAmount ?? null,
+    deadline: body.deadline || null,
+    category: body.category || null,
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, goalsKey(userId), dek, { goals: [] }, (doc) => ({ goals: upsertById(doc.goals, goal) }))
+    return c.json({ success: true, goal })
+  } catch (err) {
+    console.error('Error saving goal:', err)
+    return c.json({ error: 'Failed to save' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// DELETE /api/goals/:goalId
+// The linked category and its transactions are kept.
+// ──────────────────────────────────────────────
+app.delete('/api/goals/:goalId', async (c) => {
+  const userId = c.get('userId')
+  const { goalId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, goalsKey(userId), dek, { goals: [] }, (doc) => ({
+      goals: doc.goals.filter((item) => item.id !== goalId),
+    }))
+    return c.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting goal:', err)
+    return c.json({ error: 'Failed to delete' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// Helper: exchange rates
+// ──────────────────────────────────────────────
+function exchangeRatesKey(userId) {
+  return `${userId}/exchange-rates.json`
+}
+
+// ──────────────────────────────────────────────
+// GET /api/exchange-rates
+// ──────────────────────────────────────────────
+app.get('/api/exchange-rates', async (c) => {
+  const userId = c.get('userId')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const dek = await getUserDEK(c)
+    const data = await encryptedGet(bucket, exchangeRatesKey(userId), dek)
+    return c.json({ rates: Array.isArray(data?.rates) ? data.rates : [] })
+  } catch (err) {
+    console.error('Error reading exchange rates:', err)
+    return c.json({ error: 'Failed to read exchange rates' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// PUT /api/exchange-rates
+// Replaces the whole table; it is small and edited from a single screen.
+// ──────────────────────────────────────────────
+app.put('/api/exchange-rates', async (c) => {
+  const userId = c.get('userId')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const body = await readJsonBody(c)
+
+  const fields = validateExchangeRates(body)
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  const rates = body.rates.map(({ date, from, to, rate }) => ({ date: date.slice(0, 10), from, to, rate }))
+
+  try {
+    const dek = await getUserDEK(c)
+    await encryptedPut(bucket, exchangeRatesKey(userId), { rates }, dek)
+    return c.json({ success: true, rates })
+  } catch (err) {
+    console.error('Error saving exchange rates:', err)
+    return c.json({ error: 'Failed to save' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// Helper: accounts & transfers
+// ──────────────────────────────────────────────
+function accountsKey(userId) {
+  return `${userId}/accounts.json`
+}
+
+function readAccountsDocument(data) {
+  return {
+    accounts: Array.isArray(data?.accounts) ? data.accounts : [],
+    transfers: Array.isArray(data?.transfers) ? data.transfers : [],
+  }
+}
+
+// ──────────────────────────────────────────────
+// GET /api/accounts
+// ──────────────────────────────────────────────
+app.get('/api/accounts', async (c) => {
+  const userId = c.get('userId')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const dek = await getUserDEK(c)
+    const data = await encryptedGet(bucket, accountsKey(userId), dek)
+    return c.json(readAccountsDocument(data))
+  } catch (err) {
+    console.error('Error reading accounts:', err)
+    return c.json({ error: 'Failed to read accounts' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// PUT /api/accounts/transfers/:transferId
+// Creates or replaces a transfer between two existing accounts.
+// ──────────────────────────────────────────────
+app.put('/api/accounts/transfers/:transferId', async (c) => {
+  const userId = c.get('userId')
+  const { transferId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const body = await readJsonBody(c)
+
+  const fields = validateTransfer(body && { ...body, id: transferId })
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  const transfer = {
+    id: transferId,
+    fromAccountId: body.fromAccountId,
+    toAccountId: body.toAccountId,
+    amount: body.amount,
+    date: body.date.slice(0, 10),
+    note: body.note || '',
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    const { data } = await encryptedGetWithEtag(bucket, accountsKey(userId), dek)
+    const accountIds = new Set(readAccountsDocument(data).accounts.map((account) => account.id))
+    const unknown = {}
+    if (!accountIds.has(transfer.fromAccountId)) unknown.fromAccountId = 'must be one of your accounts'
+    if (!accountIds.has(transfer.toAccountId)) unknown.toAccountId = 'must be one of your accounts'
+    if (hasErrors(unknown)) return validationError(c, unknown)
+
+    await updateDocument(bucket, accountsKey(userId), dek, readAccountsDocument(), (doc) => ({ ...doc, transfers: upsertById(doc.transfers, transfer) }))
+    return c.json({ success: true, transfer })
+  } catch (err) {
+    console.error('Error saving transfer:', err)
+    return c.json({ error: 'Failed to save' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// DELETE /api/accounts/transfers/:transferId
+// ──────────────────────────────────────────────
+app.delete('/api/accounts/transfers/:transferId', async (c) => {
+  const userId = c.get('userId')
+  const { transferId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, accountsKey(userId), dek, readAccountsDocument(), (doc) => ({
+      ...doc,
+      transfers: doc.transfers.filter((transfer) => transfer.id !== transferId),
+    }))
+    return c.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting transfer:', err)
+    return c.json({ error: 'Failed to delete' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// PUT /api/accounts/:accountId
+// Creates or replaces an account.
+// ──────────────────────────────────────────────
+app.put('/api/accounts/:accountId', async (c) => {
+  const userId = c.get('userId')
+  const { accountId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const body = await readJsonBody(c)
+
+  const fields = validateAccount(body && { ...body, id: accountId })
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  const account = {
+    id: accountId,
+    name: body.name.trim(),
+    type: body.type,
+    openingBalance: body.openingBalance,
+    archived: body.archived === true,
+    closingDay: body.type === 'credit-card' ? body.closingDay ?? null : null,
+    dueDay: body.type === 'credit-card' ? body.dueDay ?? null : null,
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, accountsKey(userId), dek, readAccountsDocument(), (doc) => ({ ...doc, accounts: upsertById(doc.accounts, account) }))
+    return c.json({ success: true, account })
+  } catch (err) {
+    console.error('Error saving account:', err)
+    return c.json({ error: 'Failed to save' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// DELETE /api/accounts/:accountId
+// Its transfers go with it; transactions keep the accountId and show as
+// unassigned on the client.
+// ──────────────────────────────────────────────
+app.delete('/api/accounts/:accountId', async (c) => {
+  const userId = c.get('userId')
+  const { accountId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const dek = await getUserDEK(c)
+    await updateDocument(bucket, accountsKey(userId), dek, readAccountsDocument(), (doc) => ({
+      accounts: doc.accounts.filter((account) => account.id !== accountId),
+      transfers: doc.transfers.filter((transfer) => (
+        transfer.fromAccountId !== accountId && transfer.toAccountId !== accountId
+      )),
+    }))
+    return c.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting account:', err)
+    return c.json({ error: 'Failed to delete' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// Helper: receipt attachments
+// ──────────────────────────────────────────────
+function attachmentKey(userId, attachmentId) {
+  return `${userId}/attachments/${attachmentId}`
+}
+
+// ASCII fallback plus the RFC 5987 form, so accented file names survive
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7E]|["\\]/g, '_')
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+}
+
+// ──────────────────────────────────────────────
+// POST /api/attachments
+// Multipart body with a `file` field (image or PDF). The file is encrypted
+// with the user's DEK like every other document; expenses reference the
+// returned { id, name, type, size } as their `attachment`.
+// ──────────────────────────────────────────────
+app.post('/api/attachments', async (c) => {
+  const userId = c.get('userId')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  let body
+  try {
+    body = await c.req.parseBody()
+  } catch {
+    body = {}
+  }
+
+  const file = body.file
+  const fields = validateAttachmentUpload(file)
+  if (hasErrors(fields)) return validationError(c, fields)
+
+  const attachment = {
+    id: crypto.randomUUID(),
+    name: (file.name || 'receipt').slice(0, 200),
+    type: file.type,
+    size: file.size,
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    const data = toBase64(await file.arrayBuffer())
+    await encryptedPut(bucket, attachmentKey(userId, attachment.id), { ...attachment, data }, dek)
+    return c.json({ success: true, attachment })
+  } catch (err) {
+    console.error('Error saving attachment:', err)
+    return c.json({ error: 'Failed to save' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// GET /api/attachments/:attachmentId[?download=1]
+// Responds with the decrypted file, inline unless download is set.
+// ──────────────────────────────────────────────
+app.get('/api/attachments/:attachmentId', async (c) => {
+  const userId = c.get('userId')
+  const { attachmentId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  if (!isAttachmentId(attachmentId)) return c.json({ error: 'Attachment not found' }, 404)
+
+  try {
+    const dek = await getUserDEK(c)
+    const stored = await encryptedGet(bucket, attachmentKey(userId, attachmentId), dek)
+    if (!stored) return c.json({ error: 'Attachment not found' }, 404)
+
+    c.header('Content-Type', stored.type)
+    c.header('Content-Disposition', contentDisposition(c.req.query('download') ? 'attachment' : 'inline', stored.name))
+    c.header('Cache-Control', 'private, no-store')
+    return c.body(fromBase64(stored.data))
+  } catch (err) {
+    console.error('Error reading attachment:', err)
+    return c.json({ error: 'Failed to read attachment' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// DELETE /api/attachments/:attachmentId
+// The client removes a receipt once no transaction references it.
+// ──────────────────────────────────────────────
+app.delete('/api/attachments/:attachmentId', async (c) => {
+  const userId = c.get('userId')
+  const { attachmentId } = c.req.param()
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  if (!isAttachmentId(attachmentId)) return c.json({ success: true })
+
+  try {
+    await bucket.delete(attachmentKey(userId, attachmentId))
+    return c.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting attachment:', err)
+    return c.json({ error: 'Failed to delete' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// Helper: data export (backup archive & CSV)
+// ──────────────────────────────────────────────
+// Every monthly plan, decrypted, oldest first: [{ year, month, data }].
+// The etag of each document read is recorded in `etags` by key.
+async function readMonthlyPlans(bucket, userId, dek, etags = new Map()) {
+  const plans = (await listMonthlyPlans(bucket, userId)).reverse()
+
+  const monthlyPlanning = []
+  for (const { year, month } of plans) {
+    const key = monthlyPlanningKey(userId, year, month)
+    const { data, etag } = await encryptedGetWithEtag(bucket, key, dek)
+    etags.set(key, etag)
+    monthlyPlanning.push({
+      year,
+      month,
+      data: normalizeMonthlyPlanningData(data || { categories: [], expenses: [], salary: 0 }),
+    })
+  }
+
+  return monthlyPlanning
+}
+
+// Every stored receipt, decrypted, with its file as base64
+async function readAttachments(bucket, userId, dek, etags = new Map()) {
+  const prefix = attachmentKey(userId, '')
+  const attachments = []
+  let cursor
+
+  do {
+    const listed = await bucket.list({ prefix, cursor })
+    for (const { key } of listed.objects) {
+      const { data: stored, etag } = await encryptedGetWithEtag(bucket, key, dek)
+      etags.set(key, etag)
+      if (stored) attachments.push({ id: key.slice(prefix.length), name: stored.name, type: stored.type, size: stored.size, data: stored.data })
+    }
+    cursor = listed.truncated ? listed.cursor : undefined
+  } while (cursor)
+
+  return attachments
+}
+
+// Ids of the stored receipts ([{ id }]), listed without decrypting them
+async function listAttachments(bucket, userId, etags = new Map()) {
+  const prefix = attachmentKey(userId, '')
+  const attachments = []
+  let cursor
+
+  do {
+    const listed = await bucket.list({ prefix, cursor })
+    for (const { key, etag } of listed.objects) {
+      etags.set(key, etag)
+      attachments.push({ id: key.slice(prefix.length) })
+    }
+    cursor = listed.truncated ? listed.cursor : undefined
+  } while (cursor)
+
+  return attachments
+}
+
+// The list sections of a backup (see BACKUP_SECTIONS in backup.js), recording
+// the etag of each document read in `etags` by key. Receipts are decrypted
+// only `withAttachments`; otherwise they are listed by id.
+async function readBackupSections(bucket, userId, dek, etags = new Map(), { withAttachments = false } = {}) {
+  const read = async (key) => {
+    const { data, etag } = await encryptedGetWithEtag(bucket, key, dek)
+    etags.set(key, etag)
+    return data
+  }
+  const [recurring, categoryRules, goals, accounts, exchangeRates] = await Promise.all([
+    read(recurringRulesKey(userId)),
+    read(categoryRulesKey(userId)),
+    read(goalsKey(userId)),
+    read(accountsKey(userId)),
+    read(exchangeRatesKey(userId)),
+  ])
+
+  return {
+    recurringRules: Array.isArray(recurring?.rules) ? recurring.rules : [],
+    categoryRules: Array.isArray(categoryRules?.rules) ? categoryRules.rules : [],
+    goals: Array.isArray(goals?.goals) ? goals.goals : [],
+    ...readAccountsDocument(accounts),
+    exchangeRates: Array.isArray(exchangeRates?.rates) ? exchangeRates.rates : [],
+    attachments: withAttachments
+      ? await readAttachments(bucket, userId, dek, etags)
+      : await listAttachments(bucket, userId, etags),
+  }
+}
+
+// Decrypted copy of everything the user owns (see backup.js for the shape).
+// Receipts are left out unless `withAttachments`.
+async function buildExportArchive(bucket, userId, dek, { withAttachments = false } = {}) {
+  const weeksData = await readWeeksData(bucket, userId, dek)
+  const { attachments, ...sections } = await readBackupSections(bucket, userId, dek, new Map(), { withAttachments })
+
+  return {
+    app: BACKUP_APP_ID,
+    version: BACKUP_ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    weeks: weeksData.weeks,
+    monthlyPlanning: await readMonthlyPlans(bucket, userId, dek),
+    ...sections,
+    ...(withAttachments ? { attachments } : {}),
+  }
+}
+
+function toCsv(rows) {
+  return rows.map((row) => row.map((value) => {
+    if (value === null || value === undefined) return ''
+    if (typeof value === 'number') return String(value)
+
+    // Keep spreadsheets from evaluating imported descriptions as formulas
+    let text = String(value)
+    if (/^[=+\-@]/.test(text)) text = `'${text}`
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }).join(',')).join('\r\n')
+}
+
+function buildTransactionsCsv(weeks) {
+  const rows = weeks.flatMap((week) => week.expenses.map((expense) => [
+    week.id,
+    expense.date || '',
+    expense.name || '',
+    expense.type || 'expense',
+    expense.category || 'Uncategorized',
+    Number(expense.amount) || 0,
+    expense.refundTargetCategory || '',
+    expense.originalCurrency || '',
+    expense.originalCurrency ? Number(expense.originalAmount) || 0 : '',
+    Array.isArray(expense.tags) ? expense.tags.map((tag) => `#${tag}`).join(' ') : '',
+    expense.notes || '',
+  ]))
+
+  rows.sort((a, b) => a[1].localeCompare(b[1]))
+  return toCsv([['Week', 'Date', 'Description', 'Type', 'Category', 'Amount', 'Refund Target', 'Original Currency', 'Original Amount', 'Tags', 'Notes'], ...rows])
+}
+
+// One row per category budget, then one per income source. Salary repeats
+// the month's expected income on every row; plans saved before incomes
+// existed have no income rows.
+function buildPlanningCsv(monthlyPlanning) {
+  const rows = monthlyPlanning.flatMap(({ year, month, data }) => {
+    const salary = Number(data.salary) || 0
+    const incomes = Array.isArray(data.incomes) ? data.incomes : []
+    const categoryRows = data.categories.map((category) => (typeof category === 'string'
+      ? [year, month, salary, category, '', '', '', '', '', '', '', '']
+      : [year, month, salary, category?.name || '', category?.parent || '', category?.type || '', category?.frequency || '', Number(category?.budget) || 0, '', '', '', '']))
+    const incomeRows = incomes.map((income) => [
+      year, month, salary, '', '', '', '', '',
+      income.source || '',
+      Number(income.amount) || 0,
+      income.date || '',
+      income.received ? 'yes' : 'no',
+    ])
+
+    if (categoryRows.length + incomeRows.length === 0) return [[year, month, salary, '', '', '', '', '', '', '', '', '']]
+    return [...categoryRows, ...incomeRows]
+  })
+
+  return toCsv([['Year', 'Month', 'Salary', 'Category', 'Parent', 'Type', 'Frequency', 'Budget', 'Income Source', 'Income Amount', 'Income Date', 'Income Received'], ...rows])
+}
+
+// ──────────────────────────────────────────────
+// GET /api/export?format=json|transactions-csv|planning-csv[&attachments=1]
+// Downloads decrypted user data as an attachment. The JSON backup carries
+// the receipts only with attachments=1.
+// ──────────────────────────────────────────────
+app.get('/api/export', async (c) => {
+  const userId = c.get('userId')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const format = c.req.query('format') || 'json'
+
+  if (!['json', 'transactions-csv', 'planning-csv'].includes(format)) {
+    return c.json({ error: 'Unknown export format' }, 400)
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    const stamp = new Date().toISOString().slice(0, 10)
+
+    if (format === 'json') {
+      const archive = await buildExportArchive(bucket, userId, dek, { withAttachments: c.req.query('attachments') === '1' })
+      c.header('Content-Disposition', `attachment; filename="weekly-wallet-backup-${stamp}.json"`)
+      return c.json(archive)
+    }
+
+    const csv = format === 'transactions-csv'
+      ? buildTransactionsCsv((await readWeeksData(bucket, userId, dek)).weeks)
+      : buildPlanningCsv(await readMonthlyPlans(bucket, userId, dek))
+
+    c.header('Content-Type', 'text/csv; charset=utf-8')
+    c.header('Content-Disposition', `attachment; filename="weekly-wallet-${format.replace('-csv', '')}-${stamp}.csv"`)
+    // BOM so spreadsheet apps read accented names as UTF-8
+    return c.body(`\uFEFF${csv}`)
+  } catch (err) {
+    console.error('Error exporting data:', err)
+    return c.json({ error: 'Failed to export data' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// Helper: backup restore
+//
+// A restore is planned as a list of writes { part, key, data } (data null
+// deletes the object), each checked against the etag the document had when
+// the restore was computed. A document changed in the meantime stops the
+// restore there instead of being overwritten, and the response says which
+// parts were already applied.
+// ──────────────────────────────────────────────
+function changedContent(left, right) {
+  return JSON.stringify(left) !== JSON.stringify(right)
+}
+
+function getPlanWrites(userId, currentPlans, nextPlans) {
+  const currentPlanByKey = new Map(currentPlans.map((plan) => [`${plan.year}-${plan.month}`, plan]))
+  const writes = []
+
+  nextPlans.forEach((plan) => {
+    const current = currentPlanByKey.get(`${plan.year}-${plan.month}`)
+    currentPlanByKey.delete(`${plan.year}-${plan.month}`)
+    if (!current || changedContent(current.data, plan.data)) {
+      writes.push({ part: 'monthlyPlanning', key: monthlyPlanningKey(userId, plan.year, plan.month), data: plan.data })
+    }
+  })
+
+  // Only 'replace' drops months that are missing from the archive
+  currentPlanByKey.forEach((plan) => {
+    writes.push({ part: 'monthlyPlanning', key: monthlyPlanningKey(userId, plan.year, plan.month), data: null })
+  })
+
+  return writes
+}
+
+function getSectionWrites(userId, current, next) {
+  const changed = (...names) => names.some((name) => changedContent(current[name], next[name]))
+  const writes = []
+
+  if (changed('recurringRules')) {
+    writes.push({ part: 'recurringRules', key: recurringRulesKey(userId), data: { rules: next.recurringRules } })
+  }
+  if (changed('categoryRules')) {
+    writes.push({ part: 'categoryRules', key: categoryRulesKey(userId), data: { rules: next.categoryRules } })
+  }
+  if (changed('goals')) writes.push({ part: 'goals', key: goalsKey(userId), data: { goals: next.goals } })
+  if (changed('accounts', 'transfers')) {
+    writes.push({ part: 'accounts', key: accountsKey(userId), data: { accounts: next.accounts, transfers: next.transfers } })
+  }
+  if (changed('exchangeRates')) {
+    writes.push({ part: 'exchangeRates', key: exchangeRatesKey(userId), data: { rates: next.exchangeRates } })
+  }
+
+  // Stored receipts are listed by id only; a receipt never changes once
+  // uploaded, so only the ones missing from storage are written
+  const currentAttachments = new Map(current.attachments.map((attachment) => [attachment.id, attachment]))
+  next.attachments.forEach((attachment) => {
+    const stored = currentAttachments.get(attachment.id)
+    currentAttachments.delete(attachment.id)
+    if (!stored) {
+      writes.push({ part: 'attachments', key: attachmentKey(userId, attachment.id), data: attachment })
+    }
+  })
+  // Only 'replace' leaves receipts that are missing from the archive
+  currentAttachments.forEach((attachment) => {
+    writes.push({ part: 'attachments', key: attachmentKey(userId, attachment.id), data: null })
+  })
+
+  return writes
+}
+
+/**
+ * Perform `writes` in order with their etag preconditions. R2 deletes take
+ * no precondition, so the etag is checked right before deleting. Returns the
+ * parts whose writes all went through, and the part that hit a changed
+ * document (null when everything was applied).
+ */
+async function applyRestoreWrites(bucket, dek, writes, etags) {
+  for (let index = 0; index < writes.length; index += 1) {
+    const { key, data } = writes[index]
+    const etag = etags.get(key) ?? null
+
+    let done
+    if (data === null) {
+      const stored = await bucket.head(key)
+      done = !stored || stored.etag === etag
+      if (done) await bucket.delete(key)
+    } else {
+      done = Boolean(await encryptedPut(bucket, key, data, dek, { etag }))
+    }
+
+    if (!done) {
+      const remaining = new Set(writes.slice(index).map((write) => write.part))
+      const applied = [...new Set(writes.slice(0, index).map((write) => write.part))].filter((part) => !remaining.has(part))
+      return { applied, failed: writes[index].part }
+    }
+  }
+
+  return { applied: [...new Set(writes.map((write) => write.part))], failed: null }
+}
+
+// ──────────────────────────────────────────────
+// POST /api/import
+// Body: { archive, mode: 'merge' | 'replace', dryRun?: boolean }
+// Restores a backup archive. With dryRun only the diff summary is returned.
+// Responds with the parts written (applied); when a document changed
+// during the restore it stops with 409 and the parts applied so far.
+// ──────────────────────────────────────────────
+app.post('/api/import', async (c) => {
+  const userId = c.get('userId')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const body = await readJsonBody(c)
+  if (!isPlainObject(body)) return validationError(c, { body: 'must be an object' })
+  const mode = body.mode || 'merge'
+
+  if (!['merge', 'replace'].includes(mode)) {
+    return c.json({ error: 'Invalid restore mode', fields: { mode: 'must be "merge" or "replace"' } }, 400)
+  }
+
+  const fields = validateBackupArchive(body.archive)
+  if (hasErrors(fields)) {
+    return c.json({ error: 'Invalid backup archive', fields }, 400)
+  }
+
+  try {
+    const dek = await getUserDEK(c)
+    const etags = new Map()
+    const { data: storedWeeks, etag: weeksEtag } = await encryptedGetWithEtag(bucket, weeksDataKey(userId), dek)
+    etags.set(weeksDataKey(userId), weeksEtag)
+    const currentWeeks = normalizeWeeksData(storedWeeks || { weeks: [] }).weeks
+    const currentPlans = await readMonthlyPlans(bucket, userId, dek, etags)
+    const currentSections = await readBackupSections(bucket, userId, dek, etags)
+
+    const nextWeeks = normalizeWeeksData({ weeks: restoreWeeks(currentWeeks, body.archive.weeks, mode) }).weeks
+    const nextPlans = restoreMonthlyPlanning(currentPlans, body.archive.monthlyPlanning, mode).map((plan) => ({
+      year: plan.year,
+      month: plan.month,
+      data: normalizeMonthlyPlanningData(plan.data),
+    }))
+    const nextSections = Object.fromEntries(Object.entries(currentSections).map(([name, items]) => [
+      name,
+      restoreSection(name, items, body.archive[name], mode),
+    ]))
+    const summary = summarizeRestore({ currentWeeks, nextWeeks, currentPlans, nextPlans, currentSections, nextSections })
+
+    if (body.dryRun) {
+      return c.json({ dryRun: true, mode, summary })
+    }
+
+    const writes = [
+      ...(changedContent(currentWeeks, nextWeeks)
+        ? [{ part: 'weeks', key: weeksDataKey(userId), data: { ...storedWeeks, weeks: nextWeeks } }]
+        : []),
+      ...getPlanWrites(userId, currentPlans, nextPlans),
+      ...getSectionWrites(userId, currentSections, nextSections),
+    ]
+    // Deletions go last, so a restore that stops early has not removed
+    // anything before writing what replaces it
+    writes.sort((left, right) => (left.data === null) - (right.data === null))
+
+    const { applied, failed } = await applyRestoreWrites(bucket, dek, writes, etags)
+    if (failed) {
+      return c.json({ error: 'Data changed while restoring. Please try again.', applied, failed, summary }, 409)
+    }
+
+    return c.json({ success: true, mode, summary, applied })
+  } catch (err) {
+    console.error('Error restoring backup:', err)
+    return c.json({ error: 'Failed to restore backup' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// GET /api/user/profile
+// ──────────────────────────────────────────────
+app.get('/api/user/profile', async (c) => {
+  const email = c.get('email')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+
+  try {
+    const key = `users/${email.toLowerCase()}.json`
+    const obj = await bucket.get(key)
+    if (!obj) {
+      return c.json({ error: 'User not found' }, 404)
+    }
+
+    const user = await obj.json()
+    return c.json({ id: user.id, email: user.email, avatar: user.avatar || '/no-avatar.jpg', customTabs: user.customTabs, projectionMonths: user.projectionMonths, payday: user.payday, weekStrategy: user.weekStrategy, baseCurrency: user.baseCurrency })
+  } catch (err) {
+    console.error('Error reading profile:', err)
+    return c.json({ error: 'Failed to read profile' }, 500)
+  }
+})
+
+// ──────────────────────────────────────────────
+// POST /api/user/profile
+// ──────────────────────────────────────────────
+app.post('/api/user/profile', async (c) => {
+  const email = c.get('email')
+  const bucket = c.env.WEEKLY_WALLET_BUCKET
+  const body = await readJsonBody(c)
+  if (!isPlainObject(body)) return validationError(c, { body: 'must be an object' })
+
+  if (body.payday !== undefined) {
+    const fields = validatePayday(body.payday)
+    if (hasErrors(fields)) return validationError(c, fields)
+  }
+  if (body.weekStrategy !== undefined) {
+    const fields = validateWeekStrategy(body.weekStrategy)
+    if (hasErrors(fields)) return validationError(c, fields)
+  }
+  if (body.baseCurrency !== undefined) {
+    const fields = validateBaseCurrency(body.baseCurrency)
+    if (hasErrors(fields)) return validationError(c, fields)
+  }
+
+  try {
+    const key = `users/${email.toLowerCase()}.json`
+    const obj = await bucket.get(key)
+    if (!obj) {
+      return c.json({ error: 'User not found' }, 404)
+    }
+
+    const user = await obj.json()
+
+    // Only update supported profile fields
+    if (body.avatar !== undefined) {
+      user.avatar = body.avatar
+    }
+    if (body.customTabs !== undefined) {
+      user.customTabs = body.customTabs
     }
     if (body.projectionMonths !== undefined) {
       user.projectionMonths = body.projectionMonths
     }
+    if (body.payday !== undefined) {
+      user.payday = body.payday.type === 'day-of-month'
+        ? { type: 'day-of-month', day: body.payday.day }
+        : { type: body.payday.type }
+    }
+    if (body.weekStrategy !== undefined) {
+      user.weekStrategy = body.weekStrategy
+    }
+    if (body.baseCurrency !== undefined) {
+      user.baseCurrency = body.baseCurrency
+    }
 
     user.updatedAt = new Date().toISOString()
     await bucket.put(key, JSON.stringify(user))
 
-    return c.json({ success: true, user: { id: user.id, email: user.email, avatar: user.avatar, customTabs: user.customTabs, projectionMonths: user.projectionMonths } })
+    return c.json({ success: true, user: { id: user.id, email: user.email, avatar: user.avatar, customTabs: user.customTabs, projectionMonths: user.projectionMonths, payday: user.payday, weekStrategy: user.weekStrategy, baseCurrency: user.baseCurrency } })
   } catch (err) {
     console.error('Error updating profile:', err)
     return c.json({ error: 'Failed to update profile' }, 500)
@@ -0,0 +1,213 @@
+import { sign } from 'hono/jwt'
+import { beforeEach, describe, expect, it } from 'vitest'
+import { deriveKey, generateDEK, wrapKey } from './crypto.js'
+import app from './index.js'
+
+const JWT_SECRET = 'test-secret'
+
+// In-memory R2 bucket: the calls the routes make, with etag preconditions
+function createBucket() {
+  const objects = new Map()
+  let version = 0
+
+  return {
+    objects,
+    async get(key) {
+      const object = objects.get(key)
+      return object ? { etag: object.etag, text: async () => object.body } : null
+    },
+    async head(key) {
+      const object = objects.get(key)
+      return object ? { etag: object.etag } : null
+    },
+    async put(key, body, options) {
+      const current = objects.get(key)
+      const onlyIf = options?.onlyIf
+      if (onlyIf?.etagMatches && current?.etag !== onlyIf.etagMatches) return null
+      if (onlyIf?.etagDoesNotMatch === '*' && current) return null
+
+      version += 1
+      objects.set(key, { body, etag: `etag-${version}` })
+      return { etag: `etag-${version}` }
+    },
+    async delete(key) {
+      objects.delete(key)
+    },
+    async list({ prefix }) {
+      const keys = [...objects.keys()].filter((key) => key.startsWith(prefix)).sort()
+      return { objects: keys.map((key) => ({ key, etag: objects.get(key).etag })), truncated: false }
+    },
+  }
+}
+
+let bucket
+let token
+
+beforeEach(async () => {
+  bucket = createBucket()
+  const wrappingKey = await deriveKey(JWT_SECRET, 'server-internal-salt', 'pusheen-wallet-token-wrap')
+  const dek = await wrapKey(generateDEK(), wrappingKey)
+  token = await sign({ sub: 'u1', email: 'user@example.com', dek, exp: Math.floor(Date.now() / 1000) + 3600 }, JWT_SECRET)
+})
+
+async function request(method, path, { body, headers = {} } = {}) {
+  const res = await app.request(path, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+  }, { WEEKLY_WALLET_BUCKET: bucket, JWT_SECRET })
+
+  return { status: res.status, etag: res.headers.get('ETag'), body: await res.json() }
+}
+
+const expense = (id, overrides = {}) => ({ id, name: `Expense ${id}`, amount: 10, date: '2026-03-05', type: 'expense', category: 'Food', ...overrides })
+const weekMeta = { startDate: '2026-03-01', endDate: '2026-03-07' }
+
+describe('week and expense routes', () => {
+  it('creates the week with the first expense and reports its revision', async () => {
+    const added = await request('POST', '/api/weeks/w1/expenses/e1', { body: { expense: expense('e1'), week: weekMeta }, headers: { 'If-Match': '"0"' } })
+
+    expect(added.status).toBe(200)
+    expect(added.etag).toBe('"1"')
+    expect(added.body.week).toMatchObject({ id: 'w1', ...weekMeta, revision: 1, expenses: [expense('e1')] })
+
+    const read = await request('GET', '/api/weeks/w1')
+    expect(read.etag).toBe('"1"')
+    expect(read.body.week.expenses.map((item) => item.id)).toEqual(['e1'])
+  })
+
+  it('updates and deletes one expense without touching the others', async () => {
+    await request('POST', '/api/weeks/w1/expenses/e1', { body: { expense: expense('e1'), week: weekMeta }, headers: { 'If-Match': '"0"' } })
+    await request('POST', '/api/weeks/w1/expenses/e2', { body: { expense: expense('e2') }, headers: { 'If-Match': '"1"' } })
+
+    const patched = await request('PATCH', '/api/weeks/w1/expenses/e1', { body: { amount: 25 }, headers: { 'If-Match': '"2"' } })
+    expect(patched.body.week.expenses.map((item) => [item.id, item.amount])).toEqual([['e2', 10], ['e1', 25]])
+
+    const deleted = await request('DELETE', '/api/weeks/w1/expenses/e2', { headers: { 'If-Match': '"3"' } })
+    expect(deleted.body.week).toMatchObject({ revision: 4, expenses: [expense('e1', { amount: 25 })] })
+  })
+
+  it('answers 404 for an unknown week or expense', async () => {
+    const week = await request('GET', '/api/weeks/missing')
+    expect(week.status).toBe(404)
+    expect(week.etag).toBe('"0"')
+
+    await request('POST', '/api/weeks/w1/expenses/e1', { body: { expense: expense('e1'), week: weekMeta }, headers: { 'If-Match': '"0"' } })
+    const patched = await request('PATCH', '/api/weeks/w1/expenses/gone', { body: { amount: 1 }, headers: { 'If-Match': '"1"' } })
+    expect(patched.status).toBe(404)
+  })
+
+  it('files a bulk import into several weeks, replacing expenses by id', async () => {
+    const groups = [
+      { weekId: 'w1', week: weekMeta, expenses: [expense('e1'), expense('e2')] },
+      { weekId: 'w2', week: { startDate: '2026-03-08', endDate: '2026-03-14' }, expenses: [expense('e3', { date: '2026-03-09' })] },
+    ]
+    await request('POST', '/api/expenses/bulk', { body: { weeks: groups } })
+    const replayed = await request('POST', '/api/expenses/bulk', { body: { weeks: groups } })
+
+    expect(replayed.status).toBe(200)
+    expect(replayed.body.weeks.map((week) => [week.id, week.revision, week.expenses.map((item) => item.id)])).toEqual([
+      ['w1', 2, ['e1', 'e2']],
+      ['w2', 2, ['e3']],
+    ])
+  })
+})
+
+describe('optimistic concurrency', () => {
+  const week = { id: 'w1', ...weekMeta, initialBalance: 0, expenses: [expense('e1')] }
+  const plan = { salary: 3000, categories: [{ name: 'Food', type: 'spend', frequency: 'monthly', budget: 400 }], expenses: [] }
+
+  it('requires If-Match on week and monthly planning writes', async () => {
+    expect((await request('PUT', '/api/weeks/w1', { body: week })).status).toBe(428)
+    expect((await request('POST', '/api/weeks/w1/expenses/e1', { body: { expense: expense('e1') } })).status).toBe(428)
+    expect((await request('POST', '/api/monthly-planning/2026/3', { body: plan })).status).toBe(428)
+    expect(bucket.objects.size).toBe(0)
+  })
+
+  it('rejects a stale week revision with the server copy', async () => {
+    await request('PUT', '/api/weeks/w1', { body: week, headers: { 'If-Match': '"0"' } })
+    await request('PATCH', '/api/weeks/w1/expenses/e1', { body: { amount: 99 }, headers: { 'If-Match': '"1"' } })
+
+    const stale = await request('PUT', '/api/weeks/w1', { body: { ...week, initialBalance: 5 }, headers: { 'If-Match': '"1"' } })
+
+    expect(stale.status).toBe(409)
+    expect(stale.etag).toBe('"2"')
+    expect(stale.body.week).toMatchObject({ revision: 2, initialBalance: 0, expenses: [{ id: 'e1', amount: 99 }] })
+  })
+
+  it('rejects a stale monthly planning etag with the server copy', async () => {
+    const created = await request('POST', '/api/monthly-planning/2026/3', { body: plan, headers: { 'If-Match': '"0"' } })
+    const stale = await request('POST', '/api/monthly-planning/2026/3', { body: { ...plan, salary: 1 }, headers: { 'If-Match': '"0"' } })
+
+    expect(stale.status).toBe(409)
+    expect(stale.etag).toBe(created.etag)
+    expect(stale.body.data.salary).toBe(3000)
+  })
+
+  describe('documents of independent edits', () => {
+    // Another writer changes the document right before each of the next
+    // `times` conditional writes to it
+    function interfere(key, times) {
+      const put = bucket.put
+      const attempts = { count: 0 }
+      bucket.put = async (target, body, options) => {
+        if (target === key && options?.onlyIf) {
+          attempts.count += 1
+          if (attempts.count <= times) await put(target, body)
+        }
+        return put(target, body, options)
+      }
+      return attempts
+    }
+
+    it('retries a lost race instead of reporting a conflict', async () => {
+      const attempts = interfere('u1/goals.json', 2)
+      const saved = await request('PUT', '/api/goals/g1', { body: { name: 'Car', targetAmount: 1000 } })
+
+      expect(saved.status).toBe(200)
+      expect(attempts.count).toBe(3)
+    })
+
+    it('gives up after MAX_WRITE_ATTEMPTS lost races', async () => {
+      const attempts = interfere('u1/goals.json', 3)
+      const saved = await request('PUT', '/api/goals/g1', { body: { name: 'Car', targetAmount: 1000 } })
+
+      expect(saved.status).toBe(500)
+      expect(attempts.count).toBe(3)
+    })
+  })
+})
+
+describe('request validation', () => {
+  it('rejects a whole bulk import for one invalid expense and writes nothing', async () => {
+    const rejected = await request('POST', '/api/expenses/bulk', {
+      body: { weeks: [{ weekId: 'w1', week: weekMeta, expenses: [expense('e1'), expense('e2', { amount: 'abc' })] }] },
+    })
+
+    expect(rejected.status).toBe(400)
+    expect(rejected.body).toEqual({ error: 'Validation failed', fields: { 'weeks[0].expenses[1].amount': 'must be a number' } })
+    expect(bucket.objects.size).toBe(0)
+  })
+
+  it('reads malformed JSON and non-object bodies as a 400', async () => {
+    const malformed = await request('POST', '/api/expenses/bulk', { body: '{"weeks": [' })
+    const list = await request('POST', '/api/expenses/bulk', { body: [] })
+    const text = await request('POST', '/api/import', { body: '"archive"' })
+    const expenseText = await request('POST', '/api/weeks/w1/expenses/e1', { body: 'null', headers: { 'If-Match': '"0"' } })
+
+    expect([malformed, list, text].map((res) => [res.status, res.body.fields])).toEqual([
+      [400, { body: 'must be an object' }],
+      [400, { body: 'must be an object' }],
+      [400, { body: 'must be an object' }],
+    ])
+    expect(expenseText.body.fields).toEqual({ expense: 'must be an object' })
+  })
+
+  it('rejects a month outside 1-12 before touching storage', async () => {
+    const saved = await request('POST', '/api/monthly-planning/2026/13', { body: { salary: 1 }, headers: { 'If-Match': '"0"' } })
+
+    expect(saved.status).toBe(400)
+    expect(saved.body.fields).toEqual({ month: 'must be between 1 and 12' })
+    expect(bucket.objects.size).toBe(0)
+  })
+})
@@ -0,0 +1,758 @@
+/**
+ * Weekly Wallet — Payload validation
+ *
+ * Every validator returns field-level errors keyed by path, e.g.
+ * { "expenses[2].amount": "must be a number" }. An empty object means the
+ * payload is valid. Routes answer 400 { error, fields } via validationError.
+ */
+
+export const EXPENSE_TYPES = ['expense', 'credit']
+export const CATEGORY_TYPES = ['credit', 'spend']
+export const CATEGORY_FREQUENCIES = ['weekly', 'monthly']
+// What a category carries into the next financial month
+export const ROLLOVER_POLICIES = ['none', 'surplus', 'deficit', 'both', 'capped']
+// Built-in categories keep a stable key because their names are translated
+export const CATEGORY_KEYS = ['market', 'coffee', 'savings', 'refunds']
+export const RECURRING_CADENCES = ['weekly', 'monthly', 'day-of-month']
+export const PAYDAY_TYPES = ['day-of-month', 'last-business-day']
+export const WEEK_STRATEGIES = ['quarters', 'calendar', 'iso', 'equal', 'five-weeks']
+export const ACCOUNT_TYPES = ['checking', 'credit-card', 'cash', 'savings']
+export const CATEGORY_RULE_MATCHES = ['contains', 'regex']
+export const MAX_EXCHANGE_RATES = 1000
+export const MAX_TAGS = 20
+export const MAX_INCOMES = 50
+export const MAX_BATCH_EXPENSES = 2000
+// Zero-based plans log every move between envelopes
+export const MAX_ENVELOPE_MOVES = 500
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf']
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024
+export const MIN_YEAR = 2000
+export const MAX_YEAR = 2100
+
+const MAX_REPORTED_ERRORS = 20
+const MAX_TEXT_LENGTH = 200
+const MAX_TAG_LENGTH = 40
+const MAX_NOTES_LENGTH = 2000
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function joinPath(prefix, key) {
+  if (!prefix || !key) return prefix || key
+  return key.startsWith('[') ? `${prefix}${key}` : `${prefix}.${key}`
+}
+
+function createCollector(prefix = '') {
+  const fields = {}
+  const add = (path, message) => {
+    if (Object.keys(fields).length < MAX_REPORTED_ERRORS) fields[path] = message
+  }
+  const report = (key, message) => add(joinPath(prefix, key) || 'body', message)
+  // Errors from a nested validator, already keyed by their full path
+  const merge = (nested) => Object.entries(nested).forEach(([path, message]) => add(path, message))
+  return { fields, report, merge }
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+// 'YYYY-MM-DD', optionally followed by an ISO time
+function isDateString(value) {
+  if (typeof value !== 'string') return false
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/)
+  if (!match) return false
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3])
+}
+
+function checkText(value, key, report, { required = false, maxLength = MAX_TEXT_LENGTH } = {}) {
+  if (value === undefined || value === null) {
+    if (required) report(key, 'is required')
+    return
+  }
+  if (typeof value !== 'string') return report(key, 'must be text')
+  if (required && !value.trim()) return report(key, 'is required')
+  if (value.length > maxLength) report(key, `must be at most ${maxLength} characters`)
+}
+
+// Tags are stored lowercase without the '#', e.g. 'trip-rio'
+function isTag(value) {
+  return typeof value === 'string' && value.length <= MAX_TAG_LENGTH
+    && value === value.toLowerCase() && /^[\p{L}\p{N}_-]+$/u.test(value)
+}
+
+// Attachment ids double as R2 key segments, so keep them to a safe alphabet
+export function isAttachmentId(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9-]{1,64}$/.test(value)
+}
+
+function checkAttachmentSize(value, key, report) {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_ATTACHMENT_SIZE) {
+    report(key, `must be at most ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`)
+  }
+}
+
+function checkTags(value, key, report) {
+  if (value === undefined) return
+  if (!Array.isArray(value) || value.length > MAX_TAGS) {
+    report(key, `must be a list of at most ${MAX_TAGS} tags`)
+    return
+  }
+  value.forEach((tag, index) => {
+    if (!isTag(tag)) report(`${key}[${index}]`, `must be lowercase letters, digits, - or _ (at most ${MAX_TAG_LENGTH})`)
+  })
+}
+
+function checkDate(value, key, report) {
+  if (value !== undefined && !isDateString(value)) report(key, 'must be a date (YYYY-MM-DD)')
+}
+
+// ISO 4217 code, e.g. 'USD'
+export function isCurrencyCode(value) {
+  return typeof value === 'string' && /^[A-Z]{3}$/.test(value)
+}
+
+function checkCurrency(value, key, report) {
+  if (value !== undefined && !isCurrencyCode(value)) report(key, 'must be a 3-letter currency code')
+}
+
+function checkPositiveNumber(value, key, report) {
+  if (value !== undefined && !(isFiniteNumber(value) && value > 0)) report(key, 'must be a positive number')
+}
+
+function isDayOfMonth(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 31
+}
+
+function checkEnum(value, key, report, allowed) {
+  if (value !== undefined && !allowed.includes(value)) {
+    report(key, `must be one of: ${allowed.join(', ')}`)
+  }
+}
+
+// ──────────────────────────────────────────────
+// Validators
+// ──────────────────────────────────────────────
+
+/**
+ * A transaction. With `partial` (PATCH) only the fields present are checked.
+ */
+export function validateExpense(expense, { partial = false, path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(expense)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  if (!partial || expense.id !== undefined) checkText(expense.id, 'id', report, { required: true })
+  if (!partial || expense.name !== undefined) checkText(expense.name, 'name', report, { required: true })
+  if ((!partial || expense.amount !== undefined) && !isFiniteNumber(expense.amount)) {
+    report('amount', 'must be a number')
+  }
+  checkDate(expense.date, 'date', report)
+  checkEnum(expense.type, 'type', report, EXPENSE_TYPES)
+  checkText(expense.category, 'category', report)
+  checkText(expense.refundTargetCategory, 'refundTargetCategory', report)
+  // null clears the account when an edit unassigns it
+  if (expense.accountId !== null) checkText(expense.accountId, 'accountId', report)
+
+  checkTags(expense.tags, 'tags', report)
+  // null clears the notes
+  if (expense.notes !== null) checkText(expense.notes, 'notes', report, { maxLength: MAX_NOTES_LENGTH })
+
+  // Receipt metadata; the file itself lives under {userId}/attachments/. null removes it.
+  if (expense.attachment != null) {
+    if (!isPlainObject(expense.attachment)) {
+      report('attachment', 'must be an object')
+    } else {
+      if (!isAttachmentId(expense.attachment.id)) report('attachment.id', 'must be an attachment id')
+      checkText(expense.attachment.name, 'attachment.name', report, { required: true })
+      if (expense.attachment.type === undefined) report('attachment.type', 'is required')
+      checkEnum(expense.attachment.type, 'attachment.type', report, ATTACHMENT_TYPES)
+      checkAttachmentSize(expense.attachment.size, 'attachment.size', report)
+    }
+  }
+
+  // Installments of one purchase share a group id and are numbered 1..count
+  checkText(expense.installmentGroupId, 'installmentGroupId', report)
+  if (expense.installmentGroupId !== undefined) {
+    if (!Number.isInteger(expense.installmentCount) || expense.installmentCount < 1) {
+      report('installmentCount', 'must be a positive whole number')
+    } else if (!Number.isInteger(expense.installmentNumber) || expense.installmentNumber < 1
+      || expense.installmentNumber > expense.installmentCount) {
+      report('installmentNumber', `must be between 1 and ${expense.installmentCount}`)
+    }
+  }
+
+  // Foreign-currency transactions keep what was paid; amount is in the base
+  // currency. null clears the fields when an edit switches back.
+  if (expense.originalCurrency !== null) checkCurrency(expense.originalCurrency, 'originalCurrency', report)
+  if (expense.originalAmount != null && !isFiniteNumber(expense.originalAmount)) {
+    report('originalAmount', 'must be a number')
+  }
+  if (expense.exchangeRate !== null) checkPositiveNumber(expense.exchangeRate, 'exchangeRate', report)
+  if (expense.originalCurrency != null && expense.originalAmount == null) {
+    report('originalAmount', 'is required with originalCurrency')
+  }
+
+  return fields
+}
+
+// Optional { startDate, endDate } sent when a week is created implicitly
+export function validateWeekMeta(meta, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (meta === undefined || meta === null) return fields
+  if (!isPlainObject(meta)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkDate(meta.startDate, 'startDate', report)
+  checkDate(meta.endDate, 'endDate', report)
+  return fields
+}
+
+export function validateWeek(week, { path = '' } = {}) {
+  const { fields, report, merge } = createCollector(path)
+  if (!isPlainObject(week)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkText(week.id, 'id', report, { required: true })
+  merge(validateWeekMeta({ startDate: week.startDate, endDate: week.endDate }, { path }))
+  if (week.initialBalance !== undefined && !isFiniteNumber(week.initialBalance)) {
+    report('initialBalance', 'must be a number')
+  }
+
+  if (!Array.isArray(week.expenses)) {
+    report('expenses', 'must be an array')
+  } else {
+    week.expenses.forEach((expense, index) => {
+      merge(validateExpense(expense, { path: joinPath(path, `expenses[${index}]`) }))
+    })
+  }
+
+  return fields
+}
+
+/**
+ * A batch of new transactions grouped by week:
+ * { weeks: [{ weekId, week?: { startDate, endDate }, expenses: [...] }] }
+ */
+export function validateExpenseBatch(batch, { path = '' } = {}) {
+  const { fields, report, merge } = createCollector(path)
+  if (!isPlainObject(batch)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  if (!Array.isArray(batch.weeks) || batch.weeks.length === 0) {
+    report('weeks', 'must be a non-empty list')
+    return fields
+  }
+
+  const total = batch.weeks.reduce((sum, group) => sum + (Array.isArray(group?.expenses) ? group.expenses.length : 0), 0)
+  if (total > MAX_BATCH_EXPENSES) {
+    report('weeks', `must hold at most ${MAX_BATCH_EXPENSES} expenses`)
+    return fields
+  }
+
+  batch.weeks.forEach((group, index) => {
+    const key = `weeks[${index}]`
+    if (!isPlainObject(group)) return report(key, 'must be an object')
+
+    checkText(group.weekId, `${key}.weekId`, report, { required: true })
+    merge(validateWeekMeta(group.week, { path: joinPath(path, `${key}.week`) }))
+    if (!Array.isArray(group.expenses) || group.expenses.length === 0) {
+      return report(`${key}.expenses`, 'must be a non-empty list')
+    }
+    group.expenses.forEach((expense, expenseIndex) => {
+      merge(validateExpense(expense, { path: joinPath(path, `${key}.expenses[${expenseIndex}]`) }))
+    })
+  })
+
+  return fields
+}
+
+/**
+ * Expenses moved between weeks by id (e.g. after the week layout changed):
+ * { moves: [{ expenseId, fromWeekId, toWeekId, week?: { startDate, endDate } }] }
+ */
+export function validateExpenseMoves(batch, { path = '' } = {}) {
+  const { fields, report, merge } = createCollector(path)
+  if (!isPlainObject(batch)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  if (!Array.isArray(batch.moves) || batch.moves.length === 0) {
+    report('moves', 'must be a non-empty list')
+    return fields
+  }
+  if (batch.moves.length > MAX_BATCH_EXPENSES) {
+    report('moves', `must hold at most ${MAX_BATCH_EXPENSES} moves`)
+    return fields
+  }
+
+  batch.moves.forEach((move, index) => {
+    const key = `moves[${index}]`
+    if (!isPlainObject(move)) return report(key, 'must be an object')
+
+    checkText(move.expenseId, `${key}.expenseId`, report, { required: true })
+    checkText(move.fromWeekId, `${key}.fromWeekId`, report, { required: true })
+    checkText(move.toWeekId, `${key}.toWeekId`, report, { required: true })
+    merge(validateWeekMeta(move.week, { path: joinPath(path, `${key}.week`) }))
+  })
+
+  return fields
+}
+
+export function validateCategory(category, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+
+  // Older plans stored categories as plain names
+  if (typeof category === 'string') {
+    checkText(category, '', report, { required: true })
+    return fields
+  }
+  if (!isPlainObject(category)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkText(category.name, 'name', report, { required: true })
+  if (category.budget !== undefined) {
+    if (!isFiniteNumber(category.budget)) report('budget', 'must be a number')
+    else if (category.budget < 0) report('budget', 'must not be negative')
+  }
+  checkEnum(category.type, 'type', report, CATEGORY_TYPES)
+  checkEnum(category.frequency, 'frequency', report, CATEGORY_FREQUENCIES)
+  checkEnum(category.key, 'key', report, CATEGORY_KEYS)
+  // Name of the parent category; must exist in the same plan (checked there)
+  checkText(category.parent, 'parent', report)
+  checkEnum(category.rollover, 'rollover', report, ROLLOVER_POLICIES)
+  if (category.rolloverCap !== undefined && category.rolloverCap !== null) {
+    if (!isFiniteNumber(category.rolloverCap)) report('rolloverCap', 'must be a number')
+    else if (category.rolloverCap < 0) report('rolloverCap', 'must not be negative')
+  } else if (category.rollover === 'capped') {
+    report('rolloverCap', 'is required for a capped rollover')
+  }
+
+  return fields
+}
+
+// Categories nest one level deep: a parent must be another category of the
+// plan that has no parent itself. Names compare case-insensitively.
+function checkCategoryParents(categories, report) {
+  const byName = new Map()
+  categories.forEach((category) => {
+    if (isPlainObject(category) && typeof category.name === 'string') byName.set(category.name.trim().toLowerCase(), category)
+  })
+
+  categories.forEach((category, index) => {
+    if (!isPlainObject(category) || typeof category.parent !== 'string') return
+
+    const parent = byName.get(category.parent.trim().toLowerCase())
+    if (!parent || parent === category) report(`categories[${index}].parent`, 'must be another category of this plan')
+    else if (parent.parent) report(`categories[${index}].parent`, 'must be a top-level category')
+  })
+}
+
+export function validateMonthlyPlanning(data, { path = '' } = {}) {
+  const { fields, report, merge } = createCollector(path)
+  if (!isPlainObject(data)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  if (data.salary !== undefined) {
+    if (!isFiniteNumber(data.salary)) report('salary', 'must be a number')
+    else if (data.salary < 0) report('salary', 'must not be negative')
+  }
+
+  // Expected pay per source; salary stays their total
+  if (data.incomes !== undefined) {
+    if (!Array.isArray(data.incomes) || data.incomes.length > MAX_INCOMES) {
+      report('incomes', `must be a list of at most ${MAX_INCOMES} incomes`)
+    } else {
+      data.incomes.forEach((income, index) => {
+        const key = `incomes[${index}]`
+        if (!isPlainObject(income)) return report(key, 'must be an object')
+        checkText(income.id, `${key}.id`, report, { required: true })
+        checkText(income.source, `${key}.source`, report, { required: true })
+        if (income.amount === undefined) report(`${key}.amount`, 'is required')
+        checkPositiveNumber(income.amount, `${key}.amount`, report)
+        if (income.date !== null) checkDate(income.date, `${key}.date`, report)
+        if (income.received !== undefined && typeof income.received !== 'boolean') {
+          report(`${key}.received`, 'must be true or false')
+        }
+      })
+    }
+  }
+
+  if (data.zeroBased !== undefined && typeof data.zeroBased !== 'boolean') {
+    report('zeroBased', 'must be true or false')
+  }
+
+  if (data.goalAllocations !== undefined) {
+    if (!Array.isArray(data.goalAllocations)) {
+      report('goalAllocations', 'must be an array')
+    } else {
+      data.goalAllocations.forEach((allocation, index) => {
+        const key = `goalAllocations[${index}]`
+        if (!isPlainObject(allocation)) return report(key, 'must be an object')
+        checkText(allocation.goalId, `${key}.goalId`, report, { required: true })
+        if (!(isFiniteNumber(allocation.amount) && allocation.amount >= 0)) report(`${key}.amount`, 'must not be negative')
+      })
+    }
+  }
+
+  // Envelopes are category names or 'goal:<goalId>'
+  if (data.envelopeMoves !== undefined) {
+    if (!Array.isArray(data.envelopeMoves) || data.envelopeMoves.length > MAX_ENVELOPE_MOVES) {
+      report('envelopeMoves', `must be a list of at most ${MAX_ENVELOPE_MOVES} moves`)
+    } else {
+      data.envelopeMoves.forEach((move, index) => {
+        const key = `envelopeMoves[${index}]`
+        if (!isPlainObject(move)) return report(key, 'must be an object')
+        checkText(move.id, `${key}.id`, report, { required: true })
+        if (move.date === undefined) report(`${key}.date`, 'is required')
+        checkDate(move.date, `${key}.date`, report)
+        checkText(move.from, `${key}.from`, report, { required: true })
+        checkText(move.to, `${key}.to`, report, { required: true })
+        if (typeof move.from === 'string' && move.from === move.to) report(`${key}.to`, 'must differ from the source envelope')
+        if (move.amount === undefined) report(`${key}.amount`, 'is required')
+        checkPositiveNumber(move.amount, `${key}.amount`, report)
+        checkText(move.note, `${key}.note`, report)
+      })
+    }
+  }
+
+  if (data.categories !== undefined) {
+    if (!Array.isArray(data.categories)) {
+      report('categories', 'must be an array')
+    } else {
+      data.categories.forEach((category, index) => {
+        merge(validateCategory(category, { path: joinPath(path, `categories[${index}]`) }))
+      })
+      checkCategoryParents(data.categories, report)
+    }
+  }
+
+  if (data.expenses !== undefined) {
+    if (!Array.isArray(data.expenses)) {
+      report('expenses', 'must be an array')
+    } else {
+      data.expenses.forEach((expense, index) => {
+        merge(validateExpense(expense, { partial: true, path: joinPath(path, `expenses[${index}]`) }))
+      })
+    }
+  }
+
+  return fields
+}
+
+/**
+ * A recurring transaction rule. Dates are optional unless noted; null
+ * clears endDate and generatedThrough.
+ */
+export function validateRecurringRule(rule, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(rule)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkText(rule.id, 'id', report, { required: true })
+  checkText(rule.name, 'name', report, { required: true })
+  if (!isFiniteNumber(rule.amount)) report('amount', 'must be a number')
+  else if (rule.amount <= 0) report('amount', 'must be greater than zero')
+  if (rule.type === undefined) report('type', 'is required')
+  checkEnum(rule.type, 'type', report, EXPENSE_TYPES)
+  checkText(rule.category, 'category', report)
+
+  if (rule.cadence === undefined) report('cadence', 'is required')
+  checkEnum(rule.cadence, 'cadence', report, RECURRING_CADENCES)
+  if (rule.cadence === 'day-of-month'
+    && (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31)) {
+    report('dayOfMonth', 'must be between 1 and 31')
+  }
+
+  if (rule.startDate === undefined) report('startDate', 'is required')
+  checkDate(rule.startDate, 'startDate', report)
+  if (rule.endDate !== null) checkDate(rule.endDate, 'endDate', report)
+  if (isDateString(rule.startDate) && isDateString(rule.endDate) && rule.endDate < rule.startDate) {
+    report('endDate', 'must not be before startDate')
+  }
+  if (rule.generatedThrough !== null) checkDate(rule.generatedThrough, 'generatedThrough', report)
+
+  if (rule.paused !== undefined && typeof rule.paused !== 'boolean') report('paused', 'must be true or false')
+  if (rule.skippedDates !== undefined) {
+    if (!Array.isArray(rule.skippedDates)) report('skippedDates', 'must be an array')
+    else rule.skippedDates.forEach((date, index) => checkDate(date, `skippedDates[${index}]`, report))
+  }
+
+  return fields
+}
+
+/**
+ * An auto-categorization rule. Conditions (all optional, at least one set):
+ * pattern matched against the description, an amount range and an account.
+ * Actions: a category and/or tags for matching new transactions. null
+ * clears an optional field.
+ */
+export function validateCategoryRule(rule, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(rule)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkText(rule.id, 'id', report, { required: true })
+  checkText(rule.pattern, 'pattern', report)
+  if (rule.matchType === undefined) report('matchType', 'is required')
+  checkEnum(rule.matchType, 'matchType', report, CATEGORY_RULE_MATCHES)
+  if (rule.matchType === 'regex' && typeof rule.pattern === 'string') {
+    try {
+      new RegExp(rule.pattern, 'iu')
+    } catch {
+      report('pattern', 'must be a valid regular expression')
+    }
+  }
+
+  if (rule.minAmount != null && !(isFiniteNumber(rule.minAmount) && rule.minAmount >= 0)) {
+    report('minAmount', 'must be zero or more')
+  }
+  if (rule.maxAmount != null && !(isFiniteNumber(rule.maxAmount) && rule.maxAmount >= 0)) {
+    report('maxAmount', 'must be zero or more')
+  }
+  if (isFiniteNumber(rule.minAmount) && isFiniteNumber(rule.maxAmount) && rule.maxAmount < rule.minAmount) {
+    report('maxAmount', 'must not be less than minAmount')
+  }
+  if (rule.accountId !== null) checkText(rule.accountId, 'accountId', report)
+
+  checkText(rule.category, 'category', report)
+  checkTags(rule.tags, 'tags', report)
+
+  const hasCondition = Boolean(rule.pattern) || rule.minAmount != null || rule.maxAmount != null || Boolean(rule.accountId)
+  if (!hasCondition) report('pattern', 'or an amount range or account is required')
+  if (!rule.category && !(Array.isArray(rule.tags) && rule.tags.length > 0)) {
+    report('category', 'or at least one tag is required')
+  }
+
+  return fields
+}
+
+/**
+ * A savings goal. Progress comes from the transactions of its linked
+ * category plus startingAmount (saved before tracking); null clears the
+ * deadline, category and startingAmount.
+ */
+export function validateGoal(goal, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(goal)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkText(goal.id, 'id', report, { required: true })
+  checkText(goal.name, 'name', report, { required: true })
+  if (goal.targetAmount === undefined) report('targetAmount', 'is required')
+  checkPositiveNumber(goal.targetAmount, 'targetAmount', report)
+  if (goal.startingAmount != null && !(isFiniteNumber(goal.startingAmount) && goal.startingAmount >= 0)) {
+    report('startingAmount', 'must not be negative')
+  }
+  if (goal.deadline !== null) checkDate(goal.deadline, 'deadline', report)
+  checkText(goal.category, 'category', report)
+
+  return fields
+}
+
+/**
+ * A wallet the user pays from. openingBalance is in the base currency and
+ * may be negative (e.g. a credit card that already carries a balance).
+ */
+export function validateAccount(account, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(account)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkText(account.id, 'id', report, { required: true })
+  checkText(account.name, 'name', report, { required: true })
+  if (account.type === undefined) report('type', 'is required')
+  checkEnum(account.type, 'type', report, ACCOUNT_TYPES)
+  if (!isFiniteNumber(account.openingBalance)) report('openingBalance', 'must be a number')
+  if (account.archived !== undefined && typeof account.archived !== 'boolean') report('archived', 'must be true or false')
+  // Credit-card statement cycle; null clears it
+  if (account.closingDay != null && !isDayOfMonth(account.closingDay)) report('closingDay', 'must be between 1 and 31')
+  if (account.dueDay != null && !isDayOfMonth(account.dueDay)) report('dueDay', 'must be between 1 and 31')
+
+  return fields
+}
+
+/**
+ * Money moved between two of the user's accounts. Transfers live next to
+ * the accounts, never in a week, so they are not spending.
+ */
+export function validateTransfer(transfer, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(transfer)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkText(transfer.id, 'id', report, { required: true })
+  checkText(transfer.fromAccountId, 'fromAccountId', report, { required: true })
+  checkText(transfer.toAccountId, 'toAccountId', report, { required: true })
+  if (typeof transfer.fromAccountId === 'string' && transfer.fromAccountId === transfer.toAccountId) {
+    report('toAccountId', 'must differ from fromAccountId')
+  }
+  if (!isFiniteNumber(transfer.amount)) report('amount', 'must be a number')
+  else if (transfer.amount <= 0) report('amount', 'must be greater than zero')
+  if (transfer.date === undefined) report('date', 'is required')
+  checkDate(transfer.date, 'date', report)
+  checkText(transfer.note, 'note', report)
+
+  return fields
+}
+
+// Profile payday: { type: 'day-of-month', day } or { type: 'last-business-day' }
+export function validatePayday(payday, { path = 'payday' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(payday)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  checkEnum(payday.type, 'type', report, PAYDAY_TYPES)
+  if (payday.type === 'day-of-month' && (!Number.isInteger(payday.day) || payday.day < 1 || payday.day > 31)) {
+    report('day', 'must be between 1 and 31')
+  }
+
+  return fields
+}
+
+// How a financial month is split into weeks (see getMonthQuarters on the client)
+export function validateWeekStrategy(strategy, { path = 'weekStrategy' } = {}) {
+  const { fields, report } = createCollector(path)
+  checkEnum(strategy, '', report, WEEK_STRATEGIES)
+  return fields
+}
+
+// Per-user base currency (profile)
+export function validateBaseCurrency(currency, { path = 'baseCurrency' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isCurrencyCode(currency)) report('', 'must be a 3-letter currency code')
+  return fields
+}
+
+/**
+ * The exchange-rate table: { rates: [{ date, from, to, rate }] }, where one
+ * unit of `from` is worth `rate` units of `to` from `date` on.
+ */
+export function validateExchangeRates(table, { path = '' } = {}) {
+  const { fields, report, merge } = createCollector(path)
+  if (!isPlainObject(table)) {
+    report('', 'must be an object')
+    return fields
+  }
+  if (!Array.isArray(table.rates)) {
+    report('rates', 'must be an array')
+    return fields
+  }
+  if (table.rates.length > MAX_EXCHANGE_RATES) {
+    report('rates', `must have at most ${MAX_EXCHANGE_RATES} entries`)
+    return fields
+  }
+
+  table.rates.forEach((entry, index) => {
+    merge(validateExchangeRate(entry, { path: joinPath(path, `rates[${index}]`) }))
+  })
+
+  return fields
+}
+
+// One entry of the table: { date, from, to, rate }
+export function validateExchangeRate(entry, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(entry)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  if (entry.date === undefined) report('date', 'is required')
+  checkDate(entry.date, 'date', report)
+  if (!isCurrencyCode(entry.from)) report('from', 'must be a 3-letter currency code')
+  if (!isCurrencyCode(entry.to)) report('to', 'must be a 3-letter currency code')
+  else if (entry.from === entry.to) report('to', 'must differ from from')
+  if (entry.rate === undefined) report('rate', 'is required')
+  checkPositiveNumber(entry.rate, 'rate', report)
+
+  return fields
+}
+
+// A receipt upload: the `file` field of a multipart form
+export function validateAttachmentUpload(file, { path = 'file' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!file || typeof file !== 'object' || typeof file.arrayBuffer !== 'function') {
+    report('', 'is required')
+    return fields
+  }
+
+  checkEnum(file.type, 'type', report, ATTACHMENT_TYPES)
+  checkAttachmentSize(file.size, 'size', report)
+  return fields
+}
+
+// A stored receipt as carried by a backup: its metadata plus the file, base64
+export function validateStoredAttachment(attachment, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  if (!isPlainObject(attachment)) {
+    report('', 'must be an object')
+    return fields
+  }
+
+  if (!isAttachmentId(attachment.id)) report('id', 'must be an attachment id')
+  checkText(attachment.name, 'name', report, { required: true })
+  if (attachment.type === undefined) report('type', 'is required')
+  checkEnum(attachment.type, 'type', report, ATTACHMENT_TYPES)
+  checkAttachmentSize(attachment.size, 'size', report)
+  if (typeof attachment.data !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(attachment.data)) {
+    report('data', 'must be base64')
+  }
+
+  return fields
+}
+
+// Route params arrive as strings; numbers are accepted too (backup archives)
+export function validateYearMonth(year, month, { path = '' } = {}) {
+  const { fields, report } = createCollector(path)
+  const yearNumber = Number(year)
+  const monthNumber = Number(month)
+
+  if (!Number.isInteger(yearNumber) || yearNumber < MIN_YEAR || yearNumber > MAX_YEAR) {
+    report('year', `must be a year between ${MIN_YEAR} and ${MAX_YEAR}`)
+  }
+  if (!Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12) {
+    report('month', 'must be between 1 and 12')
+  }
+
+  return fields
+}
+
+export function hasErrors(fields) {
+  return Object.keys(fields).length > 0
+}
+
+export function validationError(c, fields) {
+  return c.json({ error: 'Validation failed', fields }, 400)
+}
@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest'
+import {
+  MAX_BATCH_EXPENSES,
+  hasErrors,
+  validateExpense,
+  validateExpenseBatch,
+  validateMonthlyPlanning,
+  validateWeek,
+  validateYearMonth,
+} from './validation.js'
+
+const expense = (id, overrides = {}) => ({ id, name: `Expense ${id}`, amount: 10, date: '2026-03-05', type: 'expense', ...overrides })
+
+describe('validateExpense', () => {
+  it('accepts a complete expense', () => {
+    expect(validateExpense(expense('e1'))).toEqual({})
+  })
+
+  it('requires id, name and a numeric amount', () => {
+    expect(validateExpense({ name: ' ', amount: 'abc' })).toEqual({
+      id: 'is required',
+      name: 'is required',
+      amount: 'must be a number',
+    })
+  })
+
+  it('checks only the fields present in a partial update', () => {
+    expect(validateExpense({ amount: 5 }, { partial: true })).toEqual({})
+    expect(validateExpense({ date: '2026-02-30', type: 'loan' }, { partial: true })).toEqual({
+      date: 'must be a date (YYYY-MM-DD)',
+      type: 'must be one of: expense, credit',
+    })
+  })
+
+  it('limits names to 200 characters', () => {
+    expect(validateExpense(expense('e1', { name: 'x'.repeat(201) }))).toEqual({ name: 'must be at most 200 characters' })
+  })
+
+  it('rejects anything that is not an object', () => {
+    expect(validateExpense(null, { path: 'expense' })).toEqual({ expense: 'must be an object' })
+    expect(validateExpense([])).toEqual({ body: 'must be an object' })
+  })
+})
+
+describe('validateWeek', () => {
+  it('reports expense errors by their path in the week', () => {
+    const fields = validateWeek({ id: 'w1', startDate: '2026-03-01', expenses: [expense('e1'), expense('e2', { amount: null })] })
+    expect(fields).toEqual({ 'expenses[1].amount': 'must be a number' })
+  })
+
+  it('stops reporting after 20 errors', () => {
+    const expenses = Array.from({ length: 30 }, (_, index) => expense(`e${index}`, { amount: 'x' }))
+    expect(Object.keys(validateWeek({ id: 'w1', expenses }))).toHaveLength(20)
+  })
+})
+
+describe('validateExpenseBatch', () => {
+  const group = (weekId, expenses) => ({ weekId, week: { startDate: '2026-03-01', endDate: '2026-03-07' }, expenses })
+
+  it('accepts groups of valid expenses', () => {
+    expect(validateExpenseBatch({ weeks: [group('w1', [expense('e1')]), group('w2', [expense('e2')])] })).toEqual({})
+  })
+
+  it('rejects the whole batch for one invalid expense', () => {
+    const fields = validateExpenseBatch({ weeks: [group('w1', [expense('e1')]), group('w2', [expense('e2'), expense('e3', { name: '' })])] })
+    expect(hasErrors(fields)).toBe(true)
+    expect(fields).toEqual({ 'weeks[1].expenses[1].name': 'is required' })
+  })
+
+  it('rejects empty batches and empty groups', () => {
+    expect(validateExpenseBatch({ weeks: [] })).toEqual({ weeks: 'must be a non-empty list' })
+    expect(validateExpenseBatch({ weeks: [group('w1', [])] })).toEqual({ 'weeks[0].expenses': 'must be a non-empty list' })
+    expect(validateExpenseBatch('weeks')).toEqual({ body: 'must be an object' })
+  })
+
+  it(`rejects batches over ${MAX_BATCH_EXPENSES} expenses`, () => {
+    const expenses = Array.from({ length: MAX_BATCH_EXPENSES + 1 }, (_, index) => expense(`e${index}`))
+    expect(validateExpenseBatch({ weeks: [group('w1', expenses)] })).toEqual({ weeks: `must hold at most ${MAX_BATCH_EXPENSES} expenses` })
+  })
+})
+
+describe('validateMonthlyPlanning', () => {
+  it('checks salary, categories and planned expenses', () => {
+    expect(validateMonthlyPlanning({
+      salary: -1,
+      categories: [{ name: 'Food', budget: 'lots' }, 'Rent'],
+      expenses: [{ amount: 'x' }],
+    })).toEqual({
+      salary: 'must not be negative',
+      'categories[0].budget': 'must be a number',
+      'expenses[0].amount': 'must be a number',
+    })
+  })
+
+  it('requires a cap for capped rollovers', () => {
+    expect(validateMonthlyPlanning({ categories: [{ name: 'Food', rollover: 'capped' }] })).toEqual({
+      'categories[0].rolloverCap': 'is required for a capped rollover',
+    })
+  })
+})
+
+describe('validateYearMonth', () => {
+  it('accepts route parameters as strings', () => {
+    expect(validateYearMonth('2026', '12')).toEqual({})
+  })
+
+  it('rejects month 13 and years out of range', () => {
+    expect(validateYearMonth('1999', '13')).toEqual({
+      year: 'must be a year between 2000 and 2100',
+      month: 'must be between 1 and 12',
+    })
+  })
+})
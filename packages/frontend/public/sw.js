@@ -0,0 +1,112 @@
+// ──────────────────────────────────────────────
+// Weekly Wallet service worker
+//
+// - App shell: index.html plus the hashed bundles it references are cached
+//   on install, so the Dashboard and AddExpenseModal open without network.
+// - Navigations: network first, falling back to the cached index.html.
+// - Same-origin static files and Google Fonts: cache first.
+// - API calls are never cached here; offline data lives in IndexedDB.
+// ──────────────────────────────────────────────
+
+// Replaced with a hash of the build output (see vite.config.js), so every
+// deploy installs into fresh caches and the old ones are dropped
+const CACHE_VERSION = '__BUILD_VERSION__';
+const SHELL_CACHE = `weekly-wallet-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `weekly-wallet-runtime-${CACHE_VERSION}`;
+
+const STATIC_FILES = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/icon-192.png',
+    '/icon-512.png',
+    '/icon-maskable-512.png',
+    '/apple-touch-icon.png',
+    '/apocalipse-background.jpg',
+    // Avatars (keep in sync with AVAILABLE_AVATARS in App.jsx)
+    '/art-colector.jpg', '/bezos.jpg', '/gangsta.jpg', '/investor.jpg', '/jujuba.jpg',
+    '/king.jpg', '/madam.jpg', '/model.jpg', '/old-money.jpg',
+    '/steve.jpg', '/wall-stret.jpg', '/no-avatar.jpg'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Vite fingerprints bundle names, so read them from the built index.html
+async function getShellAssets() {
+    const res = await fetch('/index.html', { cache: 'no-cache' });
+    const html = await res.text();
+    const matches = html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g);
+    return [...new Set([...matches].map(match => match[1]))];
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(STATIC_FILES);
+
+        try {
+            await cache.addAll(await getShellAssets());
+        } catch (e) {
+            // Bundles are still cached on first use
+            console.error('Failed to precache app shell', e);
+        }
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, RUNTIME_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function networkFirstPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch {
+        return (await cache.match('/index.html')) || Response.error();
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque font responses have status 0 but are still usable
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(networkFirstPage(request));
+        return;
+    }
+
+    // Range requests (the apocalypse video) and API calls go straight to the network
+    if (request.headers.has('range') || url.pathname.startsWith('/api/')) return;
+
+    if (url.origin === self.location.origin || FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
@@ -1,12 +1,20 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { Plus } from 'lucide-react';
 import WeekCarousel from './components/WeekCarousel';
 import LoginPage from './components/LoginPage';
 import ResetPasswordPage from './components/ResetPasswordPage';
 import { useAuth } from './lib/AuthContext';
+import { LOCALES, t, useI18n } from './lib/i18n';
 import { api } from './lib/api';
-import { getWeekId, getMonthQuarters, findCurrentWeekIndex, getFinancialInfo, ensureRefundsCategory, normalizeRefundExpense, calculateCategoryNet, dedupeRefundExpenses } from './lib/utils';
+import { getInstallState, onInstallStateChange, promptInstall } from './lib/installPrompt';
+import { materializeRecurringRules } from './lib/recurring';
+import { calculateAccountBalances } from './lib/accounts';
+import { calculateCategoryRollovers } from './lib/rollover';
+import { carryIncomesForward } from './lib/incomes';
+import { collectTags } from './lib/tags';
+import { isAttachmentReferenced } from './lib/attachments';
+import { getWeekId, getMonthQuarters, findCurrentWeekIndex, getFinancialInfo, getWeekLayoutKey, refileExpensesByDate, getExpenseMoves, ensureRefundsCategory, normalizeRefundExpense, calculateCategoryNet, dedupeRefundExpenses, getCategoryKey, getMonthName, orderCategoryTree, CATEGORY_KEYS } from './lib/utils';
 import './styles/App.css';
 import './styles/LoginPage.css';
 
@@ -14,14 +22,26 @@ import MonthlyPlanningModal from './components/MonthlyPlanningModal';
 import AddExpenseModal from './components/AddExpenseModal';
 import Dashboard from './components/Dashboard';
 import UserGuide from './components/UserGuide';
-
+import ConflictDialog from './components/ConflictDialog';
+import ImportWizard from './components/ImportWizard';
+import DataExportModal from './components/DataExportModal';
+import PaydaySettingsModal from './components/PaydaySettingsModal';
+import CurrencySettingsModal from './components/CurrencySettingsModal';
+import RestoreBackupModal from './components/RestoreBackupModal';
+import RecurringRulesModal from './components/RecurringRulesModal';
+import AccountsModal from './components/AccountsModal';
+import SearchModal from './components/SearchModal';
+import CategoryRulesModal from './components/CategoryRulesModal';
+import GoalsModal from './components/GoalsModal';
+
+// Names are translated when the defaults are built; `key` keeps them recognisable
 const BASE_DEFAULT_CATEGORIES = [
-    { name: 'Market', budget: 0, type: 'credit', frequency: 'monthly' },
-    { name: 'Coffee', budget: 0, type: 'credit', frequency: 'weekly' },
-    { name: 'Savings', budget: 0, type: 'credit', frequency: 'monthly' }
+    { key: CATEGORY_KEYS.MARKET, budget: 0, type: 'credit', frequency: 'monthly' },
+    { key: CATEGORY_KEYS.COFFEE, budget: 0, type: 'credit', frequency: 'weekly' },
+    { key: CATEGORY_KEYS.SAVINGS, budget: 0, type: 'credit', frequency: 'monthly' }
 ];
 
-const getDefaultCategories = () => ensureRefundsCategory(BASE_DEFAULT_CATEGORIES.map(cat => ({ ...cat })));
+const getDefaultCategories = () => ensureRefundsCategory(BASE_DEFAULT_CATEGORIES.map(cat => ({ ...cat, name: t(`categories.${cat.key}`) })));
 
 const normalizeWeeksRefunds = (weeks = []) => {
     return weeks.map(week => ({
@@ -41,7 +61,8 @@ const clonePlanningCategories = (categories = []) => {
 };
 
 const App = () => {
-    const { user, loading: authLoading, logout, changePassword, updateAvatar } = useAuth();
+    const { user, loading: authLoading, logout, changePassword, updateAvatar, updatePreferences } = useAuth();
+    const { locale, setLocale } = useI18n();
 
     // ── User Menu Dropdown ────────────────────────
     const [showUserMenu, setShowUserMenu] = useState(false);
@@ -49,10 +70,53 @@ const App = () => {
     // ── User Guide ────────────────────────────────
     const [showUserGuide, setShowUserGuide] = useState(false);
 
+    // ── Statement Import ───────────────────────
+    const [showImportWizard, setShowImportWizard] = useState(false);
+    const [showDataExport, setShowDataExport] = useState(false);
+    const [showRestoreBackup, setShowRestoreBackup] = useState(false);
+
+    // ── Payday & Weeks ─────────────────────────────
+    const [showPaydaySettings, setShowPaydaySettings] = useState(false);
+
+    // ── Currencies ─────────────────────────────────
+    const [showCurrencySettings, setShowCurrencySettings] = useState(false);
+    const [exchangeRates, setExchangeRates] = useState([]);
+
+    // ── Recurring Transactions ───────────────────
+    const [showRecurringRules, setShowRecurringRules] = useState(false);
+    const [recurringRules, setRecurringRules] = useState([]);
+
+    // ── Accounts & Transfers ─────────────────────
+    const [showAccounts, setShowAccounts] = useState(false);
+    const [showSearch, setShowSearch] = useState(false);
+    const [accounts, setAccounts] = useState([]);
+    const [transfers, setTransfers] = useState([]);
+
+    // ── Auto-categorization Rules ────────────────
+    const [showCategoryRules, setShowCategoryRules] = useState(false);
+    const [categoryRules, setCategoryRules] = useState([]);
+
+    // ── Savings Goals ────────────────────────────
+    const [showGoals, setShowGoals] = useState(false);
+    const [goals, setGoals] = useState([]);
+
     // ── Avatar Gallery ──────────────────────────────
     const [showAvatarGallery, setShowAvatarGallery] = useState(false);
     const [isUpdatingAvatar, setIsUpdatingAvatar] = useState(false);
 
+    // ── Install (Add to Home Screen) ─────────────
+    const [installState, setInstallState] = useState(() => getInstallState());
+
+    useEffect(() => onInstallStateChange(setInstallState), []);
+
+    const handleInstallApp = async () => {
+        setShowUserMenu(false);
+        const outcome = await promptInstall();
+        if (outcome === 'manual') {
+            window.alert(t('app.installManual'));
+        }
+    };
+
     const AVAILABLE_AVATARS = [
         '/art-colector.jpg', '/bezos.jpg', '/gangsta.jpg', '/investor.jpg', '/jujuba.jpg',
         '/king.jpg', '/madam.jpg', '/model.jpg', '/old-money.jpg',
@@ -89,12 +153,12 @@ const App = () => {
         setChangePwdSuccess('');
 
         if (newPwd !== confirmPwd) {
-            setChangePwdError('New passwords do not match');
+            setChangePwdError(t('app.changePassword.mismatch'));
             return;
         }
 
         if (!recoveryKey) {
-            setChangePwdError('Recovery Key is required to verify ownership');
+            setChangePwdError(t('app.changePassword.recoveryKeyRequired'));
             return;
         }
 
@@ -103,7 +167,7 @@ const App = () => {
         setChangePwdLoading(false);
 
         if (result.success) {
-            setChangePwdSuccess('Password changed successfully!');
+            setChangePwdSuccess(t('app.changePassword.success'));
             setTimeout(() => {
                 setShowChangePwd(false);
                 setOldPwd('');
@@ -113,7 +177,7 @@ const App = () => {
                 setChangePwdSuccess('');
             }, 1500);
         } else {
-            setChangePwdError(result.error || 'Failed to change password');
+            setChangePwdError(result.error || t('app.changePassword.failed'));
         }
     };
 
@@ -128,14 +192,16 @@ const App = () => {
 
     // Date Filter State
     const currentDate = new Date();
-    const initialMonth = currentDate.getDate() >= 26 ? currentDate.getMonth() + 2 : currentDate.getMonth() + 1;
-    const initialYear = initialMonth > 12 ? currentDate.getFullYear() + 1 : currentDate.getFullYear();
-    const normalizedMonth = initialMonth > 12 ? 1 : initialMonth;
+    const { year: initialYear, month: normalizedMonth } = getFinancialInfo(currentDate);
+    const weekLayoutKey = getWeekLayoutKey();
 
     const [selectedMonth, setSelectedMonth] = useState(normalizedMonth);
     const [selectedYear, setSelectedYear] = useState(initialYear);
     const [manualPlanningMonths, setManualPlanningMonths] = useState([]);
+    // Every stored plan's categories, for budget rollovers between months
+    const [planningHistory, setPlanningHistory] = useState([]);
     const [planningVersion, setPlanningVersion] = useState(0);
+    const [syncStatus, setSyncStatus] = useState(() => api.getSyncStatus());
 
     const refreshPlanningData = useCallback(() => {
         setPlanningVersion(currentVersion => currentVersion + 1);
@@ -149,6 +215,7 @@ const App = () => {
         }
 
         const loadData = async () => {
+            setLoading(true);
             try {
                 const data = await api.getWeeks();
                 if (data.weeks && data.weeks.length > 0) {
@@ -171,6 +238,45 @@ const App = () => {
         loadData();
     }, [user]);
 
+    // Keep an offline copy of what is on screen, queued edits included
+    useEffect(() => {
+        if (!user || loading) return;
+        api.saveLocalWeeks(weeks);
+    }, [user, loading, weeks]);
+
+    // Offline sync: mirror the outbox status and reload once queued writes reach the server
+    useEffect(() => {
+        if (!user) return;
+
+        let previousState = api.getSyncStatus().state;
+        const unsubscribe = api.onSyncStatusChange(status => {
+            const finishedSync = previousState === 'syncing' && status.state !== 'syncing';
+            previousState = status.state;
+            setSyncStatus(status);
+
+            if (finishedSync && status.replayed > 0) {
+                api.getWeeks().then(data => {
+                    if (data.weeks && data.weeks.length > 0) {
+                        setWeeks(normalizeWeeksRefunds(data.weeks));
+                    }
+                });
+                refreshPlanningData();
+            }
+
+            // Offline edits the server refused are gone from the reloaded data: say so
+            if (finishedSync && status.rejected.length > 0) {
+                window.alert([
+                    t('sync.rejected', { count: status.rejected.length }),
+                    ...status.rejected.map(change => `• ${t(`sync.operations.${change.operation}`)}: ${change.error}`)
+                ].join('\n'));
+                api.dismissRejectedChanges();
+            }
+        });
+
+        api.syncOutbox();
+        return unsubscribe;
+    }, [user, refreshPlanningData]);
+
     useEffect(() => {
         if (!user) return;
 
@@ -236,6 +342,12 @@ const App = () => {
                             ...currentPlan?.data,
                             categories: previousCategories,
                             salary: previousPlan?.data?.salary || 0,
+                            ...(Array.isArray(previousPlan?.data?.incomes)
+                                ? { incomes: carryIncomesForward(previousPlan.data.incomes) }
+                                : {}),
+                            ...(previousPlan?.data?.zeroBased
+                                ? { zeroBased: true, goalAllocations: previousPlan.data.goalAllocations || [] }
+                                : {}),
                             source: currentPlan?.data?.source === 'manual' ? 'manual' : 'propagated'
                         });
                         didMutate = true;
@@ -260,6 +372,7 @@ const App = () => {
     useEffect(() => {
         if (!user) {
             setManualPlanningMonths([]);
+            setPlanningHistory([]);
             return;
         }
 
@@ -285,6 +398,7 @@ const App = () => {
                     .map(({ year, month }) => ({ year, month }));
 
                 setManualPlanningMonths(manualMonths);
+                setPlanningHistory(detailedPlans.map(({ year, month, data }) => ({ year, month, categories: data?.categories || [] })));
             } catch (error) {
                 console.error('Failed to load manual planning months', error);
             }
@@ -311,7 +425,7 @@ const App = () => {
                         // Enforce Coffee as weekly automatically
                         let frequency = parsed.frequency || 'monthly';
                         let budget = parsed.budget || 0;
-                        if ((parsed.name.toLowerCase() === 'coffee' || parsed.name.toLowerCase() === 'café') && frequency !== 'weekly') {
+                        if (getCategoryKey(parsed) === CATEGORY_KEYS.COFFEE && frequency !== 'weekly') {
                             frequency = 'weekly';
                             budget = budget / 4;
                         }
@@ -330,30 +444,87 @@ const App = () => {
         loadPlanning();
     }, [selectedYear, selectedMonth, user, planningVersion]);
 
-    // Sync to Backend whenever weeks change
-    useEffect(() => {
-        if (!user) return;
-        if (!loading && weeks.length > 0) {
-            const timeout = setTimeout(() => {
-                api.saveWeeks(weeks);
-            }, 1000);
-            return () => clearTimeout(timeout);
+    // After a write hit a conflict or failed validation, reload that week so
+    // state matches the server copy
+    const reloadWeekIfRejected = useCallback(async (weekId, result) => {
+        if (!result?.conflict && !result?.fields) return;
+
+        const latest = await api.getWeek(weekId);
+        if (latest.error) return;
+
+        setWeeks(prevWeeks => {
+            const withoutWeek = prevWeeks.filter(week => week.id !== weekId);
+            return latest.week ? [...withoutWeek, ...normalizeWeeksRefunds([latest.week])] : withoutWeek;
+        });
+    }, []);
+
+    // Drop a receipt from storage once no other transaction references it
+    const releaseAttachment = useCallback((attachment, expenseId) => {
+        if (attachment && !isAttachmentReferenced(weeks, attachment.id, expenseId)) {
+            api.deleteAttachment(attachment.id);
         }
-    }, [weeks, loading, user]);
+    }, [weeks]);
+
+    const handleDeleteExpense = useCallback((weekId, expenseId) => {
+        const removedExpense = weeks.find(week => week.id === weekId)?.expenses?.find(expense => expense.id === expenseId);
+        setWeeks(prevWeeks => prevWeeks.map(week => (
+            week.id === weekId
+                ? { ...week, expenses: (week.expenses || []).filter(expense => expense.id !== expenseId) }
+                : week
+        )));
+        api.deleteExpense(weekId, expenseId).then(result => {
+            reloadWeekIfRejected(weekId, result);
+            if (result?.success) releaseAttachment(removedExpense?.attachment, expenseId);
+        });
+    }, [weeks, reloadWeekIfRejected, releaseAttachment]);
 
-    const handleUpdateWeek = (updatedWeek) => {
-        const existingIndex = weeks.findIndex(w => w.id === updatedWeek.id);
+    // Persists only the weeks whose object identity changed (e.g. cascade deletes from planning)
+    const handleUpdateWeeks = useCallback((updatedWeeks) => {
+        const previousById = new Map(weeks.map(week => [week.id, week]));
 
-        if (existingIndex !== -1) {
-            const newWeeks = [...weeks];
-            newWeeks[existingIndex] = updatedWeek;
-            setWeeks(newWeeks);
-        } else {
-            setWeeks([...weeks, updatedWeek]);
+        updatedWeeks.forEach(week => {
+            if (previousById.get(week.id) !== week) {
+                api.saveWeek(week).then(result => reloadWeekIfRejected(week.id, result));
+            }
+        });
+
+        setWeeks(updatedWeeks);
+    }, [weeks, reloadWeekIfRejected]);
+
+    // The payday and week strategy decide which week every transaction
+    // belongs to. When they change (here or on another device), move
+    // transactions into their new weeks and jump back to the current
+    // financial month.
+    const appliedWeekLayoutKeyRef = useRef(null);
+    useEffect(() => {
+        if (!user) {
+            appliedWeekLayoutKeyRef.current = null;
+            return;
         }
-    };
+        if (loading || appliedWeekLayoutKeyRef.current === weekLayoutKey) return;
+
+        const isLayoutChange = appliedWeekLayoutKeyRef.current !== null;
+        appliedWeekLayoutKeyRef.current = weekLayoutKey;
+
+        if (isLayoutChange) {
+            // The server moves each transaction in one write of the weeks
+            // document, so it is never in both weeks or in neither
+            const refiledWeeks = refileExpensesByDate(weeks);
+            const moves = getExpenseMoves(weeks, refiledWeeks);
+            if (moves.length > 0) {
+                api.moveExpenses(moves).then(result => {
+                    const weekIds = new Set(moves.flatMap(move => [move.fromWeekId, move.toWeekId]));
+                    weekIds.forEach(weekId => reloadWeekIfRejected(weekId, result));
+                });
+            }
+            // A fresh array so week-derived views recompute even when nothing moved
+            setWeeks([...refiledWeeks]);
+        }
+        setSelectedYear(initialYear);
+        setSelectedMonth(normalizedMonth);
+    }, [user, loading, weekLayoutKey, weeks, reloadWeekIfRejected, initialYear, normalizedMonth]);
 
-    const handleGlobalAddExpense = (expenseOrExpenses) => {
+    const handleGlobalAddExpense = useCallback((expenseOrExpenses) => {
         const expensesToAdd = Array.isArray(expenseOrExpenses) ? expenseOrExpenses : [expenseOrExpenses];
 
         // Group expenses by target week ID to minimize state updates
@@ -380,10 +551,12 @@ const App = () => {
                 const existingIndex = newWeeks.findIndex(w => w.id === weekId);
 
                 if (existingIndex !== -1) {
+                    // Same id replaces, like the server does (recurring occurrences are regenerated by id)
                     const existingWeek = newWeeks[existingIndex];
+                    const addedIds = new Set(data.expenses.map(expense => expense.id));
                     newWeeks[existingIndex] = {
                         ...existingWeek,
-                        expenses: [...data.expenses, ...existingWeek.expenses]
+                        expenses: [...data.expenses, ...existingWeek.expenses.filter(expense => !addedIds.has(expense.id))]
                     };
                 } else {
                     newWeeks.push({
@@ -399,7 +572,169 @@ const App = () => {
 
             return newWeeks;
         });
-    };
+
+        // One request for the whole batch; resolves to the failed result ({ error, fields? }), if any
+        const groups = Object.entries(expensesByWeek).map(([weekId, data]) => ({
+            weekId,
+            week: { startDate: data.quarter.start, endDate: data.quarter.end },
+            expenses: data.expenses
+        }));
+        return api.addExpenses(groups).then(result => {
+            groups.forEach(group => reloadWeekIfRejected(group.weekId, result));
+            return result?.error ? result : null;
+        });
+    }, [reloadWeekIfRejected]);
+
+    // File due occurrences into their weeks and persist the rules that advanced
+    const applyRecurringRules = useCallback(async (rules) => {
+        const { expenses, rules: nextRules } = materializeRecurringRules(rules);
+
+        // Occurrences neither stored nor queued are generated again on the next load
+        if (expenses.length > 0 && await handleGlobalAddExpense(expenses)) {
+            return rules;
+        }
+        await Promise.all(nextRules
+            .filter((rule, index) => rule !== rules[index])
+            .map(rule => api.saveRecurringRule(rule)));
+
+        return nextRules;
+    }, [handleGlobalAddExpense]);
+
+    // Recurring rules are generated on the client: the server cannot decrypt
+    // data outside a session, so due occurrences are filed on each load.
+    useEffect(() => {
+        if (!user || loading) return;
+
+        let isMounted = true;
+
+        const loadRecurringRules = async () => {
+            const { rules, error } = await api.getRecurringRules();
+            if (!isMounted || error) return;
+
+            setRecurringRules(rules);
+            const nextRules = await applyRecurringRules(rules);
+            if (isMounted) setRecurringRules(nextRules);
+        };
+        loadRecurringRules();
+
+        return () => {
+            isMounted = false;
+        };
+    }, [user, loading, applyRecurringRules]);
+
+    const handleSaveRecurringRule = useCallback(async (rule) => {
+        const result = await api.saveRecurringRule(rule);
+        if (result.error) return result;
+
+        // A new or edited rule may already have occurrences due
+        const [nextRule] = await applyRecurringRules([result.rule]);
+        setRecurringRules(prevRules => (
+            prevRules.some(item => item.id === nextRule.id)
+                ? prevRules.map(item => (item.id === nextRule.id ? nextRule : item))
+                : [...prevRules, nextRule]
+        ));
+        return result;
+    }, [applyRecurringRules]);
+
+    const handleDeleteRecurringRule = useCallback(async (ruleId) => {
+        const result = await api.deleteRecurringRule(ruleId);
+        if (!result.error) {
+            setRecurringRules(prevRules => prevRules.filter(rule => rule.id !== ruleId));
+        }
+        return result;
+    }, []);
+
+    useEffect(() => {
+        if (!user) {
+            setExchangeRates([]);
+            return;
+        }
+
+        let isMounted = true;
+        api.getExchangeRates().then(({ rates, error }) => {
+            if (isMounted && !error) setExchangeRates(rates);
+        });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [user]);
+
+    const handleSaveExchangeRates = useCallback(async (rates) => {
+        const result = await api.saveExchangeRates(rates);
+        if (!result.error) setExchangeRates(result.rates);
+        return result;
+    }, []);
+
+    useEffect(() => {
+        if (!user) {
+            setAccounts([]);
+            setTransfers([]);
+            return;
+        }
+
+        let isMounted = true;
+        api.getAccounts().then(({ accounts: nextAccounts, transfers: nextTransfers, error }) => {
+            if (!isMounted || error) return;
+            setAccounts(nextAccounts);
+            setTransfers(nextTransfers);
+        });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [user]);
+
+    const handleSaveAccount = useCallback(async (account) => {
+        const result = await api.saveAccount(account);
+        if (!result.error) {
+            setAccounts(prevAccounts => (
+                prevAccounts.some(item => item.id === result.account.id)
+                    ? prevAccounts.map(item => (item.id === result.account.id ? result.account : item))
+                    : [...prevAccounts, result.account]
+            ));
+        }
+        return result;
+    }, []);
+
+    // The server drops the account's transfers with it
+    const handleDeleteAccount = useCallback(async (accountId) => {
+        const result = await api.deleteAccount(accountId);
+        if (!result.error) {
+            setAccounts(prevAccounts => prevAccounts.filter(account => account.id !== accountId));
+            setTransfers(prevTransfers => prevTransfers.filter(transfer => (
+                transfer.fromAccountId !== accountId && transfer.toAccountId !== accountId
+            )));
+        }
+        return result;
+    }, []);
+
+    const handleSaveTransfer = useCallback(async (transfer) => {
+        const result = await api.saveTransfer(transfer);
+        if (!result.error) {
+            setTransfers(prevTransfers => (
+                prevTransfers.some(item => item.id === result.transfer.id)
+                    ? prevTransfers.map(item => (item.id === result.transfer.id ? result.transfer : item))
+                    : [...prevTransfers, result.transfer]
+            ));
+        }
+        return result;
+    }, []);
+
+    const handleDeleteTransfer = useCallback(async (transferId) => {
+        const result = await api.deleteTransfer(transferId);
+        if (!result.error) {
+            setTransfers(prevTransfers => prevTransfers.filter(transfer => transfer.id !== transferId));
+        }
+        return result;
+    }, []);
+
+    const accountBalances = React.useMemo(() => (
+        calculateAccountBalances(accounts, transfers, weeks)
+    ), [accounts, transfers, weeks]);
+
+    // Most used first, for the tag autocomplete
+    const tagSuggestions = React.useMemo(() => collectTags(weeks).map(entry => entry.tag), [weeks]);
 
     const handleCreateWeek = () => {
         let nextMonth = selectedMonth + 1;
@@ -417,17 +752,52 @@ const App = () => {
     // Calculate Total Savings
     const totalSavings = React.useMemo(() => {
         if (!weeks) return 0;
+        const savingsCat = activeCategories.find(c => getCategoryKey(c) === CATEGORY_KEYS.SAVINGS);
+        const savingsName = savingsCat ? savingsCat.name : t('categories.savings');
+
         const expenseSavings = weeks.reduce((total, week) => {
             if (!week.expenses) return total;
-            const weekSavings = -calculateCategoryNet(week.expenses, 'Savings');
+            const weekSavings = -calculateCategoryNet(week.expenses, savingsName);
             return total + weekSavings;
         }, 0);
 
-        const savingsCat = activeCategories.find(c => c.name.toLowerCase() === 'savings' || c.name.toLowerCase() === 'poupança');
         const savingsBudget = savingsCat ? (savingsCat.budget || 0) : 0;
 
         return expenseSavings + savingsBudget;
-    }, [weeks, activeCategories]);
+    }, [weeks, activeCategories, locale]);
+
+    // Reload everything after a backup was merged in or replaced our data
+    // A restore can touch every document, so reload them all
+    const handleBackupRestored = async () => {
+        const [data, recurring, rules, loadedGoals, accountsData, rates] = await Promise.all([
+            api.getWeeks(),
+            api.getRecurringRules(),
+            api.getCategoryRules(),
+            api.getGoals(),
+            api.getAccounts(),
+            api.getExchangeRates()
+        ]);
+        setWeeks(normalizeWeeksRefunds(data.weeks || []));
+        refreshPlanningData();
+        if (!recurring.error) setRecurringRules(recurring.rules);
+        if (!rules.error) setCategoryRules(rules.rules);
+        if (!loadedGoals.error) setGoals(loadedGoals.goals);
+        if (!accountsData.error) {
+            setAccounts(accountsData.accounts);
+            setTransfers(accountsData.transfers);
+        }
+        if (!rates.error) setExchangeRates(rates.rates);
+    };
+
+    // OFX FITIDs already stored, so re-importing a statement skips them
+    const importedFitIds = React.useMemo(() => {
+        return new Set(weeks.flatMap(week => (week.expenses || []).map(expense => expense.fitId).filter(Boolean)));
+    }, [weeks]);
+
+    // What each category carries into the selected month (month bounds follow the payday)
+    const categoryRollovers = React.useMemo(() => (
+        calculateCategoryRollovers(planningHistory, weeks, selectedYear, selectedMonth)
+    ), [planningHistory, weeks, selectedYear, selectedMonth, weekLayoutKey]);
 
     // State for Carousel Index
     const [activeIndex, setActiveIndex] = useState(0);
@@ -454,18 +824,23 @@ const App = () => {
         });
     }, [weeks, selectedYear, selectedMonth, loading]);
 
+    // Week a search result asked for, applied once its month has loaded
+    const pendingWeekIdRef = useRef(null);
+
     // Reset index when displayedWeeks changes
     useEffect(() => {
+        const pendingWeekId = pendingWeekIdRef.current;
+        pendingWeekIdRef.current = null;
+
         if (displayedWeeks.length > 0) {
-            const idx = findCurrentWeekIndex(displayedWeeks);
+            const pendingIdx = displayedWeeks.findIndex(week => week.id === pendingWeekId);
+            const idx = pendingIdx >= 0 ? pendingIdx : findCurrentWeekIndex(displayedWeeks);
             setActiveIndex(idx);
         } else {
             setActiveIndex(0);
         }
     }, [displayedWeeks]);
 
-    const getMonthName = (m) => new Date(0, m - 1).toLocaleString('default', { month: 'long' });
-
     const availableHistoryYears = React.useMemo(() => {
         return [...new Set(manualPlanningMonths.map(plan => plan.year))].sort((leftYear, rightYear) => rightYear - leftYear);
     }, [manualPlanningMonths]);
@@ -529,6 +904,79 @@ const App = () => {
         setIsMonthlyPlanningOpen(false);
     }, []);
 
+    useEffect(() => {
+        if (!user) {
+            setCategoryRules([]);
+            return;
+        }
+
+        let isMounted = true;
+        api.getCategoryRules().then(({ rules, error }) => {
+            if (isMounted && !error) setCategoryRules(rules);
+        });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [user]);
+
+    // New rules go last, matching the server's list (and match) order
+    const handleSaveCategoryRule = useCallback(async (rule) => {
+        const result = await api.saveCategoryRule(rule);
+        if (!result.error) {
+            setCategoryRules(prevRules => (
+                prevRules.some(item => item.id === result.rule.id)
+                    ? prevRules.map(item => (item.id === result.rule.id ? result.rule : item))
+                    : [...prevRules, result.rule]
+            ));
+        }
+        return result;
+    }, []);
+
+    const handleDeleteCategoryRule = useCallback(async (ruleId) => {
+        const result = await api.deleteCategoryRule(ruleId);
+        if (!result.error) {
+            setCategoryRules(prevRules => prevRules.filter(rule => rule.id !== ruleId));
+        }
+        return result;
+    }, []);
+
+    useEffect(() => {
+        if (!user) {
+            setGoals([]);
+            return;
+        }
+
+        let isMounted = true;
+        api.getGoals().then(({ goals: loadedGoals, error }) => {
+            if (isMounted && !error) setGoals(loadedGoals);
+        });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [user]);
+
+    const handleSaveGoal = useCallback(async (goal) => {
+        const result = await api.saveGoal(goal);
+        if (!result.error) {
+            setGoals(prevGoals => (
+                prevGoals.some(item => item.id === result.goal.id)
+                    ? prevGoals.map(item => (item.id === result.goal.id ? result.goal : item))
+                    : [...prevGoals, result.goal]
+            ));
+        }
+        return result;
+    }, []);
+
+    const handleDeleteGoal = useCallback(async (goalId) => {
+        const result = await api.deleteGoal(goalId);
+        if (!result.error) {
+            setGoals(prevGoals => prevGoals.filter(goal => goal.id !== goalId));
+        }
+        return result;
+    }, []);
+
     // Listen for popstate (browser back gesture / button)
     useEffect(() => {
         const handlePopState = (e) => {
@@ -537,6 +985,42 @@ const App = () => {
                 setShowUserGuide(false);
                 return;
             }
+            if (showImportWizard) {
+                setShowImportWizard(false);
+                return;
+            }
+            if (showDataExport) {
+                setShowDataExport(false);
+                return;
+            }
+            if (showRestoreBackup) {
+                setShowRestoreBackup(false);
+                return;
+            }
+            if (showPaydaySettings) {
+                setShowPaydaySettings(false);
+                return;
+            }
+            if (showCurrencySettings) {
+                setShowCurrencySettings(false);
+                return;
+            }
+            if (showRecurringRules) {
+                setShowRecurringRules(false);
+                return;
+            }
+            if (showAccounts) {
+                setShowAccounts(false);
+                return;
+            }
+            if (showCategoryRules) {
+                setShowCategoryRules(false);
+                return;
+            }
+            if (showGoals) {
+                setShowGoals(false);
+                return;
+            }
 
             if (showChangePwd) {
                 setShowChangePwd(false);
@@ -550,6 +1034,11 @@ const App = () => {
                 setIsAddExpenseModalOpenRaw(false);
                 return;
             }
+            // Search stays open beneath a result being edited
+            if (showSearch) {
+                setShowSearch(false);
+                return;
+            }
             if (isMonthlyPlanningOpen) {
                 setIsMonthlyPlanningOpen(false);
                 return;
@@ -563,7 +1052,7 @@ const App = () => {
 
         window.addEventListener('popstate', handlePopState);
         return () => window.removeEventListener('popstate', handlePopState);
-    }, [currentView, isAddExpenseModalOpen, isMonthlyPlanningOpen, showChangePwd, showUserMenu, showUserGuide]);
+    }, [currentView, isAddExpenseModalOpen, isMonthlyPlanningOpen, showChangePwd, showUserMenu, showUserGuide, showImportWizard, showDataExport, showRestoreBackup, showPaydaySettings, showCurrencySettings, showRecurringRules, showAccounts, showCategoryRules, showGoals, showSearch]);
 
     const handleOpenAddExpense = () => {
         setEditingExpense(null);
@@ -580,6 +1069,23 @@ const App = () => {
         setIsAddExpenseModalOpen(true);
     }, [setIsAddExpenseModalOpen]);
 
+    // Jump from a search result to its week in the carousel
+    const handleOpenWeek = useCallback((weekId, date) => {
+        const { year, month } = getFinancialInfo(date);
+
+        if (year === selectedYear && month === selectedMonth) {
+            const idx = displayedWeeks.findIndex(week => week.id === weekId);
+            if (idx >= 0) setActiveIndex(idx);
+        } else {
+            pendingWeekIdRef.current = weekId;
+            setSelectedYear(year);
+            setSelectedMonth(month);
+        }
+
+        setShowSearch(false);
+        setCurrentView('weeks');
+    }, [selectedYear, selectedMonth, displayedWeeks, setCurrentView]);
+
     const handleQuickAction = useCallback((action) => {
         switch (action) {
             case 'dashboard':
@@ -607,15 +1113,29 @@ const App = () => {
         }
     }, [openMonthlyPlanning, setCurrentView, setIsAddExpenseModalOpen]);
 
-    const onAddExpense = (expense) => {
-        handleGlobalAddExpense(expense);
-        setEditingExpense(null);
-        setIsAddExpenseModalOpen(false);
-    };
+    // The modal closes itself unless the server rejected the expense
+    const onAddExpense = (expense) => handleGlobalAddExpense(expense);
 
     const onSaveExpense = useCallback((updatedExpense) => {
         const { quarter } = getFinancialInfo(updatedExpense.date);
         const targetWeekId = quarter.id;
+        const sourceWeek = weeks.find(week => (week.expenses || []).some(expense => expense.id === updatedExpense.id));
+        const previousAttachment = sourceWeek?.expenses.find(expense => expense.id === updatedExpense.id)?.attachment;
+        let request;
+
+        if (sourceWeek && sourceWeek.id === targetWeekId) {
+            request = api.updateExpense(targetWeekId, updatedExpense.id, updatedExpense);
+        } else {
+            // Validate on the target week first so a rejected edit leaves the original in place
+            request = api.addExpense(targetWeekId, updatedExpense, { startDate: quarter.start, endDate: quarter.end })
+                .then(result => {
+                    if (sourceWeek && !result?.fields) {
+                        api.deleteExpense(sourceWeek.id, updatedExpense.id)
+                            .then(deleteResult => reloadWeekIfRejected(sourceWeek.id, deleteResult));
+                    }
+                    return result;
+                });
+        }
 
         setWeeks(prevWeeks => {
             const weeksWithoutExpense = prevWeeks.map((week) => ({
@@ -647,9 +1167,18 @@ const App = () => {
             ];
         });
 
-        setEditingExpense(null);
-        setIsAddExpenseModalOpen(false);
-    }, [setIsAddExpenseModalOpen]);
+        return request.then(result => {
+            reloadWeekIfRejected(targetWeekId, result);
+            if (result?.fields && sourceWeek && sourceWeek.id !== targetWeekId) {
+                reloadWeekIfRejected(sourceWeek.id, result);
+            }
+            // The receipt was replaced or removed
+            if (result?.success && previousAttachment?.id !== updatedExpense.attachment?.id) {
+                releaseAttachment(previousAttachment, updatedExpense.id);
+            }
+            return result?.fields ? result : null;
+        });
+    }, [weeks, reloadWeekIfRejected, releaseAttachment]);
 
     // ── Render ────────────────────────────────────
 
@@ -669,7 +1198,7 @@ const App = () => {
 
     // Auth loading
     if (authLoading) {
-        return <div className="loading-screen">INITIALIZING HYPERDRIVE...</div>;
+        return <div className="loading-screen">{t('app.initializing')}</div>;
     }
 
     // Not logged in
@@ -679,12 +1208,16 @@ const App = () => {
 
     // Data loading
     if (loading) {
-        return <div className="loading-screen">LOADING YOUR DATA...</div>;
+        return <div className="loading-screen">{t('app.loadingData')}</div>;
     }
 
     const isAnyModalOpen = isMonthlyPlanningOpen || isAddExpenseModalOpen;
     const isAnyBlockingModalOpen = isAddExpenseModalOpen;
-    const isQuickActionsHidden = isAnyBlockingModalOpen || showUserGuide || showChangePwd || showAvatarGallery || showUserMenu;
+    const currentLocaleIndex = LOCALES.findIndex(option => option.id === locale);
+    const currentLocaleLabel = LOCALES[currentLocaleIndex].label;
+    const nextLocale = LOCALES[(currentLocaleIndex + 1) % LOCALES.length];
+
+    const isQuickActionsHidden = isAnyBlockingModalOpen || showUserGuide || showImportWizard || showDataExport || showRestoreBackup || showPaydaySettings || showCurrencySettings || showRecurringRules || showAccounts || showCategoryRules || showGoals || showSearch || showChangePwd || showAvatarGallery || showUserMenu;
 
     return (
         <div className="app-container">
@@ -699,19 +1232,65 @@ const App = () => {
                         <div className="user-menu-divider" />
                         <button className="user-menu-item" onClick={() => { setShowChangePwd(true); setShowUserMenu(false); }}>
                             <span className="menu-icon">🔑</span>
-                            <span className="menu-label">Change Password</span>
+                            <span className="menu-label">{t('app.menu.changePassword')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowSearch(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">🔎</span>
+                            <span className="menu-label">{t('app.menu.search')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowAccounts(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">🏦</span>
+                            <span className="menu-label">{t('app.menu.accounts')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowCategoryRules(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">🪄</span>
+                            <span className="menu-label">{t('app.menu.categoryRules')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowGoals(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">🎯</span>
+                            <span className="menu-label">{t('app.menu.goals')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowImportWizard(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">📥</span>
+                            <span className="menu-label">{t('app.menu.importStatement')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowDataExport(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">📤</span>
+                            <span className="menu-label">{t('app.menu.exportData')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowRestoreBackup(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">♻️</span>
+                            <span className="menu-label">{t('app.menu.restoreBackup')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowPaydaySettings(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">💰</span>
+                            <span className="menu-label">{t('app.menu.payday')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setShowCurrencySettings(true); setShowUserMenu(false); }}>
+                            <span className="menu-icon">💱</span>
+                            <span className="menu-label">{t('app.menu.currencies')}</span>
+                        </button>
+                        <button className="user-menu-item" onClick={() => { setLocale(nextLocale.id); setShowUserMenu(false); }}>
+                            <span className="menu-icon">🌐</span>
+                            <span className="menu-label">{t('app.menu.language', { language: currentLocaleLabel })}</span>
                         </button>
                         <button className="user-menu-item" onClick={() => { setShowUserGuide(true); setShowUserMenu(false); }}>
                             <span className="menu-icon">❓</span>
-                            <span className="menu-label">Help</span>
+                            <span className="menu-label">{t('app.menu.help')}</span>
                         </button>
                         <button className="user-menu-item" onClick={() => { setShowAvatarGallery(true); setShowUserMenu(false); }}>
                             <span className="menu-icon">🖼️</span>
-                            <span className="menu-label">Edit Avatar</span>
+                            <span className="menu-label">{t('app.menu.editAvatar')}</span>
                         </button>
+                        {(installState === 'available' || installState === 'manual') && (
+                            <button className="user-menu-item" onClick={handleInstallApp}>
+                                <span className="menu-icon">📲</span>
+                                <span className="menu-label">{t('app.menu.installApp')}</span>
+                            </button>
+                        )}
                         <button className="user-menu-item logout" onClick={() => { logout(); setShowUserMenu(false); }}>
                             <span className="menu-icon">🚪</span>
-                            <span className="menu-label">Logout</span>
+                            <span className="menu-label">{t('app.menu.logout')}</span>
                         </button>
                     </div>
                 </>
@@ -722,7 +1301,7 @@ const App = () => {
                 <div className="avatar-gallery-overlay" onClick={() => setShowAvatarGallery(false)}>
                     <div className="avatar-gallery-content" onClick={(e) => e.stopPropagation()}>
                         <div className="avatar-gallery-header">
-                            <h2>Select Avatar</h2>
+                            <h2>{t('app.selectAvatar')}</h2>
                             <button className="avatar-gallery-close" onClick={() => setShowAvatarGallery(false)}>×</button>
                         </div>
                         <div className="avatar-gallery-grid">
@@ -738,12 +1317,12 @@ const App = () => {
                                         setShowAvatarGallery(false);
                                     }}
                                 >
-                                    <img src={avatarUrl} alt={`Avatar ${idx}`} loading="lazy" />
+                                    <img src={avatarUrl} alt={t('app.avatarAlt', { number: idx })} loading="lazy" />
                                     {user?.avatar === avatarUrl && <div className="avatar-selected-badge">✓</div>}
                                 </div>
                             ))}
                         </div>
-                        {isUpdatingAvatar && <div className="avatar-saving-state">Saving...</div>}
+                        {isUpdatingAvatar && <div className="avatar-saving-state">{t('common.saving')}</div>}
                     </div>
                 </div>
             )}
@@ -755,6 +1334,12 @@ const App = () => {
                     totalSavings={totalSavings}
                     isAppLoading={loading}
                     planningVersion={planningVersion}
+                    syncStatus={syncStatus}
+                    accounts={accounts}
+                    accountBalances={accountBalances}
+                    onOpenAccounts={() => setShowAccounts(true)}
+                    goals={goals}
+                    onOpenGoals={() => setShowGoals(true)}
                     onNavigate={(view) => setCurrentView(view)}
                     onAddExpense={() => setIsAddExpenseModalOpen(true)}
                     onOpenPlanning={openMonthlyPlanning}
@@ -768,11 +1353,11 @@ const App = () => {
                 <div className="history-header">
                     <div className="history-header-content">
                         <div className="history-header-top">
-                            <h2>History</h2>
+                            <h2>{t('app.history')}</h2>
                             <button
                                 className="close-button"
                                 onClick={() => setCurrentView('dashboard')}
-                                aria-label="Close"
+                                aria-label={t('common.close')}
                             >
                                 &times;
                             </button>
@@ -807,7 +1392,7 @@ const App = () => {
                 <WeekCarousel
                     weeks={displayedWeeks}
                     categories={activeCategories}
-                    onUpdateWeek={(updatedWeek) => handleUpdateWeek(updatedWeek)}
+                    onDeleteExpense={handleDeleteExpense}
                     onGlobalAddExpense={handleGlobalAddExpense}
                     onEditExpense={handleOpenEditExpense}
                     onCreateWeek={handleCreateWeek}
@@ -815,6 +1400,7 @@ const App = () => {
                     onIndexChange={setActiveIndex}
                     totalSavings={totalSavings}
                     onOpenAddExpense={handleOpenAddExpense}
+                    rollovers={categoryRollovers}
                 />
 
                 <motion.button
@@ -863,7 +1449,7 @@ const App = () => {
                                 gap: '8px'
                             }}
                         >
-                            Current Week
+                            {t('app.currentWeek')}
                         </button>
                     );
                 })()}
@@ -873,7 +1459,10 @@ const App = () => {
                 isOpen={isMonthlyPlanningOpen}
                 onClose={closeMonthlyPlanning}
                 weeks={weeks}
-                onUpdateWeeks={setWeeks}
+                plans={planningHistory}
+                goals={goals}
+                onUpdateWeeks={handleUpdateWeeks}
+                onOpenRecurring={() => setShowRecurringRules(true)}
                 planningVersion={planningVersion}
                 onPlanSave={(year, month, categories) => {
                     refreshPlanningData();
@@ -890,7 +1479,94 @@ const App = () => {
                 onAdd={onAddExpense}
                 onSave={onSaveExpense}
                 initialExpense={editingExpense}
+                categories={orderCategoryTree(activeCategories).map(c => c.name)}
+                exchangeRates={exchangeRates}
+                accounts={accounts}
+                tagSuggestions={tagSuggestions}
+                categoryRules={categoryRules}
+                onCreateRule={handleSaveCategoryRule}
+            />
+
+            <ImportWizard
+                isOpen={showImportWizard}
+                onClose={() => setShowImportWizard(false)}
+                onImport={handleGlobalAddExpense}
+                importedFitIds={importedFitIds}
                 categories={activeCategories.map(c => c.name)}
+                categoryRules={categoryRules}
+            />
+
+            <DataExportModal isOpen={showDataExport} onClose={() => setShowDataExport(false)} />
+
+            <RestoreBackupModal
+                isOpen={showRestoreBackup}
+                onClose={() => setShowRestoreBackup(false)}
+                onRestored={handleBackupRestored}
+            />
+
+            <PaydaySettingsModal
+                isOpen={showPaydaySettings}
+                onClose={() => setShowPaydaySettings(false)}
+                onSave={updatePreferences}
+            />
+
+            <CurrencySettingsModal
+                isOpen={showCurrencySettings}
+                onClose={() => setShowCurrencySettings(false)}
+                rates={exchangeRates}
+                onSaveRates={handleSaveExchangeRates}
+                onSaveBaseCurrency={(baseCurrency) => updatePreferences({ baseCurrency })}
+            />
+
+            <RecurringRulesModal
+                isOpen={showRecurringRules}
+                onClose={() => setShowRecurringRules(false)}
+                rules={recurringRules}
+                categories={activeCategories.map(c => c.name)}
+                onSaveRule={handleSaveRecurringRule}
+                onDeleteRule={handleDeleteRecurringRule}
+            />
+
+            <AccountsModal
+                isOpen={showAccounts}
+                onClose={() => setShowAccounts(false)}
+                accounts={accounts}
+                transfers={transfers}
+                balances={accountBalances}
+                onSaveAccount={handleSaveAccount}
+                onDeleteAccount={handleDeleteAccount}
+                onSaveTransfer={handleSaveTransfer}
+                onDeleteTransfer={handleDeleteTransfer}
+            />
+
+            <CategoryRulesModal
+                isOpen={showCategoryRules}
+                onClose={() => setShowCategoryRules(false)}
+                rules={categoryRules}
+                categories={orderCategoryTree(activeCategories).map(c => c.name)}
+                accounts={accounts}
+                weeks={weeks}
+                onSaveRule={handleSaveCategoryRule}
+                onDeleteRule={handleDeleteCategoryRule}
+            />
+
+            <GoalsModal
+                isOpen={showGoals}
+                onClose={() => setShowGoals(false)}
+                goals={goals}
+                categories={orderCategoryTree(activeCategories)}
+                weeks={weeks}
+                onSaveGoal={handleSaveGoal}
+                onDeleteGoal={handleDeleteGoal}
+            />
+
+            <SearchModal
+                isOpen={showSearch}
+                onClose={() => setShowSearch(false)}
+                weeks={weeks}
+                categories={orderCategoryTree(activeCategories).map(c => c.name)}
+                onEditExpense={handleOpenEditExpense}
+                onOpenWeek={handleOpenWeek}
             />
 
             {/* Change Password Modal */}
@@ -899,10 +1575,10 @@ const App = () => {
                     if (e.target === e.currentTarget) setShowChangePwd(false);
                 }}>
                     <div className="change-pwd-card">
-                        <h2>🔑 Change Password</h2>
+                        <h2>🔑 {t('app.menu.changePassword')}</h2>
                         <form className="login-form" onSubmit={handleChangePwd}>
                             <div className="form-group">
-                                <label htmlFor="old-pwd">Current Password</label>
+                                <label htmlFor="old-pwd">{t('app.changePassword.currentPassword')}</label>
                                 <input
                                     id="old-pwd"
                                     type="password"
@@ -914,7 +1590,7 @@ const App = () => {
                                 />
                             </div>
                             <div className="form-group">
-                                <label htmlFor="new-pwd">New Password</label>
+                                <label htmlFor="new-pwd">{t('auth.newPassword')}</label>
                                 <input
                                     id="new-pwd"
                                     type="password"
@@ -927,7 +1603,7 @@ const App = () => {
                                 />
                             </div>
                             <div className="form-group">
-                                <label htmlFor="confirm-new-pwd">Confirm New Password</label>
+                                <label htmlFor="confirm-new-pwd">{t('auth.confirmNewPassword')}</label>
                                 <input
                                     id="confirm-new-pwd"
                                     type="password"
@@ -941,7 +1617,7 @@ const App = () => {
                             </div>
                             {/* Removed extra padding here, keeping structure */}
                             <div className="form-group">
-                                <label htmlFor="recovery-key">Recovery Key</label>
+                                <label htmlFor="recovery-key">{t('auth.recoveryKey')}</label>
                                 <input
                                     id="recovery-key"
                                     type="text"
@@ -952,7 +1628,7 @@ const App = () => {
                                     autoComplete="off"
                                 />
                                 <small style={{ color: 'var(--color-text-muted)', display: 'block', marginTop: '4px' }}>
-                                    Required to prove ownership mathematically.
+                                    {t('app.changePassword.recoveryKeyHint')}
                                 </small>
                             </div>
                             {changePwdError && <div className="auth-error">{changePwdError}</div>}
@@ -970,14 +1646,14 @@ const App = () => {
                                         setChangePwdError('');
                                     }}
                                 >
-                                    Cancel
+                                    {t('common.cancel')}
                                 </button>
                                 <button
                                     type="submit"
                                     className="btn-save"
                                     disabled={changePwdLoading}
                                 >
-                                    {changePwdLoading ? '⏳' : 'Save'}
+                                    {changePwdLoading ? '⏳' : t('common.save')}
                                 </button>
                             </div>
                         </form>
@@ -988,9 +1664,11 @@ const App = () => {
             {/* User Guide */}
             <UserGuide isOpen={showUserGuide} onClose={() => setShowUserGuide(false)} />
 
+            <ConflictDialog />
+
             <section
                 className={`quick-actions-footer ${isQuickActionsHidden ? 'is-hidden' : ''} ${isMonthlyPlanningOpen ? 'is-plan-open' : ''}`.trim()}
-                aria-label="Primary navigation"
+                aria-label={t('app.quickActions.label')}
                 aria-hidden={isQuickActionsHidden}
             >
                 <button
@@ -999,7 +1677,7 @@ const App = () => {
                     onClick={() => handleQuickAction('dashboard')}
                     aria-pressed={currentView === 'dashboard' && !isMonthlyPlanningOpen}
                 >
-                    Dashboard
+                    {t('app.quickActions.dashboard')}
                 </button>
                 <button
                     type="button"
@@ -1007,7 +1685,7 @@ const App = () => {
                     onClick={() => handleQuickAction('weeks')}
                     aria-pressed={currentView === 'weeks'}
                 >
-                    Week
+                    {t('app.quickActions.week')}
                 </button>
                 <button
                     type="button"
@@ -1015,14 +1693,14 @@ const App = () => {
                     onClick={() => handleQuickAction('plan')}
                     aria-pressed={isMonthlyPlanningOpen}
                 >
-                    Plan
+                    {t('app.quickActions.plan')}
                 </button>
                 <button
                     className="quick-action-btn quick-action-btn-primary"
                     type="button"
                     onClick={() => handleQuickAction('add-expense')}
                 >
-                    Add Expense
+                    {t('app.quickActions.addExpense')}
                 </button>
             </section>
         </div>
@@ -0,0 +1,442 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { v4 as uuidv4 } from 'uuid';
+import { useI18n } from '../lib/i18n';
+import { ACCOUNT_TYPES, getAccountIcon, sortAccounts } from '../lib/accounts';
+import { hasStatementCycle } from '../lib/installments';
+import { formatCurrency, formatDate, getBaseCurrency } from '../lib/utils';
+import '../styles/AddExpenseModal.css';
+import '../styles/Accounts.css';
+
+const modalVariants = {
+    hidden: { opacity: 0, scale: 0.8 },
+    visible: { opacity: 1, scale: 1, transition: { type: 'spring', damping: 25, stiffness: 500 } },
+    exit: { opacity: 0, scale: 0.8 }
+};
+
+const getInitialAccountForm = (account = null) => ({
+    name: account?.name || '',
+    type: account?.type || 'checking',
+    openingBalance: account?.openingBalance != null ? String(account.openingBalance) : '0',
+    closingDay: account?.closingDay != null ? String(account.closingDay) : '',
+    dueDay: account?.dueDay != null ? String(account.dueDay) : ''
+});
+
+const parseDay = (value) => (value === '' ? null : parseInt(value, 10));
+
+const getInitialTransferForm = (transfer = null, accounts = []) => ({
+    fromAccountId: transfer?.fromAccountId || accounts[0]?.id || '',
+    toAccountId: transfer?.toAccountId || accounts[1]?.id || '',
+    amount: transfer?.amount != null ? String(transfer.amount) : '',
+    date: transfer?.date || new Date().toISOString().slice(0, 10),
+    note: transfer?.note || ''
+});
+
+// Server errors are { field: message }; shown next to the matching input
+const toFieldErrors = (result) => {
+    const errors = Object.fromEntries(Object.entries(result.fields || {}).map(([field, message]) => [field, `${field} ${message}`]));
+    return Object.keys(errors).length > 0 ? errors : { form: result.error };
+};
+
+// Accounts and transfers are saved one at a time; the save/delete callbacks
+// resolve to the server result ({ error, fields } when rejected).
+const AccountsModal = ({ isOpen, onClose, accounts = [], transfers = [], balances = new Map(), onSaveAccount, onDeleteAccount, onSaveTransfer, onDeleteTransfer }) => {
+    const { t } = useI18n();
+    const [view, setView] = useState('list'); // 'list' | 'account' | 'transfer'
+    const [editingItem, setEditingItem] = useState(null);
+    const [accountForm, setAccountForm] = useState(() => getInitialAccountForm());
+    const [transferForm, setTransferForm] = useState(() => getInitialTransferForm());
+    const [formErrors, setFormErrors] = useState({});
+    const [busyId, setBusyId] = useState(null);
+
+    React.useEffect(() => {
+        if (!isOpen) return;
+
+        setView('list');
+        setEditingItem(null);
+        setFormErrors({});
+    }, [isOpen]);
+
+    const sortedAccounts = sortAccounts(accounts);
+    const activeAccounts = sortedAccounts.filter(account => !account.archived);
+    const sortedTransfers = [...transfers].sort((left, right) => right.date.localeCompare(left.date));
+    const accountNames = new Map(accounts.map(account => [account.id, account.name]));
+    const total = activeAccounts.reduce((sum, account) => sum + (balances.get(account.id) || 0), 0);
+
+    const openAccountForm = (account = null) => {
+        setEditingItem(account);
+        setAccountForm(getInitialAccountForm(account));
+        setFormErrors({});
+        setView('account');
+    };
+
+    const openTransferForm = (transfer = null) => {
+        setEditingItem(transfer);
+        setTransferForm(getInitialTransferForm(transfer, activeAccounts));
+        setFormErrors({});
+        setView('transfer');
+    };
+
+    const updateAccountForm = (field, value) => setAccountForm(prev => ({ ...prev, [field]: value }));
+    const updateTransferForm = (field, value) => setTransferForm(prev => ({ ...prev, [field]: value }));
+
+    const run = async (id, action) => {
+        setBusyId(id);
+        const result = await action();
+        setBusyId(null);
+        return result;
+    };
+
+    const handleAccountSubmit = async (e) => {
+        e.preventDefault();
+
+        const openingBalance = parseFloat(accountForm.openingBalance || '0');
+        if (!accountForm.name.trim() || Number.isNaN(openingBalance)) return;
+
+        const account = {
+            id: editingItem?.id || uuidv4(),
+            name: accountForm.name.trim(),
+            type: accountForm.type,
+            openingBalance,
+            archived: editingItem?.archived || false,
+            closingDay: accountForm.type === 'credit-card' ? parseDay(accountForm.closingDay) : null,
+            dueDay: accountForm.type === 'credit-card' ? parseDay(accountForm.dueDay) : null
+        };
+
+        const result = await run(account.id, () => onSaveAccount(account));
+        if (result?.error) {
+            setFormErrors(toFieldErrors(result));
+            return;
+        }
+        setView('list');
+    };
+
+    const handleTransferSubmit = async (e) => {
+        e.preventDefault();
+
+        const amount = parseFloat(transferForm.amount);
+        if (Number.isNaN(amount) || amount <= 0) return;
+        if (transferForm.fromAccountId === transferForm.toAccountId) {
+            setFormErrors({ toAccountId: t('accounts.sameAccount') });
+            return;
+        }
+
+        const transfer = {
+            id: editingItem?.id || uuidv4(),
+            fromAccountId: transferForm.fromAccountId,
+            toAccountId: transferForm.toAccountId,
+            amount,
+            date: transferForm.date,
+            note: transferForm.note.trim()
+        };
+
+        const result = await run(transfer.id, () => onSaveTransfer(transfer));
+        if (result?.error) {
+            setFormErrors(toFieldErrors(result));
+            return;
+        }
+        setView('list');
+    };
+
+    const handleToggleArchive = async (account) => {
+        const result = await run(account.id, () => onSaveAccount({ ...account, archived: !account.archived }));
+        if (result?.error) window.alert(result.error);
+    };
+
+    const handleDeleteAccount = async (account) => {
+        if (!window.confirm(t('accounts.confirmDeleteAccount', { name: account.name }))) return;
+
+        const result = await run(account.id, () => onDeleteAccount(account.id));
+        if (result?.error) window.alert(result.error);
+    };
+
+    const handleDeleteTransfer = async (transfer) => {
+        if (!window.confirm(t('accounts.confirmDeleteTransfer'))) return;
+
+        const result = await run(transfer.id, () => onDeleteTransfer(transfer.id));
+        if (result?.error) window.alert(result.error);
+    };
+
+    const renderFieldError = (field) => formErrors[field] && <small className="form-error">{formErrors[field]}</small>;
+
+    const titles = {
+        list: t('accounts.title'),
+        account: editingItem ? t('accounts.editAccount') : t('accounts.newAccount'),
+        transfer: editingItem ? t('accounts.editTransfer') : t('accounts.newTransfer')
+    };
+
+    // Archived accounts stay selectable when editing a transfer that uses them
+    const transferAccountOptions = sortedAccounts.filter(account => (
+        !account.archived || account.id === transferForm.fromAccountId || account.id === transferForm.toAccountId
+    ));
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="accounts-overlay"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                >
+                    <motion.div
+                        className="accounts-content"
+                        variants={modalVariants}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                    >
+                        <h2>{titles[view]}</h2>
+
+                        {view === 'list' && (
+                            <>
+                                <div className="accounts-body">
+                                    {sortedAccounts.length === 0 && (
+                                        <p className="accounts-empty">{t('accounts.empty')}</p>
+                                    )}
+
+                                    {sortedAccounts.map(account => (
+                                        <div key={account.id} className={`accounts-card ${account.archived ? 'archived' : ''}`}>
+                                            <div className="accounts-card-header">
+                                                <span className="accounts-icon">{getAccountIcon(account.type)}</span>
+                                                <div>
+                                                    <strong>{account.name}</strong>
+                                                    <span>
+                                                        {t(`accounts.types.${account.type}`)}
+                                                        {hasStatementCycle(account) && ` · ${t('accounts.cycleLine', { closing: account.closingDay, due: account.dueDay })}`}
+                                                        {account.archived && ` · ${t('accounts.archived')}`}
+                                                    </span>
+                                                </div>
+                                                <span className={`accounts-balance ${(balances.get(account.id) || 0) < 0 ? 'negative' : ''}`}>
+                                                    {formatCurrency(balances.get(account.id) || 0)}
+                                                </span>
+                                            </div>
+                                            <div className="accounts-card-actions">
+                                                <button type="button" onClick={() => openAccountForm(account)} disabled={busyId === account.id}>{t('common.edit')}</button>
+                                                <button type="button" onClick={() => handleToggleArchive(account)} disabled={busyId === account.id}>
+                                                    {account.archived ? t('accounts.unarchive') : t('accounts.archive')}
+                                                </button>
+                                                <button type="button" className="danger" onClick={() => handleDeleteAccount(account)} disabled={busyId === account.id}>{t('common.delete')}</button>
+                                            </div>
+                                        </div>
+                                    ))}
+
+                                    {activeAccounts.length > 0 && (
+                                        <div className="accounts-total">
+                                            <span>{t('accounts.total')}</span>
+                                            <strong>{formatCurrency(total)}</strong>
+                                        </div>
+                                    )}
+
+                                    <button type="button" className="accounts-new-btn" onClick={() => openAccountForm()}>
+                                        + {t('accounts.addAccount')}
+                                    </button>
+
+                                    <h3>{t('accounts.transfers')}</h3>
+                                    {activeAccounts.length < 2 ? (
+                                        <p className="accounts-empty">{t('accounts.needTwoAccounts')}</p>
+                                    ) : (
+                                        <button type="button" className="accounts-new-btn" onClick={() => openTransferForm()}>
+                                            ⇄ {t('accounts.addTransfer')}
+                                        </button>
+                                    )}
+
+                                    {sortedTransfers.length === 0 && activeAccounts.length >= 2 && (
+                                        <p className="accounts-empty">{t('accounts.noTransfers')}</p>
+                                    )}
+
+                                    {sortedTransfers.map(transfer => (
+                                        <div key={transfer.id} className="accounts-card">
+                                            <div className="accounts-card-header">
+                                                <span className="accounts-icon">⇄</span>
+                                                <div>
+                                                    <strong>
+                                                        {t('accounts.transferLine', {
+                                                            from: accountNames.get(transfer.fromAccountId) || '?',
+                                                            to: accountNames.get(transfer.toAccountId) || '?'
+                                                        })}
+                                                    </strong>
+                                                    <span>
+                                                        {formatDate(transfer.date)}
+                                                        {transfer.note && ` · ${transfer.note}`}
+                                                    </span>
+                                                </div>
+                                                <span className="accounts-balance">{formatCurrency(transfer.amount)}</span>
+                                            </div>
+                                            <div className="accounts-card-actions">
+                                                <button type="button" onClick={() => openTransferForm(transfer)} disabled={busyId === transfer.id}>{t('common.edit')}</button>
+                                                <button type="button" className="danger" onClick={() => handleDeleteTransfer(transfer)} disabled={busyId === transfer.id}>{t('common.delete')}</button>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={onClose}>{t('common.close')}</button>
+                                </div>
+                            </>
+                        )}
+
+                        {view === 'account' && (
+                            <form className="accounts-body" onSubmit={handleAccountSubmit}>
+                                <div className="form-group">
+                                    <label>{t('accounts.name')}</label>
+                                    <input
+                                        type="text"
+                                        value={accountForm.name}
+                                        onChange={(e) => updateAccountForm('name', e.target.value)}
+                                        placeholder={t('accounts.namePlaceholder')}
+                                        autoFocus
+                                        required
+                                    />
+                                    {renderFieldError('name')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('accounts.type')}</label>
+                                    <select value={accountForm.type} onChange={(e) => updateAccountForm('type', e.target.value)}>
+                                        {ACCOUNT_TYPES.map(option => (
+                                            <option key={option.id} value={option.id} style={{ color: 'black' }}>
+                                                {option.icon} {t(`accounts.types.${option.id}`)}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    {renderFieldError('type')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('accounts.openingBalance', { currency: getBaseCurrency() })}</label>
+                                    <input
+                                        type="number"
+                                        value={accountForm.openingBalance}
+                                        onChange={(e) => updateAccountForm('openingBalance', e.target.value)}
+                                        placeholder="0.00"
+                                        step="0.01"
+                                    />
+                                    <small className="accounts-hint">{t('accounts.openingBalanceHint')}</small>
+                                    {renderFieldError('openingBalance')}
+                                </div>
+
+                                {accountForm.type === 'credit-card' && (
+                                    <div className="form-group">
+                                        <div className="accounts-cycle-inputs">
+                                            <label>
+                                                {t('accounts.closingDay')}
+                                                <input
+                                                    type="number"
+                                                    value={accountForm.closingDay}
+                                                    onChange={(e) => updateAccountForm('closingDay', e.target.value)}
+                                                    min="1"
+                                                    max="31"
+                                                    step="1"
+                                                />
+                                            </label>
+                                            <label>
+                                                {t('accounts.dueDay')}
+                                                <input
+                                                    type="number"
+                                                    value={accountForm.dueDay}
+                                                    onChange={(e) => updateAccountForm('dueDay', e.target.value)}
+                                                    min="1"
+                                                    max="31"
+                                                    step="1"
+                                                />
+                                            </label>
+                                        </div>
+                                        <small className="accounts-hint">{t('accounts.cycleHint')}</small>
+                                        {renderFieldError('closingDay')}
+                                        {renderFieldError('dueDay')}
+                                    </div>
+                                )}
+
+                                {renderFieldError('form')}
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={() => setView('list')}>{t('common.back')}</button>
+                                    <button type="submit" className="btn-save" disabled={busyId !== null}>
+                                        {editingItem ? t('common.saveChanges') : t('common.save')}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+
+                        {view === 'transfer' && (
+                            <form className="accounts-body" onSubmit={handleTransferSubmit}>
+                                <div className="form-group">
+                                    <label>{t('accounts.from')}</label>
+                                    <select value={transferForm.fromAccountId} onChange={(e) => updateTransferForm('fromAccountId', e.target.value)} required>
+                                        {transferAccountOptions.map(account => (
+                                            <option key={account.id} value={account.id} style={{ color: 'black' }}>
+                                                {getAccountIcon(account.type)} {account.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    {renderFieldError('fromAccountId')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('accounts.to')}</label>
+                                    <select value={transferForm.toAccountId} onChange={(e) => updateTransferForm('toAccountId', e.target.value)} required>
+                                        {transferAccountOptions.map(account => (
+                                            <option key={account.id} value={account.id} style={{ color: 'black' }}>
+                                                {getAccountIcon(account.type)} {account.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    {renderFieldError('toAccountId')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('accounts.amount', { currency: getBaseCurrency() })}</label>
+                                    <input
+                                        type="number"
+                                        value={transferForm.amount}
+                                        onChange={(e) => updateTransferForm('amount', e.target.value)}
+                                        placeholder="0.00"
+                                        step="0.01"
+                                        min="0"
+                                        required
+                                    />
+                                    {renderFieldError('amount')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('accounts.date')}</label>
+                                    <input
+                                        type="date"
+                                        value={transferForm.date}
+                                        onChange={(e) => updateTransferForm('date', e.target.value)}
+                                        required
+                                    />
+                                    {renderFieldError('date')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('accounts.note')}</label>
+                                    <input
+                                        type="text"
+                                        value={transferForm.note}
+                                        onChange={(e) => updateTransferForm('note', e.target.value)}
+                                        placeholder={t('accounts.notePlaceholder')}
+                                    />
+                                    {renderFieldError('note')}
+                                </div>
+
+                                {renderFieldError('form')}
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={() => setView('list')}>{t('common.back')}</button>
+                                    <button type="submit" className="btn-save" disabled={busyId !== null}>
+                                        {editingItem ? t('common.saveChanges') : t('common.save')}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default AccountsModal;
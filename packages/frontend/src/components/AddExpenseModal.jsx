@@ -1,7 +1,15 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { v4 as uuidv4 } from 'uuid';
-import { getFinancialInfo, getMonthQuarters, REFUNDS_CATEGORY_NAME, isRefundsCategory } from '../lib/utils';
+import { formatCurrency, formatDate, getBaseCurrency, getCategoryLabel, getFinancialInfo, getMonthQuarters, REFUNDS_CATEGORY_NAME, isRefundsCategory } from '../lib/utils';
+import { CURRENCIES, findExchangeRate, roundMoney } from '../lib/currency';
+import { useI18n } from '../lib/i18n';
+import { getAccountIcon, sortAccounts } from '../lib/accounts';
+import { MAX_INSTALLMENTS, getInstallmentDates, splitInstallmentAmounts } from '../lib/installments';
+import { MAX_TAGS, formatTag, normalizeTag, parseTags } from '../lib/tags';
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENT_SIZE, formatFileSize, getAttachmentProblem } from '../lib/attachments';
+import { findMatchingRule, suggestRuleFromEdit } from '../lib/categoryRules';
+import { api } from '../lib/api';
 import '../styles/AddExpenseModal.css';
 
 const modalVariants = {
@@ -12,37 +20,94 @@ const modalVariants = {
 
 const getInitialFormState = (expense = null) => ({
     name: expense?.name || '',
-    amount: expense?.amount != null ? String(expense.amount) : '',
+    // Foreign-currency transactions are edited in the currency they were paid in
+    amount: expense?.originalCurrency
+        ? String(expense.originalAmount)
+        : expense?.amount != null ? String(expense.amount) : '',
+    currency: expense?.originalCurrency || getBaseCurrency(),
+    exchangeRate: expense?.originalCurrency ? String(expense.exchangeRate) : '',
     date: expense?.date || new Date().toISOString().slice(0, 10),
     type: expense?.type || 'expense',
     category: expense?.category || '',
-    refundTargetCategory: expense?.refundTargetCategory || ''
+    refundTargetCategory: expense?.refundTargetCategory || '',
+    accountId: expense?.accountId || '',
+    tags: expense?.tags || [],
+    notes: expense?.notes || '',
+    attachment: expense?.attachment || null
 });
 
-const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], initialExpense = null }) => {
+const FORM_FIELDS = ['name', 'amount', 'date', 'type', 'category', 'refundTargetCategory', 'originalCurrency', 'exchangeRate', 'accountId', 'installmentGroupId', 'installmentNumber', 'installmentCount', 'tags', 'notes', 'attachment'];
+
+// Server errors are keyed by path ("expense.amount", "amount"); the form
+// only cares about the last segment.
+const toFormErrors = (result) => {
+    const errors = {};
+    Object.entries(result.fields || {}).forEach(([path, message]) => {
+        const field = path.split('.').pop().replace(/\[\d+\]$/, '');
+        errors[FORM_FIELDS.includes(field) ? field : 'form'] = `${field} ${message}`;
+    });
+    if (Object.keys(errors).length === 0) errors.form = result.error;
+    return errors;
+};
+
+const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], exchangeRates = [], accounts = [], tagSuggestions = [], categoryRules = [], onCreateRule, initialExpense = null }) => {
+    const { t } = useI18n();
     const isEditing = Boolean(initialExpense);
     const initialFormState = getInitialFormState(initialExpense);
+    const initialTagsKey = initialFormState.tags.join(' ');
+    const initialAttachmentId = initialFormState.attachment?.id || '';
     const [name, setName] = useState('');
     const [amount, setAmount] = useState('');
+    const [currency, setCurrency] = useState(() => getBaseCurrency());
+    const [exchangeRate, setExchangeRate] = useState('');
     const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
     const [type, setType] = useState('expense'); // 'expense' | 'credit'
     const [category, setCategory] = useState('');
     const [isSplit, setIsSplit] = useState(false);
     const [installments, setInstallments] = useState(2);
+    const [isInstallmentPurchase, setIsInstallmentPurchase] = useState(false);
+    const [installmentCount, setInstallmentCount] = useState(2);
     const [refundTargetCategory, setRefundTargetCategory] = useState('');
+    const [accountId, setAccountId] = useState('');
+    const [tags, setTags] = useState([]);
+    const [tagInput, setTagInput] = useState('');
+    const [notes, setNotes] = useState('');
+    // Saved receipt metadata, and a newly picked file that is uploaded on save
+    const [attachment, setAttachment] = useState(null);
+    const [receiptFile, setReceiptFile] = useState(null);
+    // A category picked by hand is never overridden by a rule
+    const [categoryTouched, setCategoryTouched] = useState(false);
+    const [learnRule, setLearnRule] = useState(true);
+    const [serverErrors, setServerErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
 
     React.useEffect(() => {
         if (!isOpen) return;
 
+        setServerErrors({});
+        setIsSaving(false);
+
         setName(initialFormState.name);
         setAmount(initialFormState.amount);
+        setCurrency(initialFormState.currency);
+        setExchangeRate(initialFormState.exchangeRate);
         setDate(initialFormState.date);
         setType(initialFormState.type);
         setCategory(initialFormState.category);
+        setCategoryTouched(false);
+        setLearnRule(true);
         setRefundTargetCategory(initialFormState.refundTargetCategory);
+        setAccountId(initialFormState.accountId);
+        setTags(initialTagsKey ? initialTagsKey.split(' ') : []);
+        setTagInput('');
+        setNotes(initialFormState.notes);
+        setAttachment(initialFormState.attachment);
+        setReceiptFile(null);
         setIsSplit(false);
         setInstallments(2);
-    }, [isOpen, initialFormState.amount, initialFormState.category, initialFormState.date, initialFormState.name, initialFormState.refundTargetCategory, initialFormState.type]);
+        setIsInstallmentPurchase(false);
+        setInstallmentCount(2);
+    }, [isOpen, initialFormState.accountId, initialFormState.amount, initialFormState.category, initialFormState.currency, initialFormState.date, initialFormState.exchangeRate, initialFormState.name, initialFormState.notes, initialFormState.refundTargetCategory, initialFormState.type, initialTagsKey, initialAttachmentId]);
 
     const refundTargetOptions = React.useMemo(() => {
         const seen = new Set();
@@ -107,47 +172,205 @@ const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], init
         }
     }, [category, refundTargetOptions, refundTargetCategory]);
 
-    const handleSubmit = (e) => {
+    // Archived accounts are hidden unless the transaction already uses one
+    const accountOptions = sortAccounts(accounts).filter(account => !account.archived || account.id === accountId);
+    const selectedAccount = accounts.find(account => account.id === accountId) || null;
+
+    // Monthly installments follow the selected card's statement cycle when it has one
+    const parsedPreviewAmount = parseFloat(amount);
+    const installmentPreview = isInstallmentPurchase && parsedPreviewAmount > 0 && date
+        ? {
+            amount: splitInstallmentAmounts(parsedPreviewAmount, installmentCount)[0],
+            firstDate: getInstallmentDates(date, installmentCount, selectedAccount)[0]
+        }
+        : null;
+
+    const baseCurrency = getBaseCurrency();
+    const isForeign = currency !== baseCurrency;
+    const currencyOptions = [...new Set([baseCurrency, ...CURRENCIES, currency])];
+
+    // Rules compare amounts in the base currency
+    const ruleAmount = isForeign ? parsedPreviewAmount * parseFloat(exchangeRate) : parsedPreviewAmount;
+    const matchedRule = !isEditing && name.trim()
+        ? findMatchingRule(categoryRules, { name, amount: ruleAmount, accountId })
+        : null;
+    const matchedRuleCategory = matchedRule?.category && categories.includes(matchedRule.category) ? matchedRule.category : '';
+
+    const isRuleCategory = Boolean(matchedRuleCategory) && matchedRuleCategory === category;
+
+    React.useEffect(() => {
+        if (!isEditing && !categoryTouched) setCategory(matchedRuleCategory);
+    }, [isEditing, categoryTouched, matchedRuleCategory]);
+
+    // "Learn from my edits": offered when an edit recategorizes the transaction
+    const ruleProposal = isEditing
+        ? suggestRuleFromEdit(initialExpense, { name, amount: ruleAmount, accountId, category }, categoryRules)
+        : null;
+
+    // Suggest the stored rate for the currency and date; the user may override it
+    const suggestExchangeRate = (nextCurrency, nextDate) => {
+        const rate = findExchangeRate(exchangeRates, nextCurrency, baseCurrency, nextDate);
+        setExchangeRate(rate && nextCurrency !== baseCurrency ? String(Number(rate.toFixed(6))) : '');
+    };
+
+    const handleCurrencyChange = (nextCurrency) => {
+        setCurrency(nextCurrency);
+        suggestExchangeRate(nextCurrency, date);
+    };
+
+    // Tags are committed on Enter, comma or space; whatever is still typed counts on save
+    const addTags = (input) => {
+        setTags(prev => parseTags([...prev, input].join(' ')).slice(0, MAX_TAGS));
+        setTagInput('');
+    };
+
+    const handleTagKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',' || e.key === ' ') {
+            e.preventDefault();
+            if (tagInput.trim()) addTags(tagInput);
+        } else if (e.key === 'Backspace' && !tagInput && tags.length > 0) {
+            setTags(prev => prev.slice(0, -1));
+        }
+    };
+
+    const typedTag = normalizeTag(tagInput);
+    const visibleTagSuggestions = tagSuggestions
+        .filter(tag => !tags.includes(tag) && (!typedTag || tag.startsWith(typedTag)))
+        .slice(0, 6);
+
+    const handleDateChange = (nextDate) => {
+        setDate(nextDate);
+        if (isForeign) suggestExchangeRate(currency, nextDate);
+    };
+
+    const handleReceiptChange = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const problem = getAttachmentProblem(file);
+        if (problem) {
+            setServerErrors(prev => ({
+                ...prev,
+                attachment: problem === 'size'
+                    ? t('addExpense.receiptTooLarge', { size: formatFileSize(MAX_ATTACHMENT_SIZE) })
+                    : t('addExpense.receiptType')
+            }));
+            return;
+        }
+
+        setServerErrors(prev => ({ ...prev, attachment: undefined }));
+        setReceiptFile(file);
+    };
+
+    const handleRemoveReceipt = () => {
+        setReceiptFile(null);
+        setAttachment(null);
+    };
+
+    // Uploads a newly picked receipt first. Resolves to the attachment to
+    // store (or null), or undefined when the upload failed.
+    const uploadReceipt = async () => {
+        if (!receiptFile) return attachment;
+
+        setIsSaving(true);
+        const result = await api.uploadAttachment(receiptFile);
+        setIsSaving(false);
+
+        if (!result.attachment) {
+            const [path, message] = Object.entries(result.fields || {})[0] || [];
+            setServerErrors({ attachment: path ? `${path} ${message}` : result.error });
+            return undefined;
+        }
+
+        // Kept so a save the server rejects does not upload the file again
+        setAttachment(result.attachment);
+        setReceiptFile(null);
+        return result.attachment;
+    };
+
+    // onAdd/onSave resolve to { error, fields } when the server rejects the data
+    const submit = async (send) => {
+        setIsSaving(true);
+        const result = await send();
+        setIsSaving(false);
+
+        if (result?.fields) {
+            setServerErrors(toFormErrors(result));
+            return false;
+        }
+        setServerErrors({});
+        return true;
+    };
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
         if (!name || !amount || !category) return;
 
         const parsedAmount = parseFloat(amount);
         if (Number.isNaN(parsedAmount)) return;
 
+        const parsedRate = parseFloat(exchangeRate);
+        if (isForeign && !(parsedRate > 0)) return;
+
+        // Amounts are stored in the base currency; foreign ones also keep what was paid
+        const toAmounts = (value) => (isForeign
+            ? { amount: roundMoney(value * parsedRate), originalCurrency: currency, originalAmount: roundMoney(value), exchangeRate: parsedRate }
+            : { amount: value });
+
+        if (category === REFUNDS_CATEGORY_NAME && (!refundTargetOptions.length || !refundTargetCategory)) return;
+
+        const receipt = await uploadReceipt();
+        if (receipt === undefined) return;
+
+        const finalTags = parseTags([...tags, tagInput, ...(matchedRule?.tags || [])].join(' ')).slice(0, MAX_TAGS);
+        const finalNotes = notes.trim();
+        // New transactions only carry tags, notes and a receipt when there are some
+        const annotations = {
+            ...(finalTags.length > 0 ? { tags: finalTags } : {}),
+            ...(finalNotes ? { notes: finalNotes } : {}),
+            ...(receipt ? { attachment: receipt } : {})
+        };
+
         if (isEditing) {
             const updatedExpense = {
                 ...initialExpense,
                 name: name.trim(),
-                amount: parsedAmount,
+                // null clears the original amount when switching back to the base currency
+                ...(initialExpense.originalCurrency ? { originalCurrency: null, originalAmount: null, exchangeRate: null } : {}),
+                ...toAmounts(parsedAmount),
                 date,
                 type,
                 category,
-                refundTargetCategory: category === REFUNDS_CATEGORY_NAME ? refundTargetCategory : ''
+                refundTargetCategory: category === REFUNDS_CATEGORY_NAME ? refundTargetCategory : '',
+                accountId: accountId || null,
+                tags: finalTags,
+                notes: finalNotes || null,
+                attachment: receipt
             };
 
-            if (category === REFUNDS_CATEGORY_NAME && (!refundTargetOptions.length || !refundTargetCategory)) {
-                return;
-            }
+            if (!await submit(() => onSave?.(updatedExpense))) return;
 
-            onSave?.(updatedExpense);
+            if (ruleProposal && learnRule) onCreateRule?.({ id: uuidv4(), ...ruleProposal });
             onClose();
             return;
         }
 
+        let expenseOrExpenses;
         if (category === REFUNDS_CATEGORY_NAME) {
-            if (refundTargetOptions.length === 0 || !refundTargetCategory) return;
-
-            const baseName = name.trim() || 'Refund';
+            const baseName = name.trim() || t('addExpense.refund');
             const refundEntry = {
                 id: uuidv4(),
                 name: baseName,
-                amount: parsedAmount,
+                ...toAmounts(parsedAmount),
                 date,
                 type: 'credit',
                 category: REFUNDS_CATEGORY_NAME,
-                refundTargetCategory
+                refundTargetCategory,
+                ...(accountId ? { accountId } : {}),
+                ...annotations
             };
-            onAdd(refundEntry);
+            expenseOrExpenses = refundEntry;
         } else if (isSplit && type === 'expense' && installments > 1) {
             const expensesToAdd = [];
             const splitAmount = parsedAmount / installments;
@@ -160,34 +383,66 @@ const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], init
                 expensesToAdd.push({
                     id: uuidv4(),
                     name: `${name} (${i + 1}/${installments})`,
-                    amount: splitAmount,
+                    ...toAmounts(splitAmount),
                     date: installmentDate.toISOString().slice(0, 10),
                     type,
-                    category
+                    category,
+                    ...(accountId ? { accountId } : {}),
+                    ...annotations
                 });
             }
-            onAdd(expensesToAdd);
+            expenseOrExpenses = expensesToAdd;
+        } else if (isInstallmentPurchase && type === 'expense' && installmentCount > 1) {
+            const installmentGroupId = uuidv4();
+            const dates = getInstallmentDates(date, installmentCount, selectedAccount);
+
+            expenseOrExpenses = splitInstallmentAmounts(parsedAmount, installmentCount).map((part, index) => ({
+                id: uuidv4(),
+                name: `${name.trim()} (${index + 1}/${installmentCount})`,
+                ...toAmounts(part),
+                date: dates[index],
+                type,
+                category,
+                ...(accountId ? { accountId } : {}),
+                ...annotations,
+                installmentGroupId,
+                installmentNumber: index + 1,
+                installmentCount
+            }));
         } else {
-            onAdd({
+            expenseOrExpenses = {
                 id: uuidv4(),
                 name: name.trim(),
-                amount: parsedAmount,
+                ...toAmounts(parsedAmount),
                 date,
                 type,
-                category
-            });
+                category,
+                ...(accountId ? { accountId } : {}),
+                ...annotations
+            };
         }
 
+        if (!await submit(() => onAdd(expenseOrExpenses))) return;
+
         setName('');
         setAmount('');
+        setCurrency(baseCurrency);
+        setExchangeRate('');
         setType('expense');
         setCategory('');
+        setCategoryTouched(false);
         setRefundTargetCategory('');
+        setAccountId('');
+        setTags([]);
+        setTagInput('');
+        setNotes('');
+        setAttachment(null);
         setIsSplit(false);
+        setIsInstallmentPurchase(false);
         onClose();
     };
 
-    const disableSave = !category || (category === REFUNDS_CATEGORY_NAME && refundTargetOptions.length === 0);
+    const disableSave = isSaving || !category || (category === REFUNDS_CATEGORY_NAME && refundTargetOptions.length === 0);
 
     return (
         <AnimatePresence>
@@ -205,7 +460,7 @@ const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], init
                         animate="visible"
                         exit="exit"
                     >
-                        <h2>{isEditing ? 'Edit Transaction' : 'Add Transaction'}</h2>
+                        <h2>{isEditing ? t('addExpense.editTitle') : t('addExpense.addTitle')}</h2>
                         <form onSubmit={handleSubmit}>
                             {/* Type Toggle */}
                             <div className="type-toggle-container">
@@ -215,27 +470,28 @@ const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], init
                                     onClick={() => setType('expense')}
                                     disabled={isEditing && category === REFUNDS_CATEGORY_NAME}
                                 >
-                                    Expense
+                                    {t('common.expense')}
                                 </button>
                                 <button
                                     type="button"
                                     className={`type-btn credit ${type === 'credit' ? 'active' : ''}`}
                                     onClick={() => setType('credit')}
                                 >
-                                    Credit
+                                    {t('common.credit')}
                                 </button>
                             </div>
 
                             <div className="form-group">
-                                <label>Description</label>
+                                <label>{t('addExpense.description')}</label>
                                 <input
                                     type="text"
                                     value={name}
                                     onChange={(e) => setName(e.target.value)}
-                                    placeholder="e.g. Lightsaber Fuel"
+                                    placeholder={t('addExpense.descriptionPlaceholder')}
                                     autoFocus
                                     required
                                 />
+                                {serverErrors.name && <small className="form-error">{serverErrors.name}</small>}
                             </div>
 
                             {type === 'expense' && !isEditing && (
@@ -250,19 +506,20 @@ const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], init
                                                 const checked = e.target.checked;
                                                 setIsSplit(checked);
                                                 if (checked) {
+                                                    setIsInstallmentPurchase(false);
                                                     const remaining = getRemainingQuarters().length;
                                                     setInstallments(remaining > 0 ? remaining : 1);
                                                 }
                                             }}
                                         />
                                         <label htmlFor="split-expense" className="split-label">
-                                            Split expense
+                                            {t('addExpense.split')}
                                         </label>
                                     </div>
 
                                     {isSplit && (
                                         <div className="split-controls">
-                                            <span>Over</span>
+                                            <span>{t('addExpense.splitOver')}</span>
                                             <select
                                                 value={installments}
                                                 onChange={e => setInstallments(parseInt(e.target.value))}
@@ -273,52 +530,148 @@ const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], init
                                                     ))
                                                 }
                                             </select>
-                                            <span>weeks</span>
+                                            <span>{t('addExpense.splitWeeks')}</span>
                                         </div>
                                     )}
+
+                                    <div className="split-checkbox-wrapper">
+                                        <input
+                                            type="checkbox"
+                                            id="installment-expense"
+                                            className="split-checkbox"
+                                            checked={isInstallmentPurchase}
+                                            onChange={(e) => {
+                                                setIsInstallmentPurchase(e.target.checked);
+                                                if (e.target.checked) setIsSplit(false);
+                                            }}
+                                        />
+                                        <label htmlFor="installment-expense" className="split-label">
+                                            {t('addExpense.installments')}
+                                        </label>
+                                    </div>
+
+                                    {isInstallmentPurchase && (
+                                        <>
+                                            <div className="split-controls">
+                                                <select
+                                                    value={installmentCount}
+                                                    onChange={e => setInstallmentCount(parseInt(e.target.value, 10))}
+                                                >
+                                                    {Array.from({ length: MAX_INSTALLMENTS - 1 }, (_, i) => i + 2)
+                                                        .map(num => (
+                                                            <option key={num} value={num}>{num}x</option>
+                                                        ))
+                                                    }
+                                                </select>
+                                                <span>{t('addExpense.installmentsMonthly')}</span>
+                                            </div>
+                                            {installmentPreview && (
+                                                <small className="installment-preview">
+                                                    {t('addExpense.installmentsPreview', {
+                                                        count: installmentCount,
+                                                        amount: formatCurrency(installmentPreview.amount, currency),
+                                                        date: formatDate(installmentPreview.firstDate)
+                                                    })}
+                                                </small>
+                                            )}
+                                        </>
+                                    )}
                                 </div>
                             )}
 
                             <div className="form-group">
-                                <label>Amount (AED)</label>
-                                <input
-                                    type="number"
-                                    value={amount}
-                                    onChange={(e) => setAmount(e.target.value)}
-                                    placeholder="0.00"
-                                    step="0.01"
-                                    required
-                                />
+                                <label>{t('addExpense.amount', { currency })}</label>
+                                <div className="amount-currency-row">
+                                    <input
+                                        type="number"
+                                        value={amount}
+                                        onChange={(e) => setAmount(e.target.value)}
+                                        placeholder="0.00"
+                                        step="0.01"
+                                        required
+                                    />
+                                    <select value={currency} onChange={(e) => handleCurrencyChange(e.target.value)} aria-label={t('addExpense.currency')}>
+                                        {currencyOptions.map(code => (
+                                            <option key={code} value={code} style={{ color: 'black' }}>{code}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {serverErrors.amount && <small className="form-error">{serverErrors.amount}</small>}
+                                {serverErrors.originalCurrency && <small className="form-error">{serverErrors.originalCurrency}</small>}
                             </div>
 
+                            {isForeign && (
+                                <div className="form-group">
+                                    <label>1 {currency} = ? {baseCurrency}</label>
+                                    <input
+                                        type="number"
+                                        value={exchangeRate}
+                                        onChange={(e) => setExchangeRate(e.target.value)}
+                                        placeholder={t('addExpense.exchangeRate')}
+                                        step="any"
+                                        min="0"
+                                        required
+                                    />
+                                    {!exchangeRate && <small className="form-error">{t('addExpense.noStoredRate')}</small>}
+                                    {parseFloat(amount) > 0 && parseFloat(exchangeRate) > 0 && (
+                                        <small className="amount-conversion">= {formatCurrency(roundMoney(parseFloat(amount) * parseFloat(exchangeRate)))}</small>
+                                    )}
+                                    {serverErrors.exchangeRate && <small className="form-error">{serverErrors.exchangeRate}</small>}
+                                </div>
+                            )}
+
                             <div className="form-group">
-                                <label>Category</label>
+                                <label>{t('addExpense.category')}</label>
                                 <select
                                     value={category}
-                                    onChange={(e) => setCategory(e.target.value)}
+                                    onChange={(e) => {
+                                        setCategory(e.target.value);
+                                        setCategoryTouched(true);
+                                    }}
                                     required
                                 >
-                                    <option value="" disabled>Select Category</option>
+                                    <option value="" disabled>{t('addExpense.selectCategory')}</option>
                                     {categories.map((cat, index) => (
                                         <option key={index} value={cat} style={{ color: 'black' }}>
-                                            {cat}
+                                            {getCategoryLabel(cat)}
                                         </option>
                                     ))}
-                                    <option value="Uncategorized" style={{ color: 'black' }}>Uncategorized</option>
+                                    <option value="Uncategorized" style={{ color: 'black' }}>{t('common.uncategorized')}</option>
                                 </select>
-                                {!category && <small className="form-error">Select a category before saving.</small>}
+                                {!category && <small className="form-error">{t('addExpense.categoryRequired')}</small>}
+                                {matchedRule && (isRuleCategory || matchedRule.tags?.length > 0) && (
+                                    <small className="rule-hint">
+                                        {isRuleCategory ? t('addExpense.ruleApplied') : t('addExpense.ruleTagsOnly')}
+                                        {matchedRule.tags?.length > 0 && ` ${matchedRule.tags.map(formatTag).join(' ')}`}
+                                    </small>
+                                )}
+                                {ruleProposal && (
+                                    <div className="split-checkbox-wrapper">
+                                        <input
+                                            type="checkbox"
+                                            id="learn-rule"
+                                            className="split-checkbox"
+                                            checked={learnRule}
+                                            onChange={(e) => setLearnRule(e.target.checked)}
+                                        />
+                                        <label htmlFor="learn-rule" className="split-label">
+                                            {t('addExpense.learnRule', { pattern: ruleProposal.pattern, category: getCategoryLabel(ruleProposal.category) })}
+                                        </label>
+                                    </div>
+                                )}
+                                {serverErrors.category && <small className="form-error">{serverErrors.category}</small>}
                             </div>
 
                             {type === 'credit' && category === REFUNDS_CATEGORY_NAME && (
                                 <div className="form-group">
-                                    <label>Apply credit to</label>
+                                    <label>{t('addExpense.applyCreditTo')}</label>
                                     <select
                                         value={refundTargetCategory}
                                         onChange={(e) => setRefundTargetCategory(e.target.value)}
                                         disabled={refundTargetOptions.length === 0}
                                     >
                                         <option value="" disabled>
-                                            {refundTargetOptions.length === 0 ? 'No categories available yet' : 'Select target category'}
+                                            {refundTargetOptions.length === 0 ? t('addExpense.noTargets') : t('addExpense.selectTarget')}
                                         </option>
                                         {refundTargetOptions.map((target) => (
                                             <option key={target} value={target} style={{ color: 'black' }}>
@@ -328,24 +681,117 @@ const AddExpenseModal = ({ isOpen, onClose, onAdd, onSave, categories = [], init
                                     </select>
                                     <small style={{ display: 'block', marginTop: '4px', color: refundTargetOptions.length === 0 ? '#f87171' : '#4ade80' }}>
                                         {refundTargetOptions.length === 0
-                                            ? 'Create a budget category before logging refunds.'
-                                            : 'Adds a credit to the selected category plus tracks the refund under Refunds.'}
+                                            ? t('addExpense.noTargetsHint')
+                                            : t('addExpense.refundHint')}
                                     </small>
                                 </div>
                             )}
 
+                            {accountOptions.length > 0 && (
+                                <div className="form-group">
+                                    <label>{t('accounts.account')}</label>
+                                    <select value={accountId} onChange={(e) => setAccountId(e.target.value)}>
+                                        <option value="" style={{ color: 'black' }}>{t('accounts.noAccount')}</option>
+                                        {accountOptions.map(account => (
+                                            <option key={account.id} value={account.id} style={{ color: 'black' }}>
+                                                {getAccountIcon(account.type)} {account.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    {serverErrors.accountId && <small className="form-error">{serverErrors.accountId}</small>}
+                                </div>
+                            )}
+
                             <div className="form-group">
-                                <label>Date</label>
+                                <label>{t('addExpense.date')}</label>
                                 <input
                                     type="date"
                                     value={date}
-                                    onChange={(e) => setDate(e.target.value)}
+                                    onChange={(e) => handleDateChange(e.target.value)}
                                 />
+                                {serverErrors.date && <small className="form-error">{serverErrors.date}</small>}
                             </div>
 
+                            <div className="form-group">
+                                <label>{t('addExpense.tags')}</label>
+                                <div className="tag-input">
+                                    {tags.map(tag => (
+                                        <span key={tag} className="tag-chip">
+                                            {formatTag(tag)}
+                                            <button
+                                                type="button"
+                                                onClick={() => setTags(prev => prev.filter(item => item !== tag))}
+                                                aria-label={t('addExpense.removeTag', { tag: formatTag(tag) })}
+                                            >
+                                                ×
+                                            </button>
+                                        </span>
+                                    ))}
+                                    <input
+                                        type="text"
+                                        value={tagInput}
+                                        onChange={(e) => setTagInput(e.target.value)}
+                                        onKeyDown={handleTagKeyDown}
+                                        onBlur={() => tagInput.trim() && addTags(tagInput)}
+                                        placeholder={tags.length === 0 ? t('addExpense.tagsPlaceholder') : ''}
+                                        disabled={tags.length >= MAX_TAGS}
+                                    />
+                                </div>
+                                {visibleTagSuggestions.length > 0 && (
+                                    <div className="tag-suggestions">
+                                        {visibleTagSuggestions.map(tag => (
+                                            <button
+                                                key={tag}
+                                                type="button"
+                                                className="tag-chip suggestion"
+                                                // Keeps the input from committing its text on blur first
+                                                onMouseDown={(e) => e.preventDefault()}
+                                                onClick={() => addTags(tag)}
+                                            >
+                                                {formatTag(tag)}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                                {serverErrors.tags && <small className="form-error">{serverErrors.tags}</small>}
+                            </div>
+
+                            <div className="form-group">
+                                <label>{t('addExpense.notes')}</label>
+                                <textarea
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    placeholder={t('addExpense.notesPlaceholder')}
+                                    rows={2}
+                                    maxLength={2000}
+                                />
+                                {serverErrors.notes && <small className="form-error">{serverErrors.notes}</small>}
+                            </div>
+
+                            <div className="form-group">
+                                <label>{t('addExpense.receipt')}</label>
+                                {receiptFile || attachment ? (
+                                    <div className="receipt-selected">
+                                        <span>📎 {(receiptFile || attachment).name} · {formatFileSize((receiptFile || attachment).size)}</span>
+                                        <button type="button" onClick={handleRemoveReceipt}>{t('addExpense.removeReceipt')}</button>
+                                    </div>
+                                ) : (
+                                    <label className="receipt-picker">
+                                        <input type="file" accept={ATTACHMENT_ACCEPT} onChange={handleReceiptChange} />
+                                        {t('addExpense.attachReceipt')}
+                                    </label>
+                                )}
+                                <small className="receipt-hint">{t('addExpense.receiptHint', { size: formatFileSize(MAX_ATTACHMENT_SIZE) })}</small>
+                                {serverErrors.attachment && <small className="form-error">{serverErrors.attachment}</small>}
+                            </div>
+
+                            {['type', 'refundTargetCategory', 'form'].filter(field => serverErrors[field]).map(field => (
+                                <small key={field} className="form-error">{serverErrors[field]}</small>
+                            ))}
+
                             <div className="modal-actions">
-                                <button type="button" className="btn-cancel" onClick={onClose}>Cancel</button>
-                                <button type="submit" className="btn-save" disabled={disableSave}>{isEditing ? 'Save Changes' : 'Save'}</button>
+                                <button type="button" className="btn-cancel" onClick={onClose}>{t('common.cancel')}</button>
+                                <button type="submit" className="btn-save" disabled={disableSave}>{isEditing ? t('common.saveChanges') : t('common.save')}</button>
                             </div>
                         </form>
                     </motion.div>
@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { api } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import { formatFileSize, isImageAttachment } from '../lib/attachments';
+import '../styles/Attachments.css';
+
+// Shows a decrypted receipt; it is fetched with the session token, so the
+// preview and download use an object URL rather than the API address.
+// Portaled to <body> because the week carousel transforms its cards.
+const AttachmentViewer = ({ attachment, onClose }) => {
+    const { t } = useI18n();
+    const [url, setUrl] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!attachment) return undefined;
+
+        let objectUrl = null;
+        let cancelled = false;
+        setUrl(null);
+        setError('');
+
+        api.getAttachment(attachment.id).then(result => {
+            if (cancelled) return;
+            if (result.error) {
+                setError(result.error);
+                return;
+            }
+            objectUrl = URL.createObjectURL(result.blob);
+            setUrl(objectUrl);
+        });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [attachment]);
+
+    return createPortal((
+        <AnimatePresence>
+            {attachment && (
+                <motion.div
+                    className="attachment-overlay"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={(e) => e.target === e.currentTarget && onClose()}
+                >
+                    <div className="attachment-content">
+                        <div className="attachment-header">
+                            <strong>{attachment.name}</strong>
+                            <span>{formatFileSize(attachment.size)}</span>
+                        </div>
+
+                        <div className="attachment-preview">
+                            {error && <p className="attachment-status">{error}</p>}
+                            {!error && !url && <p className="attachment-status">{t('attachments.loading')}</p>}
+                            {url && (isImageAttachment(attachment)
+                                ? <img src={url} alt={attachment.name} />
+                                : <iframe src={url} title={attachment.name} />)}
+                        </div>
+
+                        <div className="modal-actions">
+                            <button type="button" className="btn-cancel" onClick={onClose}>{t('common.close')}</button>
+                            {url && (
+                                <a className="btn-save" href={url} download={attachment.name}>{t('attachments.download')}</a>
+                            )}
+                        </div>
+                    </div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    ), document.body);
+};
+
+export default AttachmentViewer;
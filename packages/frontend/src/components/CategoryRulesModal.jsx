@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { v4 as uuidv4 } from 'uuid';
+import { useI18n } from '../lib/i18n';
+import { CATEGORY_RULE_MATCHES, ruleMatches } from '../lib/categoryRules';
+import { formatTag, parseTags } from '../lib/tags';
+import { formatCurrency, getBaseCurrency, getCategoryLabel, isRefundsCategory } from '../lib/utils';
+import '../styles/AddExpenseModal.css';
+import '../styles/CategoryRules.css';
+
+const modalVariants = {
+    hidden: { opacity: 0, scale: 0.8 },
+    visible: { opacity: 1, scale: 1, transition: { type: 'spring', damping: 25, stiffness: 500 } },
+    exit: { opacity: 0, scale: 0.8 }
+};
+
+const getInitialFormState = (rule = null) => ({
+    pattern: rule?.pattern || '',
+    matchType: rule?.matchType || 'contains',
+    minAmount: rule?.minAmount != null ? String(rule.minAmount) : '',
+    maxAmount: rule?.maxAmount != null ? String(rule.maxAmount) : '',
+    accountId: rule?.accountId || '',
+    category: rule?.category || '',
+    tags: (rule?.tags || []).map(formatTag).join(' ')
+});
+
+const parseAmount = (value) => {
+    const amount = parseFloat(value);
+    return Number.isNaN(amount) ? null : amount;
+};
+
+const formToRule = (form, id) => ({
+    id,
+    pattern: form.pattern.trim(),
+    matchType: form.matchType,
+    minAmount: parseAmount(form.minAmount),
+    maxAmount: parseAmount(form.maxAmount),
+    accountId: form.accountId || null,
+    category: form.category,
+    tags: parseTags(form.tags)
+});
+
+const isValidRegex = (pattern) => {
+    try {
+        new RegExp(pattern, 'iu');
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Rules are saved one at a time; onSaveRule resolves to the server result
+// ({ error, fields } when rejected). The list keeps the stored order, which
+// is the order rules are tried in.
+const CategoryRulesModal = ({ isOpen, onClose, rules = [], categories = [], accounts = [], weeks = [], onSaveRule, onDeleteRule }) => {
+    const { t } = useI18n();
+    const [view, setView] = useState('list'); // 'list' | 'form'
+    const [editingRule, setEditingRule] = useState(null);
+    const [form, setForm] = useState(() => getInitialFormState());
+    const [formErrors, setFormErrors] = useState({});
+    const [busyRuleId, setBusyRuleId] = useState(null);
+
+    React.useEffect(() => {
+        if (!isOpen) return;
+
+        setView('list');
+        setEditingRule(null);
+        setFormErrors({});
+    }, [isOpen]);
+
+    const openForm = (rule = null) => {
+        setEditingRule(rule);
+        setForm(getInitialFormState(rule));
+        setFormErrors({});
+        setView('form');
+    };
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const accountName = (accountId) => accounts.find(account => account.id === accountId)?.name || t('categoryRules.unknownAccount');
+
+    const describeConditions = (rule) => [
+        rule.pattern && (rule.matchType === 'regex'
+            ? t('categoryRules.describe.regex', { pattern: rule.pattern })
+            : t('categoryRules.describe.contains', { pattern: rule.pattern })),
+        rule.minAmount != null && t('categoryRules.describe.minAmount', { amount: formatCurrency(rule.minAmount) }),
+        rule.maxAmount != null && t('categoryRules.describe.maxAmount', { amount: formatCurrency(rule.maxAmount) }),
+        rule.accountId && t('categoryRules.describe.account', { name: accountName(rule.accountId) })
+    ].filter(Boolean).join(' · ');
+
+    const describeActions = (rule) => [
+        rule.category && getCategoryLabel(rule.category),
+        ...(rule.tags || []).map(formatTag)
+    ].filter(Boolean).join(' ');
+
+    const regexError = form.matchType === 'regex' && form.pattern && !isValidRegex(form.pattern);
+    // Past transactions this rule would have matched, as a sanity check while editing
+    const matchCount = view === 'form' && !regexError
+        ? weeks.reduce((count, week) => count + (week.expenses || []).filter(expense => ruleMatches(formToRule(form, ''), expense)).length, 0)
+        : 0;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (regexError) return;
+
+        const nextRule = formToRule(form, editingRule?.id || uuidv4());
+
+        setBusyRuleId(nextRule.id);
+        const result = await onSaveRule(nextRule);
+        setBusyRuleId(null);
+
+        if (result?.error) {
+            const errors = Object.fromEntries(Object.entries(result.fields || {}).map(([field, message]) => [field.replace(/\[\d+\]$/, ''), `${field} ${message}`]));
+            setFormErrors(Object.keys(errors).length > 0 ? errors : { form: result.error });
+            return;
+        }
+        setView('list');
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(t('categoryRules.confirmDelete'))) return;
+
+        setBusyRuleId(rule.id);
+        const result = await onDeleteRule(rule.id);
+        setBusyRuleId(null);
+        if (result?.error) window.alert(result.error);
+    };
+
+    const renderFieldError = (field) => formErrors[field] && <small className="form-error">{formErrors[field]}</small>;
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="category-rules-overlay"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                >
+                    <motion.div
+                        className="category-rules-content"
+                        variants={modalVariants}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                    >
+                        <h2>{view === 'list' ? t('categoryRules.title') : editingRule ? t('categoryRules.editTitle') : t('categoryRules.newTitle')}</h2>
+
+                        {view === 'list' && (
+                            <>
+                                <div className="category-rules-body">
+                                    <button type="button" className="category-rules-new-btn" onClick={() => openForm()}>
+                                        + {t('categoryRules.newButton')}
+                                    </button>
+
+                                    {rules.length === 0
+                                        ? <p className="category-rules-empty">{t('categoryRules.empty')}</p>
+                                        : <p className="category-rules-empty">{t('categoryRules.orderHint')}</p>}
+
+                                    {rules.map(rule => (
+                                        <div key={rule.id} className="category-rules-card">
+                                            <div className="category-rules-card-header">
+                                                <strong>{describeConditions(rule)}</strong>
+                                                <span>→ {describeActions(rule)}</span>
+                                            </div>
+
+                                            <div className="category-rules-card-actions">
+                                                <button type="button" onClick={() => openForm(rule)} disabled={busyRuleId === rule.id}>{t('common.edit')}</button>
+                                                <button type="button" className="danger" onClick={() => handleDelete(rule)} disabled={busyRuleId === rule.id}>{t('common.delete')}</button>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={onClose}>{t('common.close')}</button>
+                                </div>
+                            </>
+                        )}
+
+                        {view === 'form' && (
+                            <form className="category-rules-body" onSubmit={handleSubmit}>
+                                <h3>{t('categoryRules.when')}</h3>
+
+                                <div className="form-group">
+                                    <label>{t('categoryRules.description')}</label>
+                                    <div className="category-rules-pattern">
+                                        <select value={form.matchType} onChange={(e) => updateForm('matchType', e.target.value)}>
+                                            {CATEGORY_RULE_MATCHES.map(match => (
+                                                <option key={match.id} value={match.id} style={{ color: 'black' }}>{t(`categoryRules.matches.${match.id}`)}</option>
+                                            ))}
+                                        </select>
+                                        <input
+                                            type="text"
+                                            value={form.pattern}
+                                            onChange={(e) => updateForm('pattern', e.target.value)}
+                                            placeholder={form.matchType === 'regex' ? '^uber|99 ?taxi' : t('categoryRules.patternPlaceholder')}
+                                        />
+                                    </div>
+                                    {regexError && <small className="form-error">{t('categoryRules.invalidRegex')}</small>}
+                                    {renderFieldError('pattern')}
+                                </div>
+
+                                <div className="category-rules-amounts">
+                                    <div className="form-group">
+                                        <label>{t('categoryRules.minAmount', { currency: getBaseCurrency() })}</label>
+                                        <input type="number" value={form.minAmount} onChange={(e) => updateForm('minAmount', e.target.value)} min="0" step="0.01" />
+                                        {renderFieldError('minAmount')}
+                                    </div>
+                                    <div className="form-group">
+                                        <label>{t('categoryRules.maxAmount', { currency: getBaseCurrency() })}</label>
+                                        <input type="number" value={form.maxAmount} onChange={(e) => updateForm('maxAmount', e.target.value)} min="0" step="0.01" />
+                                        {renderFieldError('maxAmount')}
+                                    </div>
+                                </div>
+
+                                {accounts.length > 0 && (
+                                    <div className="form-group">
+                                        <label>{t('categoryRules.account')}</label>
+                                        <select value={form.accountId} onChange={(e) => updateForm('accountId', e.target.value)}>
+                                            <option value="" style={{ color: 'black' }}>{t('categoryRules.anyAccount')}</option>
+                                            {accounts.map(account => (
+                                                <option key={account.id} value={account.id} style={{ color: 'black' }}>{account.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+
+                                <h3>{t('categoryRules.then')}</h3>
+
+                                <div className="form-group">
+                                    <label>{t('categoryRules.category')}</label>
+                                    <select value={form.category} onChange={(e) => updateForm('category', e.target.value)}>
+                                        <option value="" style={{ color: 'black' }}>{t('categoryRules.keepCategory')}</option>
+                                        {categories.filter(cat => cat !== 'Uncategorized' && !isRefundsCategory(cat)).map(cat => (
+                                            <option key={cat} value={cat} style={{ color: 'black' }}>{getCategoryLabel(cat)}</option>
+                                        ))}
+                                    </select>
+                                    {renderFieldError('category')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('categoryRules.tags')}</label>
+                                    <input
+                                        type="text"
+                                        value={form.tags}
+                                        onChange={(e) => updateForm('tags', e.target.value)}
+                                        placeholder={t('addExpense.tagsPlaceholder')}
+                                    />
+                                    {renderFieldError('tags')}
+                                </div>
+
+                                <p className="category-rules-empty">{t('categoryRules.matchCount', { count: matchCount })}</p>
+
+                                {renderFieldError('form')}
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={() => setView('list')}>{t('common.back')}</button>
+                                    <button type="submit" className="btn-save" disabled={busyRuleId !== null || regexError}>
+                                        {editingRule ? t('common.saveChanges') : t('common.save')}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default CategoryRulesModal;
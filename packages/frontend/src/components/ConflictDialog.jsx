@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { api } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import { formatCurrency } from '../lib/utils';
+import '../styles/AddExpenseModal.css';
+import '../styles/DataExportModal.css';
+
+// A one-line description of one side of a conflict
+const describeVersion = (kind, version, t) => {
+    if (!version) return t('conflicts.deleted');
+    if (kind === 'expense') return `${version.name || t('conflicts.thisTransaction')} · ${formatCurrency(version.amount)}`;
+    if (kind === 'week') return t('conflicts.transactions', { count: version.expenses?.length || 0 });
+    return formatCurrency(version.salary || 0);
+};
+
+// Becomes the api's conflict resolver while mounted. Conflicts raised while
+// one is on screen wait their turn; each resolves to 'local' or 'server'.
+const ConflictDialog = () => {
+    const { t } = useI18n();
+    const [pending, setPending] = useState([]);
+
+    React.useEffect(() => {
+        api.setConflictResolver((conflict) => new Promise(resolve => {
+            setPending(prev => [...prev, { conflict, resolve }]);
+        }));
+        return () => api.setConflictResolver(null);
+    }, []);
+
+    if (pending.length === 0) return null;
+
+    const [{ conflict, resolve }] = pending;
+
+    const choose = (choice) => {
+        resolve(choice);
+        setPending(prev => prev.slice(1));
+    };
+
+    return (
+        <div className="change-pwd-overlay">
+            <div className="change-pwd-card" role="alertdialog" aria-labelledby="conflict-title">
+                <h2 id="conflict-title">⚠️ {t('conflicts.title')}</h2>
+                <p>{t('conflicts.message', { label: conflict.label })}</p>
+
+                <div className="restore-summary">
+                    <div><strong>{t('conflicts.mine')}:</strong> {describeVersion(conflict.kind, conflict.local, t)}</div>
+                    <div><strong>{t('conflicts.theirs')}:</strong> {describeVersion(conflict.kind, conflict.server, t)}</div>
+                </div>
+
+                <div className="restore-modes">
+                    <button type="button" className="restore-mode" onClick={() => choose('local')}>
+                        <strong>{t('conflicts.keepMine')}</strong>
+                        <small>{t('conflicts.keepMineHint')}</small>
+                    </button>
+                    <button type="button" className="restore-mode" onClick={() => choose('server')}>
+                        <strong>{t('conflicts.useTheirs')}</strong>
+                        <small>{t('conflicts.useTheirsHint')}</small>
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConflictDialog;
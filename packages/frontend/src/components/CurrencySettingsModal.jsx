@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { CURRENCIES, mergeExchangeRates, parseExchangeRatesCsv } from '../lib/currency';
+import { useI18n } from '../lib/i18n';
+import { formatDate, getBaseCurrency } from '../lib/utils';
+import '../styles/AddExpenseModal.css';
+import '../styles/DataExportModal.css';
+import '../styles/CurrencySettings.css';
+
+const modalVariants = {
+    hidden: { opacity: 0, scale: 0.8 },
+    visible: { opacity: 1, scale: 1, transition: { type: 'spring', damping: 25, stiffness: 500 } },
+    exit: { opacity: 0, scale: 0.8 }
+};
+
+const getInitialRateForm = (baseCurrency) => ({
+    date: new Date().toISOString().slice(0, 10),
+    from: CURRENCIES.find(code => code !== baseCurrency),
+    to: baseCurrency,
+    rate: ''
+});
+
+// The whole table is saved on every change; onSaveRates and
+// onSaveBaseCurrency resolve to the server result ({ error, fields } when rejected).
+const CurrencySettingsModal = ({ isOpen, onClose, rates = [], onSaveRates, onSaveBaseCurrency }) => {
+    const { t } = useI18n();
+    const baseCurrency = getBaseCurrency();
+    const [rateForm, setRateForm] = useState(() => getInitialRateForm(baseCurrency));
+    const [message, setMessage] = useState(null); // { type: 'error' | 'info', text }
+    const [isSaving, setIsSaving] = useState(false);
+
+    React.useEffect(() => {
+        if (!isOpen) return;
+
+        setRateForm(getInitialRateForm(getBaseCurrency()));
+        setMessage(null);
+    }, [isOpen]);
+
+    const currencyOptions = [...new Set([baseCurrency, ...CURRENCIES])];
+
+    const updateRateForm = (field, value) => setRateForm(prev => ({ ...prev, [field]: value }));
+
+    // The server's field errors when it rejected the values, else `fallback`
+    const describeError = (result, fallback) => {
+        const details = Object.entries(result.fields || {}).map(([field, text]) => `${field} ${text}`);
+        return details.length > 0 ? details.join('; ') : fallback;
+    };
+
+    const saveRates = async (nextRates, successText = null) => {
+        setIsSaving(true);
+        const result = await onSaveRates(nextRates);
+        setIsSaving(false);
+
+        if (result?.error) {
+            setMessage({ type: 'error', text: describeError(result, result.error) });
+            return false;
+        }
+        setMessage(successText ? { type: 'info', text: successText } : null);
+        return true;
+    };
+
+    const handleBaseCurrencyChange = async (nextCurrency) => {
+        if (nextCurrency === baseCurrency) return;
+        if (!window.confirm(t('currency.confirmBaseChange', { currency: nextCurrency }))) return;
+
+        setIsSaving(true);
+        const result = await onSaveBaseCurrency(nextCurrency);
+        setIsSaving(false);
+        if (result?.error) {
+            setMessage({ type: 'error', text: describeError(result, t('currency.baseChangeFailed')) });
+            return;
+        }
+        setRateForm(prev => ({ ...prev, to: nextCurrency, from: prev.from === nextCurrency ? baseCurrency : prev.from }));
+    };
+
+    const handleAddRate = async (e) => {
+        e.preventDefault();
+
+        const rate = parseFloat(rateForm.rate);
+        if (!(rate > 0) || rateForm.from === rateForm.to) return;
+
+        const saved = await saveRates(mergeExchangeRates(rates, [{ date: rateForm.date, from: rateForm.from, to: rateForm.to, rate }]));
+        if (saved) updateRateForm('rate', '');
+    };
+
+    const handleDeleteRate = (entry) => {
+        saveRates(rates.filter(item => item !== entry));
+    };
+
+    const handleImportFile = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async () => {
+            const parsed = parseExchangeRatesCsv(String(reader.result || ''), baseCurrency);
+            if (parsed.error) {
+                setMessage({ type: 'error', text: parsed.error });
+                return;
+            }
+            if (parsed.rates.length === 0) {
+                setMessage({ type: 'error', text: t('currency.noRatesInFile') });
+                return;
+            }
+
+            const skippedText = parsed.skipped > 0 ? ` ${t('currency.skippedRows', { count: parsed.skipped })}` : '';
+            await saveRates(mergeExchangeRates(rates, parsed.rates), `${t('currency.imported', { count: parsed.rates.length })}${skippedText}`);
+        };
+        reader.readAsText(file);
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="currency-overlay"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                >
+                    <motion.div
+                        className="currency-content"
+                        variants={modalVariants}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                    >
+                        <h2>{t('currency.title')}</h2>
+
+                        <div className="currency-body">
+                            <div className="form-group">
+                                <label htmlFor="base-currency">{t('currency.baseCurrency')}</label>
+                                <select
+                                    id="base-currency"
+                                    value={baseCurrency}
+                                    onChange={(e) => handleBaseCurrencyChange(e.target.value)}
+                                    disabled={isSaving}
+                                >
+                                    {currencyOptions.map(code => (
+                                        <option key={code} value={code} style={{ color: 'black' }}>{code}</option>
+                                    ))}
+                                </select>
+                                <small className="currency-hint">{t('currency.baseCurrencyHint')}</small>
+                            </div>
+
+                            <h3>{t('currency.exchangeRates')}</h3>
+
+                            <form className="currency-rate-form" onSubmit={handleAddRate}>
+                                <input
+                                    type="date"
+                                    value={rateForm.date}
+                                    onChange={(e) => updateRateForm('date', e.target.value)}
+                                    aria-label={t('currency.validFrom')}
+                                    required
+                                />
+                                <span>1</span>
+                                <select value={rateForm.from} onChange={(e) => updateRateForm('from', e.target.value)} aria-label={t('currency.fromCurrency')}>
+                                    {currencyOptions.map(code => (
+                                        <option key={code} value={code} style={{ color: 'black' }}>{code}</option>
+                                    ))}
+                                </select>
+                                <span>=</span>
+                                <input
+                                    type="number"
+                                    value={rateForm.rate}
+                                    onChange={(e) => updateRateForm('rate', e.target.value)}
+                                    placeholder={t('currency.rate')}
+                                    step="any"
+                                    min="0"
+                                    aria-label={t('currency.rate')}
+                                    required
+                                />
+                                <select value={rateForm.to} onChange={(e) => updateRateForm('to', e.target.value)} aria-label={t('currency.toCurrency')}>
+                                    {currencyOptions.map(code => (
+                                        <option key={code} value={code} style={{ color: 'black' }}>{code}</option>
+                                    ))}
+                                </select>
+                                <button type="submit" className="btn-save" disabled={isSaving || rateForm.from === rateForm.to}>{t('common.add')}</button>
+                            </form>
+
+                            <label className="data-export-option restore-file-picker">
+                                <input type="file" accept=".csv,text/csv" onChange={handleImportFile} disabled={isSaving} />
+                                <span className="data-export-icon">📄</span>
+                                <span className="data-export-text">
+                                    <strong>{t('currency.importCsv')}</strong>
+                                    <small>{t('currency.importCsvHint', { currency: baseCurrency })}</small>
+                                </span>
+                            </label>
+
+                            {message && (
+                                <p className={message.type === 'error' ? 'form-error' : 'currency-hint'}>{message.text}</p>
+                            )}
+
+                            {rates.length === 0 && (
+                                <p className="currency-empty">{t('currency.empty')}</p>
+                            )}
+
+                            {rates.map(entry => (
+                                <div key={`${entry.date}|${entry.from}|${entry.to}`} className="currency-rate-row">
+                                    <span>{formatDate(entry.date)}</span>
+                                    <strong>1 {entry.from} = {entry.rate} {entry.to}</strong>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleDeleteRate(entry)}
+                                        disabled={isSaving}
+                                        aria-label={t('currency.deleteRate', { currency: entry.from, date: formatDate(entry.date) })}
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="modal-actions">
+                            <button type="button" className="btn-cancel" onClick={onClose}>{t('common.close')}</button>
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default CurrencySettingsModal;
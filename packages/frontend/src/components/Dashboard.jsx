@@ -2,16 +2,31 @@ import React, { useMemo, useState, useEffect, useLayoutEffect, useRef } from 're
 import { createPortal } from 'react-dom';
 import { useAuth } from '../lib/AuthContext';
 import { api } from '../lib/api';
-import { calculateCategoryNet, filterExpensesByCategory, formatCurrency, getFinancialInfo, getMonthQuarters, getWeeklyCategoryCarryover, normalizeRefundExpense } from '../lib/utils';
+import { useI18n } from '../lib/i18n';
+import { getAccountIcon, sortAccounts } from '../lib/accounts';
+import { getUnassignedAmount } from '../lib/envelopes';
+import { getGoalProgress } from '../lib/goals';
+import { getIncomeCredits, getPlanIncomes, getReceivedIncome, reconcileIncomes } from '../lib/incomes';
+import { getCommittedInstallments, sumCommittedInstallments } from '../lib/installments';
+import { formatTag, getTagTotals } from '../lib/tags';
+import { calculateCategoryTreeNet, countDays, filterExpensesByCategoryTree, formatCurrency, getBaseCurrency, getCategoryLabel, getCategoryTreeMonthlyBudget, getFinancialInfo, getMonthName, getMonthQuarters, getSubcategories, getTopLevelCategoryName, getWeekCategoryBudget, getWeeklyCategoryCarryover, isTopLevelCategory, normalizeRefundExpense } from '../lib/utils';
 import {
     PieChart, Pie, Tooltip, Cell
 } from 'recharts';
 import '../styles/Dashboard.css';
 
-const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense, onOpenPlanning, onToggleMenu, isAppLoading = false, planningVersion = 0 }) => {
+const getSyncStatusLabel = (t, { state, pending }) => {
+    if (state === 'syncing') return t('dashboard.sync.syncing');
+    if (state === 'offline') return pending > 0 ? t('dashboard.sync.offlinePending', { count: pending }) : t('dashboard.sync.offline');
+    if (pending > 0) return t('dashboard.sync.pending', { count: pending });
+    return t('dashboard.sync.synced');
+};
+
+const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense, onOpenPlanning, onToggleMenu, isAppLoading = false, planningVersion = 0, syncStatus = null, accounts = [], accountBalances = new Map(), onOpenAccounts, goals = [], onOpenGoals }) => {
     // Default avatar if none provided (avoids Vite import errors on missing files)
     const weeklyAvatar = '/chewie.jpg';
     const { user } = useAuth();
+    const { locale, t, tRich } = useI18n();
     const today = new Date();
     const currentMonthValue = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
     const [showRunwayInfo, setShowRunwayInfo] = useState(false);
@@ -20,9 +35,12 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
     const [isEditingProjection, setIsEditingProjection] = useState(false);
     const [showWorstCase, setShowWorstCase] = useState(false);
     const [showAvatarZoom, setShowAvatarZoom] = useState(false);
+    const [expandedTag, setExpandedTag] = useState(null);
     const [selectedMonth, setSelectedMonth] = useState(currentMonthValue);
     const [savedPlanningMonths, setSavedPlanningMonths] = useState([]);
     const [monthCategories, setMonthCategories] = useState(categories);
+    // Set when the selected month is planned zero-based (see lib/envelopes)
+    const [monthUnassigned, setMonthUnassigned] = useState(null);
     const projectionInputRef = useRef(null);
     const chartContainerRef = useRef(null);
     const [chartBounds, setChartBounds] = useState({ width: 0, height: 0 });
@@ -35,9 +53,12 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
             .sort((leftMonth, rightMonth) => rightMonth.value.localeCompare(leftMonth.value))
             .map(option => ({
                 value: option.value,
-                label: option.label
+                label: new Date(option.year, option.month - 1, 1).toLocaleDateString(locale, {
+                    month: 'long',
+                    year: 'numeric'
+                })
             }));
-    }, [savedPlanningMonths]);
+    }, [savedPlanningMonths, locale]);
 
     const isManualPlan = (plan = {}) => {
         return plan.source === 'manual';
@@ -67,10 +88,6 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                         const value = `${plan.year}-${String(plan.month).padStart(2, '0')}`;
                         return {
                             value,
-                            label: new Date(plan.year, plan.month - 1, 1).toLocaleDateString('en-US', {
-                                month: 'long',
-                                year: 'numeric'
-                            }),
                             year: plan.year,
                             month: plan.month
                         };
@@ -119,6 +136,10 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                 const planning = await api.getMonthlyPlanning(selectedYearNum, selectedMonthNum);
                 if (!isMounted) return;
 
+                setMonthUnassigned(planning?.zeroBased
+                    ? getUnassignedAmount(planning.salary, planning.categories || [], planning.goalAllocations || [])
+                    : null);
+
                 if (planning?.categories?.length) {
                     setMonthCategories(normalizePlanningCategories(planning.categories));
                     return;
@@ -129,6 +150,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                 console.error('Failed to load dashboard planning', error);
                 if (isMounted) {
                     setMonthCategories(categories);
+                    setMonthUnassigned(null);
                 }
             }
         };
@@ -186,19 +208,17 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
         // Generate standard quarters for the current month to find the proper chronological previous week
         const quarters = getMonthQuarters(year, month);
         const currentQIndex = quarters.findIndex(q => q.id === quarter.id);
-        const monthWeeks = quarters.map(q => weeks.find(w => w.id === q.id) || { id: q.id, expenses: [], startDate: q.start, endDate: q.end });
+        const monthWeeks = quarters.map(q => ({ expenses: [], ...weeks.find(w => w.id === q.id), id: q.id, startDate: q.start, endDate: q.end }));
 
         const weeklyCategoryCarryover = effectiveCategories.reduce((sum, cat) => {
             if (cat.frequency !== 'weekly') return sum;
             return sum + getWeeklyCategoryCarryover(monthWeeks, currentQIndex, cat);
         }, 0);
 
-        const baseWeeklyBudget = effectiveCategories.reduce((sum, cat) => {
-            if (cat.frequency === 'weekly') {
-                return sum + (cat.budget || 0);
-            }
-            return sum + ((cat.budget || 0) / 4);
-        }, 0);
+        // Prorated by the week's length, so short and long weeks get their share
+        const weekDays = countDays(quarter.start, quarter.end);
+        const monthDays = countDays(quarters[0].start, quarters[quarters.length - 1].end);
+        const baseWeeklyBudget = effectiveCategories.reduce((sum, cat) => sum + getWeekCategoryBudget(cat, weekDays, monthDays), 0);
 
         const weeklyBudget = baseWeeklyBudget + weeklyCategoryCarryover;
 
@@ -265,26 +285,31 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
         });
     }, [currentMonthData]);
 
-    const overBudgetCategories = useMemo(() => {
+    // Subcategories roll up into their parent: budgets and spending are added together
+    const categoryRollups = useMemo(() => {
         return effectiveCategories
+            .filter(category => isTopLevelCategory(effectiveCategories, category))
             .map(category => {
-                const monthlyBudget = category.frequency === 'weekly'
-                    ? (category.budget || 0) * 4
-                    : (category.budget || 0);
-                const spent = calculateCategoryNet(monthlyExpenses, category.name);
+                const monthlyBudget = getCategoryTreeMonthlyBudget(effectiveCategories, category.name);
+                const spent = calculateCategoryTreeNet(monthlyExpenses, effectiveCategories, category.name);
 
                 return {
                     ...category,
+                    hasSubcategories: getSubcategories(effectiveCategories, category.name).length > 0,
                     monthlyBudget,
                     spent,
                     remaining: monthlyBudget - spent,
                     exceededAmount: Math.max(spent - monthlyBudget, 0),
-                    expenses: filterExpensesByCategory(monthlyExpenses, category.name)
+                    expenses: filterExpensesByCategoryTree(monthlyExpenses, effectiveCategories, category.name)
                 };
-            })
+            });
+    }, [effectiveCategories, monthlyExpenses]);
+
+    const overBudgetCategories = useMemo(() => {
+        return categoryRollups
             .filter(category => category.remaining < 0)
             .sort((leftCategory, rightCategory) => rightCategory.exceededAmount - leftCategory.exceededAmount);
-    }, [effectiveCategories, monthlyExpenses]);
+    }, [categoryRollups]);
 
     const totalOverBudgetAmount = useMemo(() => {
         return overBudgetCategories.reduce((sum, category) => sum + category.exceededAmount, 0);
@@ -337,7 +362,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
             week.expenses.forEach(e => {
                 if (e.type === 'credit') return;
                 const amount = Number(e.amount);
-                const cat = e.category || 'Uncategorized';
+                const cat = getTopLevelCategoryName(effectiveCategories, e.category || 'Uncategorized');
                 catMap[cat] = (catMap[cat] || 0) + amount;
                 total += amount;
             });
@@ -359,13 +384,13 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
 
         top5.push({ name: 'Others', value: othersValue, percent: othersPercent });
         return top5;
-    }, [currentMonthData]);
+    }, [currentMonthData, effectiveCategories]);
 
     const COLORS = ['#F59E0B', '#10B981', '#3B82F6', '#EC4899', '#8B5CF6', '#6B7280'];
 
     // ── 4. Realistic & Optimistic Runway Calculations (Hero) ────────────────
-    const [realisticRunway, setRealisticRunway] = useState({ value: 'Calculating...', loading: true, details: '', wealth: 0, daysRunway: '', isSafe: false, raw: {} });
-    const [optimisticRunway, setOptimisticRunway] = useState({ value: 'Calculating...', loading: true, details: '', wealth: 0, daysRunway: '', isSafe: false, netMonthlyFlow: 0, raw: {} });
+    const [realisticRunway, setRealisticRunway] = useState({ value: t('dashboard.runway.calculating'), loading: true, details: '', wealth: 0, daysRunway: '', isSafe: false, raw: {} });
+    const [optimisticRunway, setOptimisticRunway] = useState({ value: t('dashboard.runway.calculating'), loading: true, details: '', wealth: 0, daysRunway: '', isSafe: false, netMonthlyFlow: 0, raw: {} });
     const [projectionMonths, setProjectionMonths] = useState(() => {
         // Prefer user profile value from R2, fallback to localStorage
         if (user?.projectionMonths) return Number(user.projectionMonths);
@@ -400,9 +425,15 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
 
                 const manualPlansData = allPlansData.filter(plan => isManualPlan(plan.data));
 
+                // Income counts once it is received, not when it is planned
+                const getPlanReceivedIncome = ({ year, month, data }) => getReceivedIncome(
+                    reconcileIncomes(getPlanIncomes(data), getIncomeCredits(weeks, year, month))
+                );
+
                 let accumulatedRemainingBalance = 0;
-                manualPlansData.forEach(({ data }) => {
-                    const mIncome = data.salary || 0;
+                manualPlansData.forEach((plan) => {
+                    const { data } = plan;
+                    const mIncome = getPlanReceivedIncome(plan);
                     const mBudgets = (data.categories || []).reduce((sum, c) => {
                         const monthlyEquivalent = c.frequency === 'weekly' ? (c.budget || 0) * 4 : (c.budget || 0);
                         return sum + monthlyEquivalent;
@@ -421,7 +452,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
 
                 if (latestManualPlan) {
                     const latestData = latestManualPlan.data;
-                    monthlyIncome = latestData.salary || 0;
+                    monthlyIncome = getPlanReceivedIncome(latestManualPlan);
 
                     totalBudgets = (latestData.categories || []).reduce((sum, c) => {
                         const monthlyEquivalent = c.frequency === 'weekly' ? (c.budget || 0) * 4 : (c.budget || 0);
@@ -450,23 +481,23 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                 const burnToUse = monthlyBurn > 0 ? monthlyBurn : (totalBudgets > 0 ? totalBudgets : 1);
 
                 if (globalNetWorth <= 0) {
-                    resultString = '0 Months';
-                    detailsString = 'No current wealth. Watch your spending!';
+                    resultString = t('dashboard.runway.months', { count: 0, value: 0 });
+                    detailsString = t('dashboard.runway.noWealth');
                 } else {
 
                     if (burnToUse <= 0) {
-                        resultString = '∞ Safe';
-                        detailsString = 'No expenses recorded yet';
+                        resultString = t('dashboard.runway.safe');
+                        detailsString = t('dashboard.runway.noExpenses');
                         isSafe = true;
                     } else {
                         const monthsLeft = globalNetWorth / burnToUse;
 
                         if (monthsLeft >= 12) {
                             const years = (monthsLeft / 12).toFixed(1);
-                            resultString = `${years} Years`;
+                            resultString = t('dashboard.runway.years', { value: years });
                         } else {
                             // If it's very small show decimal, else normal
-                            resultString = `${monthsLeft.toFixed(1)} Months`;
+                            resultString = t('dashboard.runway.months', { count: monthsLeft, value: monthsLeft.toFixed(1) });
                         }
 
                         // We consider it "Safe" if you have at least 3 months of runway built up
@@ -474,11 +505,11 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
 
                         // Display the Context underneath
                         if (netMonthlyFlow > 0) {
-                            detailsString = `If zero income, burning ${formatCurrency(burnToUse)}/mo`;
+                            detailsString = t('dashboard.runway.burnZeroIncome', { amount: formatCurrency(burnToUse) });
                         } else if (netMonthlyFlow < 0) {
-                            detailsString = `Including income, burning ${formatCurrency(Math.abs(netMonthlyFlow))}/mo`;
+                            detailsString = t('dashboard.runway.burnIncludingIncome', { amount: formatCurrency(Math.abs(netMonthlyFlow)) });
                         } else {
-                            detailsString = `Burning ${formatCurrency(burnToUse)}/mo`;
+                            detailsString = t('dashboard.runway.burn', { amount: formatCurrency(burnToUse) });
                         }
 
                         // Calculate more accurate days based on burn rate
@@ -487,17 +518,17 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
 
                         // Only show the prominent days label if runway is less than 3 months
                         if (daysLeft < 90) {
-                            daysRunwayStr = `${daysLeft} days`;
+                            daysRunwayStr = t('common.days', { count: daysLeft });
                         }
                     }
                 }
 
-                let optResultString = `${netMonthlyFlow > 0 ? '+' : netMonthlyFlow < 0 ? '-' : ''}${formatCurrency(Math.abs(netMonthlyFlow))}/mo`;
+                let optResultString = t('dashboard.perMonth', { amount: `${netMonthlyFlow > 0 ? '+' : netMonthlyFlow < 0 ? '-' : ''}${formatCurrency(Math.abs(netMonthlyFlow))}` });
                 let optDetailsString = netMonthlyFlow > 0
-                    ? 'Positive monthly momentum'
+                    ? t('dashboard.runway.positiveMomentum')
                     : netMonthlyFlow < 0
-                        ? 'Negative monthly momentum'
-                        : 'No monthly momentum';
+                        ? t('dashboard.runway.negativeMomentum')
+                        : t('dashboard.runway.noMomentum');
                 let optIsSafe = netMonthlyFlow >= 0;
 
                 if (isCancelled) return;
@@ -526,22 +557,43 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
             } catch (err) {
                 console.error("Runway calc failed", err);
                 if (isCancelled) return;
-                setRealisticRunway({ value: 'Error', loading: false, details: 'Check connection', isSafe: false });
-                setOptimisticRunway({ value: 'Error', loading: false, details: 'Check connection', isSafe: false });
+                setRealisticRunway({ value: t('dashboard.runway.error'), loading: false, details: t('dashboard.runway.checkConnection'), isSafe: false });
+                setOptimisticRunway({ value: t('dashboard.runway.error'), loading: false, details: t('dashboard.runway.checkConnection'), isSafe: false });
             }
         };
 
         if (weeks && weeks.length > 0) {
             calculateRunway();
         } else {
-            setRealisticRunway({ value: '∞ Safe', loading: false, details: 'No data yet. Start tracking!', wealth: 0, isSafe: true });
-            setOptimisticRunway({ value: `${formatCurrency(0)}/mo`, loading: false, details: 'No data yet. Start tracking!', wealth: 0, isSafe: true, netMonthlyFlow: 0, raw: {} });
+            setRealisticRunway({ value: t('dashboard.runway.safe'), loading: false, details: t('dashboard.runway.noData'), wealth: 0, isSafe: true });
+            setOptimisticRunway({ value: t('dashboard.perMonth', { amount: formatCurrency(0) }), loading: false, details: t('dashboard.runway.noData'), wealth: 0, isSafe: true, netMonthlyFlow: 0, raw: {} });
         }
 
         return () => {
             isCancelled = true;
         };
-    }, [weeks, totalSavings, isAppLoading, currentFinancialWeekSpent]);
+    }, [weeks, totalSavings, isAppLoading, currentFinancialWeekSpent, t]);
+
+    const activeAccounts = sortAccounts(accounts).filter(account => !account.archived);
+    const accountsTotal = activeAccounts.reduce((sum, account) => sum + (accountBalances.get(account.id) || 0), 0);
+
+    const goalProgress = useMemo(
+        () => goals.map(goal => ({ goal, progress: getGoalProgress(goal, weeks, categories) })),
+        [goals, weeks, categories]
+    );
+
+    // Installments already bought but not yet due; the projection subtracts the ones inside its horizon
+    const committedInstallments = useMemo(() => getCommittedInstallments(weeks), [weeks]);
+    const committedInstallmentsTotal = committedInstallments.reduce((sum, entry) => sum + entry.total, 0);
+    const committedInProjection = useMemo(
+        () => sumCommittedInstallments(weeks, Number(projectionMonths) || 0),
+        [weeks, projectionMonths]
+    );
+
+    // Tags cut across categories and months, so their totals cover every transaction
+    const tagTotals = useMemo(() => {
+        return getTagTotals((weeks || []).flatMap(week => (week.expenses || []).map(expense => normalizeRefundExpense(expense))));
+    }, [weeks]);
 
     // Format relative time (e.g. "Today", "Yesterday", "Oct 12")
     const formatExpenseDate = (dateString) => {
@@ -550,9 +602,9 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
         const yesterday = new Date(today);
         yesterday.setDate(yesterday.getDate() - 1);
 
-        if (date.toDateString() === today.toDateString()) return 'Today';
-        if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        if (date.toDateString() === today.toDateString()) return t('dashboard.today');
+        if (date.toDateString() === yesterday.toDateString()) return t('dashboard.yesterday');
+        return date.toLocaleDateString(locale, { month: 'short', day: 'numeric' });
     }
 
 
@@ -564,18 +616,23 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                 <button
                     className="header-menu-btn"
                     onClick={onToggleMenu}
-                    title="Menu"
+                    title={t('dashboard.menu')}
                     style={{ position: 'absolute', top: '16px', right: '16px', zIndex: 10 }}
                 >
                     ☰
                 </button>
+                {syncStatus && (
+                    <div className={`sync-status-pill sync-status-${syncStatus.state}`} role="status">
+                        {getSyncStatusLabel(t, syncStatus)}
+                    </div>
+                )}
                 <div className="greeting-text" style={{
                     position: 'absolute', bottom: '16px', left: '16px', zIndex: 2,
                     background: 'rgba(255,255,255,0.15)', backdropFilter: 'blur(12px)', WebkitBackdropFilter: 'blur(12px)',
                     border: '1px solid rgba(255,255,255,0.25)', borderRadius: '16px', padding: '10px 16px'
                 }}>
-                    <h1>Hi, {user?.email?.split('@')[0] || 'Friend'}!</h1>
-                    <p>Financial Health Check</p>
+                    <h1>{t('dashboard.greeting', { name: user?.email?.split('@')[0] || t('dashboard.friend') })}</h1>
+                    <p>{t('dashboard.healthCheck')}</p>
                 </div>
             </header>
 
@@ -583,7 +640,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
             <section className="hero-section">
                 <div className={`hero-card financial-momentum-card ${optimisticRunway.isSafe ? 'optimistic-glow' : 'warning-glow'}`}>
                     <div className="hero-label-wrapper" style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px', position: 'relative', width: '100%', justifyContent: 'center' }}>
-                        <span className="hero-label" style={{ margin: 0 }}>Financial Momentum</span>
+                        <span className="hero-label" style={{ margin: 0 }}>{t('dashboard.momentum')}</span>
                         <button
                             type="button"
                             className="info-icon-btn"
@@ -593,8 +650,8 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                 setShowRunwayInfo('optimistic');
                                 setShowRunwayMath(false);
                             }}
-                            title="How is this calculated?"
-                            aria-label="Open Financial Momentum explanation"
+                            title={t('dashboard.howCalculated')}
+                            aria-label={t('dashboard.openMomentumInfo')}
                         >
                             ?
                         </button>
@@ -619,7 +676,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                         setTimeout(() => projectionInputRef.current?.focus(), 10);
                                     }
                                 }}
-                                title={isEditingProjection ? "Save projection months" : "Edit projection months"}
+                                title={isEditingProjection ? t('dashboard.saveProjection') : t('dashboard.editProjection')}
                                 onMouseDown={(e) => e.preventDefault()}
                             >
                                 {isEditingProjection ? '✓' : '✎'}
@@ -633,10 +690,10 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                         {optimisticRunway.netMonthlyFlow > 0 ? (
                             <>
                                 <span style={{ fontSize: '0.95rem', color: '#4B5563' }}>
-                                    Wealth growing by <strong style={{ color: '#059669' }}>{formatCurrency(optimisticRunway.netMonthlyFlow)}</strong>/mo
+                                    {tRich('dashboard.wealthGrowing', { amount: <strong style={{ color: '#059669' }}>{formatCurrency(optimisticRunway.netMonthlyFlow)}</strong> })}
                                 </span>
                                 <div className="projection-container">
-                                    <span className="projection-prefix">Projection for</span>
+                                    <span className="projection-prefix">{t('dashboard.projectionFor')}</span>
 
                                     <div className={`projection-editor ${isEditingProjection ? 'editing' : ''}`}>
                                         {isEditingProjection ? (
@@ -666,19 +723,24 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                                     }
                                                 }}
                                                 className="projection-input"
-                                                title="Contract length / Projection months"
+                                                title={t('dashboard.projectionInputTitle')}
                                             />
                                         ) : (
                                             <span style={{ fontWeight: 700, color: '#3B82F6', padding: '0 4px' }}>
                                                 {projectionMonths}
                                             </span>
                                         )}
-                                        <span className="projection-suffix">months</span>
+                                        <span className="projection-suffix">{t('dashboard.months')}</span>
                                     </div>
 
                                     <span className="projection-result">
-                                        <strong style={{ color: '#111827' }}>{formatCurrency(optimisticRunway.wealth + (optimisticRunway.netMonthlyFlow * (Number(projectionMonths) || 0)))}</strong>
+                                        <strong style={{ color: '#111827' }}>{formatCurrency(optimisticRunway.wealth + (optimisticRunway.netMonthlyFlow * (Number(projectionMonths) || 0)) - committedInProjection)}</strong>
                                     </span>
+                                    {committedInProjection > 0 && (
+                                        <span className="projection-installments">
+                                            {t('installments.projectionNote', { amount: formatCurrency(committedInProjection) })}
+                                        </span>
+                                    )}
                                 </div>
                             </>
                         ) : (
@@ -689,7 +751,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
             </section>
 
             <div className="dashboard-month-selector">
-                <label htmlFor="dashboard-month" className="month-select-label">Dashboard month</label>
+                <label htmlFor="dashboard-month" className="month-select-label">{t('dashboard.month')}</label>
                 <select
                     id="dashboard-month"
                     className="month-select"
@@ -706,29 +768,40 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
             {/* 2. QUICK GLANCES */}
             <section className="quick-glance-section">
                 <div className="glance-card">
-                    <span className="glance-label">Weekly Balance</span>
+                    <span className="glance-label">{t('dashboard.weeklyBalance')}</span>
                     <span className={`glance-value ${currentWeekData?.balance >= 0 ? 'positive' : 'negative'}`}>
                         {formatCurrency(currentWeekData?.balance || 0)}
                     </span>
-                    <span className="glance-subtext">Left to spend</span>
+                    <span className="glance-subtext">{t('dashboard.leftToSpend')}</span>
                 </div>
                 <div className="glance-card">
-                    <span className="glance-label">Monthly Spend</span>
+                    <span className="glance-label">{t('dashboard.monthlySpend')}</span>
                     <span className="glance-value neutral">
                         {formatCurrency(currentMonthData?.spent || 0)}
                     </span>
-                    <span className="glance-subtext">Of {formatCurrency(currentMonthData?.budget || 0)}</span>
+                    <span className="glance-subtext">{t('dashboard.ofBudget', { amount: formatCurrency(currentMonthData?.budget || 0) })}</span>
                 </div>
+                {monthUnassigned !== null && (
+                    <div className="glance-card glance-card-wide">
+                        <span className="glance-label">{t('dashboard.unassigned')}</span>
+                        <span className={`glance-value ${monthUnassigned === 0 ? 'positive' : monthUnassigned > 0 ? 'neutral' : 'negative'}`}>
+                            {formatCurrency(monthUnassigned)}
+                        </span>
+                        <span className="glance-subtext">
+                            {monthUnassigned === 0 ? t('dashboard.allAssigned') : monthUnassigned > 0 ? t('dashboard.leftToAssign') : t('dashboard.overAssigned')}
+                        </span>
+                    </div>
+                )}
             </section>
 
             {/* 3. BUDGET PROGRESS BARS */}
             <section className="progress-section">
                 <div className="glass-card">
-                    <h3>Budget Progress</h3>
+                    <h3>{t('dashboard.budgetProgress')}</h3>
 
                     <div className="progress-item">
                         <div className="progress-header">
-                            <span className="progress-title">This Week</span>
+                            <span className="progress-title">{t('dashboard.thisWeek')}</span>
                             <span className="progress-stats">{formatCurrency(currentWeekData?.spent || 0)} / {formatCurrency(currentWeekData?.budget || 0)}</span>
                         </div>
                         <div className="progress-bar-bg">
@@ -738,19 +811,34 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
 
                     <div className="progress-item">
                         <div className="progress-header">
-                            <span className="progress-title">This Month</span>
+                            <span className="progress-title">{t('dashboard.thisMonth')}</span>
                             <span className="progress-stats">{formatCurrency(currentMonthData?.spent || 0)} / {formatCurrency(currentMonthData?.budget || 0)}</span>
                         </div>
                         <div className="progress-bar-bg">
                             <div className="progress-bar-fill" style={{ width: `${monthlyProgress.percent}%`, backgroundColor: monthlyProgress.color }}></div>
                         </div>
                     </div>
+
+                    {categoryRollups.filter(category => category.hasSubcategories).map(category => {
+                        const progress = getProgressInfo(category.spent, category.monthlyBudget);
+                        return (
+                            <div key={`dashboard-rollup-${category.name}`} className="progress-item">
+                                <div className="progress-header">
+                                    <span className="progress-title">{getCategoryLabel(category.name)}</span>
+                                    <span className="progress-stats">{formatCurrency(category.spent)} / {formatCurrency(category.monthlyBudget)}</span>
+                                </div>
+                                <div className="progress-bar-bg">
+                                    <div className="progress-bar-fill" style={{ width: `${progress.percent}%`, backgroundColor: progress.color }}></div>
+                                </div>
+                            </div>
+                        );
+                    })}
                 </div>
 
                 {overBudgetCategories.length > 0 && (
                     <div className="glass-card dashboard-over-budget-card">
                         <div className="dashboard-over-budget-header">
-                            <h3>Categories Over Limit</h3>
+                            <h3>{t('dashboard.overLimit')}</h3>
                             <span className="dashboard-over-budget-total">{formatCurrency(totalOverBudgetAmount)}</span>
                         </div>
                         <div className="dashboard-over-budget-list">
@@ -759,7 +847,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                     <div>
                                         <div className="dashboard-over-budget-name">{category.name}</div>
                                         <div className="dashboard-over-budget-meta">
-                                            Planned {formatCurrency(category.monthlyBudget)} • Spent {formatCurrency(category.spent)}
+                                            {t('dashboard.plannedSpent', { planned: formatCurrency(category.monthlyBudget), spent: formatCurrency(category.spent) })}
                                         </div>
                                     </div>
                                     <div className="dashboard-over-budget-amount">+ {formatCurrency(category.exceededAmount)}</div>
@@ -770,12 +858,163 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                 )}
             </section>
 
+            {/* SAVINGS GOALS */}
+            {goalProgress.length > 0 && (
+                <section className="goals-section">
+                    <div className="glass-card">
+                        <div className="card-header">
+                            <h3>{t('goals.dashboardTitle')}</h3>
+                            <button className="text-btn" onClick={onOpenGoals}>{t('goals.manage')}</button>
+                        </div>
+                        {goalProgress.map(({ goal, progress }) => {
+                            // Emerald when reached or on track, amber when behind, red once overdue
+                            const color = progress.isOverdue ? '#EF4444' : progress.isBehind ? '#F59E0B' : '#34D399';
+                            return (
+                                <div key={goal.id} className="progress-item">
+                                    <div className="progress-header">
+                                        <span className="progress-title">{goal.name}</span>
+                                        <span className="progress-stats">{formatCurrency(progress.saved)} / {formatCurrency(goal.targetAmount)}</span>
+                                    </div>
+                                    <div className="progress-bar-bg">
+                                        <div className="progress-bar-fill" style={{ width: `${Math.max(progress.percent, 0)}%`, backgroundColor: color }}></div>
+                                    </div>
+                                    <div className="goals-dashboard-meta">
+                                        {progress.isReached && t('goals.reached')}
+                                        {progress.isOverdue && t('goals.overdue', { amount: formatCurrency(progress.remaining) })}
+                                        {!progress.isReached && !progress.isOverdue && progress.requiredMonthly !== null && (
+                                            <span>{t('goals.requiredMonthly', { amount: formatCurrency(progress.requiredMonthly) })}</span>
+                                        )}
+                                        {!progress.isReached && !progress.isOverdue && (
+                                            <span>
+                                                {progress.projected
+                                                    ? t('goals.projected', { month: `${getMonthName(progress.projected.month)} ${progress.projected.year}` })
+                                                    : goal.category ? t('goals.offPace') : t('goals.noCategoryPace')}
+                                            </span>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </section>
+            )}
+
+            {/* ACCOUNT BALANCES */}
+            {activeAccounts.length > 0 && (
+                <section className="accounts-section">
+                    <div className="glass-card">
+                        <div className="card-header">
+                            <h3>{t('accounts.dashboardTitle')}</h3>
+                            <button className="text-btn" onClick={onOpenAccounts}>{t('accounts.manage')}</button>
+                        </div>
+                        <div className="tx-list">
+                            {activeAccounts.map(account => {
+                                const balance = accountBalances.get(account.id) || 0;
+                                return (
+                                    <div key={account.id} className="tx-item">
+                                        <div className="tx-icon account">{getAccountIcon(account.type)}</div>
+                                        <div className="tx-details">
+                                            <span className="tx-name">{account.name}</span>
+                                            <span className="tx-date">{t(`accounts.types.${account.type}`)}</span>
+                                        </div>
+                                        <div className={`tx-amount ${balance >= 0 ? '' : 'negative'}`}>{formatCurrency(balance)}</div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <div className="accounts-dashboard-total">
+                            <span>{t('accounts.total')}</span>
+                            <strong>{formatCurrency(accountsTotal)}</strong>
+                        </div>
+                        {!realisticRunway.loading && (
+                            <div className="accounts-dashboard-reconcile">
+                                {t('accounts.reconcile', {
+                                    cashPile: formatCurrency(realisticRunway.wealth || 0),
+                                    difference: formatCurrency(accountsTotal - (realisticRunway.wealth || 0))
+                                })}
+                            </div>
+                        )}
+                    </div>
+                </section>
+            )}
+
+            {/* COMMITTED INSTALLMENTS */}
+            {committedInstallments.length > 0 && (
+                <section className="installments-section">
+                    <div className="glass-card">
+                        <div className="card-header">
+                            <h3>{t('installments.title')}</h3>
+                        </div>
+                        <div className="tx-list">
+                            {committedInstallments.slice(0, 6).map(entry => (
+                                <div key={entry.key} className="tx-item">
+                                    <div className="tx-icon installment">💳</div>
+                                    <div className="tx-details">
+                                        <span className="tx-name">{getMonthName(entry.month)} {entry.year}</span>
+                                        <span className="tx-date">{t('installments.count', { count: entry.count })}</span>
+                                    </div>
+                                    <div className="tx-amount negative">{formatCurrency(entry.total)}</div>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="accounts-dashboard-total">
+                            <span>{t('installments.total', { count: committedInstallments.length })}</span>
+                            <strong>{formatCurrency(committedInstallmentsTotal)}</strong>
+                        </div>
+                    </div>
+                </section>
+            )}
+
+            {/* TAG TOTALS */}
+            {tagTotals.length > 0 && (
+                <section className="tags-section">
+                    <div className="glass-card">
+                        <div className="card-header">
+                            <h3>{t('tags.title')}</h3>
+                        </div>
+                        <div className="tx-list">
+                            {tagTotals.slice(0, 8).map(entry => (
+                                <React.Fragment key={entry.tag}>
+                                    <div
+                                        className="tx-item tag-total-item"
+                                        role="button"
+                                        tabIndex={0}
+                                        aria-expanded={expandedTag === entry.tag}
+                                        onClick={() => setExpandedTag(expandedTag === entry.tag ? null : entry.tag)}
+                                        onKeyDown={(event) => event.key === 'Enter' && setExpandedTag(expandedTag === entry.tag ? null : entry.tag)}
+                                    >
+                                        <div className="tx-icon tag">#</div>
+                                        <div className="tx-details">
+                                            <span className="tx-name">{formatTag(entry.tag)}</span>
+                                            <span className="tx-date">
+                                                {t('tags.transactions', { count: entry.count })} · {t('tags.categories', { count: entry.categories.length })}
+                                            </span>
+                                        </div>
+                                        <div className="tx-amount">{formatCurrency(entry.total)}</div>
+                                    </div>
+                                    {expandedTag === entry.tag && (
+                                        <div className="tag-breakdown">
+                                            {entry.categories.map(category => (
+                                                <div key={category.name} className="tag-breakdown-row">
+                                                    <span>{category.name === 'Uncategorized' ? t('common.uncategorized') : getCategoryLabel(category.name)}</span>
+                                                    <span>{formatCurrency(category.total)}</span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </div>
+                    </div>
+                </section>
+            )}
+
             <section className="charts-and-lists">
                 {/* 4. RECENT TRANSACTIONS */}
                 <div className="glass-card recent-tx-card">
                     <div className="card-header">
-                        <h3>Recent Transactions</h3>
-                        <button className="text-btn" onClick={() => onNavigate('weeks')}>See All</button>
+                        <h3>{t('dashboard.recentTransactions')}</h3>
+                        <button className="text-btn" onClick={() => onNavigate('weeks')}>{t('dashboard.seeAll')}</button>
                     </div>
                     <div className="tx-list">
                         {recentTransactions.length > 0 ? (
@@ -794,14 +1033,14 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                 </div>
                             ))
                         ) : (
-                            <div className="empty-state">No transactions yet.</div>
+                            <div className="empty-state">{t('dashboard.noTransactions')}</div>
                         )}
                     </div>
                 </div>
 
                 {/* 5. DONUT CHART */}
                 <div className="glass-card chart-card">
-                    <h3>Where it goes</h3>
+                    <h3>{t('dashboard.whereItGoes')}</h3>
                     <div ref={chartContainerRef} className="chart-container-shell">
                         {chartsReady && donutData.length > 0 && chartBounds.width > 0 && chartBounds.height > 0 ? (
                             <PieChart width={chartBounds.width} height={chartBounds.height}>
@@ -825,7 +1064,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                 />
                             </PieChart>
                         ) : (
-                            <div className="empty-state" style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>No expenses this month</div>
+                            <div className="empty-state" style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>{t('dashboard.noExpensesMonth')}</div>
                         )}
                     </div>
 
@@ -855,7 +1094,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                     className="worst-case-btn-apocalipse"
                     onClick={() => setShowWorstCase(true)}
                 >
-                    Show Worst Case Scenario
+                    {t('dashboard.worstCase.show')}
                 </button>
             </section>
 
@@ -868,15 +1107,15 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                     </video>
 
                     <button className="worst-case-close-btn" onClick={(e) => { e.stopPropagation(); setShowWorstCase(false); }}>
-                        ESCAPE THE APOCALYPSE
+                        {t('dashboard.worstCase.escape')}
                     </button>
                     <div className="worst-case-content" onClick={e => e.stopPropagation()}>
                         <h2 className="apocalypse-title-apocalipse">
-                            WORST CASE SCENARIO
+                            {t('dashboard.worstCase.title')}
                         </h2>
                         <div className="hero-card worst-case-card-blend hero-card-apocalipse">
                             <div className="hero-label-wrapper-apocalipse">
-                                <span className="hero-label-apocalipse">Strict Runway Survival</span>
+                                <span className="hero-label-apocalipse">{t('dashboard.worstCase.label')}</span>
                                 <button
                                     type="button"
                                     className="info-icon-btn-apocalipse"
@@ -887,8 +1126,8 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                         setShowRunwayInfo('strict');
                                         setShowRunwayMath(false);
                                     }}
-                                    title="How is this calculated?"
-                                    aria-label="Open Strict Runway explanation"
+                                    title={t('dashboard.howCalculated')}
+                                    aria-label={t('dashboard.openStrictInfo')}
                                 >
                                     ?
                                 </button>
@@ -905,26 +1144,26 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                 if (runwayMonths >= 6) {
                                     return (
                                         <div className="survival-status-apocalipse survival-safe-apocalipse">
-                                            🛡️ You'll cruise through the apocalypse! Your emergency fund is solid enough to weather any storm.
+                                            {t('dashboard.worstCase.safe')}
                                         </div>
                                     );
                                 } else if (runwayMonths >= 3) {
                                     return (
                                         <div className="survival-status-apocalipse survival-tight-apocalipse">
-                                            ⚠️ You'll survive, but it'll be tight. The apocalypse will test your limits — start stacking supplies!
+                                            {t('dashboard.worstCase.tight')}
                                         </div>
                                     );
                                 } else {
                                     return (
                                         <div className="survival-status-apocalipse survival-zombie-apocalipse">
-                                            🧟 You're about to join the zombie horde! Without more reserves, survival is not guaranteed...
+                                            {t('dashboard.worstCase.zombie')}
                                         </div>
                                     );
                                 }
                             })()}
                             {realisticRunway.daysRunway && !realisticRunway.isSafe && (
                                 <div className="hero-badge-apocalipse">
-                                    ⏳ ~{realisticRunway.daysRunway} left at avg spend
+                                    {t('dashboard.worstCase.daysLeft', { days: realisticRunway.daysRunway })}
                                 </div>
                             )}
                         </div>
@@ -940,47 +1179,47 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
 
                         {showRunwayInfo === 'strict' ? (
                             <>
-                                <h2>{showRunwayMath ? "Runway: The Math 🧮" : "How 'Runway' Works ⏳"}</h2>
+                                <h2>{showRunwayMath ? t('dashboard.strictInfo.mathTitle') : t('dashboard.strictInfo.title')}</h2>
                                 <div className="info-content">
                                     {!showRunwayMath ? (
                                         <>
-                                            <p>The <strong>Strict Runway</strong> is a worst-case stress-test: <em>how long could you survive if all income stopped today?</em></p>
+                                            <p>{tRich('dashboard.strictInfo.intro')}</p>
 
                                             <div className="info-step">
-                                                <h3>1. Global Net Worth</h3>
-                                                <p>We calculate your total real wealth by adding: the <strong>Remaining Monthly Balance</strong> of all your added months + your total <strong>Savings</strong>.</p>
+                                                <h3>{t('dashboard.strictInfo.netWorthTitle')}</h3>
+                                                <p>{tRich('dashboard.strictInfo.netWorthText')}</p>
                                             </div>
 
                                             <div className="info-step">
-                                                <h3>2. Monthly Burn Rate</h3>
-                                                <p>We take your <strong>Current Salary</strong> from the latest Monthly Plan and subtract the <strong>Current Remaining Monthly Balance</strong> (Salary - All budgets). If no plan exists, we estimate by multiplying your <strong>current week's spending × 4</strong>.</p>
+                                                <h3>{t('dashboard.strictInfo.burnTitle')}</h3>
+                                                <p>{tRich('dashboard.strictInfo.burnText')}</p>
                                             </div>
 
                                             <div className="info-step">
-                                                <h3>3. The Result</h3>
-                                                <p>We divide your <strong>Net Worth</strong> by your <strong>Monthly Burn</strong> — assuming zero future income. This tells you exactly how many months you could survive.<br />
-                                                    ≥ 3 months = <strong>Safe 🟢</strong> · under 3 months = <strong>Danger 🔴</strong>. If under 90 days, a countdown badge appears.</p>
+                                                <h3>{t('dashboard.strictInfo.resultTitle')}</h3>
+                                                <p>{tRich('dashboard.strictInfo.resultText')}<br />
+                                                    {tRich('dashboard.strictInfo.resultLegend')}</p>
                                             </div>
                                         </>
                                     ) : (
                                         <div className="math-breakdown" style={{ background: 'rgba(0,0,0,0.03)', padding: '16px', borderRadius: '12px', marginTop: '12px' }}>
                                             <div style={{ marginBottom: '16px' }}>
-                                                <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>Total Cash Pile (Net Worth)</h3>
+                                                <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>{t('dashboard.strictInfo.cashPile')}</h3>
                                                 <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '8px', fontSize: '0.9rem', fontFamily: 'monospace' }}>
-                                                    <span>+ Remaining Monthly Balances:</span> <span style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.raw?.accumulatedRemainingBalance || 0)}</span>
-                                                    <span>+ Total Savings:</span> <span style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.raw?.totalSavings || 0)}</span>
+                                                    <span>{t('dashboard.strictInfo.remainingBalances')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.raw?.accumulatedRemainingBalance || 0)}</span>
+                                                    <span>{t('dashboard.strictInfo.totalSavings')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.raw?.totalSavings || 0)}</span>
                                                     <div style={{ gridColumn: '1 / -1', height: '1px', background: '#D1D5DB', margin: '4px 0' }}></div>
-                                                    <strong>= Net Worth:</strong> <strong style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.wealth || 0)}</strong>
+                                                    <strong>{t('dashboard.strictInfo.netWorthResult')}</strong> <strong style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.wealth || 0)}</strong>
                                                 </div>
                                             </div>
 
                                             <div>
-                                                <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>Runway Calculation</h3>
+                                                <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>{t('dashboard.strictInfo.calculation')}</h3>
                                                 <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '8px', fontSize: '0.9rem', fontFamily: 'monospace' }}>
-                                                    <span>Net Worth:</span> <span style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.wealth || 0)}</span>
-                                                    <span>÷ Monthly Burn:</span> <span style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.raw?.monthlyBurn || 0)}</span>
+                                                    <span>{t('dashboard.strictInfo.netWorth')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.wealth || 0)}</span>
+                                                    <span>{t('dashboard.strictInfo.monthlyBurn')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency(realisticRunway.raw?.monthlyBurn || 0)}</span>
                                                     <div style={{ gridColumn: '1 / -1', height: '1px', background: '#D1D5DB', margin: '4px 0' }}></div>
-                                                    <strong>= Runway:</strong> <strong style={{ textAlign: 'right' }}>{realisticRunway.value}</strong>
+                                                    <strong>{t('dashboard.strictInfo.runwayResult')}</strong> <strong style={{ textAlign: 'right' }}>{realisticRunway.value}</strong>
                                                 </div>
                                             </div>
                                         </div>
@@ -991,68 +1230,74 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                         style={{ width: '100%', marginTop: '16px' }}
                                         onClick={() => setShowRunwayMath(!showRunwayMath)}
                                     >
-                                        {showRunwayMath ? "↩ Back to explanation" : "Math Info 🧮"}
+                                        {showRunwayMath ? t('dashboard.backToExplanation') : t('dashboard.mathInfo')}
                                     </button>
                                 </div>
                             </>
                         ) : (
                             <>
-                                <h2>{showRunwayMath ? "Financial Momentum: The Math 🧮" : "How 'Financial Momentum' Works 🚀"}</h2>
+                                <h2>{showRunwayMath ? t('dashboard.momentumInfo.mathTitle') : t('dashboard.momentumInfo.title')}</h2>
                                 <div className="info-content">
                                     {!showRunwayMath ? (
                                         <>
-                                            <p>The <strong>Financial Momentum</strong> card shows the monthly balance generated by your latest manual plan.</p>
+                                            <p>{tRich('dashboard.momentumInfo.intro')}</p>
 
                                             <div className="info-step">
-                                                <h3>1. Base Month</h3>
-                                                <p>We read your most recent month with <strong>source: manual</strong>. Propagated months are ignored so the card reflects the month you actually planned.</p>
+                                                <h3>{t('dashboard.momentumInfo.baseTitle')}</h3>
+                                                <p>{tRich('dashboard.momentumInfo.baseText')}</p>
                                             </div>
 
                                             <div className="info-step">
-                                                <h3>2. Net Monthly Flow</h3>
-                                                <p>We subtract your <strong>Total Budget</strong> from your <strong>Monthly Salary</strong>. Weekly categories are converted to their monthly equivalent before the total is calculated.</p>
+                                                <h3>{t('dashboard.momentumInfo.flowTitle')}</h3>
+                                                <p>{tRich('dashboard.momentumInfo.flowText')}</p>
                                             </div>
 
                                             <div className="info-step">
-                                                <h3>3. Reading the Result</h3>
-                                                <p>If the result is positive, the card shows how much you are adding per month. If it is negative, the card shows your monthly deficit. The amount is always displayed as <strong>AED/month</strong>.</p>
+                                                <h3>{t('dashboard.momentumInfo.readingTitle')}</h3>
+                                                <p>{tRich('dashboard.momentumInfo.readingText', { currency: getBaseCurrency() })}</p>
                                             </div>
 
                                             <div className="info-step">
-                                                <h3>4. Projection Block</h3>
-                                                <p>The projection underneath uses that same monthly flow together with your current net worth, so positive flow grows the projection and negative flow reduces it.</p>
+                                                <h3>{t('dashboard.momentumInfo.projectionTitle')}</h3>
+                                                <p>{t('dashboard.momentumInfo.projectionText')}</p>
                                             </div>
                                         </>
                                     ) : (
                                         <div className="math-breakdown" style={{ background: 'rgba(0,0,0,0.03)', padding: '16px', borderRadius: '12px', marginTop: '12px' }}>
                                             <div style={{ marginBottom: '16px' }}>
-                                                <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>Net Monthly Flow</h3>
+                                                <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>{t('dashboard.momentumInfo.netFlowTitle')}</h3>
                                                 <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '8px', fontSize: '0.9rem', fontFamily: 'monospace' }}>
-                                                    <span>+ Monthly Salary:</span> <span style={{ textAlign: 'right' }}>{formatCurrency(optimisticRunway.raw?.monthlyIncome || 0)}</span>
-                                                    <span style={{ color: '#EF4444' }}>- Total Budget:</span> <span style={{ textAlign: 'right', color: '#EF4444' }}>{formatCurrency(optimisticRunway.raw?.totalBudgets || 0)}</span>
+                                                    <span>{t('dashboard.momentumInfo.salary')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency(optimisticRunway.raw?.monthlyIncome || 0)}</span>
+                                                    <span style={{ color: '#EF4444' }}>{t('dashboard.momentumInfo.totalBudget')}</span> <span style={{ textAlign: 'right', color: '#EF4444' }}>{formatCurrency(optimisticRunway.raw?.totalBudgets || 0)}</span>
                                                     <div style={{ gridColumn: '1 / -1', height: '1px', background: '#D1D5DB', margin: '4px 0' }}></div>
-                                                    <strong>= Net Flow:</strong> <strong style={{ textAlign: 'right', color: (optimisticRunway.raw?.netMonthlyFlow || 0) >= 0 ? '#059669' : '#EF4444' }}>{formatCurrency(optimisticRunway.raw?.netMonthlyFlow || 0)}</strong>
+                                                    <strong>{t('dashboard.momentumInfo.netFlow')}</strong> <strong style={{ textAlign: 'right', color: (optimisticRunway.raw?.netMonthlyFlow || 0) >= 0 ? '#059669' : '#EF4444' }}>{formatCurrency(optimisticRunway.raw?.netMonthlyFlow || 0)}</strong>
                                                 </div>
                                             </div>
 
                                             {(optimisticRunway.raw?.netMonthlyFlow || 0) > 0 ? (
                                                 <div>
-                                                    <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>Future Projection Formula</h3>
+                                                    <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>{t('dashboard.momentumInfo.futureTitle')}</h3>
                                                     <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '8px', fontSize: '0.9rem', fontFamily: 'monospace' }}>
-                                                        <span>Current Net Worth:</span> <span style={{ textAlign: 'right' }}>{formatCurrency(optimisticRunway.wealth || 0)}</span>
-                                                        <span>+ (Net Flow × Months):</span> <span style={{ textAlign: 'right' }}>{formatCurrency((optimisticRunway.raw?.netMonthlyFlow || 0) * (Number(projectionMonths) || 1))}</span>
+                                                        <span>{t('dashboard.momentumInfo.currentNetWorth')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency(optimisticRunway.wealth || 0)}</span>
+                                                        <span>{t('dashboard.momentumInfo.flowTimesMonths')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency((optimisticRunway.raw?.netMonthlyFlow || 0) * (Number(projectionMonths) || 1))}</span>
+                                                        {committedInProjection > 0 && (
+                                                            <><span style={{ color: '#EF4444' }}>{t('installments.committedRow')}</span> <span style={{ textAlign: 'right', color: '#EF4444' }}>- {formatCurrency(committedInProjection)}</span></>
+                                                        )}
                                                         <div style={{ gridColumn: '1 / -1', height: '1px', background: '#D1D5DB', margin: '4px 0' }}></div>
-                                                        <strong>= Future Wealth:</strong> <strong style={{ textAlign: 'right' }}>{formatCurrency((optimisticRunway.wealth || 0) + ((optimisticRunway.raw?.netMonthlyFlow || 0) * (Number(projectionMonths) || 1)))}</strong>
+                                                        <strong>{t('dashboard.momentumInfo.futureWealth')}</strong> <strong style={{ textAlign: 'right' }}>{formatCurrency((optimisticRunway.wealth || 0) + ((optimisticRunway.raw?.netMonthlyFlow || 0) * (Number(projectionMonths) || 1)) - committedInProjection)}</strong>
                                                     </div>
                                                 </div>
                                             ) : (
                                                 <div>
-                                                    <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>Deficit Projection</h3>
+                                                    <h3 style={{ fontSize: '0.9rem', color: '#4B5563', marginBottom: '8px' }}>{t('dashboard.momentumInfo.deficitTitle')}</h3>
                                                     <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '8px', fontSize: '0.9rem', fontFamily: 'monospace' }}>
-                                                        <span>Net Worth:</span> <span style={{ textAlign: 'right' }}>{formatCurrency(optimisticRunway.wealth || 0)}</span>
-                                                        <span>+ (Net Flow × Months):</span> <span style={{ textAlign: 'right' }}>{formatCurrency((optimisticRunway.raw?.netMonthlyFlow || 0) * (Number(projectionMonths) || 1))}</span>
+                                                        <span>{t('dashboard.momentumInfo.netWorth')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency(optimisticRunway.wealth || 0)}</span>
+                                                        <span>{t('dashboard.momentumInfo.flowTimesMonths')}</span> <span style={{ textAlign: 'right' }}>{formatCurrency((optimisticRunway.raw?.netMonthlyFlow || 0) * (Number(projectionMonths) || 1))}</span>
+                                                        {committedInProjection > 0 && (
+                                                            <><span style={{ color: '#EF4444' }}>{t('installments.committedRow')}</span> <span style={{ textAlign: 'right', color: '#EF4444' }}>- {formatCurrency(committedInProjection)}</span></>
+                                                        )}
                                                         <div style={{ gridColumn: '1 / -1', height: '1px', background: '#D1D5DB', margin: '4px 0' }}></div>
-                                                        <strong>= Future Wealth:</strong> <strong style={{ textAlign: 'right' }}>{formatCurrency((optimisticRunway.wealth || 0) + ((optimisticRunway.raw?.netMonthlyFlow || 0) * (Number(projectionMonths) || 1)))}</strong>
+                                                        <strong>{t('dashboard.momentumInfo.futureWealth')}</strong> <strong style={{ textAlign: 'right' }}>{formatCurrency((optimisticRunway.wealth || 0) + ((optimisticRunway.raw?.netMonthlyFlow || 0) * (Number(projectionMonths) || 1)) - committedInProjection)}</strong>
                                                     </div>
                                                 </div>
                                             )}
@@ -1064,7 +1309,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                                         style={{ width: '100%', marginTop: '16px' }}
                                         onClick={() => setShowRunwayMath(!showRunwayMath)}
                                     >
-                                        {showRunwayMath ? "↩ Back to explanation" : "Math Info 🧮"}
+                                        {showRunwayMath ? t('dashboard.backToExplanation') : t('dashboard.mathInfo')}
                                     </button>
                                 </div>
                             </>
@@ -1081,7 +1326,7 @@ const Dashboard = ({ weeks, categories, totalSavings, onNavigate, onAddExpense,
                         <button className="avatar-zoom-close" onClick={() => setShowAvatarZoom(false)}>×</button>
                         <img
                             src={user?.avatar || '/no-avatar.jpg'}
-                            alt="Avatar Zoomed"
+                            alt={t('dashboard.avatarZoomed')}
                             className="avatar-zoom-image"
                             onError={(e) => { e.target.onerror = null; e.target.src = '/no-avatar.jpg'; }}
                         />
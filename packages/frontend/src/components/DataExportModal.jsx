@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { api, isConnectionError } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import '../styles/DataExportModal.css';
+
+// Titles and descriptions are translated under dataExport.formats.<format>
+const EXPORT_OPTIONS = [
+    { format: 'json', icon: '🗄️' },
+    { format: 'transactions-csv', icon: '🧾' },
+    { format: 'planning-csv', icon: '📅' }
+];
+
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const DataExportModal = ({ isOpen, onClose }) => {
+    const { t } = useI18n();
+    const [exportingFormat, setExportingFormat] = useState(null);
+    const [error, setError] = useState('');
+    const [withAttachments, setWithAttachments] = useState(false);
+
+    if (!isOpen) return null;
+
+    const handleExport = async (format) => {
+        setError('');
+        setExportingFormat(format);
+        const result = await api.exportData(format, { withAttachments });
+        setExportingFormat(null);
+
+        if (result.error) {
+            setError(isConnectionError(result) ? t('dataExport.offline') : result.error);
+            return;
+        }
+        downloadBlob(result.blob, result.filename);
+    };
+
+    return (
+        <div className="change-pwd-overlay" onClick={(e) => {
+            if (e.target === e.currentTarget) onClose();
+        }}>
+            <div className="change-pwd-card">
+                <h2>📤 {t('dataExport.title')}</h2>
+                <div className="data-export-options">
+                    {EXPORT_OPTIONS.map(option => (
+                        <button
+                            key={option.format}
+                            type="button"
+                            className="data-export-option"
+                            onClick={() => handleExport(option.format)}
+                            disabled={exportingFormat !== null}
+                        >
+                            <span className="data-export-icon">{option.icon}</span>
+                            <span className="data-export-text">
+                                <strong>{exportingFormat === option.format ? t('dataExport.preparing') : t(`dataExport.formats.${option.format}.title`)}</strong>
+                                <small>{t(`dataExport.formats.${option.format}.description`)}</small>
+                            </span>
+                        </button>
+                    ))}
+                </div>
+                <div className="split-checkbox-wrapper">
+                    <input
+                        type="checkbox"
+                        id="export-attachments"
+                        className="split-checkbox"
+                        checked={withAttachments}
+                        onChange={(e) => setWithAttachments(e.target.checked)}
+                        disabled={exportingFormat !== null}
+                    />
+                    <label htmlFor="export-attachments" className="split-label">{t('dataExport.includeAttachments')}</label>
+                </div>
+                {error && <div className="auth-error">{error}</div>}
+                <div className="change-pwd-actions">
+                    <button type="button" className="btn-cancel" onClick={onClose}>{t('common.close')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DataExportModal;
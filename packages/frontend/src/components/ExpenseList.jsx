@@ -1,11 +1,20 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { Pencil, Trash2 } from 'lucide-react';
-import { formatCurrency, formatDate } from '../lib/utils';
+import { Paperclip, Pencil, Trash2 } from 'lucide-react';
+import { useI18n } from '../lib/i18n';
+import { formatCurrency, formatDate, getCategoryLabel } from '../lib/utils';
+import { calculateTagNet, filterExpensesByTag, formatTag, getExpenseTags } from '../lib/tags';
+import AttachmentViewer from './AttachmentViewer';
 import '../styles/ExpenseList.css';
 
 const ExpenseList = ({ expenses, onDelete, onEdit }) => {
-    const sortedExpenses = [...expenses].sort((leftExpense, rightExpense) => {
+    const { t } = useI18n();
+    // Clicking a tag narrows the list to it; the bar above shows its net total
+    const [activeTag, setActiveTag] = useState(null);
+    const [viewedAttachment, setViewedAttachment] = useState(null);
+    const visibleExpenses = activeTag ? filterExpensesByTag(expenses, activeTag) : expenses;
+
+    const sortedExpenses = [...visibleExpenses].sort((leftExpense, rightExpense) => {
         const leftDate = new Date(leftExpense.date).getTime();
         const rightDate = new Date(rightExpense.date).getTime();
 
@@ -18,9 +27,16 @@ const ExpenseList = ({ expenses, onDelete, onEdit }) => {
 
     return (
         <div className="expense-list-container">
-            {expenses.length === 0 ? (
+            {activeTag && (
+                <div className="expense-tag-filter">
+                    <span className="expense-tag active">{formatTag(activeTag)}</span>
+                    <span>{t('expenseList.tagTotal', { count: visibleExpenses.length, amount: formatCurrency(calculateTagNet(expenses, activeTag)) })}</span>
+                    <button type="button" onClick={() => setActiveTag(null)}>{t('expenseList.clearTag')}</button>
+                </div>
+            )}
+            {visibleExpenses.length === 0 ? (
                 <div style={{ textAlign: 'center', color: '#94a3b8', padding: '2rem' }}>
-                    No records found in databanks.
+                    {t('expenseList.empty')}
                 </div>
             ) : (
                 sortedExpenses.map((expense, index) => (
@@ -34,7 +50,35 @@ const ExpenseList = ({ expenses, onDelete, onEdit }) => {
                         <div className="expense-info">
                             <h4>{expense.name}</h4>
                             <span className="expense-date">{formatDate(expense.date)}</span>
-                            <span className="expense-category-label">{expense.category || 'Uncategorized'}</span>
+                            <span className="expense-category-label">{expense.category ? getCategoryLabel(expense.category) : t('common.uncategorized')}</span>
+                            {getExpenseTags(expense).map(tag => (
+                                <button
+                                    key={tag}
+                                    type="button"
+                                    className={`expense-tag ${tag === activeTag ? 'active' : ''}`}
+                                    onClick={() => setActiveTag(tag === activeTag ? null : tag)}
+                                    title={t('expenseList.filterByTag')}
+                                >
+                                    {formatTag(tag)}
+                                </button>
+                            ))}
+                            {expense.notes && <p className="expense-notes">{expense.notes}</p>}
+                            {expense.attachment && (
+                                <button
+                                    type="button"
+                                    className="expense-attachment"
+                                    onClick={() => setViewedAttachment(expense.attachment)}
+                                    title={t('expenseList.viewReceipt')}
+                                >
+                                    <Paperclip size={12} />
+                                    <span>{expense.attachment.name}</span>
+                                </button>
+                            )}
+                            {expense.originalCurrency && (
+                                <span className="expense-original-amount">
+                                    {formatCurrency(expense.originalAmount, expense.originalCurrency)} @ {expense.exchangeRate}
+                                </span>
+                            )}
                         </div>
                         <div className="expense-actions">
                             <span className={`expense-amount ${expense.type === 'credit' ? 'credit-amount' : ''}`}>
@@ -43,14 +87,14 @@ const ExpenseList = ({ expenses, onDelete, onEdit }) => {
                             <button
                                 className="btn-edit"
                                 onClick={() => onEdit?.(expense)}
-                                aria-label="Edit expense"
+                                aria-label={t('expenseList.edit')}
                             >
                                 <Pencil size={16} />
                             </button>
                             <button
                                 className="btn-delete"
                                 onClick={() => onDelete(expense.id)}
-                                aria-label="Delete expense"
+                                aria-label={t('expenseList.delete')}
                             >
                                 <Trash2 size={18} />
                             </button>
@@ -58,6 +102,7 @@ const ExpenseList = ({ expenses, onDelete, onEdit }) => {
                     </motion.div>
                 ))
             )}
+            <AttachmentViewer attachment={viewedAttachment} onClose={() => setViewedAttachment(null)} />
         </div>
     );
 };
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { v4 as uuidv4 } from 'uuid';
+import { useI18n } from '../lib/i18n';
+import { getGoalProgress } from '../lib/goals';
+import { formatCurrency, formatDate, getBaseCurrency, getCategoryLabel, isRefundsCategory } from '../lib/utils';
+import '../styles/AddExpenseModal.css';
+import '../styles/Goals.css';
+
+const modalVariants = {
+    hidden: { opacity: 0, scale: 0.8 },
+    visible: { opacity: 1, scale: 1, transition: { type: 'spring', damping: 25, stiffness: 500 } },
+    exit: { opacity: 0, scale: 0.8 }
+};
+
+const getInitialFormState = (goal = null) => ({
+    name: goal?.name || '',
+    targetAmount: goal?.targetAmount != null ? String(goal.targetAmount) : '',
+    startingAmount: goal?.startingAmount != null ? String(goal.startingAmount) : '',
+    deadline: goal?.deadline || '',
+    category: goal?.category || ''
+});
+
+// Goals are saved one at a time; onSaveGoal resolves to the server result
+// ({ error, fields } when rejected).
+const GoalsModal = ({ isOpen, onClose, goals = [], categories = [], weeks = [], onSaveGoal, onDeleteGoal }) => {
+    const { t } = useI18n();
+    const [view, setView] = useState('list'); // 'list' | 'form'
+    const [editingGoal, setEditingGoal] = useState(null);
+    const [form, setForm] = useState(() => getInitialFormState());
+    const [formErrors, setFormErrors] = useState({});
+    const [busyGoalId, setBusyGoalId] = useState(null);
+
+    React.useEffect(() => {
+        if (!isOpen) return;
+
+        setView('list');
+        setEditingGoal(null);
+        setFormErrors({});
+    }, [isOpen]);
+
+    const openForm = (goal = null) => {
+        setEditingGoal(goal);
+        setForm(getInitialFormState(goal));
+        setFormErrors({});
+        setView('form');
+    };
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const categoryNames = categories.map(category => category.name).filter(name => name && !isRefundsCategory(name));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const startingAmount = parseFloat(form.startingAmount);
+        const nextGoal = {
+            id: editingGoal?.id || uuidv4(),
+            name: form.name.trim(),
+            targetAmount: parseFloat(form.targetAmount),
+            startingAmount: Number.isNaN(startingAmount) ? null : startingAmount,
+            deadline: form.deadline || null,
+            category: form.category || null
+        };
+
+        setBusyGoalId(nextGoal.id);
+        const result = await onSaveGoal(nextGoal);
+        setBusyGoalId(null);
+
+        if (result?.error) {
+            const errors = Object.fromEntries(Object.entries(result.fields || {}).map(([field, message]) => [field, `${field} ${message}`]));
+            setFormErrors(Object.keys(errors).length > 0 ? errors : { form: result.error });
+            return;
+        }
+        setView('list');
+    };
+
+    const handleDelete = async (goal) => {
+        if (!window.confirm(t('goals.confirmDelete', { name: goal.name }))) return;
+
+        setBusyGoalId(goal.id);
+        const result = await onDeleteGoal(goal.id);
+        setBusyGoalId(null);
+        if (result?.error) window.alert(result.error);
+    };
+
+    const renderFieldError = (field) => formErrors[field] && <small className="form-error">{formErrors[field]}</small>;
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="goals-overlay"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                >
+                    <motion.div
+                        className="goals-content"
+                        variants={modalVariants}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                    >
+                        <h2>{view === 'list' ? t('goals.title') : editingGoal ? t('goals.editTitle') : t('goals.newTitle')}</h2>
+
+                        {view === 'list' && (
+                            <>
+                                <div className="goals-body">
+                                    <button type="button" className="goals-new-btn" onClick={() => openForm()}>
+                                        + {t('goals.newButton')}
+                                    </button>
+
+                                    {goals.length === 0 && <p className="goals-empty">{t('goals.empty')}</p>}
+
+                                    {goals.map(goal => {
+                                        const progress = getGoalProgress(goal, weeks, categories);
+                                        return (
+                                            <div key={goal.id} className="goals-card">
+                                                <div className="goals-card-header">
+                                                    <strong>{goal.name}</strong>
+                                                    <span>
+                                                        {t('goals.savedOf', { saved: formatCurrency(progress.saved), target: formatCurrency(goal.targetAmount) })}
+                                                        {goal.deadline && ` · ${t('goals.by', { date: formatDate(goal.deadline) })}`}
+                                                    </span>
+                                                    <span>{goal.category ? getCategoryLabel(goal.category) : t('goals.noCategory')}</span>
+                                                </div>
+
+                                                <div className="goals-card-actions">
+                                                    <button type="button" onClick={() => openForm(goal)} disabled={busyGoalId === goal.id}>{t('common.edit')}</button>
+                                                    <button type="button" className="danger" onClick={() => handleDelete(goal)} disabled={busyGoalId === goal.id}>{t('common.delete')}</button>
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={onClose}>{t('common.close')}</button>
+                                </div>
+                            </>
+                        )}
+
+                        {view === 'form' && (
+                            <form className="goals-body" onSubmit={handleSubmit}>
+                                <div className="form-group">
+                                    <label>{t('goals.name')}</label>
+                                    <input
+                                        type="text"
+                                        value={form.name}
+                                        onChange={(e) => updateForm('name', e.target.value)}
+                                        placeholder={t('goals.namePlaceholder')}
+                                        required
+                                    />
+                                    {renderFieldError('name')}
+                                </div>
+
+                                <div className="goals-amounts">
+                                    <div className="form-group">
+                                        <label>{t('goals.targetAmount', { currency: getBaseCurrency() })}</label>
+                                        <input type="number" value={form.targetAmount} onChange={(e) => updateForm('targetAmount', e.target.value)} min="0.01" step="0.01" required />
+                                        {renderFieldError('targetAmount')}
+                                    </div>
+                                    <div className="form-group">
+                                        <label>{t('goals.startingAmount', { currency: getBaseCurrency() })}</label>
+                                        <input type="number" value={form.startingAmount} onChange={(e) => updateForm('startingAmount', e.target.value)} min="0" step="0.01" />
+                                        {renderFieldError('startingAmount')}
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('goals.deadline')}</label>
+                                    <input type="date" value={form.deadline} onChange={(e) => updateForm('deadline', e.target.value)} />
+                                    {renderFieldError('deadline')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('goals.category')}</label>
+                                    <select value={form.category} onChange={(e) => updateForm('category', e.target.value)}>
+                                        <option value="" style={{ color: 'black' }}>{t('goals.noCategory')}</option>
+                                        {categoryNames.map(name => (
+                                            <option key={name} value={name} style={{ color: 'black' }}>{getCategoryLabel(name)}</option>
+                                        ))}
+                                    </select>
+                                    <small className="receipt-hint">{t('goals.categoryHint')}</small>
+                                    {renderFieldError('category')}
+                                </div>
+
+                                {renderFieldError('form')}
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={() => setView('list')}>{t('common.back')}</button>
+                                    <button type="submit" className="btn-save" disabled={busyGoalId !== null}>
+                                        {editingGoal ? t('common.saveChanges') : t('common.save')}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default GoalsModal;
@@ -0,0 +1,384 @@
+import React, { useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { v4 as uuidv4 } from 'uuid';
+import { applyCategoryRules, findMatchingRule } from '../lib/categoryRules';
+import { CSV_DATE_FORMATS, CSV_NUMBER_FORMATS, CSV_SIGN_MODES, guessColumnMapping, guessDateFormat, guessDecimalSeparator, mapCsvRows, parseCsv } from '../lib/csv';
+import { useI18n } from '../lib/i18n';
+import { decodeOfxFile, isOfxFile, parseOfx } from '../lib/ofx';
+import { formatTag } from '../lib/tags';
+import { formatCurrency, formatDate, getCategoryLabel, getFinancialInfo } from '../lib/utils';
+import '../styles/ImportWizard.css';
+
+const modalVariants = {
+    hidden: { opacity: 0, scale: 0.8 },
+    visible: { opacity: 1, scale: 1, transition: { type: 'spring', damping: 25, stiffness: 500 } },
+    exit: { opacity: 0, scale: 0.8 }
+};
+
+const EMPTY_MAPPING = { date: '', description: '', amount: '', sign: '' };
+
+// CSV files go through column mapping; OFX/QFX files are structured and
+// jump straight to the preview. Category rules pick each row's category and
+// tags; rows no rule matches get the category chosen in the preview.
+const ImportWizard = ({ isOpen, onClose, onImport, categories = [], categoryRules = [], importedFitIds = new Set() }) => {
+    const { t } = useI18n();
+    const [step, setStep] = useState('file'); // 'file' | 'map' | 'preview'
+    const [ofxCandidates, setOfxCandidates] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [fileError, setFileError] = useState('');
+    const [rows, setRows] = useState([]);
+    const [hasHeader, setHasHeader] = useState(true);
+    const [mapping, setMapping] = useState(EMPTY_MAPPING);
+    const [dateFormat, setDateFormat] = useState('DD/MM/YYYY');
+    const [decimalSeparator, setDecimalSeparator] = useState(',');
+    const [signMode, setSignMode] = useState('negative-expense');
+    const [category, setCategory] = useState('Uncategorized');
+    const [excluded, setExcluded] = useState(() => new Set());
+    const [importing, setImporting] = useState(false);
+    const [importError, setImportError] = useState(null);
+
+    React.useEffect(() => {
+        if (!isOpen) return;
+
+        setStep('file');
+        setFileName('');
+        setFileError('');
+        setRows([]);
+        setOfxCandidates(null);
+        setHasHeader(true);
+        setMapping(EMPTY_MAPPING);
+        setExcluded(new Set());
+        setImportError(null);
+    }, [isOpen]);
+
+    const columnCount = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+    const header = hasHeader ? rows[0] || [] : [];
+    const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+
+    const columnOptions = Array.from({ length: columnCount }, (_, index) => ({
+        value: String(index),
+        label: header[index] ? t('importWizard.namedColumn', { name: header[index], number: index + 1 }) : t('importWizard.column', { number: index + 1 })
+    }));
+
+    const candidates = useMemo(() => {
+        if (step !== 'preview') return [];
+
+        const parsedCandidates = ofxCandidates || mapCsvRows(dataRows, { ...mapping, dateFormat, decimalSeparator, signMode });
+        const seenFitIds = new Set(importedFitIds);
+        const alreadyImported = t('importWizard.alreadyImported');
+
+        return parsedCandidates.map((candidate, index) => {
+            let { error } = candidate;
+            let duplicate = false;
+            if (!error && candidate.fitId) {
+                duplicate = seenFitIds.has(candidate.fitId);
+                if (duplicate) error = alreadyImported;
+                seenFitIds.add(candidate.fitId);
+            }
+
+            return {
+                ...candidate,
+                error,
+                duplicate,
+                index,
+                weekId: error ? null : getFinancialInfo(candidate.date).quarter.id
+            };
+        });
+    }, [step, ofxCandidates, dataRows, mapping, dateFormat, decimalSeparator, signMode, importedFitIds, t]);
+
+    // Ids stay the same across attempts, so batches stored before a rejected
+    // one are overwritten rather than duplicated when importing again
+    const candidateIds = useMemo(() => candidates.map(() => uuidv4()), [candidates]);
+    const rejectedExpenses = importError?.rejectedExpenses || {};
+
+    const selectedCandidates = candidates.filter(candidate => !candidate.error && !excluded.has(candidate.index));
+    const duplicateCount = candidates.filter(candidate => candidate.duplicate).length;
+    const invalidCount = candidates.filter(candidate => candidate.error).length - duplicateCount;
+    const isMappingComplete = mapping.date !== '' && mapping.description !== '' && mapping.amount !== ''
+        && (signMode !== 'column' || mapping.sign !== '');
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        try {
+            if (isOfxFile(file.name)) {
+                const parsedCandidates = parseOfx(await decodeOfxFile(file));
+                if (parsedCandidates.length === 0) {
+                    setFileError(t('importWizard.noTransactions'));
+                    return;
+                }
+
+                setOfxCandidates(parsedCandidates);
+                setFileName(file.name);
+                setFileError('');
+                setExcluded(new Set());
+                setStep('preview');
+                return;
+            }
+
+            const parsedRows = parseCsv(await file.text());
+            if (parsedRows.length === 0) {
+                setFileError(t('importWizard.noRows'));
+                return;
+            }
+
+            const guessedMapping = guessColumnMapping(parsedRows[0]);
+            const looksLikeHeader = Object.values(guessedMapping).some(Boolean);
+
+            setRows(parsedRows);
+            setOfxCandidates(null);
+            setFileName(file.name);
+            setFileError('');
+            setHasHeader(looksLikeHeader);
+            setMapping(looksLikeHeader ? guessedMapping : EMPTY_MAPPING);
+            setSignMode(guessedMapping.sign ? 'column' : 'negative-expense');
+            const guessedDateFormat = guessedMapping.date
+                ? guessDateFormat(parsedRows.slice(1).map(cells => cells[Number(guessedMapping.date)]))
+                : dateFormat;
+            const amountValues = guessedMapping.amount ? parsedRows.slice(1).map(cells => cells[Number(guessedMapping.amount)]) : [];
+            setDateFormat(guessedDateFormat);
+            setDecimalSeparator(guessDecimalSeparator(amountValues, guessedDateFormat));
+            setStep('map');
+        } catch (err) {
+            console.error('Failed to read statement file', err);
+            setFileError(t('importWizard.unreadable'));
+        }
+    };
+
+    const toggleRow = (index) => {
+        setExcluded(prev => {
+            const next = new Set(prev);
+            if (next.has(index)) next.delete(index);
+            else next.add(index);
+            return next;
+        });
+    };
+
+    const toExpense = (candidate) => applyCategoryRules({
+        name: candidate.name,
+        amount: candidate.amount,
+        date: candidate.date,
+        type: candidate.type,
+        category,
+        ...(candidate.fitId ? { fitId: candidate.fitId } : {})
+    }, categoryRules, categories);
+
+    const describeRuled = (candidate) => {
+        const expense = toExpense(candidate);
+        return [getCategoryLabel(expense.category), ...(expense.tags || []).map(formatTag)].join(' ');
+    };
+
+    // Stays open when the server rejects the import, marking the rows it refused
+    const handleImport = async () => {
+        if (selectedCandidates.length === 0 || importing) return;
+
+        setImporting(true);
+        setImportError(null);
+        const result = await onImport(selectedCandidates.map(candidate => ({ id: candidateIds[candidate.index], ...toExpense(candidate) })));
+        setImporting(false);
+
+        if (result?.error) {
+            setImportError(result);
+            return;
+        }
+        onClose();
+    };
+
+    const renderColumnSelect = (field, label) => (
+        <div className="form-group">
+            <label>{label}</label>
+            <select
+                value={mapping[field]}
+                onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value }))}
+            >
+                <option value="" disabled>{t('importWizard.selectColumn')}</option>
+                {columnOptions.map(option => (
+                    <option key={option.value} value={option.value} style={{ color: 'black' }}>{option.label}</option>
+                ))}
+            </select>
+        </div>
+    );
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="import-overlay"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                >
+                    <motion.div
+                        className="import-content"
+                        variants={modalVariants}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                    >
+                        <h2>{t('importWizard.title')}</h2>
+                        <div className="import-steps">
+                            {['file', 'map', 'preview'].map((stepId, index) => (
+                                <span key={stepId} className={`import-step ${step === stepId ? 'active' : ''}`}>
+                                    {index + 1}. {t(`importWizard.steps.${stepId}`)}
+                                </span>
+                            ))}
+                        </div>
+
+                        {step === 'file' && (
+                            <div className="import-body">
+                                <label className="import-dropzone">
+                                    <input type="file" accept=".csv,.ofx,.qfx,text/csv" onChange={handleFileChange} />
+                                    <span className="import-dropzone-icon">📄</span>
+                                    <span>{t('importWizard.chooseFile')}</span>
+                                    <small>{t('importWizard.chooseFileHint')}</small>
+                                </label>
+                                {fileError && <small className="form-error">{fileError}</small>}
+                            </div>
+                        )}
+
+                        {step === 'map' && (
+                            <div className="import-body">
+                                <p className="import-file-name">{fileName} · {t('importWizard.rows', { count: dataRows.length })}</p>
+
+                                <div className="split-checkbox-wrapper">
+                                    <input
+                                        type="checkbox"
+                                        id="import-has-header"
+                                        className="split-checkbox"
+                                        checked={hasHeader}
+                                        onChange={(e) => setHasHeader(e.target.checked)}
+                                    />
+                                    <label htmlFor="import-has-header" className="split-label">{t('importWizard.hasHeader')}</label>
+                                </div>
+
+                                {renderColumnSelect('date', t('importWizard.date'))}
+                                <div className="form-group">
+                                    <label>{t('importWizard.dateFormat')}</label>
+                                    <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+                                        {CSV_DATE_FORMATS.map(format => (
+                                            <option key={format.id} value={format.id} style={{ color: 'black' }}>{format.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {renderColumnSelect('description', t('importWizard.description'))}
+                                {renderColumnSelect('amount', t('importWizard.amount'))}
+                                <div className="form-group">
+                                    <label>{t('importWizard.numberFormat')}</label>
+                                    <select value={decimalSeparator} onChange={(e) => setDecimalSeparator(e.target.value)}>
+                                        {CSV_NUMBER_FORMATS.map(format => (
+                                            <option key={format.id} value={format.id} style={{ color: 'black' }}>{format.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>{t('importWizard.sign')}</label>
+                                    <select value={signMode} onChange={(e) => setSignMode(e.target.value)}>
+                                        {CSV_SIGN_MODES.map(mode => (
+                                            <option key={mode.id} value={mode.id} style={{ color: 'black' }}>{t(`importWizard.signModes.${mode.id}`)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {signMode === 'column' && renderColumnSelect('sign', t('importWizard.signColumn'))}
+                            </div>
+                        )}
+
+                        {step === 'preview' && (
+                            <div className="import-body">
+                                <p className="import-file-name">
+                                    {fileName} · {t('importWizard.toImport', { count: selectedCandidates.length })}
+                                    {duplicateCount > 0 && ` · ${t('importWizard.duplicates', { count: duplicateCount })}`}
+                                    {invalidCount > 0 && ` · ${t('importWizard.invalid', { count: invalidCount })}`}
+                                </p>
+                                <div className="form-group">
+                                    <label>{categoryRules.length > 0 ? t('importWizard.fallbackCategory') : t('importWizard.category')}</label>
+                                    <select value={category} onChange={(e) => setCategory(e.target.value)}>
+                                        {categories.map((cat, index) => (
+                                            <option key={index} value={cat} style={{ color: 'black' }}>{getCategoryLabel(cat)}</option>
+                                        ))}
+                                        <option value="Uncategorized" style={{ color: 'black' }}>{t('common.uncategorized')}</option>
+                                    </select>
+                                </div>
+                                <div className="import-preview-list">
+                                    {candidates.map(candidate => (
+                                        <label
+                                            key={candidate.index}
+                                            className={`import-preview-row ${candidate.error ? 'invalid' : ''}`}
+                                        >
+                                            <input
+                                                type="checkbox"
+                                                checked={!candidate.error && !excluded.has(candidate.index)}
+                                                disabled={Boolean(candidate.error)}
+                                                onChange={() => toggleRow(candidate.index)}
+                                            />
+                                            <div className="import-preview-info">
+                                                <strong>{candidate.name || '—'}</strong>
+                                                <span>
+                                                    {candidate.error
+                                                        ? candidate.error
+                                                        : `${formatDate(candidate.date)} · ${candidate.weekId}`}
+                                                </span>
+                                                {rejectedExpenses[candidateIds[candidate.index]] && (
+                                                    <small className="form-error">{rejectedExpenses[candidateIds[candidate.index]]}</small>
+                                                )}
+                                                {!candidate.error && findMatchingRule(categoryRules, candidate) && (
+                                                    <span className="import-preview-rule">🪄 {describeRuled(candidate)}</span>
+                                                )}
+                                            </div>
+                                            {!candidate.error && (
+                                                <span className={`import-preview-amount ${candidate.type === 'credit' ? 'credit-amount' : ''}`}>
+                                                    {candidate.type === 'credit' ? '+' : '-'} {formatCurrency(candidate.amount)}
+                                                </span>
+                                            )}
+                                        </label>
+                                    ))}
+                                </div>
+                                {importError && (
+                                    <small className="form-error">
+                                        {Object.keys(rejectedExpenses).length > 0
+                                            ? t('importWizard.rejected', { count: Object.keys(rejectedExpenses).length })
+                                            : importError.error}
+                                    </small>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="modal-actions">
+                            {step === 'file' && (
+                                <button type="button" className="btn-cancel" onClick={onClose}>{t('common.cancel')}</button>
+                            )}
+                            {step === 'map' && (
+                                <>
+                                    <button type="button" className="btn-cancel" onClick={() => setStep('file')}>{t('common.back')}</button>
+                                    <button
+                                        type="button"
+                                        className="btn-save"
+                                        disabled={!isMappingComplete}
+                                        onClick={() => { setExcluded(new Set()); setStep('preview'); }}
+                                    >
+                                        {t('importWizard.preview')}
+                                    </button>
+                                </>
+                            )}
+                            {step === 'preview' && (
+                                <>
+                                    <button type="button" className="btn-cancel" onClick={() => setStep(ofxCandidates ? 'file' : 'map')}>{t('common.back')}</button>
+                                    <button
+                                        type="button"
+                                        className="btn-save"
+                                        disabled={selectedCandidates.length === 0 || importing}
+                                        onClick={handleImport}
+                                    >
+                                        {t('importWizard.import', { count: selectedCandidates.length })}
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default ImportWizard;
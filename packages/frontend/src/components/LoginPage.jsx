@@ -1,10 +1,12 @@
 import React, { useState } from 'react';
 import { useAuth } from '../lib/AuthContext';
 import { api } from '../lib/api';
+import { useI18n } from '../lib/i18n';
 import '../styles/LoginPage.css';
 
 const LoginPage = () => {
     const { login, register } = useAuth();
+    const { t } = useI18n();
     const [mode, setMode] = useState('login'); // 'login' | 'register' | 'forgot' | 'verify-code' | 'reset'
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
@@ -29,7 +31,7 @@ const LoginPage = () => {
         try {
             if (mode === 'register') {
                 if (password !== confirmPassword) {
-                    setError('Passwords do not match');
+                    setError(t('auth.passwordsDontMatch'));
                     setLoading(false);
                     return;
                 }
@@ -48,18 +50,18 @@ const LoginPage = () => {
                 }
             } else if (mode === 'forgot') {
                 if (!email.trim() || !recoveryKey.trim() || !newPassword.trim()) {
-                    setError('Please fill all fields');
+                    setError(t('auth.fillAllFields'));
                     setLoading(false);
                     return;
                 }
                 if (newPassword !== confirmNewPassword) {
-                    setError('Passwords do not match');
+                    setError(t('auth.passwordsDontMatch'));
                     setLoading(false);
                     return;
                 }
                 const result = await api.auth.resetPassword(email, recoveryKey, newPassword);
                 if (result.success) {
-                    setSuccess(result.message || 'Password reset! You can now sign in.');
+                    setSuccess(result.message || t('auth.passwordReset'));
                     setTimeout(() => {
                         setMode('login');
                         setSuccess('');
@@ -68,11 +70,11 @@ const LoginPage = () => {
                         setConfirmNewPassword('');
                     }, 2000);
                 } else {
-                    setError(result.error || 'Failed to reset password');
+                    setError(result.error || t('auth.resetFailed'));
                 }
             }
         } catch (err) {
-            setError('An unexpected error occurred');
+            setError(t('auth.unexpectedError'));
         } finally {
             setLoading(false);
         }
@@ -80,23 +82,23 @@ const LoginPage = () => {
 
     const getSubtitle = () => {
         switch (mode) {
-            case 'login': return 'Welcome back! Sign in to your account.';
-            case 'register': return 'Create your secure account.';
-            case 'forgot': return 'Recover your account using your Recovery Key.';
-            case 'presentation-recovery-key': return 'CRITICAL: Save your Recovery Key';
-            case 'link-telegram': return 'Link your Telegram to easily receive your key.';
+            case 'login': return t('auth.subtitles.login');
+            case 'register': return t('auth.subtitles.register');
+            case 'forgot': return t('auth.subtitles.forgot');
+            case 'presentation-recovery-key': return t('auth.subtitles.recoveryKey');
+            case 'link-telegram': return t('auth.subtitles.linkTelegram');
             default: return '';
         }
     };
 
     const getButtonLabel = () => {
         switch (mode) {
-            case 'login': return '🔐 Sign In';
-            case 'register': return '✨ Create Account';
-            case 'forgot': return '� Send Reset Code';
-            case 'verify-code': return '✅ Verify Code';
-            case 'reset': return '🔑 Reset Password';
-            default: return 'Submit';
+            case 'login': return `🔐 ${t('auth.buttons.login')}`;
+            case 'register': return `✨ ${t('auth.buttons.register')}`;
+            case 'forgot': return `🔓 ${t('auth.buttons.forgot')}`;
+            case 'verify-code': return `✅ ${t('auth.buttons.verifyCode')}`;
+            case 'reset': return `🔑 ${t('auth.buttons.reset')}`;
+            default: return t('auth.buttons.submit');
         }
     };
 
@@ -115,13 +117,13 @@ const LoginPage = () => {
                     {/* Email — shown in login, register, AND forgot */}
                     {(mode === 'login' || mode === 'register' || mode === 'forgot') && (
                         <div className="form-group">
-                            <label htmlFor="email">Email</label>
+                            <label htmlFor="email">{t('auth.email')}</label>
                             <input
                                 id="email"
                                 type="email"
                                 value={email}
                                 onChange={(e) => setEmail(e.target.value)}
-                                placeholder="you@example.com"
+                                placeholder={t('auth.emailPlaceholder')}
                                 required
                                 autoComplete="email"
                             />
@@ -131,7 +133,7 @@ const LoginPage = () => {
                     {/* Password — shown in login, register */}
                     {(mode === 'login' || mode === 'register') && (
                         <div className="form-group">
-                            <label htmlFor="password">Password</label>
+                            <label htmlFor="password">{t('auth.password')}</label>
                             <input
                                 id="password"
                                 type="password"
@@ -149,7 +151,7 @@ const LoginPage = () => {
                     {mode === 'register' && (
                         <>
                             <div className="form-group">
-                                <label htmlFor="confirmPassword">Confirm Password</label>
+                                <label htmlFor="confirmPassword">{t('auth.confirmPassword')}</label>
                                 <input
                                     id="confirmPassword"
                                     type="password"
@@ -167,7 +169,7 @@ const LoginPage = () => {
                     {/* Recovery Key — forgot mode */}
                     {mode === 'forgot' && (
                         <div className="form-group">
-                            <label htmlFor="recovery-key">Recovery Key</label>
+                            <label htmlFor="recovery-key">{t('auth.recoveryKey')}</label>
                             <input
                                 id="recovery-key"
                                 type="text"
@@ -184,7 +186,7 @@ const LoginPage = () => {
                     {mode === 'forgot' && (
                         <>
                             <div className="form-group">
-                                <label htmlFor="new-password">New Password</label>
+                                <label htmlFor="new-password">{t('auth.newPassword')}</label>
                                 <input
                                     id="new-password"
                                     type="password"
@@ -197,7 +199,7 @@ const LoginPage = () => {
                                 />
                             </div>
                             <div className="form-group">
-                                <label htmlFor="confirm-new-password">Confirm New Password</label>
+                                <label htmlFor="confirm-new-password">{t('auth.confirmNewPassword')}</label>
                                 <input
                                     id="confirm-new-password"
                                     type="password"
@@ -234,10 +236,10 @@ const LoginPage = () => {
                     <div style={{ textAlign: 'center', padding: '10px 0' }}>
                         <div style={{ fontSize: '3rem', marginBottom: '12px' }}>🚨</div>
                         <p style={{ color: 'var(--color-danger)', fontWeight: 'bold', marginBottom: '8px' }}>
-                            CRITICAL: Save this Recovery Key
+                            {t('auth.saveKeyTitle')}
                         </p>
                         <p style={{ color: 'var(--color-text)', marginBottom: '16px', fontSize: '0.90rem' }}>
-                            If you lose your password AND this key, your data cannot be recovered by anyone. We do NOT store this key.
+                            {t('auth.saveKeyText')}
                         </p>
 
                         <div style={{
@@ -266,7 +268,7 @@ const LoginPage = () => {
                                     setTimeout(() => setCopiedKey(false), 3000);
                                 }}
                             >
-                                {copiedKey ? '✅ Copied!' : '📋 Copy to Clipboard'}
+                                {copiedKey ? `✅ ${t('auth.copied')}` : `📋 ${t('auth.copy')}`}
                             </button>
                         </div>
 
@@ -275,14 +277,14 @@ const LoginPage = () => {
                             className="link-btn accent"
                             onClick={async () => {
                                 // Double check they copied it
-                                if (!confirm("Are you absolutely sure you saved your Recovery Key? Without it, you cannot reset your password.")) {
+                                if (!confirm(t('auth.confirmSaved'))) {
                                     return;
                                 }
                                 await login(email, password);
                             }}
                             style={{ marginTop: '8px' }}
                         >
-                            ⚠️ I have securely saved it, continue
+                            ⚠️ {t('auth.savedContinue')}
                         </button>
                     </div>
                 )}
@@ -296,42 +298,42 @@ const LoginPage = () => {
                                 className="link-btn"
                                 onClick={() => { setMode('forgot'); setError(''); setSuccess(''); }}
                             >
-                                Forgot password?
+                                {t('auth.forgotPassword')}
                             </button>
                             <div className="footer-divider" />
                             <p>
-                                Don't have an account?{' '}
+                                {t('auth.noAccount')}{' '}
                                 <button
                                     type="button"
                                     className="link-btn accent"
                                     onClick={() => { setMode('register'); setError(''); setSuccess(''); }}
                                 >
-                                    Sign Up
+                                    {t('auth.signUp')}
                                 </button>
                             </p>
                         </>
                     )}
                     {mode === 'register' && (
                         <p>
-                            Already have an account?{' '}
+                            {t('auth.haveAccount')}{' '}
                             <button
                                 type="button"
                                 className="link-btn accent"
                                 onClick={() => { setMode('login'); setError(''); setSuccess(''); }}
                             >
-                                Sign In
+                                {t('auth.signIn')}
                             </button>
                         </p>
                     )}
                     {mode === 'forgot' && (
                         <p>
-                            Remember your password?{' '}
+                            {t('auth.rememberPassword')}{' '}
                             <button
                                 type="button"
                                 className="link-btn accent"
                                 onClick={() => { setMode('login'); setError(''); setSuccess(''); setRecoveryKey(''); }}
                             >
-                                Back to Sign In
+                                {t('auth.backToSignIn')}
                             </button>
                         </p>
                     )}
@@ -340,7 +342,7 @@ const LoginPage = () => {
                 {/* Security Badge */}
                 <div className="security-badge">
                     <span>🛡️</span>
-                    <span>AES-256-GCM Encrypted • scrypt Hashed</span>
+                    <span>{t('auth.securityBadge')}</span>
                 </div>
             </div >
         </div >
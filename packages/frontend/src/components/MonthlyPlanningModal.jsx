@@ -1,9 +1,14 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import '../styles/MonthlyPlanning.css';
 import { api } from '../lib/api';
-import { getFinancialInfo, ensureRefundsCategory, filterExpensesByCategory, calculateCategoryNet, normalizeRefundExpense } from '../lib/utils';
-
-const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPlanSave, planningVersion = 0 }) => {
+import { useI18n } from '../lib/i18n';
+import { applyEnvelopeMove, getEnvelopeCategories, getEnvelopeGoalId, getGoalAllocation, getGoalEnvelope, getUnassignedAmount } from '../lib/envelopes';
+import { carryIncomesForward, getExpectedIncome, getIncomeCredits, getPlanIncomes, getReceivedIncome, reconcileIncomes } from '../lib/incomes';
+import { ROLLOVER_POLICIES, calculateCategoryRollovers } from '../lib/rollover';
+import { formatCurrency, formatDate, getFinancialInfo, ensureRefundsCategory, filterExpensesByCategory, calculateCategoryNet, calculateCategoryTreeNet, normalizeRefundExpense, getCategoryKey, getCategoryLabel, getCategoryTreeMonthlyBudget, getMonthName, getSubcategories, isRefundsCategory, isTopLevelCategory, orderCategoryTree, CATEGORY_KEYS } from '../lib/utils';
+
+const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], plans = [], goals = [], onUpdateWeeks, onPlanSave, onOpenRecurring, planningVersion = 0 }) => {
+    const { t } = useI18n();
     // View State: 'LIST' | 'DETAIL'
     const [view, setView] = useState('LIST');
     const [isEditing, setIsEditing] = useState(false);
@@ -17,23 +22,37 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
     // Data State
     // categories: { id, name, budget, type }[]
     const [categories, setCategories] = useState([]);
-    const [salary, setSalary] = useState(0);
-    const [salaryInput, setSalaryInput] = useState('');
+    // incomes: { id, source, amount, date, received }[] (see lib/incomes), amounts as typed
+    const [incomes, setIncomes] = useState([]);
+    // Zero-based mode (see lib/envelopes)
+    const [zeroBased, setZeroBased] = useState(false);
+    const [goalAllocations, setGoalAllocations] = useState([]);
+    const [envelopeMoves, setEnvelopeMoves] = useState([]);
 
     // UI State
     const [newCategoryName, setNewCategoryName] = useState('');
     const [newCategoryBudget, setNewCategoryBudget] = useState('');
     const [newCategoryType, setNewCategoryType] = useState('credit'); // 'credit' (standard) | 'spend' (deducts budget)
     const [newCategoryFrequency, setNewCategoryFrequency] = useState('monthly'); // 'monthly' | 'weekly'
+    const [newCategoryParent, setNewCategoryParent] = useState(''); // '' = top-level
     const [expandedCategoryId, setExpandedCategoryId] = useState(null);
     const [editingCategoryId, setEditingCategoryId] = useState(null);
     const [editCategoryName, setEditCategoryName] = useState('');
     const [editCategoryBudget, setEditCategoryBudget] = useState('');
     const [editCategoryType, setEditCategoryType] = useState('credit');
     const [editCategoryFrequency, setEditCategoryFrequency] = useState('monthly');
+    const [editCategoryParent, setEditCategoryParent] = useState('');
+    const [editCategoryRollover, setEditCategoryRollover] = useState('none');
+    const [editCategoryRolloverCap, setEditCategoryRolloverCap] = useState('');
+    const [moveFrom, setMoveFrom] = useState('');
+    const [moveTo, setMoveTo] = useState('');
+    const [moveAmount, setMoveAmount] = useState('');
+    const [moveNote, setMoveNote] = useState('');
+    const [moveError, setMoveError] = useState('');
 
     const [isLoading, setIsLoading] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
+    const [saveErrors, setSaveErrors] = useState([]);
 
     const isManualPlan = (plan = {}) => plan.source === 'manual';
 
@@ -73,6 +92,11 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
         return relevantExpenses;
     }, [weeks, selectedYear, selectedMonth]);
 
+    // What each category carried in from the months before
+    const rollovers = useMemo(() => (
+        calculateCategoryRollovers(plans, weeks, selectedYear, selectedMonth)
+    ), [plans, weeks, selectedYear, selectedMonth]);
+
     const loadAvailablePlans = async () => {
         setIsLoading(true);
         try {
@@ -96,9 +120,9 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
     };
 
     const basePlanningCategories = () => [
-        { id: crypto.randomUUID(), name: 'Market', budget: 0, type: 'credit', frequency: 'monthly' },
-        { id: crypto.randomUUID(), name: 'Coffee', budget: 0, type: 'credit', frequency: 'weekly' },
-        { id: crypto.randomUUID(), name: 'Savings', budget: 0, type: 'credit', frequency: 'monthly' },
+        { id: crypto.randomUUID(), key: CATEGORY_KEYS.MARKET, name: t('categories.market'), budget: 0, type: 'credit', frequency: 'monthly' },
+        { id: crypto.randomUUID(), key: CATEGORY_KEYS.COFFEE, name: t('categories.coffee'), budget: 0, type: 'credit', frequency: 'weekly' },
+        { id: crypto.randomUUID(), key: CATEGORY_KEYS.SAVINGS, name: t('categories.savings'), budget: 0, type: 'credit', frequency: 'monthly' },
     ];
 
     const defaultCategories = () => ensureRefundsCategory(basePlanningCategories()).map(cat => ({
@@ -130,7 +154,7 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
 
             let frequency = cat.frequency || 'monthly';
             let budget = cat.budget || 0;
-            if ((cat.name.toLowerCase() === 'coffee' || cat.name.toLowerCase() === 'café') && frequency !== 'weekly') {
+            if (getCategoryKey(cat) === CATEGORY_KEYS.COFFEE && frequency !== 'weekly') {
                 frequency = 'weekly';
                 budget = budget / 4;
             }
@@ -164,8 +188,35 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
         return api.getMonthlyPlanning(previousPlan.year, previousPlan.month);
     };
 
+    // The mode and goal allocations follow the plan the categories came from;
+    // the move log belongs to its own month
+    const loadEnvelopes = (planData = {}, moves = []) => {
+        setZeroBased(Boolean(planData.zeroBased));
+        setGoalAllocations(planData.goalAllocations || []);
+        setEnvelopeMoves(moves || []);
+        setMoveError('');
+    };
+
+    // Plans from before the income list show their salary as one entry
+    const toIncomeForms = (planData = {}) => getPlanIncomes(planData).map(income => ({
+        ...income,
+        source: income.source || t('planning.incomes.salary'),
+        amount: String(income.amount),
+        date: income.date || '',
+        received: Boolean(income.received)
+    }));
+
+    const toIncomes = (incomeForms = []) => incomeForms.map(income => ({
+        id: income.id,
+        source: income.source.trim(),
+        amount: parseFloat(income.amount),
+        date: income.date || null,
+        received: income.received
+    }));
+
     const loadData = async () => {
         setIsLoading(true);
+        setSaveErrors([]);
         try {
             const data = await api.getMonthlyPlanning(selectedYear, selectedMonth);
             const sourceData = (data.categories || []).length > 0
@@ -175,13 +226,13 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
             const normalizedCategories = normalizePlanningCategories(sourceData.categories || []);
 
             setCategories(normalizedCategories.length > 0 ? normalizedCategories : defaultCategories());
-            setSalary(data.salary || 0);
-            setSalaryInput(data.salary ? data.salary.toString() : '');
+            setIncomes(toIncomeForms(data));
+            loadEnvelopes(sourceData, data.envelopeMoves);
         } catch (error) {
             console.error("Failed to load monthly planning", error);
             setCategories(defaultCategories());
-            setSalary(0);
-            setSalaryInput('');
+            setIncomes([]);
+            loadEnvelopes({});
         } finally {
             setIsLoading(false);
         }
@@ -214,13 +265,14 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
             const inheritedCategories = normalizePlanningCategories(previousPlan?.categories || []);
 
             setCategories(inheritedCategories.length > 0 ? inheritedCategories : defaultCategories());
+            loadEnvelopes(previousPlan || {});
+            setIncomes(toIncomeForms({ incomes: carryIncomesForward(getPlanIncomes(previousPlan || {})) }));
         } catch (error) {
             console.error('Failed to inherit categories for new monthly planning', error);
             setCategories(defaultCategories());
+            loadEnvelopes({});
+            setIncomes([]);
         }
-
-        setSalary(0);
-        setSalaryInput('');
     };
 
     const handlePlanClick = (year, month) => {
@@ -230,22 +282,61 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
         setView('DETAIL');
     };
 
+    // "categories[2].budget" -> "Market: budget must be a number"
+    const describeSaveError = ([path, message]) => {
+        const incomeMatch = path.match(/^incomes\[(\d+)\]\.?(.*)$/);
+        if (incomeMatch) {
+            const source = incomes[Number(incomeMatch[1])]?.source.trim() || t('planning.incomes.incomeNumber', { number: Number(incomeMatch[1]) + 1 });
+            return `${source}: ${incomeMatch[2] || t('planning.incomes.income')} ${message}`;
+        }
+
+        const match = path.match(/^categories\[(\d+)\]\.?(.*)$/);
+        if (!match) return `${path} ${message}`;
+
+        const categoryName = categories[Number(match[1])]?.name || t('planning.categoryNumber', { number: Number(match[1]) + 1 });
+        return `${categoryName}: ${match[2] || t('planning.category')} ${message}`;
+    };
+
     const handleSaveAll = async () => {
         setIsSaving(true);
+        setSaveErrors([]);
+        let keepEditing = false;
         try {
-            const currentSalaryInput = parseFloat(salaryInput);
-            const finalSalary = !isNaN(currentSalaryInput) ? currentSalaryInput : salary;
+            const finalIncomes = toIncomes(incomes);
+            const finalSalary = getExpectedIncome(finalIncomes);
 
             // Salva o mês atual normalmente
-            await api.saveMonthlyPlanning(selectedYear, selectedMonth, {
+            const result = await api.saveMonthlyPlanning(selectedYear, selectedMonth, {
                 categories: categories,
+                incomes: finalIncomes,
                 salary: finalSalary,
+                zeroBased,
+                goalAllocations,
+                envelopeMoves,
                 source: 'manual'
             });
-            setSalary(finalSalary);
 
-            if (onPlanSave) {
-                onPlanSave(selectedYear, selectedMonth, categories, finalSalary);
+            if (result.fields) {
+                // Rejected by the server: keep the form open with the reasons
+                keepEditing = true;
+                setSaveErrors(Object.entries(result.fields));
+                return;
+            }
+
+            if (result.conflict) {
+                // Kept the other device's version: show it instead of ours
+                const serverCategories = normalizePlanningCategories(result.data.categories || []);
+                setCategories(serverCategories);
+                setIncomes(toIncomeForms(result.data));
+                loadEnvelopes(result.data, result.data.envelopeMoves);
+
+                if (onPlanSave) {
+                    onPlanSave(selectedYear, selectedMonth, serverCategories, result.data.salary || 0);
+                }
+            } else {
+                if (onPlanSave) {
+                    onPlanSave(selectedYear, selectedMonth, categories, finalSalary);
+                }
             }
 
             loadAvailablePlans();
@@ -253,15 +344,53 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
             console.error("Failed to save", error);
         } finally {
             setIsSaving(false);
-            setIsEditing(false); // Ensure we go back to read-only
+            if (!keepEditing) setIsEditing(false); // Ensure we go back to read-only
         }
     };
 
-    const handleSalaryChange = (e) => {
-        setSalaryInput(e.target.value);
-        const val = parseFloat(e.target.value);
-        if (!isNaN(val)) setSalary(val);
-        else setSalary(0);
+    const handleAddIncome = () => {
+        setIncomes(prevIncomes => [...prevIncomes, { id: crypto.randomUUID(), source: '', amount: '', date: '', received: false }]);
+    };
+
+    const updateIncome = (id, field, value) => {
+        setIncomes(prevIncomes => prevIncomes.map(income => (income.id === id ? { ...income, [field]: value } : income)));
+    };
+
+    const handleRemoveIncome = (id) => {
+        setIncomes(prevIncomes => prevIncomes.filter(income => income.id !== id));
+    };
+
+    const handleGoalAllocationChange = (goalId, value) => {
+        const amount = parseFloat(value);
+        setGoalAllocations(prevAllocations => [
+            ...prevAllocations.filter(allocation => allocation.goalId !== goalId),
+            ...(amount > 0 ? [{ goalId, amount }] : [])
+        ]);
+    };
+
+    // Moves change the budgets right away and stay in the log once the plan is saved
+    const handleMoveMoney = () => {
+        const move = {
+            id: crypto.randomUUID(),
+            date: new Date().toISOString().slice(0, 10),
+            from: moveFrom,
+            to: moveTo,
+            amount: parseFloat(moveAmount),
+            ...(moveNote.trim() ? { note: moveNote.trim() } : {})
+        };
+
+        const moved = applyEnvelopeMove({ categories, goalAllocations }, move);
+        if (!moved) {
+            setMoveError(t('planning.envelopes.moveInvalid'));
+            return;
+        }
+
+        setCategories(moved.categories);
+        setGoalAllocations(moved.goalAllocations);
+        setEnvelopeMoves(prevMoves => [...prevMoves, move]);
+        setMoveAmount('');
+        setMoveNote('');
+        setMoveError('');
     };
 
     const handleAddCategory = () => {
@@ -273,7 +402,8 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
             name: newCategoryName.trim(),
             budget: !isNaN(budgetVal) ? budgetVal : 0,
             type: newCategoryType,
-            frequency: newCategoryFrequency
+            frequency: newCategoryFrequency,
+            ...(newCategoryParent ? { parent: newCategoryParent } : {})
         };
 
         const updatedCategories = [...categories, newCat];
@@ -282,15 +412,29 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
         setNewCategoryBudget('');
         setNewCategoryType('credit'); // Reset to default
         setNewCategoryFrequency('monthly');
+        setNewCategoryParent('');
+    };
+
+    // Subcategories nest one level deep, so only top-level categories can be a parent
+    const getParentOptions = (categoryName = '') => {
+        return categories.filter(cat => (
+            isTopLevelCategory(categories, cat) && !isRefundsCategory(cat.name) && cat.name !== categoryName
+        ));
     };
 
+    // Drops the parent link; used when it is cleared or the parent goes away
+    const withoutParent = ({ parent: _parent, ...cat }) => cat;
+    const withoutRollover = ({ rollover: _rollover, rolloverCap: _rolloverCap, ...cat }) => cat;
+
     const handleDeleteCategory = (id) => {
-        if (window.confirm("Are you sure you want to delete this category?")) {
+        if (window.confirm(t('planning.confirmDeleteCategory'))) {
             // Find category to delete
             const categoryToDelete = categories.find(c => c.id === id);
 
-            // Remove from local categories
-            setCategories(categories.filter(c => c.id !== id));
+            // Remove from local categories; its subcategories become top-level
+            setCategories(categories
+                .filter(c => c.id !== id)
+                .map(c => (categoryToDelete && c.parent === categoryToDelete.name ? withoutParent(c) : c)));
 
             // Cascade Delete Expenses for this Category & Month
             if (categoryToDelete && weeks.length > 0) {
@@ -334,20 +478,34 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
         setEditCategoryBudget(cat.budget.toString());
         setEditCategoryType(cat.type || 'credit');
         setEditCategoryFrequency(cat.frequency || 'monthly');
+        setEditCategoryParent(cat.parent || '');
+        setEditCategoryRollover(cat.rollover || 'none');
+        setEditCategoryRolloverCap(cat.rolloverCap != null ? cat.rolloverCap.toString() : '');
     };
 
     const handleSaveEditCategory = (id) => {
         const budgetVal = parseFloat(editCategoryBudget);
+        const previousName = categories.find(c => c.id === id)?.name;
+        const nextName = editCategoryName.trim() || previousName;
+
         setCategories(categories.map(c => {
             if (c.id === id) {
+                const rolloverCap = parseFloat(editCategoryRolloverCap);
                 return {
-                    ...c,
-                    name: editCategoryName.trim() || c.name,
+                    ...withoutRollover(withoutParent(c)),
+                    name: nextName,
                     budget: !isNaN(budgetVal) ? budgetVal : c.budget,
                     type: editCategoryType,
-                    frequency: editCategoryFrequency
+                    frequency: editCategoryFrequency,
+                    ...(editCategoryParent ? { parent: editCategoryParent } : {}),
+                    ...(editCategoryRollover !== 'none' ? { rollover: editCategoryRollover } : {}),
+                    ...(editCategoryRollover === 'capped' ? { rolloverCap: rolloverCap > 0 ? rolloverCap : 0 } : {})
                 };
             }
+            // Subcategories follow a renamed parent
+            if (previousName && c.parent === previousName) {
+                return { ...c, parent: nextName };
+            }
             return c;
         }));
         setEditingCategoryId(null);
@@ -381,17 +539,24 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
         return total + relevantActuals;
     }, [categories, monthlyExpenses]);
 
-    const getMonthName = (m) => new Date(0, m - 1).toLocaleString('default', { month: 'long' });
 
     // Category Summary Logic
-    const categorySummaries = categories.map(cat => {
+    // Listed as a tree; a parent also shows the total with its subcategories
+    const categorySummaries = orderCategoryTree(categories).map(cat => {
         const spent = getCategorySpent(cat.name);
         const monthlyBudget = cat.frequency === 'weekly' ? (cat.budget || 0) * 4 : (cat.budget || 0);
+        const rolledOver = rollovers.get(cat.name.toLowerCase()) || 0;
+        const hasSubcategories = getSubcategories(categories, cat.name).length > 0;
         return {
             ...cat,
             monthlyBudget,
+            rolledOver,
             spent,
-            remaining: monthlyBudget - spent,
+            remaining: monthlyBudget + rolledOver - spent,
+            isSubcategory: !isTopLevelCategory(categories, cat),
+            rollup: hasSubcategories
+                ? { budget: getCategoryTreeMonthlyBudget(categories, cat.name), spent: calculateCategoryTreeNet(monthlyExpenses, categories, cat.name) }
+                : null,
             expenses: sortExpensesByDate(filterExpensesByCategory(monthlyExpenses, cat.name))
         };
     });
@@ -406,6 +571,14 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
             .sort((leftCategory, rightCategory) => rightCategory.exceededAmount - leftCategory.exceededAmount);
     }, [categorySummaries]);
 
+    const salary = getExpectedIncome(incomes);
+
+    // Each expected income next to the credit that paid it, if any
+    const reconciledIncomes = useMemo(() => (
+        reconcileIncomes(toIncomes(incomes), getIncomeCredits(weeks, selectedYear, selectedMonth))
+    ), [incomes, weeks, selectedYear, selectedMonth]);
+    const receivedIncome = getReceivedIncome(reconciledIncomes);
+
     // Remaining Balance Logic:
     // Salary - planned budgets - actual overages above each category limit
     const remainingAmount = useMemo(() => {
@@ -418,8 +591,27 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
             return sum + category.exceededAmount;
         }, 0);
 
-        return salary - totalBudgets - totalExceededAmount;
-    }, [salary, categories, overBudgetCategories]);
+        const totalGoalAllocations = zeroBased
+            ? goalAllocations.reduce((sum, allocation) => sum + allocation.amount, 0)
+            : 0;
+
+        return salary - totalBudgets - totalGoalAllocations - totalExceededAmount;
+    }, [salary, categories, overBudgetCategories, zeroBased, goalAllocations]);
+
+    const unassignedAmount = getUnassignedAmount(salary, categories, zeroBased ? goalAllocations : []);
+
+    const envelopeOptions = [
+        ...getEnvelopeCategories(categories).map(cat => ({ id: cat.name, label: getCategoryLabel(cat.name) })),
+        ...goals.map(goal => ({ id: getGoalEnvelope(goal.id), label: `🎯 ${goal.name}` }))
+    ];
+
+    const getEnvelopeLabel = (envelope) => {
+        const goalId = getEnvelopeGoalId(envelope);
+        if (goalId === null) return getCategoryLabel(envelope);
+
+        const goal = goals.find(item => item.id === goalId);
+        return goal ? `🎯 ${goal.name}` : t('planning.envelopes.removedGoal');
+    };
 
     if (!isOpen) return null;
 
@@ -430,18 +622,24 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                 {view === 'LIST' && (
                     <>
                         <div className="modal-header">
-                            <h2>Monthly Plannings</h2>
+                            <h2>{t('planning.title')}</h2>
                             <button className="close-button" onClick={onClose}>&times;</button>
                         </div>
                         <div className="modal-content">
                             <button className="create-new-btn" onClick={handleCreateNew}>
-                                + Create Next Monthly Plan
+                                + {t('planning.createNext')}
                             </button>
 
+                            {onOpenRecurring && (
+                                <button className="create-new-btn" onClick={onOpenRecurring}>
+                                    🔁 {t('recurring.title')}
+                                </button>
+                            )}
+
                             {isLoading ? (
-                                <div className="loading-state">Loading plans...</div>
+                                <div className="loading-state">{t('planning.loading')}</div>
                             ) : availablePlans.length === 0 ? (
-                                <div className="loading-state">No Monthly Plannings yet</div>
+                                <div className="loading-state">{t('planning.empty')}</div>
                             ) : (
                                 <div className="plan-list">
                                     {availablePlans.map((plan, index) => (
@@ -463,11 +661,11 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                         <div className="modal-header">
                             <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
                                 <button className="close-button" onClick={() => setView('LIST')} style={{ fontSize: '1rem', marginRight: '10px' }}>
-                                    ← Back
+                                    ← {t('common.back')}
                                 </button>
                                 <h2>{getMonthName(selectedMonth)} {selectedYear}</h2>
                                 {!isEditing && (
-                                    <button className="edit-btn" onClick={() => setIsEditing(true)} title="Edit Plan">
+                                    <button className="edit-btn" onClick={() => setIsEditing(true)} title={t('planning.editPlan')}>
                                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                                             <path d="M12 20h9"></path>
                                             <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
@@ -499,29 +697,182 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                 </div>
                             )}
 
-                            {/* Salary Input */}
+                            {/* Income Sources */}
                             <div className="salary-section">
-                                <label>Monthly Budget / Salary</label>
-                                <div className="salary-input-group">
+                                <label>{t('planning.incomes.title')}</label>
+                                <div className="income-list">
+                                    {incomes.length === 0 && <div className="income-empty">{t('planning.incomes.empty')}</div>}
+                                    {reconciledIncomes.map(({ match, status, actual }, index) => {
+                                        const income = incomes[index];
+                                        return (
+                                            <div key={income.id} className="income-row">
+                                                {isEditing ? (
+                                                    <div className="income-edit">
+                                                        <input
+                                                            type="text"
+                                                            value={income.source}
+                                                            onChange={e => updateIncome(income.id, 'source', e.target.value)}
+                                                            className="add-item-input"
+                                                            placeholder={t('planning.incomes.source')}
+                                                        />
+                                                        <input
+                                                            type="number"
+                                                            value={income.amount}
+                                                            onChange={e => updateIncome(income.id, 'amount', e.target.value)}
+                                                            className="add-item-input"
+                                                            placeholder={t('planning.incomes.amount')}
+                                                            min="0.01"
+                                                            step="0.01"
+                                                        />
+                                                        <input
+                                                            type="date"
+                                                            value={income.date}
+                                                            onChange={e => updateIncome(income.id, 'date', e.target.value)}
+                                                            className="add-item-input"
+                                                            aria-label={t('planning.incomes.date')}
+                                                        />
+                                                        <label className="income-received">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={income.received}
+                                                                onChange={e => updateIncome(income.id, 'received', e.target.checked)}
+                                                            />
+                                                            {t('planning.incomes.received')}
+                                                        </label>
+                                                        <button className="income-remove-btn" onClick={() => handleRemoveIncome(income.id)}>
+                                                            🗑️ {t('planning.remove')}
+                                                        </button>
+                                                    </div>
+                                                ) : (
+                                                    <div className="income-summary">
+                                                        <span>
+                                                            {income.source}
+                                                            {income.date && <small> · {formatDate(income.date)}</small>}
+                                                        </span>
+                                                        <span>{formatCurrency(Number(income.amount) || 0)}</span>
+                                                    </div>
+                                                )}
+                                                <div className={`income-status ${status}`}>
+                                                    {status === 'matched'
+                                                        ? t('planning.incomes.status.matched', { name: match.name, date: formatDate(match.date), amount: formatCurrency(actual) })
+                                                        : t(`planning.incomes.status.${status}`)}
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                                {isEditing && (
+                                    <button className="income-add-btn" onClick={handleAddIncome}>+ {t('planning.incomes.add')}</button>
+                                )}
+                                <label className="zero-based-toggle">
                                     <input
-                                        type="number"
-                                        value={salaryInput}
-                                        onChange={handleSalaryChange}
-                                        placeholder="Enter amount"
-                                        className="salary-input"
+                                        type="checkbox"
+                                        checked={zeroBased}
+                                        onChange={(e) => setZeroBased(e.target.checked)}
                                         disabled={!isEditing}
                                     />
-                                </div>
+                                    {t('planning.envelopes.zeroBased')}
+                                </label>
+                                {zeroBased && (
+                                    <div className={`unassigned-counter ${unassignedAmount === 0 ? 'balanced' : unassignedAmount > 0 ? 'pending' : 'over'}`}>
+                                        <span>{unassignedAmount < 0 ? t('planning.envelopes.overAssigned') : t('planning.envelopes.unassigned')}</span>
+                                        <span>{formatCurrency(Math.abs(unassignedAmount))}</span>
+                                    </div>
+                                )}
                             </div>
 
+                            {zeroBased && goals.length > 0 && (
+                                <div className="envelope-section">
+                                    <h3>{t('planning.envelopes.goals')}</h3>
+                                    {goals.map(goal => (
+                                        <div key={goal.id} className="envelope-goal-row">
+                                            <span>🎯 {goal.name}</span>
+                                            {isEditing ? (
+                                                <input
+                                                    type="number"
+                                                    value={getGoalAllocation(goalAllocations, goal.id) || ''}
+                                                    onChange={(e) => handleGoalAllocationChange(goal.id, e.target.value)}
+                                                    className="add-item-input"
+                                                    placeholder={t('planning.budget')}
+                                                    min="0"
+                                                />
+                                            ) : (
+                                                <span>{formatCurrency(getGoalAllocation(goalAllocations, goal.id))}</span>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {zeroBased && isEditing && (
+                                <div className="envelope-section">
+                                    <h3>{t('planning.envelopes.moveMoney')}</h3>
+                                    <div className="envelope-move-form">
+                                        <select value={moveFrom} onChange={(e) => setMoveFrom(e.target.value)} className="add-item-input" aria-label={t('planning.envelopes.from')}>
+                                            <option value="">{t('planning.envelopes.from')}</option>
+                                            {envelopeOptions.map(option => (
+                                                <option key={option.id} value={option.id}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                        <select value={moveTo} onChange={(e) => setMoveTo(e.target.value)} className="add-item-input" aria-label={t('planning.envelopes.to')}>
+                                            <option value="">{t('planning.envelopes.to')}</option>
+                                            {envelopeOptions.filter(option => option.id !== moveFrom).map(option => (
+                                                <option key={option.id} value={option.id}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                        <input
+                                            type="number"
+                                            value={moveAmount}
+                                            onChange={(e) => setMoveAmount(e.target.value)}
+                                            className="add-item-input"
+                                            placeholder={t('planning.envelopes.amount')}
+                                            min="0.01"
+                                            step="0.01"
+                                        />
+                                        <input
+                                            type="text"
+                                            value={moveNote}
+                                            onChange={(e) => setMoveNote(e.target.value)}
+                                            className="add-item-input"
+                                            placeholder={t('planning.envelopes.note')}
+                                        />
+                                        <button className="add-btn" onClick={handleMoveMoney} disabled={!moveFrom || !moveTo || !moveAmount}>
+                                            {t('planning.envelopes.move')}
+                                        </button>
+                                    </div>
+                                    {moveError && <div className="envelope-move-error">{moveError}</div>}
+                                </div>
+                            )}
+
+                            {envelopeMoves.length > 0 && (
+                                <div className="envelope-section">
+                                    <h3>{t('planning.envelopes.log')}</h3>
+                                    <ul className="envelope-log">
+                                        {[...envelopeMoves].reverse().map(move => (
+                                            <li key={move.id}>
+                                                <span className="envelope-log-date">{formatDate(move.date)}</span>
+                                                <span>
+                                                    {t('planning.envelopes.logEntry', {
+                                                        amount: formatCurrency(move.amount),
+                                                        from: getEnvelopeLabel(move.from),
+                                                        to: getEnvelopeLabel(move.to)
+                                                    })}
+                                                    {move.note && <small> — {move.note}</small>}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
                             {/* Category Summaries */}
                             <div className="category-summary-section">
-                                <h3>Category Budgets</h3>
+                                <h3>{t('planning.categoryBudgets')}</h3>
                                 <div className="category-summary-list">
                                     {categorySummaries.map(cat => (
                                         <div
                                             key={cat.id}
-                                            className={`category-summary-card ${expandedCategoryId === cat.id ? 'expanded' : ''}`}
+                                            className={`category-summary-card ${expandedCategoryId === cat.id ? 'expanded' : ''} ${cat.isSubcategory ? 'subcategory' : ''}`}
                                             onClick={() => toggleCategoryExpand(cat.id)}
                                             style={{ cursor: 'pointer', borderLeft: cat.type === 'spend' ? '4px solid #ff5252' : '1px solid rgba(255,255,255,0.1)' }}
                                         >
@@ -532,13 +883,13 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                                             className={`type-btn ${editCategoryType === 'credit' ? 'active credit' : ''}`}
                                                             onClick={() => setEditCategoryType('credit')}
                                                         >
-                                                            Credit
+                                                            {t('planning.credit')}
                                                         </button>
                                                         <button
                                                             className={`type-btn ${editCategoryType === 'spend' ? 'active expense' : ''}`}
                                                             onClick={() => setEditCategoryType('spend')}
                                                         >
-                                                            Spend
+                                                            {t('planning.spend')}
                                                         </button>
                                                     </div>
 
@@ -549,14 +900,14 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                                             onClick={() => setEditCategoryFrequency('monthly')}
                                                             style={{ flex: 1 }}
                                                         >
-                                                            Monthly
+                                                            {t('planning.monthly')}
                                                         </button>
                                                         <button
                                                             className={`type-btn ${editCategoryFrequency === 'weekly' ? 'active' : ''}`}
                                                             onClick={() => setEditCategoryFrequency('weekly')}
                                                             style={{ flex: 1 }}
                                                         >
-                                                            Weekly
+                                                            {t('planning.weekly')}
                                                         </button>
                                                     </div>
 
@@ -565,28 +916,61 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                                         value={editCategoryName}
                                                         onChange={e => setEditCategoryName(e.target.value)}
                                                         className="add-item-input"
-                                                        placeholder="Category name"
+                                                        placeholder={t('planning.categoryName')}
                                                     />
                                                     <input
                                                         type="number"
                                                         value={editCategoryBudget}
                                                         onChange={e => setEditCategoryBudget(e.target.value)}
                                                         className="add-item-input"
-                                                        placeholder="Budget"
+                                                        placeholder={t('planning.budget')}
                                                     />
+                                                    {getSubcategories(categories, cat.name).length === 0 && !isRefundsCategory(cat.name) && (
+                                                        <select
+                                                            value={editCategoryParent}
+                                                            onChange={e => setEditCategoryParent(e.target.value)}
+                                                            className="add-item-input"
+                                                            aria-label={t('planning.parentCategory')}
+                                                        >
+                                                            <option value="">{t('planning.noParent')}</option>
+                                                            {getParentOptions(cat.name).map(option => (
+                                                                <option key={option.id} value={option.name}>{t('planning.under', { name: getCategoryLabel(option.name) })}</option>
+                                                            ))}
+                                                        </select>
+                                                    )}
+                                                    <select
+                                                        value={editCategoryRollover}
+                                                        onChange={e => setEditCategoryRollover(e.target.value)}
+                                                        className="add-item-input"
+                                                        aria-label={t('planning.rollover')}
+                                                    >
+                                                        {ROLLOVER_POLICIES.map(policy => (
+                                                            <option key={policy.id} value={policy.id}>{t(`planning.rolloverPolicies.${policy.id}`)}</option>
+                                                        ))}
+                                                    </select>
+                                                    {editCategoryRollover === 'capped' && (
+                                                        <input
+                                                            type="number"
+                                                            value={editCategoryRolloverCap}
+                                                            onChange={e => setEditCategoryRolloverCap(e.target.value)}
+                                                            className="add-item-input"
+                                                            placeholder={t('planning.rolloverCap')}
+                                                            min="0"
+                                                        />
+                                                    )}
                                                     <div style={{ display: 'flex', gap: '8px', marginTop: '5px' }}>
                                                         <button
                                                             className="add-btn"
                                                             onClick={() => handleSaveEditCategory(cat.id)}
                                                             style={{ fontSize: '0.8rem', padding: '4px 12px' }}
                                                         >
-                                                            Save
+                                                            {t('common.save')}
                                                         </button>
                                                         <button
                                                             onClick={() => setEditingCategoryId(null)}
                                                             style={{ fontSize: '0.8rem', padding: '4px 12px', background: 'transparent', border: '1px solid rgba(255,255,255,0.2)', color: 'white', borderRadius: '6px', cursor: 'pointer' }}
                                                         >
-                                                            Cancel
+                                                            {t('common.cancel')}
                                                         </button>
                                                     </div>
                                                 </div>
@@ -594,35 +978,47 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                                 <>
                                                     <div className="cat-sum-header">
                                                         <span>
-                                                            {cat.name}
+                                                            {getCategoryLabel(cat.name)}
                                                             <small style={{ fontWeight: 'normal', opacity: 0.7, fontSize: '0.7em', marginLeft: '5px' }}>
-                                                                ({cat.type === 'spend' ? 'Spend' : 'Credit'} • {cat.frequency === 'weekly' ? 'Weekly' : 'Monthly'})
+                                                                ({cat.type === 'spend' ? t('planning.spend') : t('planning.credit')} • {cat.frequency === 'weekly' ? t('planning.weekly') : t('planning.monthly')}{cat.rollover && cat.rollover !== 'none' ? ` • ${t(`planning.rolloverPolicies.${cat.rollover}`)}` : ''})
                                                             </small>
                                                         </span>
-                                                        <span>AED {(cat.monthlyBudget || 0).toFixed(2)}</span>
+                                                        <span>{formatCurrency(cat.monthlyBudget || 0)}</span>
                                                     </div>
+                                                    {cat.rolledOver !== 0 && (
+                                                        <div className="cat-sum-row">
+                                                            <span>{t('planning.rolledOver')}</span>
+                                                            <span>{cat.rolledOver > 0 ? '+' : ''}{formatCurrency(cat.rolledOver)}</span>
+                                                        </div>
+                                                    )}
                                                     <div className="cat-sum-row">
-                                                        <span>Spent:</span>
-                                                        <span>AED {cat.spent.toFixed(2)}</span>
+                                                        <span>{t('planning.spent')}</span>
+                                                        <span>{formatCurrency(cat.spent)}</span>
                                                     </div>
                                                     <div className={`cat-sum-remaining ${cat.remaining < 0 ? 'negative' : 'positive'}`}>
-                                                        <span>Remaining:</span>
-                                                        <span>AED {cat.remaining.toFixed(2)}</span>
+                                                        <span>{t('planning.remaining')}</span>
+                                                        <span>{formatCurrency(cat.remaining)}</span>
                                                     </div>
+                                                    {cat.rollup && (
+                                                        <div className="cat-sum-row cat-sum-rollup">
+                                                            <span>{t('planning.withSubcategories')}</span>
+                                                            <span>{formatCurrency(cat.rollup.spent)} / {formatCurrency(cat.rollup.budget)}</span>
+                                                        </div>
+                                                    )}
 
                                                     {/* Expandable Expense List */}
                                                     {expandedCategoryId === cat.id && (
                                                         <div className="cat-expenses-list" onClick={e => e.stopPropagation()}>
-                                                            <h4>Transactions</h4>
+                                                            <h4>{t('planning.transactions')}</h4>
                                                             {cat.expenses.length === 0 ? (
-                                                                <div className="no-expenses">No transactions</div>
+                                                                <div className="no-expenses">{t('planning.noTransactions')}</div>
                                                             ) : (
                                                                 <ul>
                                                                     {cat.expenses.map(exp => (
                                                                         <li key={exp.id} className="cat-expense-item">
                                                                             <span>{exp.name}</span>
                                                                             <span className={exp.type === 'credit' ? 'credit-text' : 'expense-text'}>
-                                                                                {exp.type === 'credit' ? '+' : '-'} AED {exp.amount.toFixed(2)}
+                                                                                {exp.type === 'credit' ? '+' : '-'} {formatCurrency(exp.amount)}
                                                                             </span>
                                                                         </li>
                                                                     ))}
@@ -640,7 +1036,7 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                                                 }}
                                                                 style={{ background: 'transparent', border: 'none', color: '#64b5f6', cursor: 'pointer', fontSize: '0.8rem' }}
                                                             >
-                                                                ✏️ Edit
+                                                                ✏️ {t('common.edit')}
                                                             </button>
                                                             <button
                                                                 className="delete-cat-btn"
@@ -650,7 +1046,7 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                                                 }}
                                                                 style={{ background: 'transparent', border: 'none', color: '#ff5252', cursor: 'pointer', fontSize: '0.8rem' }}
                                                             >
-                                                                🗑️ Remove
+                                                                🗑️ {t('planning.remove')}
                                                             </button>
                                                         </div>
                                                     )}
@@ -669,13 +1065,13 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                             className={`type-btn ${newCategoryType === 'credit' ? 'active credit' : ''}`}
                                             onClick={() => setNewCategoryType('credit')}
                                         >
-                                            Credit
+                                            {t('planning.credit')}
                                         </button>
                                         <button
                                             className={`type-btn ${newCategoryType === 'spend' ? 'active expense' : ''}`}
                                             onClick={() => setNewCategoryType('spend')}
                                         >
-                                            Spend
+                                            {t('planning.spend')}
                                         </button>
                                     </div>
                                     <div className="transaction-type-toggle" style={{ marginBottom: '10px' }}>
@@ -684,33 +1080,44 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
                                             onClick={() => setNewCategoryFrequency('monthly')}
                                             style={{ flex: 1 }}
                                         >
-                                            Monthly
+                                            {t('planning.monthly')}
                                         </button>
                                         <button
                                             className={`type-btn ${newCategoryFrequency === 'weekly' ? 'active' : ''}`}
                                             onClick={() => setNewCategoryFrequency('weekly')}
                                             style={{ flex: 1 }}
                                         >
-                                            Weekly
+                                            {t('planning.weekly')}
                                         </button>
                                     </div>
                                     <div className="add-category-form">
                                         <input
                                             type="text"
-                                            placeholder="New Category"
+                                            placeholder={t('planning.newCategory')}
                                             value={newCategoryName}
                                             onChange={e => setNewCategoryName(e.target.value)}
                                             className="add-item-input"
                                         />
                                         <input
                                             type="number"
-                                            placeholder="Budget"
+                                            placeholder={t('planning.budget')}
                                             value={newCategoryBudget}
                                             onChange={e => setNewCategoryBudget(e.target.value)}
                                             className="add-item-input"
                                         />
-                                        <button className="add-btn" onClick={handleAddCategory} title="Add Category">+</button>
+                                        <button className="add-btn" onClick={handleAddCategory} title={t('planning.addCategory')}>+</button>
                                     </div>
+                                    <select
+                                        value={newCategoryParent}
+                                        onChange={e => setNewCategoryParent(e.target.value)}
+                                        className="add-item-input"
+                                        aria-label={t('planning.parentCategory')}
+                                    >
+                                        <option value="">{t('planning.noParent')}</option>
+                                        {getParentOptions().map(option => (
+                                            <option key={option.id} value={option.name}>{t('planning.under', { name: getCategoryLabel(option.name) })}</option>
+                                        ))}
+                                    </select>
                                 </div>
                             )}
 
@@ -718,25 +1125,43 @@ const MonthlyPlanningModal = ({ isOpen, onClose, weeks = [], onUpdateWeeks, onPl
 
                         <div className="modal-footer">
                             <div className="summary-row">
-                                <span>Available / Salary</span>
-                                <span>AED {salary.toFixed(2)}</span>
+                                <span>{t('planning.available')}</span>
+                                <span>{formatCurrency(salary)}</span>
+                            </div>
+                            <div className="summary-row">
+                                <span>{t('planning.incomes.receivedTotal')}</span>
+                                <span>{formatCurrency(receivedIncome)}</span>
                             </div>
                             <div className="summary-row total">
-                                <span>Total Spent (Calculated)</span>
-                                <span>AED {totalCalculatedSpent.toFixed(2)}</span>
+                                <span>{t('planning.totalSpent')}</span>
+                                <span>{formatCurrency(totalCalculatedSpent)}</span>
                             </div>
+                            {zeroBased && (
+                                <div className="summary-row">
+                                    <span>{t('planning.envelopes.unassigned')}</span>
+                                    <span>{formatCurrency(unassignedAmount)}</span>
+                                </div>
+                            )}
                             <div className="summary-row" style={{ color: remainingAmount >= 0 ? '#4caf50' : '#ff5252', fontWeight: 'bold' }}>
-                                <span>Remaining Monthly Balance</span>
-                                <span>AED {remainingAmount.toFixed(2)}</span>
+                                <span>{t('planning.remainingBalance')}</span>
+                                <span>{formatCurrency(remainingAmount)}</span>
                             </div>
 
+                            {isEditing && saveErrors.length > 0 && (
+                                <ul className="planning-save-errors">
+                                    {saveErrors.map(error => (
+                                        <li key={error[0]}>{describeSaveError(error)}</li>
+                                    ))}
+                                </ul>
+                            )}
+
                             {isEditing && (
                                 <button
                                     className="save-all-btn"
                                     onClick={handleSaveAll}
                                     disabled={isSaving}
                                 >
-                                    {isSaving ? 'Saving...' : 'Save Monthly Plan'}
+                                    {isSaving ? t('common.saving') : t('planning.save')}
                                 </button>
                             )}
                         </div>
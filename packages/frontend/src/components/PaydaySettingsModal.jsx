@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useI18n } from '../lib/i18n';
+import { DEFAULT_PAYDAY, WEEK_STRATEGIES, countDays, formatDate, getFinancialInfo, getMonthQuarters, getPayday, getWeekStrategy, normalizePayday } from '../lib/utils';
+import '../styles/AddExpenseModal.css';
+import '../styles/DataExportModal.css';
+
+// Titles and descriptions are translated under paydaySettings.types.<id>
+const PAYDAY_TYPES = ['day-of-month', 'last-business-day'];
+
+const PaydaySettingsModal = ({ isOpen, onClose, onSave }) => {
+    const { t } = useI18n();
+    const [payday, setPaydayDraft] = useState(() => getPayday());
+    const [weekStrategy, setWeekStrategyDraft] = useState(() => getWeekStrategy());
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    React.useEffect(() => {
+        if (!isOpen) return;
+
+        setPaydayDraft(getPayday());
+        setWeekStrategyDraft(getWeekStrategy());
+        setError('');
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    // Preview the financial month containing today under the draft settings
+    const { year, month } = getFinancialInfo(new Date(), payday);
+    const quarters = getMonthQuarters(year, month, payday, weekStrategy);
+
+    const handleTypeChange = (type) => {
+        setPaydayDraft(normalizePayday(type === 'day-of-month' ? { type, day: payday.day || DEFAULT_PAYDAY.day } : { type }));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        const result = await onSave({ payday, weekStrategy });
+        setSaving(false);
+
+        if (result?.error) {
+            const details = Object.entries(result.fields || {}).map(([field, text]) => `${field} ${text}`);
+            setError(details.length > 0 ? details.join('; ') : t('common.saveFailed'));
+            return;
+        }
+        onClose();
+    };
+
+    return (
+        <div className="change-pwd-overlay" onClick={(e) => {
+            if (e.target === e.currentTarget) onClose();
+        }}>
+            <div className="change-pwd-card">
+                <h2>💰 {t('paydaySettings.title')}</h2>
+
+                <div className="restore-modes">
+                    {PAYDAY_TYPES.map(type => (
+                        <button
+                            key={type}
+                            type="button"
+                            className={`restore-mode ${payday.type === type ? 'active' : ''}`}
+                            onClick={() => handleTypeChange(type)}
+                        >
+                            <strong>{t(`paydaySettings.types.${type}.title`)}</strong>
+                            <small>{t(`paydaySettings.types.${type}.description`)}</small>
+                        </button>
+                    ))}
+                </div>
+
+                {payday.type === 'day-of-month' && (
+                    <div className="form-group">
+                        <label htmlFor="payday-day">{t('paydaySettings.dayOfMonth')}</label>
+                        <select
+                            id="payday-day"
+                            value={payday.day}
+                            onChange={(e) => setPaydayDraft({ type: 'day-of-month', day: Number(e.target.value) })}
+                        >
+                            {Array.from({ length: 31 }, (_, index) => index + 1).map(day => (
+                                <option key={day} value={day} style={{ color: 'black' }}>{day}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                <div className="form-group">
+                    <label htmlFor="week-strategy">{t('paydaySettings.splitInto')}</label>
+                    <select
+                        id="week-strategy"
+                        value={weekStrategy}
+                        onChange={(e) => setWeekStrategyDraft(e.target.value)}
+                    >
+                        {WEEK_STRATEGIES.map(option => (
+                            <option key={option.id} value={option.id} style={{ color: 'black' }}>{t(`weekStrategies.${option.id}.label`)}</option>
+                        ))}
+                    </select>
+                    <small>{t(`weekStrategies.${weekStrategy}.description`)}</small>
+                </div>
+
+                <div className="restore-summary">
+                    <div>
+                        <strong>{t('paydaySettings.thisMonth')}</strong> {formatDate(quarters[0].start)} – {formatDate(quarters[quarters.length - 1].end)}
+                    </div>
+                    {quarters.map(quarter => (
+                        <div key={quarter.id}>
+                            {t('paydaySettings.weekRange', {
+                                number: quarter.weekNumber,
+                                start: formatDate(quarter.start).slice(0, 5),
+                                end: formatDate(quarter.end).slice(0, 5),
+                                days: t('common.days', { count: countDays(quarter.start, quarter.end) })
+                            })}
+                        </div>
+                    ))}
+                    <div>{t('paydaySettings.proratedHint')}</div>
+                    <div>{t('paydaySettings.refileHint')}</div>
+                </div>
+
+                {error && <div className="auth-error">{error}</div>}
+
+                <div className="change-pwd-actions">
+                    <button type="button" className="btn-cancel" onClick={onClose}>{t('common.cancel')}</button>
+                    <button type="button" className="btn-save" onClick={handleSave} disabled={saving}>
+                        {saving ? t('common.saving') : t('common.save')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PaydaySettingsModal;
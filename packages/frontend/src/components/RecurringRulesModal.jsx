@@ -0,0 +1,324 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { v4 as uuidv4 } from 'uuid';
+import { useI18n } from '../lib/i18n';
+import { RECURRING_CADENCES, describeCadence, getUpcomingOccurrences, resumeRecurringRule, toggleSkippedOccurrence } from '../lib/recurring';
+import { formatCurrency, formatDate, getBaseCurrency, getCategoryLabel } from '../lib/utils';
+import '../styles/AddExpenseModal.css';
+import '../styles/RecurringRules.css';
+
+const modalVariants = {
+    hidden: { opacity: 0, scale: 0.8 },
+    visible: { opacity: 1, scale: 1, transition: { type: 'spring', damping: 25, stiffness: 500 } },
+    exit: { opacity: 0, scale: 0.8 }
+};
+
+const getInitialFormState = (rule = null) => {
+    const today = new Date().toISOString().slice(0, 10);
+    return {
+        name: rule?.name || '',
+        amount: rule?.amount != null ? String(rule.amount) : '',
+        type: rule?.type || 'expense',
+        category: rule?.category && rule.category !== 'Uncategorized' ? rule.category : '',
+        cadence: rule?.cadence || 'monthly',
+        dayOfMonth: String(rule?.dayOfMonth || Number(today.slice(8, 10))),
+        startDate: rule?.startDate || today,
+        endDate: rule?.endDate || ''
+    };
+};
+
+const isScheduleChanged = (rule, nextRule) => ['cadence', 'dayOfMonth', 'startDate', 'endDate']
+    .some(field => rule[field] !== nextRule[field]);
+
+// Rules are saved one at a time; onSaveRule resolves to the server result
+// ({ error, fields } when rejected).
+const RecurringRulesModal = ({ isOpen, onClose, rules = [], categories = [], onSaveRule, onDeleteRule }) => {
+    const { t } = useI18n();
+    const [view, setView] = useState('list'); // 'list' | 'form'
+    const [editingRule, setEditingRule] = useState(null);
+    const [form, setForm] = useState(() => getInitialFormState());
+    const [formErrors, setFormErrors] = useState({});
+    const [busyRuleId, setBusyRuleId] = useState(null);
+
+    React.useEffect(() => {
+        if (!isOpen) return;
+
+        setView('list');
+        setEditingRule(null);
+        setFormErrors({});
+    }, [isOpen]);
+
+    const sortedRules = [...rules].sort((left, right) => left.name.localeCompare(right.name));
+
+    const openForm = (rule = null) => {
+        setEditingRule(rule);
+        setForm(getInitialFormState(rule));
+        setFormErrors({});
+        setView('form');
+    };
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const saveRule = async (rule) => {
+        setBusyRuleId(rule.id);
+        const result = await onSaveRule(rule);
+        setBusyRuleId(null);
+        return result;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const amount = parseFloat(form.amount);
+        if (!form.name.trim() || Number.isNaN(amount)) return;
+
+        const nextRule = {
+            id: editingRule?.id || uuidv4(),
+            name: form.name.trim(),
+            amount,
+            type: form.type,
+            category: form.category || 'Uncategorized',
+            cadence: form.cadence,
+            dayOfMonth: form.cadence === 'day-of-month' ? parseInt(form.dayOfMonth, 10) : undefined,
+            startDate: form.startDate,
+            endDate: form.endDate || null,
+            paused: editingRule?.paused || false,
+            generatedThrough: editingRule?.generatedThrough || null,
+            skippedDates: editingRule?.skippedDates || []
+        };
+        // Skips belong to the old schedule
+        if (editingRule && isScheduleChanged(editingRule, nextRule)) {
+            nextRule.skippedDates = [];
+        }
+
+        const result = await saveRule(nextRule);
+        if (result?.error) {
+            const errors = Object.fromEntries(Object.entries(result.fields || {}).map(([field, message]) => [field, `${field} ${message}`]));
+            setFormErrors(Object.keys(errors).length > 0 ? errors : { form: result.error });
+            return;
+        }
+        setView('list');
+    };
+
+    const handleTogglePause = async (rule) => {
+        const result = await saveRule(rule.paused ? resumeRecurringRule(rule) : { ...rule, paused: true });
+        if (result?.error) window.alert(result.error);
+    };
+
+    const handleToggleSkip = async (rule, date) => {
+        const result = await saveRule(toggleSkippedOccurrence(rule, date));
+        if (result?.error) window.alert(result.error);
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(t('recurring.confirmDelete', { name: rule.name }))) return;
+
+        setBusyRuleId(rule.id);
+        const result = await onDeleteRule(rule.id);
+        setBusyRuleId(null);
+        if (result?.error) window.alert(result.error);
+    };
+
+    const renderFieldError = (field) => formErrors[field] && <small className="form-error">{formErrors[field]}</small>;
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="recurring-overlay"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                >
+                    <motion.div
+                        className="recurring-content"
+                        variants={modalVariants}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                    >
+                        <h2>{view === 'list' ? t('recurring.title') : editingRule ? t('recurring.editTitle') : t('recurring.newTitle')}</h2>
+
+                        {view === 'list' && (
+                            <>
+                                <div className="recurring-body">
+                                    <button type="button" className="recurring-new-btn" onClick={() => openForm()}>
+                                        + {t('recurring.newButton')}
+                                    </button>
+
+                                    {sortedRules.length === 0 && (
+                                        <p className="recurring-empty">{t('recurring.empty')}</p>
+                                    )}
+
+                                    {sortedRules.map(rule => (
+                                        <div key={rule.id} className={`recurring-card ${rule.paused ? 'paused' : ''}`}>
+                                            <div className="recurring-card-header">
+                                                <div>
+                                                    <strong>{rule.name}</strong>
+                                                    <span>
+                                                        {describeCadence(rule)} · {rule.category && rule.category !== 'Uncategorized' ? getCategoryLabel(rule.category) : t('common.uncategorized')}
+                                                        {rule.paused && ` · ${t('recurring.paused')}`}
+                                                        {rule.endDate && ` · ${t('recurring.endsOn', { date: formatDate(rule.endDate) })}`}
+                                                    </span>
+                                                </div>
+                                                <span className={`recurring-amount ${rule.type === 'credit' ? 'credit-amount' : ''}`}>
+                                                    {rule.type === 'credit' ? '+' : '-'} {formatCurrency(rule.amount)}
+                                                </span>
+                                            </div>
+
+                                            {!rule.paused && (
+                                                <div className="recurring-occurrences">
+                                                    {getUpcomingOccurrences(rule).map(date => {
+                                                        const isSkipped = (rule.skippedDates || []).includes(date);
+                                                        return (
+                                                            <button
+                                                                key={date}
+                                                                type="button"
+                                                                className={`recurring-occurrence ${isSkipped ? 'skipped' : ''}`}
+                                                                onClick={() => handleToggleSkip(rule, date)}
+                                                                disabled={busyRuleId === rule.id}
+                                                                title={isSkipped ? t('recurring.skippedHint') : t('recurring.skipHint')}
+                                                            >
+                                                                {formatDate(date)}
+                                                            </button>
+                                                        );
+                                                    })}
+                                                </div>
+                                            )}
+
+                                            <div className="recurring-card-actions">
+                                                <button type="button" onClick={() => handleTogglePause(rule)} disabled={busyRuleId === rule.id}>
+                                                    {rule.paused ? t('recurring.resume') : t('recurring.pause')}
+                                                </button>
+                                                <button type="button" onClick={() => openForm(rule)} disabled={busyRuleId === rule.id}>{t('common.edit')}</button>
+                                                <button type="button" className="danger" onClick={() => handleDelete(rule)} disabled={busyRuleId === rule.id}>{t('common.delete')}</button>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={onClose}>{t('common.close')}</button>
+                                </div>
+                            </>
+                        )}
+
+                        {view === 'form' && (
+                            <form className="recurring-body" onSubmit={handleSubmit}>
+                                <div className="type-toggle-container">
+                                    <button
+                                        type="button"
+                                        className={`type-btn expense ${form.type === 'expense' ? 'active' : ''}`}
+                                        onClick={() => updateForm('type', 'expense')}
+                                    >
+                                        {t('common.expense')}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className={`type-btn credit ${form.type === 'credit' ? 'active' : ''}`}
+                                        onClick={() => updateForm('type', 'credit')}
+                                    >
+                                        {t('common.credit')}
+                                    </button>
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('recurring.description')}</label>
+                                    <input
+                                        type="text"
+                                        value={form.name}
+                                        onChange={(e) => updateForm('name', e.target.value)}
+                                        placeholder={t('recurring.descriptionPlaceholder')}
+                                        required
+                                    />
+                                    {renderFieldError('name')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('recurring.amount', { currency: getBaseCurrency() })}</label>
+                                    <input
+                                        type="number"
+                                        value={form.amount}
+                                        onChange={(e) => updateForm('amount', e.target.value)}
+                                        placeholder="0.00"
+                                        step="0.01"
+                                        min="0"
+                                        required
+                                    />
+                                    {renderFieldError('amount')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('recurring.category')}</label>
+                                    <select value={form.category} onChange={(e) => updateForm('category', e.target.value)}>
+                                        <option value="" style={{ color: 'black' }}>{t('common.uncategorized')}</option>
+                                        {categories.filter(cat => cat !== 'Uncategorized').map(cat => (
+                                            <option key={cat} value={cat} style={{ color: 'black' }}>{getCategoryLabel(cat)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('recurring.repeats')}</label>
+                                    <select value={form.cadence} onChange={(e) => updateForm('cadence', e.target.value)}>
+                                        {RECURRING_CADENCES.map(cadence => (
+                                            <option key={cadence.id} value={cadence.id} style={{ color: 'black' }}>{t(`recurring.cadences.${cadence.id}`)}</option>
+                                        ))}
+                                    </select>
+                                    {renderFieldError('cadence')}
+                                </div>
+
+                                {form.cadence === 'day-of-month' && (
+                                    <div className="form-group">
+                                        <label>{t('recurring.dayOfMonth')}</label>
+                                        <input
+                                            type="number"
+                                            value={form.dayOfMonth}
+                                            onChange={(e) => updateForm('dayOfMonth', e.target.value)}
+                                            min="1"
+                                            max="31"
+                                            required
+                                        />
+                                        {renderFieldError('dayOfMonth')}
+                                    </div>
+                                )}
+
+                                <div className="form-group">
+                                    <label>{form.cadence === 'weekly' ? t('recurring.firstOccurrence') : t('recurring.starts')}</label>
+                                    <input
+                                        type="date"
+                                        value={form.startDate}
+                                        onChange={(e) => updateForm('startDate', e.target.value)}
+                                        required
+                                    />
+                                    {renderFieldError('startDate')}
+                                </div>
+
+                                <div className="form-group">
+                                    <label>{t('recurring.ends')}</label>
+                                    <input
+                                        type="date"
+                                        value={form.endDate}
+                                        onChange={(e) => updateForm('endDate', e.target.value)}
+                                    />
+                                    {renderFieldError('endDate')}
+                                </div>
+
+                                {renderFieldError('form')}
+
+                                <div className="modal-actions">
+                                    <button type="button" className="btn-cancel" onClick={() => setView('list')}>{t('common.back')}</button>
+                                    <button type="submit" className="btn-save" disabled={busyRuleId !== null}>
+                                        {editingRule ? t('common.saveChanges') : t('common.save')}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default RecurringRulesModal;
@@ -1,8 +1,10 @@
 import React, { useState } from 'react';
 import { api } from '../lib/api';
+import { useI18n } from '../lib/i18n';
 import '../styles/LoginPage.css';
 
 const ResetPasswordPage = ({ email, recoveryKey, onDone }) => {
+    const { t } = useI18n();
     const [newPassword, setNewPassword] = useState('');
     const [confirmPassword, setConfirmPassword] = useState('');
     const [error, setError] = useState('');
@@ -15,7 +17,7 @@ const ResetPasswordPage = ({ email, recoveryKey, onDone }) => {
         setSuccess('');
 
         if (newPassword !== confirmPassword) {
-            setError('Passwords do not match');
+            setError(t('auth.passwordsDontMatch'));
             return;
         }
 
@@ -24,17 +26,17 @@ const ResetPasswordPage = ({ email, recoveryKey, onDone }) => {
         try {
             const result = await api.auth.resetPassword(email, recoveryKey, newPassword);
             if (result.success) {
-                setSuccess(result.message || 'Password reset! You can now sign in.');
+                setSuccess(result.message || t('auth.passwordReset'));
                 // Clear URL params after successful reset
                 setTimeout(() => {
                     window.history.replaceState({}, '', window.location.pathname);
                     if (onDone) onDone();
                 }, 2000);
             } else {
-                setError(result.error || 'Failed to reset password');
+                setError(result.error || t('auth.resetFailed'));
             }
         } catch (err) {
-            setError('An unexpected error occurred');
+            setError(t('auth.unexpectedError'));
         } finally {
             setLoading(false);
         }
@@ -46,12 +48,12 @@ const ResetPasswordPage = ({ email, recoveryKey, onDone }) => {
                 <div className="login-header">
                     <span className="login-logo">🐱</span>
                     <h1 className="login-title">Weekly Wallet</h1>
-                    <p className="login-subtitle">Create a new password for your account.</p>
+                    <p className="login-subtitle">{t('auth.subtitles.reset')}</p>
                 </div>
 
                 <form className="login-form" onSubmit={handleSubmit}>
                     <div className="form-group">
-                        <label htmlFor="reset-email">Email</label>
+                        <label htmlFor="reset-email">{t('auth.email')}</label>
                         <input
                             id="reset-email"
                             type="email"
@@ -62,7 +64,7 @@ const ResetPasswordPage = ({ email, recoveryKey, onDone }) => {
                     </div>
 
                     <div className="form-group">
-                        <label htmlFor="new-password">New Password</label>
+                        <label htmlFor="new-password">{t('auth.newPassword')}</label>
                         <input
                             id="new-password"
                             type="password"
@@ -76,7 +78,7 @@ const ResetPasswordPage = ({ email, recoveryKey, onDone }) => {
                     </div>
 
                     <div className="form-group">
-                        <label htmlFor="confirm-new-password">Confirm New Password</label>
+                        <label htmlFor="confirm-new-password">{t('auth.confirmNewPassword')}</label>
                         <input
                             id="confirm-new-password"
                             type="password"
@@ -100,14 +102,14 @@ const ResetPasswordPage = ({ email, recoveryKey, onDone }) => {
                         {loading ? (
                             <span className="btn-spinner">⏳</span>
                         ) : (
-                            '🔑 Reset Password'
+                            `🔑 ${t('auth.buttons.reset')}`
                         )}
                     </button>
                 </form>
 
                 <div className="security-badge">
                     <span>🛡️</span>
-                    <span>AES-256-GCM Encrypted • scrypt Hashed</span>
+                    <span>{t('auth.securityBadge')}</span>
                 </div>
             </div>
         </div>
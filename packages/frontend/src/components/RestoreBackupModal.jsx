@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { api, isConnectionError } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import '../styles/DataExportModal.css';
+
+// Titles and descriptions are translated under restoreBackup.modes.<id>
+const RESTORE_MODES = ['merge', 'replace'];
+
+// The archive's other documents, labelled under restoreBackup.sections.<id>
+const BACKUP_SECTIONS = ['accounts', 'transfers', 'recurringRules', 'categoryRules', 'goals', 'exchangeRates', 'attachments'];
+
+// Summary label of a restored part (weeks, monthlyPlanning or a section)
+const getPartLabel = (t, part) => {
+    if (part === 'weeks') return t('restoreBackup.weeks');
+    if (part === 'monthlyPlanning') return t('restoreBackup.months');
+    return t(`restoreBackup.sections.${part}`);
+};
+
+const formatCounts = (t, { added, updated, removed }) => {
+    const parts = [];
+    if (added) parts.push(t('restoreBackup.added', { count: added }));
+    if (updated) parts.push(t('restoreBackup.updated', { count: updated }));
+    if (removed) parts.push(t('restoreBackup.removed', { count: removed }));
+    return parts.length > 0 ? parts.join(' · ') : t('restoreBackup.noChanges');
+};
+
+const RestoreBackupModal = ({ isOpen, onClose, onRestored }) => {
+    const { t } = useI18n();
+    const [archive, setArchive] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [mode, setMode] = useState('merge');
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState([]);
+    const [appliedParts, setAppliedParts] = useState([]);
+    const [busy, setBusy] = useState(false);
+
+    React.useEffect(() => {
+        if (!isOpen) return;
+
+        setArchive(null);
+        setFileName('');
+        setMode('merge');
+        setSummary(null);
+        setError('');
+        setFieldErrors([]);
+        setAppliedParts([]);
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const showError = (result) => {
+        setError(isConnectionError(result) ? t('restoreBackup.offline') : result.error);
+        setFieldErrors(Object.entries(result.fields || {}));
+    };
+
+    const checkArchive = async (nextArchive, nextMode) => {
+        setBusy(true);
+        setSummary(null);
+        setError('');
+        setFieldErrors([]);
+        setAppliedParts([]);
+        const result = await api.importData(nextArchive, { mode: nextMode, dryRun: true });
+        setBusy(false);
+
+        if (result.error) {
+            showError(result);
+            return;
+        }
+        setSummary(result.summary);
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        try {
+            const parsed = JSON.parse(await file.text());
+            setArchive(parsed);
+            setFileName(file.name);
+            await checkArchive(parsed, mode);
+        } catch (err) {
+            console.error('Failed to read backup file', err);
+            setArchive(null);
+            setSummary(null);
+            setError(t('restoreBackup.invalidFile'));
+        }
+    };
+
+    const handleModeChange = (nextMode) => {
+        setMode(nextMode);
+        if (archive) checkArchive(archive, nextMode);
+    };
+
+    const handleRestore = async () => {
+        if (!archive || !summary) return;
+        if (mode === 'replace' && !window.confirm(t('restoreBackup.confirmReplace'))) {
+            return;
+        }
+
+        setBusy(true);
+        const result = await api.importData(archive, { mode });
+        setBusy(false);
+
+        if (result.error) {
+            showError(result);
+            // Stopped part-way: what was written is already live
+            if (result.applied?.length > 0) {
+                setAppliedParts(result.applied);
+                onRestored?.(result.summary);
+            }
+            return;
+        }
+        onRestored?.(result.summary);
+        onClose();
+    };
+
+    return (
+        <div className="change-pwd-overlay" onClick={(e) => {
+            if (e.target === e.currentTarget) onClose();
+        }}>
+            <div className="change-pwd-card">
+                <h2>♻️ {t('restoreBackup.title')}</h2>
+
+                <label className="data-export-option restore-file-picker">
+                    <input type="file" accept=".json,application/json" onChange={handleFileChange} />
+                    <span className="data-export-icon">🗄️</span>
+                    <span className="data-export-text">
+                        <strong>{fileName || t('restoreBackup.chooseFile')}</strong>
+                        <small>{t('restoreBackup.chooseFileHint')}</small>
+                    </span>
+                </label>
+
+                <div className="restore-modes">
+                    {RESTORE_MODES.map(option => (
+                        <button
+                            key={option}
+                            type="button"
+                            className={`restore-mode ${mode === option ? 'active' : ''}`}
+                            onClick={() => handleModeChange(option)}
+                            disabled={busy}
+                        >
+                            <strong>{t(`restoreBackup.modes.${option}.title`)}</strong>
+                            <small>{t(`restoreBackup.modes.${option}.description`)}</small>
+                        </button>
+                    ))}
+                </div>
+
+                {busy && <div className="restore-summary">{t('restoreBackup.checking')}</div>}
+                {summary && !busy && (
+                    <div className="restore-summary">
+                        <div><strong>{t('restoreBackup.months')}</strong> {formatCounts(t, summary.months)}</div>
+                        <div><strong>{t('restoreBackup.weeks')}</strong> {formatCounts(t, summary.weeks)}</div>
+                        <div><strong>{t('restoreBackup.transactions')}</strong> {formatCounts(t, summary.transactions)}</div>
+                        <div>
+                            <strong>{t('restoreBackup.categories')}</strong>{' '}
+                            {summary.categories.added.length === 0 && summary.categories.removed.length === 0
+                                ? t('restoreBackup.noChanges')
+                                : [
+                                    summary.categories.added.length > 0 && `+ ${summary.categories.added.join(', ')}`,
+                                    summary.categories.removed.length > 0 && `− ${summary.categories.removed.join(', ')}`
+                                ].filter(Boolean).join(' · ')}
+                        </div>
+                        {BACKUP_SECTIONS.map(section => (
+                            <div key={section}><strong>{t(`restoreBackup.sections.${section}`)}</strong> {formatCounts(t, summary[section])}</div>
+                        ))}
+                    </div>
+                )}
+
+                {error && <div className="auth-error">{error}</div>}
+                {appliedParts.length > 0 && (
+                    <div className="restore-summary">
+                        <div>{t('restoreBackup.partiallyApplied')}</div>
+                        {appliedParts.map(part => (
+                            <div key={part}><strong>{getPartLabel(t, part)}</strong> {t('restoreBackup.applied')}</div>
+                        ))}
+                    </div>
+                )}
+                {fieldErrors.length > 0 && (
+                    <ul className="restore-field-errors">
+                        {fieldErrors.map(([field, message]) => (
+                            <li key={field}><code>{field}</code> {message}</li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="change-pwd-actions">
+                    <button type="button" className="btn-cancel" onClick={onClose}>{t('common.cancel')}</button>
+                    <button type="button" className="btn-save" onClick={handleRestore} disabled={!summary || busy}>
+                        {t('restoreBackup.restore')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RestoreBackupModal;
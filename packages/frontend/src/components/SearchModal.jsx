@@ -0,0 +1,155 @@
+import React, { useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useI18n } from '../lib/i18n';
+import { EMPTY_SEARCH, isSearchEmpty, searchTransactions } from '../lib/search';
+import { collectTags, formatTag, getExpenseTags } from '../lib/tags';
+import { formatCurrency, formatDate, getCategoryLabel } from '../lib/utils';
+import '../styles/Search.css';
+
+const MAX_RESULTS = 200;
+
+const modalVariants = {
+    hidden: { opacity: 0, scale: 0.8 },
+    visible: { opacity: 1, scale: 1, transition: { type: 'spring', damping: 25, stiffness: 500 } },
+    exit: { opacity: 0, scale: 0.8 }
+};
+
+// Searches every week at once; a result opens the edit flow or jumps to its week
+const SearchModal = ({ isOpen, onClose, weeks = [], categories = [], onEditExpense, onOpenWeek }) => {
+    const { t } = useI18n();
+    const [filters, setFilters] = useState(EMPTY_SEARCH);
+
+    const tags = useMemo(() => collectTags(weeks).map(entry => entry.tag), [weeks]);
+    const results = useMemo(() => (isSearchEmpty(filters) ? [] : searchTransactions(weeks, filters)), [weeks, filters]);
+    const netTotal = results.reduce((sum, expense) => sum + (expense.type === 'credit' ? -1 : 1) * (Number(expense.amount) || 0), 0);
+
+    const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+    // Results carry their weekId; the expense itself is edited without it
+    const handleEdit = ({ weekId: _weekId, ...expense }) => onEditExpense(expense);
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="search-overlay"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                >
+                    <motion.div
+                        className="search-content"
+                        variants={modalVariants}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                    >
+                        <h2>{t('search.title')}</h2>
+
+                        <div className="search-body">
+                            <input
+                                type="search"
+                                className="search-text"
+                                value={filters.text}
+                                onChange={(e) => updateFilter('text', e.target.value)}
+                                placeholder={t('search.placeholder')}
+                                autoFocus
+                            />
+
+                            <div className="search-filters">
+                                <label>
+                                    {t('search.type')}
+                                    <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+                                        <option value="">{t('search.any')}</option>
+                                        <option value="expense">{t('common.expense')}</option>
+                                        <option value="credit">{t('common.credit')}</option>
+                                    </select>
+                                </label>
+                                <label>
+                                    {t('search.category')}
+                                    <select value={filters.category} onChange={(e) => updateFilter('category', e.target.value)}>
+                                        <option value="">{t('search.any')}</option>
+                                        {categories.map(name => (
+                                            <option key={name} value={name}>{getCategoryLabel(name)}</option>
+                                        ))}
+                                        <option value="Uncategorized">{t('common.uncategorized')}</option>
+                                    </select>
+                                </label>
+                                {tags.length > 0 && (
+                                    <label>
+                                        {t('search.tag')}
+                                        <select value={filters.tag} onChange={(e) => updateFilter('tag', e.target.value)}>
+                                            <option value="">{t('search.any')}</option>
+                                            {tags.map(tag => (
+                                                <option key={tag} value={tag}>{formatTag(tag)}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                )}
+                                <label>
+                                    {t('search.minAmount')}
+                                    <input type="number" value={filters.minAmount} onChange={(e) => updateFilter('minAmount', e.target.value)} min="0" step="0.01" />
+                                </label>
+                                <label>
+                                    {t('search.maxAmount')}
+                                    <input type="number" value={filters.maxAmount} onChange={(e) => updateFilter('maxAmount', e.target.value)} min="0" step="0.01" />
+                                </label>
+                                <label>
+                                    {t('search.from')}
+                                    <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+                                </label>
+                                <label>
+                                    {t('search.to')}
+                                    <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+                                </label>
+                            </div>
+
+                            {isSearchEmpty(filters) ? (
+                                <p className="search-empty">{t('search.hint')}</p>
+                            ) : (
+                                <>
+                                    <div className="search-summary">
+                                        <span>{t('search.results', { count: results.length })} · {formatCurrency(netTotal)}</span>
+                                        <button type="button" onClick={() => setFilters(EMPTY_SEARCH)}>{t('search.clear')}</button>
+                                    </div>
+
+                                    {results.length === 0 && <p className="search-empty">{t('search.noResults')}</p>}
+
+                                    <div className="search-results">
+                                        {results.slice(0, MAX_RESULTS).map(expense => (
+                                            <div key={`${expense.weekId}-${expense.id}`} className="search-result">
+                                                <button type="button" className="search-result-main" onClick={() => handleEdit(expense)} title={t('search.edit')}>
+                                                    <strong>{expense.name}</strong>
+                                                    <span>
+                                                        {formatDate(expense.date)} · {expense.category ? getCategoryLabel(expense.category) : t('common.uncategorized')}
+                                                        {getExpenseTags(expense).map(tag => ` ${formatTag(tag)}`).join('')}
+                                                    </span>
+                                                </button>
+                                                <span className={`search-result-amount ${expense.type === 'credit' ? 'credit' : ''}`}>
+                                                    {expense.type === 'credit' ? '+' : '-'} {formatCurrency(expense.amount)}
+                                                </span>
+                                                <button type="button" className="search-result-week" onClick={() => onOpenWeek(expense.weekId, expense.date)}>
+                                                    {t('search.openWeek')}
+                                                </button>
+                                            </div>
+                                        ))}
+                                    </div>
+
+                                    {results.length > MAX_RESULTS && (
+                                        <p className="search-empty">{t('search.truncated', { count: MAX_RESULTS })}</p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+
+                        <div className="modal-actions">
+                            <button type="button" className="btn-cancel" onClick={onClose}>{t('common.close')}</button>
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default SearchModal;
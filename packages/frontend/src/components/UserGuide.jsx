@@ -1,9 +1,36 @@
 import React from 'react';
+import { useI18n } from '../lib/i18n';
 import '../styles/UserGuide.css';
 
+const DASHBOARD_FEATURES = [
+    { id: 'balance', icon: '💰' },
+    { id: 'goals', icon: '📊' },
+    { id: 'momentum', icon: '🚀' },
+    { id: 'categories', icon: '🍩' }
+];
+
+const QUICK_REFERENCE = [
+    { id: 'balance', icon: '📊' },
+    { id: 'add', icon: '➕' },
+    { id: 'plan', icon: '📅' },
+    { id: 'trends', icon: '📈' },
+    { id: 'split', icon: '🔄' },
+    { id: 'savings', icon: '💰' },
+    { id: 'reset', icon: '🔑' },
+    { id: 'runway', icon: '🚀' }
+];
+
 const UserGuide = ({ isOpen, onClose }) => {
+    const { t, tRich } = useI18n();
+
     if (!isOpen) return null;
 
+    const creditBadge = <span className="guide-badge-green">{t('guide.planning.credit')}</span>;
+    const spendBadge = <span className="guide-badge-red">{t('guide.planning.spend')}</span>;
+    const listItems = (key, count) => Array.from({ length: count }, (_, index) => (
+        <li key={index}>{tRich(`${key}.${index + 1}`)}</li>
+    ));
+
     return (
         <div className="guide-overlay" onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}>
             <div className="guide-container">
@@ -13,7 +40,7 @@ const UserGuide = ({ isOpen, onClose }) => {
                     <div className="guide-hero">
                         <div className="guide-hero-icon">🐱</div>
                         <h1>Weekly Wallet</h1>
-                        <p>User Guide</p>
+                        <p>{t('guide.subtitle')}</p>
                     </div>
                 </div>
 
@@ -24,12 +51,12 @@ const UserGuide = ({ isOpen, onClose }) => {
                     <section className="guide-section">
                         <div className="guide-section-header">
                             <span className="guide-step-num">1</span>
-                            <h2>Getting Started</h2>
+                            <h2>{t('guide.start.title')}</h2>
                         </div>
-                        <p className="guide-text">Create an account with your email and a password. You will receive a <strong>Recovery Key</strong> during registration.</p>
+                        <p className="guide-text">{tRich('guide.start.text')}</p>
                         <div className="guide-tip">
-                            <strong>⚠️ CRITICAL</strong>
-                            <p>Save your <strong>Recovery Key</strong> in a safe place! It is the ONLY way to recover your account if you forget your password.</p>
+                            <strong>⚠️ {t('guide.start.tipTitle')}</strong>
+                            <p>{tRich('guide.start.tip')}</p>
                         </div>
                     </section>
 
@@ -37,38 +64,19 @@ const UserGuide = ({ isOpen, onClose }) => {
                     <section className="guide-section">
                         <div className="guide-section-header">
                             <span className="guide-step-num">2</span>
-                            <h2>Dashboard</h2>
+                            <h2>{t('guide.dashboard.title')}</h2>
                         </div>
-                        <p className="guide-text">Your home screen shows everything at a glance:</p>
+                        <p className="guide-text">{t('guide.dashboard.text')}</p>
                         <div className="guide-features">
-                            <div className="guide-feature">
-                                <span className="guide-feature-icon">💰</span>
-                                <div>
-                                    <strong>Weekly Balance</strong>
-                                    <p>How much of your weekly budget is left. Green = on track, red = over.</p>
+                            {DASHBOARD_FEATURES.map(feature => (
+                                <div key={feature.id} className="guide-feature">
+                                    <span className="guide-feature-icon">{feature.icon}</span>
+                                    <div>
+                                        <strong>{t(`guide.dashboard.features.${feature.id}.title`)}</strong>
+                                        <p>{t(`guide.dashboard.features.${feature.id}.text`)}</p>
+                                    </div>
                                 </div>
-                            </div>
-                            <div className="guide-feature">
-                                <span className="guide-feature-icon">📊</span>
-                                <div>
-                                    <strong>Weekly Goals</strong>
-                                    <p>Bar chart comparing spending vs budget for each week. Badge shows monthly % remaining.</p>
-                                </div>
-                            </div>
-                            <div className="guide-feature">
-                                <span className="guide-feature-icon">🚀</span>
-                                <div>
-                                    <strong>Financial Momentum & Runway</strong>
-                                    <p>See how your wealth is growing or how long your savings will last at your current burn rate.</p>
-                                </div>
-                            </div>
-                            <div className="guide-feature">
-                                <span className="guide-feature-icon">🍩</span>
-                                <div>
-                                    <strong>Categories</strong>
-                                    <p>Donut chart showing where your money goes — top 5 categories.</p>
-                                </div>
-                            </div>
+                            ))}
                         </div>
                     </section>
 
@@ -76,20 +84,15 @@ const UserGuide = ({ isOpen, onClose }) => {
                     <section className="guide-section">
                         <div className="guide-section-header">
                             <span className="guide-step-num">3</span>
-                            <h2>Adding Expenses</h2>
+                            <h2>{t('guide.adding.title')}</h2>
                         </div>
-                        <p className="guide-text">Tap <strong>"➕ Add Expense"</strong> from the Dashboard or Week History.</p>
+                        <p className="guide-text">{tRich('guide.adding.text')}</p>
                         <ol className="guide-steps">
-                            <li>Choose <strong>Expense</strong> (money out) or <strong>Credit</strong> (money in)</li>
-                            <li>Enter a <strong>description</strong> and <strong>amount</strong></li>
-                            <li>Pick a <strong>category</strong> from your Monthly Planning</li>
-                            <li>Select the <strong>date</strong> — auto-assigns to the correct week</li>
-                            <li>Optionally <strong>split into installments</strong> across weeks</li>
-                            <li>Tap <strong>Add</strong>!</li>
+                            {listItems('guide.adding.steps', 6)}
                         </ol>
                         <div className="guide-tip">
-                            <strong>💡 Splitting</strong>
-                            <p>Big purchase? Split across 2–4 weeks. The app creates entries like "Laptop (1/3)", "Laptop (2/3)", etc.</p>
+                            <strong>💡 {t('guide.adding.tipTitle')}</strong>
+                            <p>{t('guide.adding.tip')}</p>
                         </div>
                     </section>
 
@@ -97,15 +100,11 @@ const UserGuide = ({ isOpen, onClose }) => {
                     <section className="guide-section">
                         <div className="guide-section-header">
                             <span className="guide-step-num">4</span>
-                            <h2>Week History</h2>
+                            <h2>{t('guide.history.title')}</h2>
                         </div>
-                        <p className="guide-text">Tap <strong>"📊 History"</strong> to browse your weekly expense cards:</p>
+                        <p className="guide-text">{tRich('guide.history.text')}</p>
                         <ul className="guide-list">
-                            <li><strong>Swipe</strong> left/right between the 4 weeks of the month</li>
-                            <li>Use <strong>month/year selectors</strong> to navigate</li>
-                            <li>Each card lists expenses with category, name, and amount</li>
-                            <li><strong>Credits</strong> appear in green with a "+" sign</li>
-                            <li>Tap <strong>"Current Week"</strong> to jump back</li>
+                            {listItems('guide.history.items', 5)}
                         </ul>
                     </section>
 
@@ -113,20 +112,20 @@ const UserGuide = ({ isOpen, onClose }) => {
                     <section className="guide-section">
                         <div className="guide-section-header">
                             <span className="guide-step-num">5</span>
-                            <h2>Monthly Planning</h2>
+                            <h2>{t('guide.planning.title')}</h2>
                         </div>
-                        <p className="guide-text">Tap <strong>"📅 Plan"</strong> to set up your monthly budget:</p>
+                        <p className="guide-text">{tRich('guide.planning.text')}</p>
                         <ol className="guide-steps">
-                            <li>Enter your <strong>monthly salary</strong></li>
-                            <li>Add <strong>categories</strong> with name, type, and budget</li>
-                            <li>Choose type: <span className="guide-badge-green">Credit</span> or <span className="guide-badge-red">Spend</span></li>
-                            <li>Set <strong>frequency</strong>: weekly or monthly</li>
-                            <li>Tap <strong>Save</strong></li>
+                            <li>{tRich('guide.planning.steps.1')}</li>
+                            <li>{tRich('guide.planning.steps.2')}</li>
+                            <li>{tRich('guide.planning.steps.3', { credit: creditBadge, spend: spendBadge })}</li>
+                            <li>{tRich('guide.planning.steps.4')}</li>
+                            <li>{tRich('guide.planning.steps.5')}</li>
                         </ol>
                         <div className="guide-tip">
-                            <strong>💡 How Categories Work</strong>
-                            <p><strong><span className="guide-badge-green">Credit</span>:</strong> The amount is deducted from your <strong>Global Monthly Balance</strong> (used for planning), but it is <strong>NOT</strong> automatically recorded as an expense. It creates a "Credit Account" (like Market or Uber) for you to spend from throughout the month.</p>
-                            <p style={{ marginTop: '8px' }}><strong><span className="guide-badge-red">Spend</span>:</strong> The amount is immediately considered "spent" or "saved" (like a fixed bill, debt payment, or money put into Savings). It is deducted both from the Global Balance and instantly affects your actual cash flow.</p>
+                            <strong>💡 {t('guide.planning.tipTitle')}</strong>
+                            <p><strong>{creditBadge}:</strong> {tRich('guide.planning.creditTip')}</p>
+                            <p style={{ marginTop: '8px' }}><strong>{spendBadge}:</strong> {tRich('guide.planning.spendTip')}</p>
                         </div>
                     </section>
 
@@ -134,34 +133,26 @@ const UserGuide = ({ isOpen, onClose }) => {
                     <section className="guide-section">
                         <div className="guide-section-header">
                             <span className="guide-step-num">6</span>
-                            <h2>Recovery Key & Security</h2>
+                            <h2>{t('guide.security.title')}</h2>
                         </div>
 
                         {/* 6a — Password Reset */}
-                        <p className="guide-text" style={{ fontWeight: 700, color: '#1F2937', marginBottom: 6 }}>🔑 Resetting Your Password</p>
-                        <p className="guide-text">Forgot your password? You will need your Recovery Key to regain access:</p>
+                        <p className="guide-text" style={{ fontWeight: 700, color: '#1F2937', marginBottom: 6 }}>🔑 {t('guide.security.resetTitle')}</p>
+                        <p className="guide-text">{t('guide.security.resetText')}</p>
                         <ol className="guide-steps">
-                            <li>On the <strong>Login page</strong>, tap <strong>"Forgot Password?"</strong></li>
-                            <li>Enter your <strong>Email</strong> and your <strong>Recovery Key</strong> (e.g., pw-rec-...)</li>
-                            <li>Tap <strong>"Recover Account"</strong></li>
-                            <li>You will be prompted to create a <strong>new password</strong></li>
-                            <li>Tap <strong>"Reset Password"</strong> — done! You can now log in with your new password</li>
+                            {listItems('guide.security.resetSteps', 5)}
                         </ol>
                         <div className="guide-tip">
-                            <strong>⚠️ Lost your Recovery Key?</strong>
-                            <p>If you lose your Recovery Key and forget your password, your account cannot be restored under any circumstances. Keep it safe!</p>
+                            <strong>⚠️ {t('guide.security.lostTitle')}</strong>
+                            <p>{t('guide.security.lostText')}</p>
                         </div>
 
                         {/* 6b — Security */}
-                        <p className="guide-text" style={{ fontWeight: 700, color: '#1F2937', marginTop: 24, marginBottom: 6 }}>🔐 Your Data is Secure</p>
+                        <p className="guide-text" style={{ fontWeight: 700, color: '#1F2937', marginTop: 24, marginBottom: 6 }}>🔐 {t('guide.security.secureTitle')}</p>
                         <div className="guide-security">
-                            <h3>End-to-End Encryption</h3>
+                            <h3>{t('guide.security.encryptionTitle')}</h3>
                             <ul className="guide-list">
-                                <li>All your financial data is encrypted with <strong>AES-256-GCM</strong> — military-grade encryption</li>
-                                <li>Each user has a <strong>unique encryption key (DEK)</strong> tied to your password</li>
-                                <li>Data is stored encrypted on <strong>Cloudflare R2</strong> — fast & globally distributed</li>
-                                <li><strong>Nobody</strong> can read your data — not even the server or the developer</li>
-                                <li>Your password is <strong>never stored</strong> in plain text — only a secure hash</li>
+                                {listItems('guide.security.encryptionItems', 5)}
                             </ul>
                         </div>
                     </section>
@@ -170,17 +161,14 @@ const UserGuide = ({ isOpen, onClose }) => {
                     <section className="guide-section">
                         <div className="guide-section-header">
                             <span className="guide-step-num">✨</span>
-                            <h2>Quick Reference</h2>
+                            <h2>{t('guide.reference.title')}</h2>
                         </div>
                         <div className="guide-ref-grid">
-                            <div className="guide-ref-item"><span>📊</span> <strong>Balance</strong> — Open app → Dashboard</div>
-                            <div className="guide-ref-item"><span>➕</span> <strong>Add</strong> — Dashboard → "Add Expense"</div>
-                            <div className="guide-ref-item"><span>📅</span> <strong>Plan</strong> — "Plan" → salary + categories</div>
-                            <div className="guide-ref-item"><span>📈</span> <strong>Trends</strong> — Scroll → toggle weekly/monthly</div>
-                            <div className="guide-ref-item"><span>🔄</span> <strong>Split</strong> — Add Expense → installments</div>
-                            <div className="guide-ref-item"><span>💰</span> <strong>Savings</strong> — "Savings" category tracks deposits</div>
-                            <div className="guide-ref-item"><span>🔑</span> <strong>Reset</strong> — "Forgot Password" → Recovery Key</div>
-                            <div className="guide-ref-item"><span>🚀</span> <strong>Runway</strong> — Tap explosion icon on Dashboard!</div>
+                            {QUICK_REFERENCE.map(item => (
+                                <div key={item.id} className="guide-ref-item">
+                                    <span>{item.icon}</span> <strong>{t(`guide.reference.items.${item.id}.title`)}</strong> — {t(`guide.reference.items.${item.id}.text`)}
+                                </div>
+                            ))}
                         </div>
                     </section>
 
@@ -2,16 +2,17 @@ import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { Plus, Settings } from 'lucide-react';
 import ExpenseList from './ExpenseList';
-import { formatCurrency, calculateRemaining, getWeekRange, formatDate, filterExpensesByCategory, calculateCategoryNet } from '../lib/utils';
+import { formatCurrency, calculateRemaining, getWeekRange, formatDate, filterExpensesByCategoryTree, calculateCategoryTreeNet, countDays, getWeekCategoryBudget, getCategoryKey, getCategoryLabel, getCategoryTree, isTopLevelCategory, orderCategoryTree, CATEGORY_KEYS } from '../lib/utils';
 import { useAuth } from '../lib/AuthContext';
+import { useI18n } from '../lib/i18n';
 import '../styles/WeekCard.css';
 
-const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditExpense, weekNumber, totalWeeks, totalSavings, currentMonthSavings, onOpenAddExpense, carryovers }) => {
+const WeekCard = ({ week, categories, onDeleteExpense, onGlobalAddExpense, onEditExpense, weekNumber, totalWeeks, totalSavings, currentMonthSavings, onOpenAddExpense, carryovers, monthDays }) => {
+    const { t } = useI18n();
 
     const handleDeleteExpense = (id) => {
-        if (window.confirm("Are you sure you want to delete this expense?")) {
-            const updatedExpenses = week.expenses.filter(e => e.id !== id);
-            onUpdateWeek({ ...week, expenses: updatedExpenses });
+        if (window.confirm(t('weekCard.confirmDelete'))) {
+            onDeleteExpense(week.id, id);
         }
     };
 
@@ -22,7 +23,7 @@ const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditEx
             return user.customTabs;
         }
         const saved = localStorage.getItem('weekCardCustomTabs');
-        return saved ? JSON.parse(saved) : ['Market', 'Coffee', 'Savings'];
+        return saved ? JSON.parse(saved) : [t('categories.market'), t('categories.coffee'), t('categories.savings')];
     });
 
     useEffect(() => {
@@ -61,46 +62,48 @@ const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditEx
 
     const status = getStatus();
 
+    // Budgets are prorated by the week's length (weeks vary with the splitting strategy)
+    const weekDays = week.startDate && week.endDate ? countDays(week.startDate, week.endDate) : 7;
+    const weekDaysSuffix = weekDays === 7 ? '' : ` (${t('common.days', { count: weekDays })})`;
+
     const getCategoryData = (catName) => {
         if (!catName || catName === 'LATEST') return null;
 
         const cat = categories.find(c => c.name.toLowerCase() === catName.toLowerCase());
         const budget = cat ? (cat.budget || 0) : 0;
         const isWeekly = cat?.frequency === 'weekly';
-        const lowerName = catName.toLowerCase();
+        const categoryKey = getCategoryKey(cat || catName);
+        // A parent tab rolls up its subcategories
+        const tree = getCategoryTree(categories, catName);
 
         let label1, val1, label2, val2, val2Class;
-        const catExpenses = filterExpensesByCategory(week.expenses, catName);
-        const spent = calculateCategoryNet(week.expenses, catName);
+        const catExpenses = filterExpensesByCategoryTree(week.expenses, categories, catName);
+        const spent = calculateCategoryTreeNet(week.expenses, categories, catName);
 
-        if (lowerName === 'savings' || lowerName === 'poupança') {
-            label1 = 'Saved this month';
+        if (categoryKey === CATEGORY_KEYS.SAVINGS) {
+            label1 = t('weekCard.savedThisMonth');
             val1 = budget + (currentMonthSavings || 0);
-            label2 = 'Total saved';
+            label2 = t('weekCard.totalSaved');
             val2 = totalSavings || 0;
             val2Class = 'positive';
             return { label1, val1, label2, val2, val2Class, expenses: catExpenses };
         }
 
-        let baseBudget = budget;
-        if (lowerName === 'market' || lowerName === 'mercado') {
-            baseBudget = isWeekly ? budget : budget / 4;
-            label1 = 'Weekly Budget';
-        } else if (lowerName === 'coffee' || lowerName === 'café') {
-            baseBudget = isWeekly ? budget : budget / 4;
-            label1 = isWeekly ? 'Weekly Budget' : 'Weekly Eq. Budget';
+        const baseBudget = tree.reduce((sum, member) => sum + getWeekCategoryBudget(member, weekDays, monthDays || weekDays * 4), 0);
+        if (categoryKey === CATEGORY_KEYS.MARKET) {
+            label1 = `${t('weekCard.weeklyBudget')}${weekDaysSuffix}`;
         } else {
-            // Default generic behavior
-            baseBudget = isWeekly ? budget : budget / 4;
-            label1 = isWeekly ? 'Weekly Budget' : 'Weekly Eq. Budget';
+            label1 = `${isWeekly ? t('weekCard.weeklyBudget') : t('weekCard.weeklyEqBudget')}${weekDaysSuffix}`;
         }
 
-        // Add carryovers from previous weeks if this is a weekly budget
-        const carryoverAmount = isWeekly && carryovers ? (carryovers[lowerName] || 0) : 0;
+        // Add carryovers from previous weeks and months for the budgets in the tab
+        const carryoverAmount = carryovers
+            ? tree.reduce((sum, member) => sum + (carryovers[member.name.toLowerCase()] || 0), 0)
+            : 0;
         const displayBudget = baseBudget + carryoverAmount;
 
         const remaining = displayBudget - spent;
-        label2 = 'Remaining';
+        label2 = t('weekCard.remaining');
         val2 = remaining;
         val2Class = remaining < 0 ? 'negative' : 'positive';
 
@@ -119,10 +122,10 @@ const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditEx
                     </h3>
                     {weekNumber && totalWeeks && (
                         <span className="week-number">
-                            Week {weekNumber}/{totalWeeks}
+                            {t('weekCard.weekOf', { number: weekNumber, total: totalWeeks })}
                         </span>
                     )}
-                    <span className={`week-status ${status.toLowerCase()}`}>{status}</span>
+                    <span className={`week-status ${status.toLowerCase()}`}>{t(`weekCard.status.${status.toLowerCase()}`)}</span>
                 </div>
 
                 <div className="header-actions-weekcard" style={{ position: 'relative' }}>
@@ -132,7 +135,7 @@ const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditEx
                             className={`view-tab ${viewMode === 'LATEST' ? 'active' : ''}`}
                             onClick={() => setViewMode('LATEST')}
                         >
-                            Latest
+                            {t('weekCard.latest')}
                         </button>
                         {selectedCustomTabs.map(tab => (
                             <button
@@ -140,14 +143,14 @@ const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditEx
                                 className={`view-tab ${viewMode === tab ? 'active' : ''}`}
                                 onClick={() => setViewMode(tab)}
                             >
-                                {tab}
+                                {getCategoryLabel(tab)}
                             </button>
                         ))}
                     </div>
                     <button
                         className="edit-tabs-btn"
                         onClick={() => setShowTabEditor(!showTabEditor)}
-                        title="Edit View Tabs"
+                        title={t('weekCard.editTabs')}
                     >
                         <Settings size={18} />
                     </button>
@@ -155,19 +158,19 @@ const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditEx
                     {showTabEditor && (
                         <div className="tab-editor-popover" ref={popoverRef}>
                             <div className="tab-editor-header">
-                                <h4>Select 3 Tabs</h4>
+                                <h4>{t('weekCard.selectTabs')}</h4>
                                 <span className="tab-count">{selectedCustomTabs.length}/3</span>
                             </div>
                             <div className="tab-editor-options">
-                                {categories.map(c => (
-                                    <label key={c.name} className="tab-option-label">
+                                {orderCategoryTree(categories).map(c => (
+                                    <label key={c.name} className={`tab-option-label ${isTopLevelCategory(categories, c) ? '' : 'subcategory'}`}>
                                         <input
                                             type="checkbox"
                                             checked={selectedCustomTabs.includes(c.name)}
                                             onChange={(e) => {
                                                 if (e.target.checked) {
                                                     if (selectedCustomTabs.length >= 3) {
-                                                        alert('You can only select up to 3 categories.');
+                                                        alert(t('weekCard.tooManyTabs'));
                                                         return;
                                                     }
                                                     const newTabs = [...selectedCustomTabs, c.name];
@@ -175,7 +178,7 @@ const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditEx
                                                     localStorage.setItem('weekCardCustomTabs', JSON.stringify(newTabs));
                                                     updatePreferences({ customTabs: newTabs });
                                                 } else {
-                                                    const newTabs = selectedCustomTabs.filter(t => t !== c.name);
+                                                    const newTabs = selectedCustomTabs.filter(tab => tab !== c.name);
                                                     setSelectedCustomTabs(newTabs);
                                                     localStorage.setItem('weekCardCustomTabs', JSON.stringify(newTabs));
                                                     updatePreferences({ customTabs: newTabs });
@@ -183,7 +186,7 @@ const WeekCard = ({ week, categories, onUpdateWeek, onGlobalAddExpense, onEditEx
                                                 }
                                             }}
                                         />
-                                        <span>{c.name}</span>
+                                        <span>{getCategoryLabel(c.name)}</span>
                                     </label>
                                 ))}
                             </div>
@@ -2,7 +2,8 @@ import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
 import WeekCard from './WeekCard';
-import { getWeeklyCategoryCarryover } from '../lib/utils';
+import { useI18n } from '../lib/i18n';
+import { CATEGORY_KEYS, countDays, getCategoryKey, getWeekCategoryBudget, getWeeklyCategoryCarryover } from '../lib/utils';
 import '../styles/WeekCarousel.css';
 
 const variants = {
@@ -59,7 +60,8 @@ const swipePower = (offset, velocity) => {
     return Math.abs(offset) * velocity;
 };
 
-const WeekCarousel = ({ weeks, categories, onUpdateWeek, onCreateWeek, activeIndex, onIndexChange, onGlobalAddExpense, onEditExpense, totalSavings, onOpenAddExpense }) => {
+const WeekCarousel = ({ weeks, categories, onDeleteExpense, onCreateWeek, activeIndex, onIndexChange, onGlobalAddExpense, onEditExpense, totalSavings, onOpenAddExpense, rollovers = new Map() }) => {
+    const { t } = useI18n();
     // We rely on parent for index management now.
     // Internal direction state is fine to keep here for animations
     const [direction, setDirection] = useState(0);
@@ -83,7 +85,7 @@ const WeekCarousel = ({ weeks, categories, onUpdateWeek, onCreateWeek, activeInd
         return weeks.reduce((total, week) => {
             if (!week.expenses) return total;
             const weekSavings = week.expenses
-                .filter(e => e.category.toLowerCase() === 'savings' || e.category.toLowerCase() === 'poupança')
+                .filter(e => getCategoryKey(e.category) === CATEGORY_KEYS.SAVINGS)
                 .reduce((sum, e) => {
                     // Credit = Deposit (Add), Expense = Withdrawal (Subtract)
                     return e.type === 'credit' ? sum + e.amount : sum - e.amount;
@@ -92,6 +94,11 @@ const WeekCarousel = ({ weeks, categories, onUpdateWeek, onCreateWeek, activeInd
         }, 0);
     }, [weeks]);
 
+    // Length of the displayed financial month, for prorating monthly budgets
+    const monthDays = React.useMemo(() => (weeks || []).reduce((total, week) => (
+        week.startDate && week.endDate ? total + countDays(week.startDate, week.endDate) : total
+    ), 0), [weeks]);
+
     // Safety check just in case index is out of bounds (e.g. during reload)
     if (!currentWeek && weeks.length > 0) {
         // Parent will likely reset index soon, return null or fallback
@@ -105,14 +112,14 @@ const WeekCarousel = ({ weeks, categories, onUpdateWeek, onCreateWeek, activeInd
             <div className="carousel-container">
                 <div className="star-field" />
                 <div style={{ color: 'white', zIndex: 1, textAlign: 'center', marginTop: '50px' }}>
-                    No weeks found for this month.
+                    {t('weekCarousel.empty')}
                     <br />
                     <button
                         className="carousel-nav-btn"
                         style={{ position: 'static', marginTop: '20px', width: 'auto', padding: '10px 20px' }}
                         onClick={onCreateWeek}
                     >
-                        Create First Week
+                        {t('weekCarousel.createFirst')}
                     </button>
                 </div>
             </div>
@@ -165,11 +172,16 @@ const WeekCarousel = ({ weeks, categories, onUpdateWeek, onCreateWeek, activeInd
                         }}
                     >
                         {currentWeek && (() => {
-                            // Calculate carryovers from previous weeks for weekly categories
+                            // Carryovers from previous weeks (weekly categories) and from
+                            // the previous month, which monthly categories spread like their budget
                             const carryovers = {};
+                            const weekDays = currentWeek.startDate && currentWeek.endDate ? countDays(currentWeek.startDate, currentWeek.endDate) : 7;
                             categories.forEach(cat => {
+                                const key = cat.name.toLowerCase();
                                 if (cat.frequency === 'weekly') {
-                                    carryovers[cat.name.toLowerCase()] = getWeeklyCategoryCarryover(weeks, activeIndex, cat);
+                                    carryovers[key] = getWeeklyCategoryCarryover(weeks, activeIndex, cat, rollovers.get(key) || 0);
+                                } else if (rollovers.has(key)) {
+                                    carryovers[key] = getWeekCategoryBudget({ ...cat, budget: rollovers.get(key) }, weekDays, monthDays);
                                 }
                             });
 
@@ -177,7 +189,7 @@ const WeekCarousel = ({ weeks, categories, onUpdateWeek, onCreateWeek, activeInd
                                 <WeekCard
                                     week={currentWeek}
                                     categories={categories}
-                                    onUpdateWeek={(updated) => onUpdateWeek(updated)} // Pass just updated week, parent handles index map
+                                    onDeleteExpense={onDeleteExpense}
                                     onGlobalAddExpense={onGlobalAddExpense} // Pass global handler
                                     onEditExpense={onEditExpense}
                                     weekNumber={activeIndex + 1}
@@ -186,6 +198,7 @@ const WeekCarousel = ({ weeks, categories, onUpdateWeek, onCreateWeek, activeInd
                                     currentMonthSavings={currentMonthSavings}
                                     onOpenAddExpense={onOpenAddExpense}
                                     carryovers={carryovers}
+                                    monthDays={monthDays}
                                 />
                             );
                         })()}
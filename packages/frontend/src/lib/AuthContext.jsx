@@ -1,8 +1,17 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { api } from './api';
+import { api, clearSession } from './api';
+import { t } from './i18n';
+import { setBaseCurrency, setPayday, setWeekStrategy } from './utils';
 
 const AuthContext = createContext(null);
 
+// Profile settings every screen computes with, kept in module state in utils
+const ACCOUNT_SETTINGS = { payday: setPayday, weekStrategy: setWeekStrategy, baseCurrency: setBaseCurrency };
+
+const applyAccountSettings = (source, keys = Object.keys(ACCOUNT_SETTINGS)) => {
+    keys.forEach(key => ACCOUNT_SETTINGS[key](source?.[key]));
+};
+
 export function AuthProvider({ children }) {
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -14,11 +23,14 @@ export function AuthProvider({ children }) {
         if (savedToken && savedUser) {
             try {
                 const parsed = JSON.parse(savedUser);
+                // Apply account settings before rendering anything that depends on them
+                applyAccountSettings(parsed);
                 setUser({ ...parsed, token: savedToken });
 
                 // Fetch latest profile from backend to sync avatar and preferences across devices
                 api.getProfile().then(profile => {
                     if (profile && !profile.error) {
+                        applyAccountSettings(profile);
                         setUser(prev => {
                             if (!prev) return prev;
                             const updated = { ...prev, ...profile };
@@ -30,8 +42,7 @@ export function AuthProvider({ children }) {
                     }
                 });
             } catch {
-                localStorage.removeItem('pw_token');
-                localStorage.removeItem('pw_user');
+                clearSession();
             }
         }
         setLoading(false);
@@ -42,6 +53,7 @@ export function AuthProvider({ children }) {
         if (result.success) {
             localStorage.setItem('pw_token', result.token);
             localStorage.setItem('pw_user', JSON.stringify(result.user));
+            applyAccountSettings(result.user);
             setUser({ ...result.user, token: result.token });
         }
         return result;
@@ -52,19 +64,20 @@ export function AuthProvider({ children }) {
         if (result.success) {
             localStorage.setItem('pw_token', result.token);
             localStorage.setItem('pw_user', JSON.stringify(result.user));
+            applyAccountSettings(result.user);
             setUser({ ...result.user, token: result.token });
         }
         return result;
     };
 
     const logout = () => {
-        localStorage.removeItem('pw_token');
-        localStorage.removeItem('pw_user');
+        clearSession();
+        applyAccountSettings(null);
         setUser(null);
     };
 
     const changePassword = async (oldPassword, newPassword, recoveryKey) => {
-        if (!user) return { error: 'Not logged in' };
+        if (!user) return { error: t('errors.notLoggedIn') };
         const result = await api.auth.changePassword(user.email, oldPassword, newPassword, recoveryKey);
         if (result.success && result.token) {
             localStorage.setItem('pw_token', result.token);
@@ -78,18 +91,31 @@ export function AuthProvider({ children }) {
     };
 
     const updatePreferences = async (preferencesData) => {
-        if (!user) return { error: 'Not logged in' };
+        if (!user) return { error: t('errors.notLoggedIn') };
+
+        const applyLocally = () => {
+            setUser({ ...user, ...preferencesData });
 
-        // Optimistically update local state & localStorage
-        const updatedUser = { ...user, ...preferencesData };
-        setUser(updatedUser);
+            // Update user object in localStorage without losing token
+            const savedUser = JSON.parse(localStorage.getItem('pw_user') || '{}');
+            Object.assign(savedUser, preferencesData);
+            localStorage.setItem('pw_user', JSON.stringify(savedUser));
+        };
 
-        // Update user object in localStorage without losing token
-        const savedUser = JSON.parse(localStorage.getItem('pw_user') || '{}');
-        Object.assign(savedUser, preferencesData);
-        localStorage.setItem('pw_user', JSON.stringify(savedUser));
+        // Account settings move transactions between weeks or change how
+        // every amount reads, so they only change once the server accepted them
+        const settingKeys = Object.keys(ACCOUNT_SETTINGS).filter(key => preferencesData[key] !== undefined);
+        if (settingKeys.length > 0) {
+            const result = await api.updateProfile(preferencesData);
+            if (result.error) return result;
+
+            applyAccountSettings(preferencesData, settingKeys);
+            applyLocally();
+            return result;
+        }
 
-        // Sync with backend
+        // Optimistically update local state & localStorage, then sync with backend
+        applyLocally();
         const result = await api.updateProfile(preferencesData);
         return result;
     };
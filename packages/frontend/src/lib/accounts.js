@@ -0,0 +1,51 @@
+// ──────────────────────────────────────────────
+// Accounts & transfers
+//
+// An account is a wallet money is paid from: { id, name, type,
+// openingBalance, archived }, plus { closingDay, dueDay } for a credit card
+// with a statement cycle. Transactions point at one through an optional
+// accountId. Transfers ({ id, fromAccountId, toAccountId, amount, date,
+// note }) are stored next to the accounts rather than in a week, so moving
+// money never shows up as spending or income.
+// ──────────────────────────────────────────────
+
+// Labels are translated under accounts.types.<id>
+export const ACCOUNT_TYPES = [
+    { id: 'checking', icon: '🏦' },
+    { id: 'credit-card', icon: '💳' },
+    { id: 'cash', icon: '💵' },
+    { id: 'savings', icon: '🐷' }
+];
+
+export const getAccountIcon = (type) => ACCOUNT_TYPES.find(option => option.id === type)?.icon || '👛';
+
+export const sortAccounts = (accounts = []) => [...accounts].sort((left, right) => {
+    if (Boolean(left.archived) !== Boolean(right.archived)) return left.archived ? 1 : -1;
+    return left.name.localeCompare(right.name);
+});
+
+/**
+ * Current balance of every account, in the base currency:
+ * opening balance + credits − expenses + transfers in − transfers out.
+ * Transactions whose account was deleted are ignored.
+ */
+export const calculateAccountBalances = (accounts = [], transfers = [], weeks = []) => {
+    const balances = new Map(accounts.map(account => [account.id, Number(account.openingBalance) || 0]));
+    const add = (accountId, amount) => {
+        if (balances.has(accountId)) balances.set(accountId, balances.get(accountId) + amount);
+    };
+
+    weeks.forEach(week => (week.expenses || []).forEach(expense => {
+        if (!expense.accountId) return;
+        const amount = Number(expense.amount) || 0;
+        add(expense.accountId, expense.type === 'credit' ? amount : -amount);
+    }));
+
+    transfers.forEach(transfer => {
+        const amount = Number(transfer.amount) || 0;
+        add(transfer.fromAccountId, -amount);
+        add(transfer.toAccountId, amount);
+    });
+
+    return balances;
+};
@@ -1,9 +1,20 @@
+import { t } from './i18n';
+import { offlineStore } from './offlineStore';
+
 const API_URL = import.meta.env.VITE_API_URL || 'https://weekly-wallet-backend.renanbuiatti14.workers.dev/api';
 const MONTHLY_PLANNING_CONCURRENCY = 4;
 const monthlyPlanningCache = new Map();
 const monthlyPlanningInFlight = new Map();
 let monthlyPlanningsListCache = null;
 let monthlyPlanningsListInFlight = null;
+const monthlyPlanningVersions = new Map();
+const MISSING_VERSION = '"0"';
+const MAX_CONFLICT_RETRIES = 3;
+// The server's limit on expenses per bulk request
+const MAX_BATCH_EXPENSES = 2000;
+const SERVER_WEEKS_SNAPSHOT = 'weeks';
+const LOCAL_WEEKS_SNAPSHOT = 'weeks-local';
+const PLANNING_LIST_SNAPSHOT = 'planning-list';
 
 function getMonthlyPlanningKey(year, month) {
     return `${year}-${month}`;
@@ -46,6 +57,537 @@ function getAuthHeaders() {
     return headers;
 }
 
+/**
+ * End the session on this device: the token, the cached data and any queued
+ * writes all belong to the account that is signing out.
+ */
+export async function clearSession() {
+    localStorage.removeItem('pw_token');
+    localStorage.removeItem('pw_user');
+    await offlineStore.clear();
+    await refreshPendingCount();
+}
+
+// An unreachable server. Callers test `code`, since the message follows the locale.
+function connectionError() {
+    return { error: t('errors.connection'), code: 'connection' };
+}
+
+// The server rejected the token (401): start over at the login screen
+function expireSession() {
+    clearSession().finally(() => window.location.reload());
+}
+
+// ──────────────────────────────────────────────
+// Conflict resolution
+// ──────────────────────────────────────────────
+
+// Every write carries If-Match; a 409 means another device saved first.
+// The resolver decides whose copy wins: 'local' (retry on top of the
+// server copy) or 'server' (drop the local change).
+const defaultConflictResolver = ({ label }) => {
+    const keepLocal = window.confirm(t('conflicts.confirm', { label }));
+    return keepLocal ? 'local' : 'server';
+};
+
+let conflictResolver = defaultConflictResolver;
+
+const isSameData = (left, right) => JSON.stringify(left) === JSON.stringify(right);
+
+// Three-way merge of expense lists by id. Only expenses changed on both
+// sides (to different values) are reported as conflicts.
+function mergeExpenseLists(baseExpenses = [], localExpenses = [], serverExpenses = []) {
+    const toMap = (expenses) => new Map(expenses.map(expense => [expense.id, expense]));
+    const base = toMap(baseExpenses);
+    const local = toMap(localExpenses);
+    const server = toMap(serverExpenses);
+    const ids = new Set([...base.keys(), ...local.keys(), ...server.keys()]);
+    const merged = [];
+    const conflicts = [];
+
+    ids.forEach(id => {
+        const baseExpense = base.get(id);
+        const localExpense = local.get(id);
+        const serverExpense = server.get(id);
+        const localChanged = !isSameData(baseExpense, localExpense);
+        const serverChanged = !isSameData(baseExpense, serverExpense);
+
+        if (localChanged && serverChanged && !isSameData(localExpense, serverExpense)) {
+            conflicts.push({ id, local: localExpense, server: serverExpense });
+            merged.push({ id, conflict: true });
+            return;
+        }
+
+        const winner = localChanged ? localExpense : serverExpense;
+        if (winner) merged.push(winner);
+    });
+
+    return {
+        conflicts,
+        resolve: (preferLocal) => merged
+            .map(expense => {
+                if (!expense.conflict) return expense;
+                const conflict = conflicts.find(item => item.id === expense.id);
+                return preferLocal ? conflict.local : conflict.server;
+            })
+            .filter(Boolean)
+    };
+}
+
+// ──────────────────────────────────────────────
+// Week resources
+// ──────────────────────────────────────────────
+
+// Last revision and body seen from the server per week (used for If-Match
+// and as the merge base). Mutations on one week are sent one at a time.
+const weekVersions = new Map();
+const weekSnapshots = new Map();
+const weekQueues = new Map();
+
+function rememberWeek(weekId, week) {
+    if (week) {
+        weekVersions.set(weekId, week.revision || 0);
+        weekSnapshots.set(weekId, cloneData(week));
+    } else {
+        weekVersions.set(weekId, 0);
+        weekSnapshots.delete(weekId);
+    }
+}
+
+// An operation touching several weeks waits for, and holds up, all of them
+function enqueueWeeksOperation(weekIds, operation) {
+    const previous = Promise.all(weekIds.map(weekId => weekQueues.get(weekId)));
+    const next = previous.then(operation);
+    const cleanup = () => weekIds.forEach(weekId => {
+        if (weekQueues.get(weekId) === next) weekQueues.delete(weekId);
+    });
+
+    weekIds.forEach(weekId => weekQueues.set(weekId, next));
+    next.then(cleanup, cleanup);
+    return next;
+}
+
+function enqueueWeekOperation(weekId, operation) {
+    return enqueueWeeksOperation([weekId], operation);
+}
+
+function getWeekPath(weekId) {
+    return `/weeks/${encodeURIComponent(weekId)}`;
+}
+
+function getExpensePath(weekId, expenseId) {
+    return `${getWeekPath(weekId)}/expenses/${encodeURIComponent(expenseId)}`;
+}
+
+/**
+ * Send a week mutation with If-Match. On 409 `onConflict(serverWeek, body)`
+ * returns { action: 'retry', body? } to try again on top of the server
+ * revision, or { action: 'server' } to give up and adopt the server copy.
+ * Results carry `conflict: true` whenever the server copy differed, so the
+ * caller can reload the week.
+ */
+async function sendWeekMutation(weekId, path, { method, body, onConflict }) {
+    let requestBody = body;
+    let conflict = false;
+
+    for (let attempt = 0; attempt <= MAX_CONFLICT_RETRIES; attempt += 1) {
+        let res;
+        try {
+            res = await fetch(`${API_URL}${path}`, {
+                method,
+                headers: { ...getAuthHeaders(), 'If-Match': `"${weekVersions.get(weekId) || 0}"` },
+                body: requestBody === undefined ? undefined : JSON.stringify(requestBody),
+                mode: 'cors'
+            });
+        } catch (e) {
+            console.error('Week request failed', path, e);
+            return { ...connectionError(), conflict };
+        }
+
+        if (res.status === 401) {
+            expireSession();
+            return { error: 'Unauthorized' };
+        }
+
+        // Error pages from a proxy or the runtime are not JSON
+        const data = await res.json().catch(() => ({}));
+
+        if (res.status === 409) {
+            conflict = true;
+            const serverWeek = data.week || null;
+            const resolution = await onConflict(serverWeek, requestBody);
+            rememberWeek(weekId, serverWeek);
+
+            if (resolution.action === 'server') {
+                return { conflict, week: serverWeek };
+            }
+            if (resolution.body !== undefined) {
+                requestBody = resolution.body;
+            }
+            continue;
+        }
+
+        if (!res.ok) return { error: data.error || t('errors.requestFailed'), fields: data.fields, conflict };
+
+        rememberWeek(weekId, data.week);
+        return { ...data, conflict };
+    }
+
+    return { error: t('errors.tooManyConflicts'), conflict };
+}
+
+// Adding or removing an expense by id is safe to replay on any revision
+// Cut week groups into batches of at most `limit` expenses; a week's
+// expenses may span two batches
+function splitExpenseGroups(groups, limit) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+
+    groups.forEach(group => {
+        let expenses = group.expenses;
+        while (expenses.length > 0) {
+            if (size === limit) {
+                batches.push(batch);
+                batch = [];
+                size = 0;
+            }
+            const taken = expenses.slice(0, limit - size);
+            batch.push({ ...group, expenses: taken });
+            size += taken.length;
+            expenses = expenses.slice(taken.length);
+        }
+    });
+
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+const BATCH_EXPENSE_PATH = /^weeks\[(\d+)\]\.expenses\[(\d+)\]\.?(.*)$/;
+
+// The first message the server reported for each expense of a rejected batch, by expense id
+function getRejectedExpenses(fields = {}, batch) {
+    const rejected = {};
+    Object.entries(fields).forEach(([path, message]) => {
+        const match = path.match(BATCH_EXPENSE_PATH);
+        const expense = match && batch[match[1]]?.expenses[match[2]];
+        if (expense && !rejected[expense.id]) rejected[expense.id] = match[3] ? `${match[3]} ${message}` : message;
+    });
+    return rejected;
+}
+
+const retryOnConflict = async () => ({ action: 'retry' });
+
+const weekOperations = {
+    saveWeek: async (week) => {
+        return enqueueWeekOperation(week.id, () => {
+            const base = weekSnapshots.get(week.id);
+
+            return sendWeekMutation(week.id, getWeekPath(week.id), {
+                method: 'PUT',
+                body: week,
+                onConflict: async (serverWeek, localWeek) => {
+                    if (!serverWeek) return { action: 'retry' };
+
+                    const { conflicts, resolve } = mergeExpenseLists(base?.expenses, localWeek.expenses, serverWeek.expenses);
+                    let preferLocal = true;
+                    if (conflicts.length > 0) {
+                        preferLocal = await conflictResolver({ kind: 'week', label: t('conflicts.thisWeek'), local: localWeek, server: serverWeek }) === 'local';
+                    }
+
+                    return { action: 'retry', body: { ...serverWeek, ...localWeek, expenses: resolve(preferLocal) } };
+                }
+            });
+        });
+    },
+
+    deleteWeek: async (weekId) => {
+        return enqueueWeekOperation(weekId, () => sendWeekMutation(weekId, getWeekPath(weekId), {
+            method: 'DELETE',
+            onConflict: async (serverWeek) => {
+                if (!serverWeek) return { action: 'retry' };
+                const choice = await conflictResolver({ kind: 'week', label: t('conflicts.thisWeek'), local: null, server: serverWeek });
+                return { action: choice === 'local' ? 'retry' : 'server' };
+            }
+        }));
+    },
+
+    // weekMeta ({ startDate, endDate }) is used when the week does not exist yet
+    addExpense: async (weekId, expense, weekMeta = {}) => {
+        return enqueueWeekOperation(weekId, () => sendWeekMutation(weekId, getExpensePath(weekId, expense.id), {
+            method: 'POST',
+            body: { expense, week: weekMeta },
+            onConflict: retryOnConflict
+        }));
+    },
+
+    // groups: [{ weekId, week: { startDate, endDate }, expenses }], sent as one
+    // request; like addExpense it is safe to replay on any revision
+    addExpenses: async (groups) => {
+        return enqueueWeeksOperation(groups.map(group => group.weekId), async () => {
+            let res;
+            try {
+                res = await fetch(`${API_URL}/expenses/bulk`, {
+                    method: 'POST',
+                    headers: getAuthHeaders(),
+                    body: JSON.stringify({ weeks: groups }),
+                    mode: 'cors'
+                });
+            } catch (e) {
+                console.error('Bulk expense request failed', e);
+                return connectionError();
+            }
+
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) return { error: data.error || t('errors.requestFailed'), fields: data.fields };
+
+            data.weeks.forEach(week => rememberWeek(week.id, week));
+            return data;
+        });
+    },
+
+    // moves: [{ expenseId, fromWeekId, toWeekId, week }], applied by the server
+    // in one write; like addExpenses it is safe to replay on any revision
+    moveExpenses: async (moves) => {
+        const weekIds = [...new Set(moves.flatMap(move => [move.fromWeekId, move.toWeekId]))];
+        return enqueueWeeksOperation(weekIds, async () => {
+            let res;
+            try {
+                res = await fetch(`${API_URL}/expenses/move`, {
+                    method: 'POST',
+                    headers: getAuthHeaders(),
+                    body: JSON.stringify({ moves }),
+                    mode: 'cors'
+                });
+            } catch (e) {
+                console.error('Expense move request failed', e);
+                return connectionError();
+            }
+
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) return { error: data.error || t('errors.requestFailed'), fields: data.fields };
+
+            data.weeks.forEach(week => rememberWeek(week.id, week));
+            return data;
+        });
+    },
+
+    updateExpense: async (weekId, expenseId, changes) => {
+        return enqueueWeekOperation(weekId, () => {
+            const baseExpense = weekSnapshots.get(weekId)?.expenses?.find(expense => expense.id === expenseId);
+
+            return sendWeekMutation(weekId, getExpensePath(weekId, expenseId), {
+                method: 'PATCH',
+                body: changes,
+                onConflict: async (serverWeek) => {
+                    const serverExpense = serverWeek?.expenses?.find(expense => expense.id === expenseId);
+
+                    // Deleted elsewhere: nothing left to update
+                    if (!serverExpense) return { action: 'server' };
+                    if (isSameData(serverExpense, baseExpense)) return { action: 'retry' };
+
+                    const choice = await conflictResolver({
+                        kind: 'expense',
+                        label: `"${serverExpense.name || t('conflicts.thisTransaction')}"`,
+                        local: { ...serverExpense, ...changes },
+                        server: serverExpense
+                    });
+                    return { action: choice === 'local' ? 'retry' : 'server' };
+                }
+            });
+        });
+    },
+
+    deleteExpense: async (weekId, expenseId) => {
+        return enqueueWeekOperation(weekId, () => sendWeekMutation(weekId, getExpensePath(weekId, expenseId), {
+            method: 'DELETE',
+            onConflict: retryOnConflict
+        }));
+    }
+};
+
+// ──────────────────────────────────────────────
+// Monthly planning writes
+// ──────────────────────────────────────────────
+
+// Resolves to { success } or, when the user keeps the other device's
+// copy after a conflict, { conflict: true, data: serverData }. Rejected
+// payloads resolve to { error, fields } with the server's field errors.
+async function sendMonthlyPlanning(year, month, data) {
+    const cacheKey = getMonthlyPlanningKey(year, month);
+
+    for (let attempt = 0; attempt <= MAX_CONFLICT_RETRIES; attempt += 1) {
+        let res;
+        try {
+            res = await fetch(`${API_URL}/monthly-planning/${year}/${month}`, {
+                method: 'POST',
+                headers: { ...getAuthHeaders(), 'If-Match': monthlyPlanningVersions.get(cacheKey) || MISSING_VERSION },
+                body: JSON.stringify(data),
+                mode: 'cors'
+            });
+        } catch (e) {
+            console.error(t('errors.savePlanning'), e);
+            return connectionError();
+        }
+
+        if (res.status === 401) {
+            expireSession();
+            return { error: 'Unauthorized' };
+        }
+
+        if (res.status === 409) {
+            const { data: serverData = null } = await res.json().catch(() => ({}));
+            monthlyPlanningVersions.set(cacheKey, res.headers.get('ETag') || MISSING_VERSION);
+            monthlyPlanningCache.set(cacheKey, serverData);
+
+            const choice = await conflictResolver({
+                kind: 'monthly-planning',
+                label: t('conflicts.plan', { month, year }),
+                local: data,
+                server: serverData
+            });
+            if (choice !== 'local') {
+                return { conflict: true, data: cloneData(serverData) };
+            }
+            continue;
+        }
+
+        if (!res.ok) {
+            const { error, fields } = await res.json().catch(() => ({}));
+            return { error: error || t('errors.savePlanning'), fields };
+        }
+
+        monthlyPlanningVersions.set(cacheKey, res.headers.get('ETag') || MISSING_VERSION);
+        monthlyPlanningCache.delete(cacheKey);
+        monthlyPlanningInFlight.delete(cacheKey);
+        monthlyPlanningsListCache = null;
+        monthlyPlanningsListInFlight = null;
+        return { success: true };
+    }
+
+    return { error: t('errors.tooManyConflicts') };
+}
+
+// ──────────────────────────────────────────────
+// Offline outbox
+// ──────────────────────────────────────────────
+
+// Writes made while offline are stored in IndexedDB as { operation, args }
+// and replayed in order once the connection comes back. While anything is
+// still queued, new writes are queued behind it to keep the order intact.
+// Only an unreachable server keeps an entry queued; a write the server
+// refused is taken off the queue and reported in the sync status instead.
+export const isConnectionError = (result) => result?.code === 'connection';
+const outboxOperations = { ...weekOperations, saveMonthlyPlanning: sendMonthlyPlanning };
+const syncListeners = new Set();
+let syncStatus = { state: isOffline() ? 'offline' : 'synced', pending: 0, replayed: 0, rejected: [] };
+let outboxFlush = null;
+
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+function setSyncStatus(changes) {
+    syncStatus = { ...syncStatus, ...changes };
+    syncListeners.forEach(listener => listener(syncStatus));
+}
+
+async function refreshPendingCount() {
+    const entries = await offlineStore.listOutbox();
+    setSyncStatus({ pending: entries.length });
+    return entries;
+}
+
+async function queueOperation(operation, args) {
+    await offlineStore.addToOutbox({ operation, args });
+    await refreshPendingCount();
+    if (isOffline()) {
+        setSyncStatus({ state: 'offline' });
+    } else {
+        // Run after any replay already in progress so this entry is not left behind
+        Promise.resolve(outboxFlush).then(() => flushOutbox());
+    }
+    return { queued: true };
+}
+
+async function sendOrQueue(operation, args) {
+    if (isOffline() || syncStatus.pending > 0) {
+        return queueOperation(operation, args);
+    }
+
+    const result = await outboxOperations[operation](...args);
+    if (isConnectionError(result)) {
+        setSyncStatus({ state: 'offline' });
+        return queueOperation(operation, args);
+    }
+    return result;
+}
+
+function flushOutbox() {
+    // Replaying needs a session; a 401 would otherwise reload the page in a loop
+    if (outboxFlush || !localStorage.getItem('pw_token')) return outboxFlush;
+
+    outboxFlush = (async () => {
+        let replayed = 0;
+        let reachable = true;
+        const rejected = [];
+        setSyncStatus({ state: 'syncing' });
+
+        for (;;) {
+            const [entry] = await offlineStore.listOutbox();
+            if (!entry) break;
+
+            const send = outboxOperations[entry.operation];
+            const result = send ? await send(...entry.args) : null;
+            if (isConnectionError(result)) {
+                reachable = false;
+                break;
+            }
+            // A 401 ended the session and cleared the queue with it
+            if (!localStorage.getItem('pw_token')) break;
+            if (result?.error) {
+                console.error('Queued change rejected', entry.operation, result.error);
+                rejected.push({ operation: entry.operation, error: result.error, createdAt: entry.createdAt });
+            }
+
+            await offlineStore.removeFromOutbox(entry.id);
+            replayed += 1;
+        }
+
+        const entries = await refreshPendingCount();
+        setSyncStatus({
+            state: !reachable ? 'offline' : entries.length > 0 ? 'pending' : 'synced',
+            replayed,
+            rejected: [...syncStatus.rejected, ...rejected]
+        });
+        return { replayed };
+    })().finally(() => {
+        outboxFlush = null;
+    });
+
+    return outboxFlush;
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+        setSyncStatus({ state: syncStatus.pending > 0 ? 'pending' : 'synced' });
+        flushOutbox();
+    });
+    window.addEventListener('offline', () => setSyncStatus({ state: 'offline' }));
+}
+
+refreshPendingCount();
+
 // ──────────────────────────────────────────────
 // API
 // ──────────────────────────────────────────────
@@ -64,7 +606,7 @@ export const api = {
                 return await res.json();
             } catch (e) {
                 console.error('Register failed:', e);
-                return { error: 'Connection error. Please try again.' };
+                return { error: t('errors.connectionRetry') };
             }
         },
 
@@ -79,7 +621,7 @@ export const api = {
                 return await res.json();
             } catch (e) {
                 console.error('Login failed:', e);
-                return { error: 'Connection error. Please try again.' };
+                return { error: t('errors.connectionRetry') };
             }
         },
 
@@ -94,7 +636,7 @@ export const api = {
                 return await res.json();
             } catch (e) {
                 console.error('Change password failed:', e);
-                return { error: 'Connection error. Please try again.' };
+                return { error: t('errors.connectionRetry') };
             }
         },
 
@@ -109,7 +651,7 @@ export const api = {
                 return await res.json();
             } catch (e) {
                 console.error('Reset password failed:', e);
-                return { error: 'Connection error. Please try again.' };
+                return { error: t('errors.connectionRetry') };
             }
         },
     },
@@ -122,9 +664,7 @@ export const api = {
                 mode: 'cors',
             });
             if (res.status === 401) {
-                localStorage.removeItem('pw_token');
-                localStorage.removeItem('pw_user');
-                window.location.reload();
+                expireSession();
                 return null;
             }
             if (!res.ok) return null;
@@ -144,16 +684,16 @@ export const api = {
                 mode: 'cors'
             });
             if (res.status === 401) {
-                localStorage.removeItem('pw_token');
-                localStorage.removeItem('pw_user');
-                window.location.reload();
+                expireSession();
                 return { error: 'Unauthorized' };
             }
-            if (!res.ok) throw new Error('Failed to update profile');
-            return await res.json();
+            // Rejected settings resolve to { error, fields } like week writes
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok) return { error: body.error || t('errors.requestFailed'), fields: body.fields };
+            return body;
         } catch (e) {
             console.error('Failed to update profile', e);
-            return { error: 'Connection error' };
+            return connectionError();
         }
     },
 
@@ -165,30 +705,89 @@ export const api = {
                 mode: 'cors',
             });
             if (res.status === 401) {
-                localStorage.removeItem('pw_token');
-                localStorage.removeItem('pw_user');
-                window.location.reload();
+                expireSession();
                 return { weeks: [] };
             }
             if (!res.ok) throw new Error('Failed to fetch weeks');
-            return await res.json();
+            const data = await res.json();
+            (data.weeks || []).forEach(week => rememberWeek(week.id, week));
+            offlineStore.putSnapshot(SERVER_WEEKS_SNAPSHOT, data);
+            return data;
         } catch (e) {
             console.error(e);
-            return { weeks: [] };
+
+            // Offline: show the last local copy, but keep merging against the
+            // last server copy so queued writes replay with the right revisions
+            const serverData = await offlineStore.getSnapshot(SERVER_WEEKS_SNAPSHOT);
+            (serverData?.weeks || []).forEach(week => rememberWeek(week.id, week));
+            const localData = await offlineStore.getSnapshot(LOCAL_WEEKS_SNAPSHOT);
+            return localData || serverData || { weeks: [] };
         }
     },
 
-    saveWeeks: async (weeksData) => {
-        try {
-            await fetch(`${API_URL}/weeks`, {
-                method: 'POST',
-                headers: getAuthHeaders(),
-                body: JSON.stringify({ weeks: weeksData }),
-                mode: 'cors'
-            });
-        } catch (e) {
-            console.error('Failed to save', e);
+    getWeek: async (weekId) => {
+        return enqueueWeekOperation(weekId, async () => {
+            try {
+                const res = await fetch(`${API_URL}${getWeekPath(weekId)}`, {
+                    headers: getAuthHeaders(),
+                    mode: 'cors',
+                });
+                if (res.status === 404) {
+                    rememberWeek(weekId, null);
+                    return { week: null };
+                }
+                if (!res.ok) throw new Error('Failed to fetch week');
+                const data = await res.json();
+                rememberWeek(weekId, data.week);
+                return data;
+            } catch (e) {
+                console.error(e);
+                return connectionError();
+            }
+        });
+    },
+
+    saveWeek: (week) => sendOrQueue('saveWeek', [week]),
+
+    deleteWeek: (weekId) => sendOrQueue('deleteWeek', [weekId]),
+
+    // weekMeta ({ startDate, endDate }) is used when the week does not exist yet
+    addExpense: (weekId, expense, weekMeta = {}) => sendOrQueue('addExpense', [weekId, expense, weekMeta]),
+
+    // Add many expenses in one request: [{ weekId, week: { startDate, endDate }, expenses }]
+    // Large imports go in consecutive batches and stop at the first that fails;
+    // a rejected batch lists its invalid expenses in `rejectedExpenses`
+    addExpenses: async (groups) => {
+        let result = null;
+        for (const batch of splitExpenseGroups(groups, MAX_BATCH_EXPENSES)) {
+            result = await sendOrQueue('addExpenses', [batch]);
+            if (result?.error) return { ...result, rejectedExpenses: getRejectedExpenses(result.fields, batch) };
+        }
+        return result;
+    },
+
+    // Move expenses to other weeks by id: [{ expenseId, fromWeekId, toWeekId, week }].
+    // Every move is atomic on the server; large refiles go in consecutive
+    // batches and stop at the first that fails
+    moveExpenses: async (moves) => {
+        let result = null;
+        for (let start = 0; start < moves.length; start += MAX_BATCH_EXPENSES) {
+            result = await sendOrQueue('moveExpenses', [moves.slice(start, start + MAX_BATCH_EXPENSES)]);
+            if (result?.error) return result;
         }
+        return result;
+    },
+
+    updateExpense: (weekId, expenseId, changes) => sendOrQueue('updateExpense', [weekId, expenseId, changes]),
+
+    deleteExpense: (weekId, expenseId) => sendOrQueue('deleteExpense', [weekId, expenseId]),
+
+    // Keep the latest on-screen weeks (including queued edits) for offline reloads
+    saveLocalWeeks: (weeks) => offlineStore.putSnapshot(LOCAL_WEEKS_SNAPSHOT, { weeks }),
+
+    // Replace the default window.confirm prompt used on 409 conflicts (see ConflictDialog)
+    setConflictResolver: (resolver) => {
+        conflictResolver = resolver || defaultConflictResolver;
     },
 
     getMonthlyPlanning: async (year, month) => {
@@ -209,18 +808,25 @@ export const api = {
                 mode: 'cors',
             });
             if (res.status === 401) {
-                localStorage.removeItem('pw_token');
-                localStorage.removeItem('pw_user');
-                window.location.reload();
+                expireSession();
                 return { categories: [], expenses: [], salary: 0 };
             }
             if (!res.ok) throw new Error('Failed to fetch monthly planning');
             const data = await res.json();
+            const version = res.headers.get('ETag') || MISSING_VERSION;
             monthlyPlanningCache.set(cacheKey, data);
+            monthlyPlanningVersions.set(cacheKey, version);
+            offlineStore.putSnapshot(`planning:${cacheKey}`, { data, version });
             return data;
         } catch (e) {
             console.error(e);
-            return { categories: [], expenses: [], salary: 0 };
+
+            const snapshot = await offlineStore.getSnapshot(`planning:${cacheKey}`);
+            if (!snapshot) return { categories: [], expenses: [], salary: 0 };
+            if (!monthlyPlanningVersions.has(cacheKey)) {
+                monthlyPlanningVersions.set(cacheKey, snapshot.version);
+            }
+            return snapshot.data;
         } finally {
             monthlyPlanningInFlight.delete(cacheKey);
         }
@@ -230,21 +836,25 @@ export const api = {
         return cloneData(await requestPromise);
     },
 
+    // Queued saves update the local caches right away so the plan reads
+    // back as saved while offline; the server copy replaces it on sync.
     saveMonthlyPlanning: async (year, month, data) => {
-        try {
-            await fetch(`${API_URL}/monthly-planning/${year}/${month}`, {
-                method: 'POST',
-                headers: getAuthHeaders(),
-                body: JSON.stringify(data),
-                mode: 'cors'
-            });
-            monthlyPlanningCache.delete(getMonthlyPlanningKey(year, month));
-            monthlyPlanningInFlight.delete(getMonthlyPlanningKey(year, month));
-            monthlyPlanningsListCache = null;
-            monthlyPlanningsListInFlight = null;
-        } catch (e) {
-            console.error('Failed to save monthly planning', e);
+        const result = await sendOrQueue('saveMonthlyPlanning', [year, month, data]);
+        if (!result.queued) return result;
+
+        const cacheKey = getMonthlyPlanningKey(year, month);
+        monthlyPlanningCache.set(cacheKey, cloneData(data));
+        offlineStore.putSnapshot(`planning:${cacheKey}`, {
+            data,
+            version: monthlyPlanningVersions.get(cacheKey) || MISSING_VERSION
+        });
+
+        const plans = monthlyPlanningsListCache?.plans;
+        if (plans && !plans.some(plan => plan.year === year && plan.month === month)) {
+            monthlyPlanningsListCache = { ...monthlyPlanningsListCache, plans: [...plans, { year, month }] };
+            offlineStore.putSnapshot(PLANNING_LIST_SNAPSHOT, monthlyPlanningsListCache);
         }
+        return result;
     },
 
     getMonthlyPlannings: async () => {
@@ -263,18 +873,17 @@ export const api = {
                 mode: 'cors',
             });
             if (res.status === 401) {
-                localStorage.removeItem('pw_token');
-                localStorage.removeItem('pw_user');
-                window.location.reload();
+                expireSession();
                 return { plans: [] };
             }
             if (!res.ok) throw new Error('Failed to fetch monthly plannings list');
             const data = await res.json();
             monthlyPlanningsListCache = data;
+            offlineStore.putSnapshot(PLANNING_LIST_SNAPSHOT, data);
             return data;
         } catch (e) {
             console.error(e);
-            return { plans: [] };
+            return (await offlineStore.getSnapshot(PLANNING_LIST_SNAPSHOT)) || { plans: [] };
         } finally {
             monthlyPlanningsListInFlight = null;
         }
@@ -284,6 +893,472 @@ export const api = {
         return cloneData(await requestPromise);
     },
 
+    // ── Export ───────────────────────────────
+    // format: 'json' (full backup), 'transactions-csv' or 'planning-csv'.
+    // The full backup carries the receipts only with `withAttachments`.
+    // Resolves to { blob, filename } or { error }.
+    exportData: async (format = 'json', { withAttachments = false } = {}) => {
+        try {
+            const query = `format=${encodeURIComponent(format)}${withAttachments ? '&attachments=1' : ''}`;
+            const res = await fetch(`${API_URL}/export?${query}`, {
+                headers: getAuthHeaders(),
+                mode: 'cors',
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to export data');
+
+            const disposition = res.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1]
+                || `weekly-wallet-${format}.${format === 'json' ? 'json' : 'csv'}`;
+            return { blob: await res.blob(), filename };
+        } catch (e) {
+            console.error('Failed to export data', e);
+            return connectionError();
+        }
+    },
+
+    // Restore a backup archive. mode: 'merge' | 'replace'. With dryRun the
+    // server only returns the diff summary. Resolves to the server response
+    // ({ summary, ... } or { error, fields }).
+    importData: async (archive, { mode = 'merge', dryRun = false } = {}) => {
+        try {
+            const res = await fetch(`${API_URL}/import`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ archive, mode, dryRun }),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json();
+            // A restore stopped by a concurrent change may have written some parts already
+            if (!dryRun && (res.ok || data.applied?.length > 0)) {
+                monthlyPlanningCache.clear();
+                monthlyPlanningInFlight.clear();
+                monthlyPlanningVersions.clear();
+                monthlyPlanningsListCache = null;
+                monthlyPlanningsListInFlight = null;
+            }
+            return res.ok ? data : { error: data.error || t('errors.restoreBackup'), fields: data.fields, applied: data.applied };
+        } catch (e) {
+            console.error(t('errors.restoreBackup'), e);
+            return connectionError();
+        }
+    },
+
+    // ── Recurring rules ──────────────────────
+    // Resolves to { rules } or { rules: [], error }.
+    getRecurringRules: async () => {
+        try {
+            const res = await fetch(`${API_URL}/recurring`, {
+                headers: getAuthHeaders(),
+                mode: 'cors',
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { rules: [], error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to fetch recurring rules');
+            return await res.json();
+        } catch (e) {
+            console.error(e);
+            return { rules: [], ...connectionError() };
+        }
+    },
+
+    // Create or replace a rule. Resolves to { success, rule } or { error, fields }.
+    saveRecurringRule: async (rule) => {
+        try {
+            const res = await fetch(`${API_URL}/recurring/${encodeURIComponent(rule.id)}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(rule),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json();
+            return res.ok ? data : { error: data.error || t('errors.saveRecurringRule'), fields: data.fields };
+        } catch (e) {
+            console.error(t('errors.saveRecurringRule'), e);
+            return connectionError();
+        }
+    },
+
+    deleteRecurringRule: async (ruleId) => {
+        try {
+            const res = await fetch(`${API_URL}/recurring/${encodeURIComponent(ruleId)}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders(),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to delete recurring rule');
+            return await res.json();
+        } catch (e) {
+            console.error('Failed to delete recurring rule', e);
+            return connectionError();
+        }
+    },
+
+    // ── Auto-categorization rules ────────────
+    // Resolves to { rules } or { rules: [], error }.
+    getCategoryRules: async () => {
+        try {
+            const res = await fetch(`${API_URL}/category-rules`, {
+                headers: getAuthHeaders(),
+                mode: 'cors',
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { rules: [], error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to fetch category rules');
+            return await res.json();
+        } catch (e) {
+            console.error(e);
+            return { rules: [], ...connectionError() };
+        }
+    },
+
+    // Create or replace a rule. Resolves to { success, rule } or { error, fields }.
+    saveCategoryRule: async (rule) => {
+        try {
+            const res = await fetch(`${API_URL}/category-rules/${encodeURIComponent(rule.id)}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(rule),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json();
+            return res.ok ? data : { error: data.error || t('errors.saveCategoryRule'), fields: data.fields };
+        } catch (e) {
+            console.error(t('errors.saveCategoryRule'), e);
+            return connectionError();
+        }
+    },
+
+    deleteCategoryRule: async (ruleId) => {
+        try {
+            const res = await fetch(`${API_URL}/category-rules/${encodeURIComponent(ruleId)}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders(),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to delete category rule');
+            return await res.json();
+        } catch (e) {
+            console.error('Failed to delete category rule', e);
+            return connectionError();
+        }
+    },
+
+    // ── Savings goals ────────────────────────
+    // Resolves to { goals } or { goals: [], error }.
+    getGoals: async () => {
+        try {
+            const res = await fetch(`${API_URL}/goals`, {
+                headers: getAuthHeaders(),
+                mode: 'cors',
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { goals: [], error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to fetch goals');
+            return await res.json();
+        } catch (e) {
+            console.error(e);
+            return { goals: [], ...connectionError() };
+        }
+    },
+
+    // Create or replace a goal. Resolves to { success, goal } or { error, fields }.
+    saveGoal: async (goal) => {
+        try {
+            const res = await fetch(`${API_URL}/goals/${encodeURIComponent(goal.id)}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(goal),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json();
+            return res.ok ? data : { error: data.error || t('errors.saveGoal'), fields: data.fields };
+        } catch (e) {
+            console.error(t('errors.saveGoal'), e);
+            return connectionError();
+        }
+    },
+
+    deleteGoal: async (goalId) => {
+        try {
+            const res = await fetch(`${API_URL}/goals/${encodeURIComponent(goalId)}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders(),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to delete goal');
+            return await res.json();
+        } catch (e) {
+            console.error('Failed to delete goal', e);
+            return connectionError();
+        }
+    },
+
+    // ── Exchange rates (Protected) ────────────
+    getExchangeRates: async () => {
+        try {
+            const res = await fetch(`${API_URL}/exchange-rates`, {
+                headers: getAuthHeaders(),
+                mode: 'cors',
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { rates: [], error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to fetch exchange rates');
+            return await res.json();
+        } catch (e) {
+            console.error(e);
+            return { rates: [], ...connectionError() };
+        }
+    },
+
+    // Replace the whole table. Resolves to { success, rates } or { error, fields }.
+    saveExchangeRates: async (rates) => {
+        try {
+            const res = await fetch(`${API_URL}/exchange-rates`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ rates }),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json();
+            return res.ok ? data : { error: data.error || t('errors.saveExchangeRates'), fields: data.fields };
+        } catch (e) {
+            console.error(t('errors.saveExchangeRates'), e);
+            return connectionError();
+        }
+    },
+
+    // ── Accounts & transfers ─────────────────
+    // Resolves to { accounts, transfers } or empty lists with { error }.
+    getAccounts: async () => {
+        try {
+            const res = await fetch(`${API_URL}/accounts`, {
+                headers: getAuthHeaders(),
+                mode: 'cors',
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { accounts: [], transfers: [], error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to fetch accounts');
+            return await res.json();
+        } catch (e) {
+            console.error(e);
+            return { accounts: [], transfers: [], ...connectionError() };
+        }
+    },
+
+    // Create or replace an account. Resolves to { success, account } or { error, fields }.
+    saveAccount: async (account) => {
+        try {
+            const res = await fetch(`${API_URL}/accounts/${encodeURIComponent(account.id)}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(account),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json();
+            return res.ok ? data : { error: data.error || t('errors.saveAccount'), fields: data.fields };
+        } catch (e) {
+            console.error('Failed to save account', e);
+            return connectionError();
+        }
+    },
+
+    deleteAccount: async (accountId) => {
+        try {
+            const res = await fetch(`${API_URL}/accounts/${encodeURIComponent(accountId)}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders(),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to delete account');
+            return await res.json();
+        } catch (e) {
+            console.error('Failed to delete account', e);
+            return connectionError();
+        }
+    },
+
+    // Create or replace a transfer. Resolves to { success, transfer } or { error, fields }.
+    saveTransfer: async (transfer) => {
+        try {
+            const res = await fetch(`${API_URL}/accounts/transfers/${encodeURIComponent(transfer.id)}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(transfer),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json();
+            return res.ok ? data : { error: data.error || t('errors.saveTransfer'), fields: data.fields };
+        } catch (e) {
+            console.error('Failed to save transfer', e);
+            return connectionError();
+        }
+    },
+
+    deleteTransfer: async (transferId) => {
+        try {
+            const res = await fetch(`${API_URL}/accounts/transfers/${encodeURIComponent(transferId)}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders(),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to delete transfer');
+            return await res.json();
+        } catch (e) {
+            console.error('Failed to delete transfer', e);
+            return connectionError();
+        }
+    },
+
+    // ── Receipt attachments ──────────────────
+    // Upload an image or PDF. Resolves to { success, attachment } or { error, fields }.
+    uploadAttachment: async (file) => {
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            // The browser sets the multipart boundary itself
+            const { 'Content-Type': _contentType, ...headers } = getAuthHeaders();
+            const res = await fetch(`${API_URL}/attachments`, {
+                method: 'POST',
+                headers,
+                body: formData,
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+
+            const data = await res.json();
+            return res.ok ? data : { error: data.error || t('errors.saveAttachment'), fields: data.fields };
+        } catch (e) {
+            console.error(t('errors.saveAttachment'), e);
+            return connectionError();
+        }
+    },
+
+    // Decrypted file. Resolves to { blob } or { error }.
+    getAttachment: async (attachmentId) => {
+        try {
+            const res = await fetch(`${API_URL}/attachments/${encodeURIComponent(attachmentId)}`, {
+                headers: getAuthHeaders(),
+                mode: 'cors',
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to fetch attachment');
+            return { blob: await res.blob() };
+        } catch (e) {
+            console.error('Failed to fetch attachment', e);
+            return connectionError();
+        }
+    },
+
+    deleteAttachment: async (attachmentId) => {
+        try {
+            const res = await fetch(`${API_URL}/attachments/${encodeURIComponent(attachmentId)}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders(),
+                mode: 'cors'
+            });
+            if (res.status === 401) {
+                expireSession();
+                return { error: 'Unauthorized' };
+            }
+            if (!res.ok) throw new Error('Failed to delete attachment');
+            return await res.json();
+        } catch (e) {
+            console.error('Failed to delete attachment', e);
+            return connectionError();
+        }
+    },
+
+    // ── Offline sync ─────────────────────────
+    // Status: { state: 'synced' | 'pending' | 'syncing' | 'offline', pending, replayed,
+    // rejected: [{ operation, error, createdAt }] } where rejected lists queued
+    // writes the server refused, kept until dismissed
+    getSyncStatus: () => syncStatus,
+
+    dismissRejectedChanges: () => setSyncStatus({ rejected: [] }),
+
+    onSyncStatusChange: (listener) => {
+        syncListeners.add(listener);
+        return () => syncListeners.delete(listener);
+    },
+
+    // Replay queued writes now; resolves to { replayed }
+    syncOutbox: async () => (await flushOutbox()) || { replayed: 0 },
+
     getMonthlyPlanningDetails: async (plans = [], concurrency = MONTHLY_PLANNING_CONCURRENCY) => {
         if (!Array.isArray(plans) || plans.length === 0) return [];
 
@@ -0,0 +1,31 @@
+// ──────────────────────────────────────────────
+// Receipt attachments
+//
+// A transaction may reference one encrypted receipt (photo or PDF):
+// { attachment: { id, name, type, size } }. The file itself is uploaded on
+// its own and stored under {userId}/attachments/{id}; installments and week
+// splits of one purchase share the same receipt.
+// ──────────────────────────────────────────────
+
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+export const ATTACHMENT_ACCEPT = ATTACHMENT_TYPES.join(',');
+
+// Client-side check before uploading: null when fine, else 'type' | 'size'
+export const getAttachmentProblem = (file) => {
+    if (!ATTACHMENT_TYPES.includes(file.type)) return 'type';
+    if (file.size < 1 || file.size > MAX_ATTACHMENT_SIZE) return 'size';
+    return null;
+};
+
+export const isImageAttachment = (attachment) => String(attachment?.type || '').startsWith('image/');
+
+// 2.4 MB, 310 KB
+export const formatFileSize = (bytes = 0) => (bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// True when an expense other than `exceptExpenseId` still uses the receipt
+export const isAttachmentReferenced = (weeks = [], attachmentId, exceptExpenseId = null) => weeks.some(week => (
+    (week.expenses || []).some(expense => expense.id !== exceptExpenseId && expense.attachment?.id === attachmentId)
+));
@@ -0,0 +1,88 @@
+// ──────────────────────────────────────────────
+// Auto-categorization rules
+//
+// A rule matches new transactions by description (contains / regex, ignoring
+// case and accents), amount range and account, and assigns a category and
+// tags: { id, pattern, matchType, minAmount, maxAmount, accountId, category,
+// tags }. Rules are checked in list order; the first match wins.
+// ──────────────────────────────────────────────
+
+import { foldText } from './search';
+import { parseTags } from './tags';
+import { isRefundsCategory } from './utils';
+
+export const CATEGORY_RULE_MATCHES = [
+    { id: 'contains' },
+    { id: 'regex' }
+];
+
+const matchesPattern = (rule, name) => {
+    if (!rule.pattern) return true;
+    if (rule.matchType === 'regex') {
+        try {
+            return new RegExp(rule.pattern, 'iu').test(name);
+        } catch {
+            return false;
+        }
+    }
+    return foldText(name).includes(foldText(rule.pattern));
+};
+
+// `transaction` only needs { name, amount, accountId }
+export const ruleMatches = (rule, transaction) => {
+    const amount = Number(transaction.amount);
+    if (rule.minAmount != null && !(amount >= rule.minAmount)) return false;
+    if (rule.maxAmount != null && !(amount <= rule.maxAmount)) return false;
+    if (rule.accountId && rule.accountId !== transaction.accountId) return false;
+    return matchesPattern(rule, transaction.name || '');
+};
+
+export const findMatchingRule = (rules = [], transaction) => rules.find(rule => ruleMatches(rule, transaction)) || null;
+
+/**
+ * The expense with the first matching rule applied: its category (when the
+ * category still exists in `categories`) and its tags merged in.
+ */
+export const applyCategoryRules = (expense, rules = [], categories = []) => {
+    const rule = findMatchingRule(rules, expense);
+    if (!rule) return expense;
+
+    const tags = parseTags([...(expense.tags || []), ...(rule.tags || [])].join(' '));
+    return {
+        ...expense,
+        ...(rule.category && categories.includes(rule.category) ? { category: rule.category } : {}),
+        ...(tags.length > 0 ? { tags } : {})
+    };
+};
+
+// "Uber *Trip 1234 (2/3)" -> "uber *trip": drops installment suffixes and
+// trailing reference numbers so the rule matches the next charge too
+export const getRulePatternFromName = (name = '') => String(name)
+    .replace(/\s*\(\d+\/\d+\)\s*$/, '')
+    .replace(/[\s#*-]*\d[\d\s./-]*$/, '')
+    .trim()
+    .toLowerCase();
+
+/**
+ * "Learn from my edits": when an edit moves a transaction to another
+ * category that no rule already gives it, a rule proposal for it (or null).
+ * Refunds need a target category per transaction, so they are not learned.
+ */
+export const suggestRuleFromEdit = (original, updated, rules = []) => {
+    if (!original || !updated.category || updated.category === original.category) return null;
+    if (updated.category === 'Uncategorized' || isRefundsCategory(updated.category)) return null;
+
+    const pattern = getRulePatternFromName(updated.name);
+    if (!pattern) return null;
+    if (findMatchingRule(rules, updated)?.category === updated.category) return null;
+
+    return {
+        pattern,
+        matchType: 'contains',
+        minAmount: null,
+        maxAmount: null,
+        accountId: null,
+        category: updated.category,
+        tags: []
+    };
+};
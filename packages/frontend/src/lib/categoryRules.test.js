@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { applyCategoryRules, getRulePatternFromName, ruleMatches, suggestRuleFromEdit } from './categoryRules';
+
+const rule = (overrides = {}) => ({
+    id: 'r1',
+    pattern: 'uber',
+    matchType: 'contains',
+    minAmount: null,
+    maxAmount: null,
+    accountId: null,
+    category: 'Transport',
+    tags: [],
+    ...overrides
+});
+
+describe('ruleMatches', () => {
+    it('matches descriptions ignoring case and accents', () => {
+        expect(ruleMatches(rule({ pattern: 'cafe' }), { name: 'CAFÉ DO PONTO', amount: 8 })).toBe(true);
+        expect(ruleMatches(rule(), { name: 'Taxi', amount: 8 })).toBe(false);
+    });
+
+    it('checks the amount range and the account', () => {
+        const ranged = rule({ minAmount: 10, maxAmount: 50, accountId: 'card' });
+        expect(ruleMatches(ranged, { name: 'Uber', amount: 20, accountId: 'card' })).toBe(true);
+        expect(ruleMatches(ranged, { name: 'Uber', amount: 60, accountId: 'card' })).toBe(false);
+        expect(ruleMatches(ranged, { name: 'Uber', amount: 20, accountId: 'bank' })).toBe(false);
+    });
+
+    it('treats an invalid regex as no match instead of throwing', () => {
+        expect(ruleMatches(rule({ pattern: '([', matchType: 'regex' }), { name: 'Uber ([', amount: 1 })).toBe(false);
+        expect(ruleMatches(rule({ pattern: '^uber\\b', matchType: 'regex' }), { name: 'UBER TRIP', amount: 1 })).toBe(true);
+    });
+});
+
+describe('applyCategoryRules', () => {
+    it('applies the first matching rule and merges its tags', () => {
+        const rules = [rule({ tags: ['work'] }), rule({ id: 'r2', category: 'Fun' })];
+        expect(applyCategoryRules({ name: 'Uber', amount: 10, tags: ['trip'] }, rules, ['Transport', 'Fun'])).toEqual({
+            name: 'Uber', amount: 10, category: 'Transport', tags: ['trip', 'work']
+        });
+    });
+
+    it('keeps the category when the rule points to one that no longer exists', () => {
+        expect(applyCategoryRules({ name: 'Uber', amount: 10, category: 'Food' }, [rule()], ['Food']).category).toBe('Food');
+    });
+});
+
+describe('getRulePatternFromName', () => {
+    it('drops installment suffixes and trailing reference numbers', () => {
+        expect(getRulePatternFromName('Uber *Trip 1234 (2/3)')).toBe('uber *trip');
+        expect(getRulePatternFromName('Padaria Real #00-12')).toBe('padaria real');
+        expect(getRulePatternFromName('NETFLIX.COM')).toBe('netflix.com');
+        expect(getRulePatternFromName('12345')).toBe('');
+    });
+});
+
+describe('suggestRuleFromEdit', () => {
+    const original = { name: 'Uber *Trip 1234', amount: 20, category: 'Uncategorized' };
+
+    it('proposes a contains rule for the new category', () => {
+        expect(suggestRuleFromEdit(original, { ...original, category: 'Transport' })).toEqual({
+            pattern: 'uber *trip',
+            matchType: 'contains',
+            minAmount: null,
+            maxAmount: null,
+            accountId: null,
+            category: 'Transport',
+            tags: []
+        });
+    });
+
+    it('proposes nothing when the category did not change or a rule already gives it', () => {
+        expect(suggestRuleFromEdit(original, { ...original, name: 'Uber' })).toBeNull();
+        expect(suggestRuleFromEdit(original, { ...original, category: 'Transport' }, [rule()])).toBeNull();
+    });
+
+    it('does not learn refunds, uncategorized or number-only names', () => {
+        const categorized = { ...original, category: 'Transport' };
+        expect(suggestRuleFromEdit(categorized, { ...categorized, category: 'Refunds' })).toBeNull();
+        expect(suggestRuleFromEdit(categorized, { ...categorized, category: 'Uncategorized' })).toBeNull();
+        expect(suggestRuleFromEdit(original, { ...original, name: '0042', category: 'Transport' })).toBeNull();
+    });
+});
@@ -0,0 +1,216 @@
+// ──────────────────────────────────────────────
+// CSV bank statement parsing
+// ──────────────────────────────────────────────
+
+import { t } from './i18n';
+
+export const CSV_DATE_FORMATS = [
+    { id: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+    { id: 'MM/DD/YYYY', label: 'MM/DD/YYYY' },
+    { id: 'YYYY-MM-DD', label: 'YYYY-MM-DD' }
+];
+
+// Identified by the decimal separator; the other one groups thousands
+export const CSV_NUMBER_FORMATS = [
+    { id: ',', label: '1.234,56' },
+    { id: '.', label: '1,234.56' }
+];
+
+// How the sign of a transaction is decided:
+// - 'negative-expense': negative amounts are expenses (checking accounts)
+// - 'positive-expense': positive amounts are expenses (most card statements)
+// - 'column':           a separate column says debit/credit (D/C, Débito/Crédito)
+// Labels are translated under importWizard.signModes.<id>.
+export const CSV_SIGN_MODES = [
+    { id: 'negative-expense' },
+    { id: 'positive-expense' },
+    { id: 'column' }
+];
+
+// The server's limit on a transaction name; longer bank descriptions are cut
+export const MAX_DESCRIPTION_LENGTH = 200;
+
+export const clampDescription = (name) => (
+    name.length > MAX_DESCRIPTION_LENGTH ? `${name.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…` : name
+);
+
+const DEBIT_PATTERN = /^(d|db|dr|deb|debit|débito|debito|saída|saida|-)$/i;
+
+// Brazilian exports usually use ';' because ',' is the decimal separator
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const counts = [';', ',', '\t'].map(delimiter => ({
+        delimiter,
+        count: firstLine.split(delimiter).length - 1
+    }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+};
+
+/**
+ * Parse CSV text into an array of rows (arrays of trimmed strings).
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+};
+
+// "1,234" or "1.234": either a thousands or a decimal separator
+const AMBIGUOUS_AMOUNT = /^-?\d+[.,]\d{3}$/;
+
+/**
+ * Parse "1.234,56", "-1,234.56", "R$ 12,50" or "(12.50)" into a number.
+ * The last '.' or ',' is treated as the decimal separator, except for a
+ * single separator followed by exactly three digits, which is read with the
+ * statement's `decimalSeparator` (one of CSV_NUMBER_FORMATS).
+ */
+export const parseAmount = (value, decimalSeparator = '.') => {
+    if (value == null) return NaN;
+
+    let text = String(value).trim();
+    const isParenthesized = /^\(.*\)$/.test(text);
+    text = text.replace(/[^\d.,-]/g, '');
+
+    let decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+    if (AMBIGUOUS_AMOUNT.test(text)) decimal = decimalSeparator;
+    text = text.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.');
+
+    const amount = parseFloat(text);
+    if (Number.isNaN(amount)) return NaN;
+    return isParenthesized ? -Math.abs(amount) : amount;
+};
+
+/**
+ * Parse a date cell into 'YYYY-MM-DD' using one of CSV_DATE_FORMATS.
+ * Returns null when the cell does not match.
+ */
+export const parseDate = (value, dateFormat) => {
+    const parts = String(value || '').trim().split(/[^\d]+/).filter(Boolean).map(Number);
+    if (parts.length < 3) return null;
+
+    let year;
+    let month;
+    let day;
+    if (dateFormat === 'YYYY-MM-DD') {
+        [year, month, day] = parts;
+    } else if (dateFormat === 'MM/DD/YYYY') {
+        [month, day, year] = parts;
+    } else {
+        [day, month, year] = parts;
+    }
+    if (year < 100) year += 2000;
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Best guess of date/description/amount/sign columns from header names
+export const guessColumnMapping = (header = []) => {
+    const findColumn = (pattern) => {
+        const index = header.findIndex(name => pattern.test(name));
+        return index === -1 ? '' : String(index);
+    };
+
+    return {
+        date: findColumn(/date|data/i),
+        description: findColumn(/desc|hist|memo|name|estabelecimento|lançamento|lancamento/i),
+        amount: findColumn(/amount|valor|value|quantia/i),
+        sign: findColumn(/^(type|tipo|d\/c|c\/d|natureza)$/i)
+    };
+};
+
+// Guess the date format from the first few non-empty date cells
+export const guessDateFormat = (values = []) => {
+    const samples = values.filter(Boolean).slice(0, 20);
+    if (samples.some(value => /^\d{4}[-/]/.test(value))) return 'YYYY-MM-DD';
+    if (samples.some(value => Number(value.split(/[^\d]+/)[1]) > 12)) return 'MM/DD/YYYY';
+    return 'DD/MM/YYYY';
+};
+
+// Guess the decimal separator from amounts that are not ambiguous, falling
+// back to the convention that goes with the date format
+export const guessDecimalSeparator = (values = [], dateFormat = 'DD/MM/YYYY') => {
+    const samples = values.filter(Boolean).map(value => String(value).replace(/[^\d.,-]/g, ''));
+    const telling = samples.find(value => /[.,]/.test(value) && !AMBIGUOUS_AMOUNT.test(value));
+    if (telling) return telling.lastIndexOf(',') > telling.lastIndexOf('.') ? ',' : '.';
+    return dateFormat === 'DD/MM/YYYY' ? ',' : '.';
+};
+
+/**
+ * Turn CSV data rows into import candidates using a column mapping.
+ * Each candidate is { date, name, amount, type, error } where amount is
+ * always positive and `error` explains why a row cannot be imported.
+ */
+export const mapCsvRows = (rows, { date, description, amount, sign, dateFormat, decimalSeparator, signMode }) => {
+    return rows.map((cells) => {
+        const parsedDate = parseDate(cells[date], dateFormat);
+        const parsedAmount = parseAmount(cells[amount], decimalSeparator);
+        const name = clampDescription((cells[description] || '').trim());
+
+        let type;
+        if (signMode === 'column') {
+            type = DEBIT_PATTERN.test((cells[sign] || '').trim()) ? 'expense' : 'credit';
+        } else if (signMode === 'positive-expense') {
+            type = parsedAmount >= 0 ? 'expense' : 'credit';
+        } else {
+            type = parsedAmount < 0 ? 'expense' : 'credit';
+        }
+
+        let error = null;
+        if (!parsedDate) error = t('importWizard.rowErrors.invalidDate');
+        else if (Number.isNaN(parsedAmount)) error = t('importWizard.rowErrors.invalidAmount');
+        else if (parsedAmount === 0) error = t('importWizard.rowErrors.zeroAmount');
+        else if (!name) error = t('importWizard.rowErrors.missingDescription');
+
+        return {
+            date: parsedDate,
+            name,
+            amount: Math.abs(parsedAmount),
+            type,
+            error
+        };
+    });
+};
@@ -0,0 +1,156 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_DESCRIPTION_LENGTH, guessColumnMapping, guessDateFormat, guessDecimalSeparator, mapCsvRows, parseAmount, parseCsv, parseDate } from './csv';
+
+describe('parseCsv', () => {
+    it('detects the delimiter from the header line', () => {
+        expect(parseCsv('Data;Valor\n01/03/2026;12,50')).toEqual([['Data', 'Valor'], ['01/03/2026', '12,50']]);
+        expect(parseCsv('Date,Amount\n2026-03-01,12.50')).toEqual([['Date', 'Amount'], ['2026-03-01', '12.50']]);
+        expect(parseCsv('Date\tAmount\n2026-03-01\t12.50')).toEqual([['Date', 'Amount'], ['2026-03-01', '12.50']]);
+    });
+
+    it('handles quoted fields, escaped quotes and delimiters inside quotes', () => {
+        expect(parseCsv('Name,Amount\n"Coffee, large","3.50"\n"The ""Best"" Shop",1')).toEqual([
+            ['Name', 'Amount'],
+            ['Coffee, large', '3.50'],
+            ['The "Best" Shop', '1']
+        ]);
+    });
+
+    it('keeps line breaks inside quoted fields', () => {
+        expect(parseCsv('Name,Amount\n"two\nlines",1')).toEqual([['Name', 'Amount'], ['two\nlines', '1']]);
+    });
+
+    it('strips a BOM, accepts CRLF and drops blank rows', () => {
+        expect(parseCsv('\uFEFFDate,Amount\r\n2026-03-01,1\r\n\r\n,\r\n2026-03-02,2\r\n')).toEqual([
+            ['Date', 'Amount'],
+            ['2026-03-01', '1'],
+            ['2026-03-02', '2']
+        ]);
+    });
+
+    it('trims cells and uses an explicit delimiter when given', () => {
+        expect(parseCsv(' a | b \n c | d ', '|')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+});
+
+describe('parseAmount', () => {
+    it('treats the last separator as the decimal one', () => {
+        expect(parseAmount('1.234,56')).toBe(1234.56);
+        expect(parseAmount('1,234.56')).toBe(1234.56);
+        expect(parseAmount('-1.234,56')).toBe(-1234.56);
+        expect(parseAmount('12,5')).toBe(12.5);
+        expect(parseAmount('1,234.5', ',')).toBe(1234.5);
+    });
+
+    it('reads a lone separator before three digits with the chosen number format', () => {
+        expect(parseAmount('1,234')).toBe(1234);
+        expect(parseAmount('1.234')).toBe(1.234);
+        expect(parseAmount('1,234', ',')).toBe(1.234);
+        expect(parseAmount('-1.234', ',')).toBe(-1234);
+    });
+
+    it('ignores currency symbols and reads parentheses as negative', () => {
+        expect(parseAmount('R$ 12,50')).toBe(12.5);
+        expect(parseAmount('$ 1,000.00')).toBe(1000);
+        expect(parseAmount('(12.50)')).toBe(-12.5);
+    });
+
+    it('returns NaN for empty or non-numeric cells', () => {
+        expect(parseAmount(null)).toBeNaN();
+        expect(parseAmount('')).toBeNaN();
+        expect(parseAmount('abc')).toBeNaN();
+    });
+});
+
+describe('parseDate', () => {
+    it('reads each supported format', () => {
+        expect(parseDate('05/03/2026', 'DD/MM/YYYY')).toBe('2026-03-05');
+        expect(parseDate('03/05/2026', 'MM/DD/YYYY')).toBe('2026-03-05');
+        expect(parseDate('2026-03-05', 'YYYY-MM-DD')).toBe('2026-03-05');
+    });
+
+    it('expands two-digit years and ignores a time part', () => {
+        expect(parseDate('5/3/26', 'DD/MM/YYYY')).toBe('2026-03-05');
+        expect(parseDate('2026-03-05 14:30:00', 'YYYY-MM-DD')).toBe('2026-03-05');
+    });
+
+    it('rejects impossible or incomplete dates', () => {
+        expect(parseDate('31/02/2026', 'DD/MM/YYYY')).toBeNull();
+        expect(parseDate('13/13/2026', 'DD/MM/YYYY')).toBeNull();
+        expect(parseDate('05/03', 'DD/MM/YYYY')).toBeNull();
+        expect(parseDate('', 'DD/MM/YYYY')).toBeNull();
+    });
+});
+
+describe('guessColumnMapping', () => {
+    it('finds columns by English and Portuguese header names', () => {
+        expect(guessColumnMapping(['Date', 'Description', 'Amount'])).toEqual({ date: '0', description: '1', amount: '2', sign: '' });
+        expect(guessColumnMapping(['Data', 'Histórico', 'Valor', 'D/C'])).toEqual({ date: '0', description: '1', amount: '2', sign: '3' });
+    });
+});
+
+describe('guessDateFormat', () => {
+    it('prefers ISO dates, then a day above 12 in the second part', () => {
+        expect(guessDateFormat(['2026-03-05'])).toBe('YYYY-MM-DD');
+        expect(guessDateFormat(['03/05/2026', '03/25/2026'])).toBe('MM/DD/YYYY');
+        expect(guessDateFormat(['05/03/2026', '25/03/2026'])).toBe('DD/MM/YYYY');
+    });
+});
+
+describe('guessDecimalSeparator', () => {
+    it('reads the separator from amounts that are not ambiguous', () => {
+        expect(guessDecimalSeparator(['1,234', '12.50'], 'DD/MM/YYYY')).toBe('.');
+        expect(guessDecimalSeparator(['1.234', '1.234,56'], 'MM/DD/YYYY')).toBe(',');
+    });
+
+    it('falls back to the convention of the date format', () => {
+        expect(guessDecimalSeparator(['1,234', '10'], 'DD/MM/YYYY')).toBe(',');
+        expect(guessDecimalSeparator(['1,234'], 'MM/DD/YYYY')).toBe('.');
+        expect(guessDecimalSeparator([], 'YYYY-MM-DD')).toBe('.');
+    });
+});
+
+describe('mapCsvRows', () => {
+    const mapping = { date: '0', description: '1', amount: '2', sign: '3', dateFormat: 'DD/MM/YYYY' };
+
+    it('reads negative amounts as expenses by default', () => {
+        expect(mapCsvRows([['05/03/2026', 'Market', '-12,50'], ['06/03/2026', 'Salary', '3000']], { ...mapping, signMode: 'negative-expense' })).toEqual([
+            { date: '2026-03-05', name: 'Market', amount: 12.5, type: 'expense', error: null },
+            { date: '2026-03-06', name: 'Salary', amount: 3000, type: 'credit', error: null }
+        ]);
+    });
+
+    it('reads amounts with the chosen number format', () => {
+        const rows = [['05/03/2026', 'Rent', '-1.234'], ['05/03/2026', 'Shop', '-1,234']];
+        expect(mapCsvRows(rows, { ...mapping, decimalSeparator: '.', signMode: 'negative-expense' }).map(row => row.amount)).toEqual([1.234, 1234]);
+        expect(mapCsvRows(rows, { ...mapping, decimalSeparator: ',', signMode: 'negative-expense' }).map(row => row.amount)).toEqual([1234, 1.234]);
+    });
+
+    it('reads positive amounts as expenses for card statements', () => {
+        const [purchase, payment] = mapCsvRows([['05/03/2026', 'Shop', '20'], ['06/03/2026', 'Payment', '-20']], { ...mapping, signMode: 'positive-expense' });
+        expect(purchase.type).toBe('expense');
+        expect(payment.type).toBe('credit');
+    });
+
+    it('reads the sign from a debit/credit column', () => {
+        const rows = [['05/03/2026', 'Shop', '20', 'D'], ['05/03/2026', 'Shop', '20', 'Débito'], ['06/03/2026', 'Refund', '20', 'C']];
+        expect(mapCsvRows(rows, { ...mapping, signMode: 'column' }).map(row => row.type)).toEqual(['expense', 'expense', 'credit']);
+    });
+
+    it('cuts descriptions to the server limit', () => {
+        const [row] = mapCsvRows([['05/03/2026', 'x'.repeat(250), '-1']], { ...mapping, signMode: 'negative-expense' });
+        expect(row.name).toHaveLength(MAX_DESCRIPTION_LENGTH);
+        expect(row.name.endsWith('…')).toBe(true);
+        expect(row.error).toBeNull();
+    });
+
+    it('explains why a row cannot be imported', () => {
+        const rows = [['bad', 'Shop', '1'], ['05/03/2026', 'Shop', 'x'], ['05/03/2026', 'Shop', '0'], ['05/03/2026', '', '1']];
+        expect(mapCsvRows(rows, { ...mapping, signMode: 'negative-expense' }).map(row => row.error)).toEqual([
+            'Invalid date',
+            'Invalid amount',
+            'Zero amount',
+            'Missing description'
+        ]);
+    });
+});
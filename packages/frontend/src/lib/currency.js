@@ -0,0 +1,94 @@
+// ──────────────────────────────────────────────
+// Foreign currencies & exchange rates
+//
+// Amounts are stored in the user's base currency, so totals never mix
+// currencies. A foreign-currency transaction also keeps what was paid
+// (originalCurrency / originalAmount) and the exchangeRate used.
+// Rates are { date, from, to, rate }: one `from` is worth `rate` `to`
+// from `date` on. They are typed in or imported from a CSV file.
+// ──────────────────────────────────────────────
+
+import { guessDateFormat, parseAmount, parseCsv, parseDate } from './csv';
+import { t } from './i18n';
+
+// Offered in pickers; any ISO 4217 code is accepted
+export const CURRENCIES = ['BRL', 'USD', 'EUR', 'AED', 'GBP', 'ARS', 'CAD', 'CHF', 'JPY', 'AUD'];
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+export const isCurrencyCode = (value) => CURRENCY_CODE.test(value || '');
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Rate converting `from` into `to` on `date`: the latest entry on or before
+ * that date, in either direction. Null when the table has none.
+ */
+export const findExchangeRate = (rates = [], from, to, date) => {
+    if (from === to) return 1;
+
+    let best = null;
+    rates.forEach(entry => {
+        if (entry.date > date) return;
+
+        let rate = null;
+        if (entry.from === from && entry.to === to) rate = entry.rate;
+        else if (entry.from === to && entry.to === from) rate = 1 / entry.rate;
+
+        if (rate !== null && (!best || entry.date >= best.date)) best = { date: entry.date, rate };
+    });
+
+    return best ? best.rate : null;
+};
+
+// Newest first, then by pair, so the table reads like a history
+const sortRates = (rates) => [...rates].sort((left, right) => (
+    right.date.localeCompare(left.date) || `${left.from}${left.to}`.localeCompare(`${right.from}${right.to}`)
+));
+
+// One rate per pair and day: later entries replace earlier ones
+export const mergeExchangeRates = (rates = [], additions = []) => {
+    const byKey = new Map();
+    [...rates, ...additions].forEach(entry => byKey.set(`${entry.date}|${entry.from}|${entry.to}`, entry));
+    return sortRates([...byKey.values()]);
+};
+
+/**
+ * Read a rates file with a header row: date, currency (or from), rate and
+ * an optional to column that defaults to `baseCurrency`. Returns
+ * { rates, skipped } or { error } when the columns cannot be found.
+ */
+export const parseExchangeRatesCsv = (text, baseCurrency) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const findColumn = (pattern) => header.findIndex(name => pattern.test(name));
+    const columns = {
+        date: findColumn(/date|data/i),
+        from: findColumn(/^(from|currency|de|moeda)$/i),
+        to: findColumn(/^(to|para|base)$/i),
+        rate: findColumn(/rate|taxa|cota/i)
+    };
+
+    if (columns.date === -1 || columns.from === -1 || columns.rate === -1) {
+        return { error: t('currency.csvMissingColumns') };
+    }
+
+    const dataRows = rows.filter(row => row.some(Boolean));
+    const dateFormat = guessDateFormat(dataRows.map(row => row[columns.date]));
+    const rates = [];
+    let skipped = 0;
+
+    dataRows.forEach(row => {
+        const date = parseDate(row[columns.date], dateFormat);
+        const from = (row[columns.from] || '').toUpperCase();
+        const to = columns.to === -1 ? baseCurrency : (row[columns.to] || '').toUpperCase();
+        const rate = parseAmount(row[columns.rate]);
+
+        if (!date || !isCurrencyCode(from) || !isCurrencyCode(to) || from === to || !(rate > 0)) {
+            skipped += 1;
+            return;
+        }
+        rates.push({ date, from, to, rate });
+    });
+
+    return { rates, skipped };
+};
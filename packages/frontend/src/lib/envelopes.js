@@ -0,0 +1,89 @@
+// ──────────────────────────────────────────────
+// Zero-based (envelope) budgeting
+//
+// In a zero-based plan ({ zeroBased: true }) every unit of salary is given an
+// envelope: a category's budget or a goal's allocation (goalAllocations:
+// [{ goalId, amount }]). Money moved between envelopes mid-month changes both
+// and is logged in envelopeMoves ([{ id, date, from, to, amount, note }]),
+// where an envelope is a category name or 'goal:<goalId>'.
+// ──────────────────────────────────────────────
+
+import { roundMoney } from './currency';
+import { isRefundsCategory } from './utils';
+
+const GOAL_ENVELOPE_PREFIX = 'goal:';
+
+export const getGoalEnvelope = (goalId) => `${GOAL_ENVELOPE_PREFIX}${goalId}`;
+
+export const getEnvelopeGoalId = (envelope = '') => (
+    envelope.startsWith(GOAL_ENVELOPE_PREFIX) ? envelope.slice(GOAL_ENVELOPE_PREFIX.length) : null
+);
+
+const getMonthlyBudget = (category) => (
+    category.frequency === 'weekly' ? (category.budget || 0) * 4 : (category.budget || 0)
+);
+
+// Categories that can hold money; Refunds only passes it back to others
+export const getEnvelopeCategories = (categories = []) => categories.filter(category => !isRefundsCategory(category.name));
+
+export const getGoalAllocation = (goalAllocations = [], goalId) => (
+    goalAllocations.find(allocation => allocation.goalId === goalId)?.amount || 0
+);
+
+export const getAssignedTotal = (categories = [], goalAllocations = []) => roundMoney(
+    categories.reduce((sum, category) => sum + getMonthlyBudget(category), 0)
+    + goalAllocations.reduce((sum, allocation) => sum + (Number(allocation.amount) || 0), 0)
+);
+
+// Negative when more was assigned than the salary covers
+export const getUnassignedAmount = (salary = 0, categories = [], goalAllocations = []) => (
+    roundMoney((Number(salary) || 0) - getAssignedTotal(categories, goalAllocations))
+);
+
+// What an envelope holds for the month
+export const getEnvelopeAmount = (envelope, categories = [], goalAllocations = []) => {
+    const goalId = getEnvelopeGoalId(envelope);
+    if (goalId !== null) return getGoalAllocation(goalAllocations, goalId);
+
+    const category = categories.find(item => item.name === envelope);
+    return category ? roundMoney(getMonthlyBudget(category)) : 0;
+};
+
+const addToEnvelope = ({ categories, goalAllocations }, envelope, amount) => {
+    const goalId = getEnvelopeGoalId(envelope);
+    if (goalId !== null) {
+        const nextAmount = roundMoney(getGoalAllocation(goalAllocations, goalId) + amount);
+        return {
+            categories,
+            goalAllocations: goalAllocations.some(allocation => allocation.goalId === goalId)
+                ? goalAllocations.map(allocation => (allocation.goalId === goalId ? { ...allocation, amount: nextAmount } : allocation))
+                : [...goalAllocations, { goalId, amount: nextAmount }]
+        };
+    }
+
+    // A weekly category holds a quarter of the month's amount per week
+    return {
+        categories: categories.map(category => {
+            if (category.name !== envelope) return category;
+
+            const monthlyBudget = roundMoney(getMonthlyBudget(category) + amount);
+            return { ...category, budget: category.frequency === 'weekly' ? monthlyBudget / 4 : monthlyBudget };
+        }),
+        goalAllocations
+    };
+};
+
+/**
+ * The plan's { categories, goalAllocations } with `move` applied, or null
+ * when the source envelope does not hold that much or an envelope is gone.
+ */
+export const applyEnvelopeMove = (plan, move) => {
+    const amount = Number(move.amount);
+    if (!(amount > 0) || move.from === move.to) return null;
+
+    const exists = (envelope) => getEnvelopeGoalId(envelope) !== null || plan.categories.some(category => category.name === envelope);
+    if (!exists(move.from) || !exists(move.to)) return null;
+    if (getEnvelopeAmount(move.from, plan.categories, plan.goalAllocations) < amount) return null;
+
+    return addToEnvelope(addToEnvelope(plan, move.from, -amount), move.to, amount);
+};
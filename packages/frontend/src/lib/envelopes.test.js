@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { applyEnvelopeMove, getEnvelopeAmount, getGoalEnvelope, getUnassignedAmount } from './envelopes';
+
+const plan = {
+    categories: [
+        { name: 'Food', budget: 100, frequency: 'monthly' },
+        { name: 'Snacks', budget: 10, frequency: 'weekly' }
+    ],
+    goalAllocations: [{ goalId: 'g1', amount: 50 }]
+};
+const move = (from, to, amount) => ({ id: 'm1', date: '2026-03-05', from, to, amount });
+
+describe('getUnassignedAmount', () => {
+    it('counts weekly budgets four times and goal allocations once', () => {
+        expect(getUnassignedAmount(300, plan.categories, plan.goalAllocations)).toBe(110);
+        expect(getUnassignedAmount(100, plan.categories, plan.goalAllocations)).toBe(-90);
+    });
+});
+
+describe('applyEnvelopeMove', () => {
+    it('moves money between categories and goals', () => {
+        const next = applyEnvelopeMove(plan, move('Food', getGoalEnvelope('g2'), 30));
+
+        expect(next.categories[0].budget).toBe(70);
+        expect(next.goalAllocations).toEqual([{ goalId: 'g1', amount: 50 }, { goalId: 'g2', amount: 30 }]);
+        expect(applyEnvelopeMove(next, move(getGoalEnvelope('g1'), 'Food', 50)).categories[0].budget).toBe(120);
+    });
+
+    it('refuses to take more than the source envelope holds', () => {
+        expect(applyEnvelopeMove(plan, move('Food', 'Snacks', 100.01))).toBeNull();
+        expect(applyEnvelopeMove(plan, move(getGoalEnvelope('g2'), 'Food', 1))).toBeNull();
+        expect(applyEnvelopeMove(plan, move('Food', 'Snacks', 100))).not.toBeNull();
+    });
+
+    it('refuses empty, circular and dangling moves', () => {
+        expect(applyEnvelopeMove(plan, move('Food', 'Snacks', 0))).toBeNull();
+        expect(applyEnvelopeMove(plan, move('Food', 'Food', 10))).toBeNull();
+        expect(applyEnvelopeMove(plan, move('Food', 'Gone', 10))).toBeNull();
+    });
+
+    it('keeps a weekly category at a quarter of its rounded monthly amount', () => {
+        const next = applyEnvelopeMove(plan, move('Snacks', 'Food', 0.01));
+
+        expect(next.categories[1].budget).toBe(39.99 / 4);
+        expect(getEnvelopeAmount('Snacks', next.categories, next.goalAllocations)).toBe(39.99);
+        expect(applyEnvelopeMove(next, move('Snacks', 'Food', 39.99)).categories).toEqual([
+            { name: 'Food', budget: 140, frequency: 'monthly' },
+            { name: 'Snacks', budget: 0, frequency: 'weekly' }
+        ]);
+    });
+});
@@ -0,0 +1,74 @@
+// ──────────────────────────────────────────────
+// Savings goals
+//
+// A goal ({ id, name, targetAmount, deadline, category, startingAmount }) is
+// funded by the transactions of its linked category and its subcategories,
+// counted like Total Saved: credits put money in, expenses take it out.
+// startingAmount is what was saved before the goal was tracked here.
+// ──────────────────────────────────────────────
+
+import { calculateCategoryTreeNet, getFinancialInfo } from './utils';
+
+// The current pace is the average of this many ended financial months
+export const PACE_MONTHS = 3;
+
+const toMonthIndex = ({ year, month }) => year * 12 + month - 1;
+const fromMonthIndex = (index) => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+// Net saved into the goal's category per financial month index
+const getContributionsByMonth = (goal, weeks = [], categories = []) => {
+    const byMonth = new Map();
+    if (!goal.category) return byMonth;
+
+    weeks.forEach(week => (week.expenses || []).forEach(expense => {
+        if (!expense.date) return;
+
+        const amount = -calculateCategoryTreeNet([expense], categories, goal.category);
+        if (amount === 0) return;
+
+        const index = toMonthIndex(getFinancialInfo(expense.date));
+        byMonth.set(index, (byMonth.get(index) || 0) + amount);
+    }));
+
+    return byMonth;
+};
+
+/**
+ * Where a goal stands today: how much is saved, what each remaining
+ * financial month (this one included) needs to reach it by the deadline,
+ * and in which financial month it is reached at the current pace (null when
+ * the pace is not adding anything).
+ */
+export const getGoalProgress = (goal, weeks = [], categories = [], today = new Date()) => {
+    const contributions = getContributionsByMonth(goal, weeks, categories);
+    const saved = (Number(goal.startingAmount) || 0) + [...contributions.values()].reduce((sum, amount) => sum + amount, 0);
+    const remaining = Math.max(goal.targetAmount - saved, 0);
+    const currentIndex = toMonthIndex(getFinancialInfo(today));
+
+    const monthsLeft = goal.deadline ? Math.max(toMonthIndex(getFinancialInfo(goal.deadline)) - currentIndex + 1, 0) : null;
+    const requiredMonthly = monthsLeft === null ? null : remaining / Math.max(monthsLeft, 1);
+
+    let pace = 0;
+    for (let index = currentIndex - PACE_MONTHS; index < currentIndex; index += 1) {
+        pace += contributions.get(index) || 0;
+    }
+    pace /= PACE_MONTHS;
+
+    const projected = remaining === 0
+        ? null
+        : pace > 0 ? fromMonthIndex(currentIndex + Math.ceil(remaining / pace) - 1) : null;
+
+    return {
+        saved,
+        remaining,
+        percent: goal.targetAmount > 0 ? Math.min((saved / goal.targetAmount) * 100, 100) : 0,
+        isReached: remaining === 0,
+        isOverdue: monthsLeft === 0 && remaining > 0,
+        monthsLeft,
+        requiredMonthly,
+        pace,
+        projected,
+        // Reached later than the deadline at the current pace
+        isBehind: remaining > 0 && monthsLeft !== null && (!projected || toMonthIndex(projected) > currentIndex + monthsLeft - 1)
+    };
+};
@@ -0,0 +1,120 @@
+// ──────────────────────────────────────────────
+// Translations
+//
+// Every UI string lives in a message catalog under lib/locales, looked up by
+// a dotted key: t('app.menu.logout'). Values may contain {placeholders}, and an
+// { one, other } object picks a plural form from the `count` param.
+// The locale is a device preference kept in localStorage, so the login
+// screen is already translated before anyone signs in.
+// ──────────────────────────────────────────────
+
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { enUS, ptBR } from 'date-fns/locale';
+import en from './locales/en';
+import ptBRMessages from './locales/pt-BR';
+
+export const LOCALES = [
+    { id: 'en', label: 'English', messages: en, dateLocale: enUS },
+    { id: 'pt-BR', label: 'Português (Brasil)', messages: ptBRMessages, dateLocale: ptBR }
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'pw_locale';
+
+const findLocale = (id) => LOCALES.find(locale => locale.id === id);
+
+const detectLocale = () => {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (findLocale(saved)) return saved;
+
+    const browserLocale = (navigator.language || '').toLowerCase();
+    return browserLocale.startsWith('pt') ? 'pt-BR' : DEFAULT_LOCALE;
+};
+
+// Module state so plain helpers (dates, currency, CSV) can translate too
+let currentLocale = detectLocale();
+
+export const getLocale = () => currentLocale;
+
+export const getDateLocale = () => findLocale(currentLocale).dateLocale;
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * Translate `key` into the current locale, falling back to English and then
+ * to the key itself so a missing entry is visible rather than blank.
+ */
+export const t = (key, params = {}) => {
+    let message = lookup(findLocale(currentLocale).messages, key) ?? lookup(en, key) ?? key;
+
+    if (message && typeof message === 'object') {
+        const form = new Intl.PluralRules(currentLocale).select(params.count ?? 0);
+        message = message[form] ?? message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+};
+
+/**
+ * t() for messages with inline formatting: **text** becomes <strong>, and
+ * params may be React elements such as badges.
+ */
+export const tRich = (key, params = {}) => {
+    const textParams = Object.fromEntries(Object.entries(params).filter(([, value]) => typeof value !== 'object'));
+
+    return t(key, textParams).split(/(\*\*.+?\*\*|\{\w+\})/g).filter(Boolean).map((part, index) => {
+        if (part.startsWith('**') && part.endsWith('**')) return <strong key={index}>{part.slice(2, -2)}</strong>;
+
+        const param = part.match(/^\{(\w+)\}$/);
+        if (param && params[param[1]] !== undefined) return <React.Fragment key={index}>{params[param[1]]}</React.Fragment>;
+        return part;
+    });
+};
+
+/**
+ * The same message in every locale, for recognising values that were saved
+ * while the app was in another language.
+ */
+export const getAllTranslations = (key) => LOCALES
+    .map(locale => lookup(locale.messages, key))
+    .filter(message => typeof message === 'string');
+
+const I18nContext = createContext(null);
+
+export function I18nProvider({ children }) {
+    const [locale, setLocaleState] = useState(currentLocale);
+
+    const setLocale = useCallback((nextLocale) => {
+        if (!findLocale(nextLocale)) return;
+
+        currentLocale = nextLocale;
+        localStorage.setItem(STORAGE_KEY, nextLocale);
+        document.documentElement.lang = nextLocale;
+        setLocaleState(nextLocale);
+    }, []);
+
+    React.useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    // A new value on every locale change re-renders everything that translates
+    const value = useMemo(() => ({
+        locale,
+        setLocale,
+        t: (key, params) => t(key, params),
+        tRich: (key, params) => tRich(key, params)
+    }), [locale, setLocale]);
+
+    return (
+        <I18nContext.Provider value={value}>
+            {children}
+        </I18nContext.Provider>
+    );
+}
+
+export function useI18n() {
+    const context = useContext(I18nContext);
+    if (!context) throw new Error('useI18n must be used within I18nProvider');
+    return context;
+}
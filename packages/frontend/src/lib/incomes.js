@@ -0,0 +1,97 @@
+// ──────────────────────────────────────────────
+// Income sources
+//
+// A monthly plan lists what it expects to earn: incomes: [{ id, source,
+// amount, date, received }], where date is the expected pay date (optional)
+// and received is ticked by hand. Each entry is reconciled against the credit
+// transactions of its financial month; a matching credit counts as received,
+// with its actual amount. The plan's `salary` stays the expected total, and
+// plans saved before the list read as one received entry of that salary.
+// Dates are 'YYYY-MM-DD' strings.
+// ──────────────────────────────────────────────
+
+import { addMonths, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { roundMoney } from './currency';
+import { foldText } from './search';
+import { getFinancialInfo, isRefundsCategory } from './utils';
+
+// How far a credit may be from the expected amount (as a share of it) and date
+export const INCOME_AMOUNT_TOLERANCE = 0.1;
+export const INCOME_DATE_TOLERANCE_DAYS = 10;
+
+export const getPlanIncomes = (plan = {}) => {
+    if (Array.isArray(plan.incomes)) return plan.incomes;
+
+    const salary = Number(plan.salary) || 0;
+    return salary > 0 ? [{ id: 'salary', source: '', amount: salary, date: null, received: true }] : [];
+};
+
+export const getExpectedIncome = (incomes = []) => roundMoney(
+    incomes.reduce((sum, income) => sum + (Number(income.amount) || 0), 0)
+);
+
+// Credits of a financial month that can be income; refunds only give money back
+export const getIncomeCredits = (weeks = [], year, month) => weeks
+    .flatMap(week => week.expenses || [])
+    .filter(expense => {
+        if (!expense.date || expense.type !== 'credit' || isRefundsCategory(expense.category)) return false;
+
+        const info = getFinancialInfo(expense.date);
+        return info.year === year && info.month === month;
+    });
+
+const matchesIncome = (income, credit) => {
+    const expected = Number(income.amount) || 0;
+    if (Math.abs(Number(credit.amount) - expected) > expected * INCOME_AMOUNT_TOLERANCE) return false;
+    if (!income.date) return true;
+    return Math.abs(differenceInCalendarDays(parseISO(credit.date), parseISO(income.date))) <= INCOME_DATE_TOLERANCE_DAYS;
+};
+
+// Credits naming the source come first, then the closest amount
+const rankCredit = (income, credit) => [
+    income.source && foldText(credit.name).includes(foldText(income.source)) ? 0 : 1,
+    Math.abs(Number(credit.amount) - Number(income.amount))
+];
+
+const compareRanks = ([leftName, leftAmount], [rightName, rightAmount]) => leftName - rightName || leftAmount - rightAmount;
+
+/**
+ * Each income with the credit it was matched to (each credit matches one
+ * entry at most), its status ('matched' | 'received' | 'late' | 'pending')
+ * and the amount actually received.
+ */
+export const reconcileIncomes = (incomes = [], credits = [], today = new Date()) => {
+    const used = new Set();
+    const todayString = format(today, 'yyyy-MM-dd');
+
+    return incomes.map(income => {
+        const match = credits
+            .filter(credit => !used.has(credit) && matchesIncome(income, credit))
+            .sort((left, right) => compareRanks(rankCredit(income, left), rankCredit(income, right)))[0] || null;
+        if (match) used.add(match);
+
+        let status = 'pending';
+        if (match) status = 'matched';
+        else if (income.received) status = 'received';
+        else if (income.date && income.date < todayString) status = 'late';
+
+        return {
+            income,
+            match,
+            status,
+            actual: match ? Number(match.amount) : income.received ? Number(income.amount) || 0 : 0
+        };
+    });
+};
+
+export const getReceivedIncome = (reconciled = []) => roundMoney(
+    reconciled.reduce((sum, entry) => sum + entry.actual, 0)
+);
+
+// A plan's incomes as expected in the following month: new ids, not yet received
+export const carryIncomesForward = (incomes = []) => incomes.map(income => ({
+    ...income,
+    id: crypto.randomUUID(),
+    date: income.date ? format(addMonths(parseISO(income.date), 1), 'yyyy-MM-dd') : null,
+    received: false
+}));
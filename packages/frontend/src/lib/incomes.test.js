@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { getPlanIncomes, getReceivedIncome, reconcileIncomes } from './incomes';
+
+const income = (overrides = {}) => ({ id: 'i1', source: 'Acme', amount: 1000, date: '2026-03-05', received: false, ...overrides });
+const credit = (name, amount, date) => ({ id: `${name}-${amount}-${date}`, name, amount, date, type: 'credit', category: 'Salary' });
+const today = new Date(2026, 2, 20);
+
+describe('reconcileIncomes', () => {
+    it('matches credits within 10% of the amount and 10 days of the date', () => {
+        const matched = (item) => reconcileIncomes([income()], [item], today)[0].status;
+
+        expect(matched(credit('Transfer', 1100, '2026-03-15'))).toBe('matched');
+        expect(matched(credit('Transfer', 900, '2026-02-23'))).toBe('matched');
+        expect(matched(credit('Transfer', 1100.01, '2026-03-05'))).toBe('late');
+        expect(matched(credit('Transfer', 1000, '2026-03-16'))).toBe('late');
+    });
+
+    it('ignores the date of incomes without an expected pay date', () => {
+        const [entry] = reconcileIncomes([income({ date: null })], [credit('Transfer', 950, '2026-03-25')], today);
+        expect(entry).toMatchObject({ status: 'matched', actual: 950 });
+    });
+
+    it('gives each credit to one income at most, preferring the one it names', () => {
+        const credits = [credit('BETA LTDA', 1050, '2026-03-05'), credit('ACME PAYROLL', 1090, '2026-03-05')];
+        const [acme, beta, other] = reconcileIncomes([
+            income(),
+            income({ id: 'i2', source: 'Beta' }),
+            income({ id: 'i3', source: 'Other' })
+        ], credits, today);
+
+        expect(acme.match).toBe(credits[1]);
+        expect(beta.match).toBe(credits[0]);
+        expect(other).toMatchObject({ match: null, status: 'late', actual: 0 });
+    });
+
+    it('counts incomes ticked by hand at their expected amount', () => {
+        const reconciled = reconcileIncomes([
+            income({ received: true }),
+            income({ id: 'i2', date: '2026-03-28' }),
+            income({ id: 'i3', amount: 200 })
+        ], [credit('Acme', 210, '2026-03-06')], today);
+
+        expect(reconciled.map(entry => entry.status)).toEqual(['received', 'pending', 'matched']);
+        expect(getReceivedIncome(reconciled)).toBe(1210);
+    });
+});
+
+describe('getPlanIncomes', () => {
+    it('reads plans saved before income sources as one received salary', () => {
+        expect(getPlanIncomes({ salary: 3000 })).toEqual([{ id: 'salary', source: '', amount: 3000, date: null, received: true }]);
+        expect(getPlanIncomes({ salary: 0 })).toEqual([]);
+        expect(getPlanIncomes({ salary: 3000, incomes: [] })).toEqual([]);
+    });
+});
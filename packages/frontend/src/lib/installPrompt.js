@@ -0,0 +1,68 @@
+// ──────────────────────────────────────────────
+// PWA install ("Add to Home Screen")
+//
+// Chrome/Android fire `beforeinstallprompt`, which we keep and replay from
+// the user menu. iOS Safari has no prompt, so we show instructions instead.
+// ──────────────────────────────────────────────
+
+let deferredPrompt = null;
+const listeners = new Set();
+
+function notify() {
+    listeners.forEach(listener => listener(getInstallState()));
+}
+
+function isStandalone() {
+    return window.matchMedia?.('(display-mode: standalone)').matches || window.navigator.standalone === true;
+}
+
+function isIos() {
+    return /iphone|ipad|ipod/i.test(window.navigator.userAgent);
+}
+
+export function getInstallState() {
+    if (isStandalone()) return 'installed';
+    if (deferredPrompt) return 'available';
+    if (isIos()) return 'manual';
+    return 'unavailable';
+}
+
+export function onInstallStateChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Resolves to 'accepted', 'dismissed' or 'manual' (iOS: show instructions)
+export async function promptInstall() {
+    if (!deferredPrompt) {
+        return getInstallState() === 'manual' ? 'manual' : 'dismissed';
+    }
+
+    const promptEvent = deferredPrompt;
+    deferredPrompt = null;
+    promptEvent.prompt();
+    const { outcome } = await promptEvent.userChoice;
+    notify();
+    return outcome;
+}
+
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(e => {
+            console.error('Service worker registration failed', e);
+        });
+    });
+}
+
+window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    deferredPrompt = e;
+    notify();
+});
+
+window.addEventListener('appinstalled', () => {
+    deferredPrompt = null;
+    notify();
+});
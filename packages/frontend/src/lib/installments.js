@@ -0,0 +1,91 @@
+// ──────────────────────────────────────────────
+// Installments ("parcelado")
+//
+// A purchase paid in N installments becomes N transactions that share an
+// installmentGroupId and carry installmentNumber / installmentCount. On a
+// credit card with a statement cycle ({ closingDay, dueDay }), installment k
+// is dated on the due date of the k-th statement after the purchase; without
+// one, installments fall on the purchase day of each following month.
+// Installments dated after today are money already committed.
+// ──────────────────────────────────────────────
+
+import { addMonths, format, getDaysInMonth, parseISO, setDate, startOfMonth } from 'date-fns';
+import { getFinancialInfo } from './utils';
+
+export const MAX_INSTALLMENTS = 48;
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+// The given day in the month of `date`, clamped to the month's length (31 → Feb 28)
+const dayInMonth = (date, day) => setDate(startOfMonth(date), Math.min(day, getDaysInMonth(date)));
+
+export const hasStatementCycle = (account) => (
+    account?.type === 'credit-card' && Number.isInteger(account.closingDay) && Number.isInteger(account.dueDay)
+);
+
+/**
+ * Closing and due date of the statement a purchase lands on. A purchase on
+ * the closing day already goes to the next statement, as Brazilian cards do.
+ */
+export const getStatementDates = (card, purchaseDate) => {
+    const purchase = parseISO(purchaseDate);
+    let closing = dayInMonth(purchase, card.closingDay);
+    if (purchase >= closing) closing = dayInMonth(addMonths(startOfMonth(purchase), 1), card.closingDay);
+
+    // A due day after the closing day is paid in the same month, otherwise in the next one
+    const dueMonth = card.dueDay > card.closingDay ? startOfMonth(closing) : addMonths(startOfMonth(closing), 1);
+    return { closingDate: toDateString(closing), dueDate: toDateString(dayInMonth(dueMonth, card.dueDay)) };
+};
+
+export const getInstallmentDates = (purchaseDate, count, card = null) => {
+    if (hasStatementCycle(card)) {
+        const firstDue = parseISO(getStatementDates(card, purchaseDate).dueDate);
+        return Array.from({ length: count }, (_, index) => toDateString(dayInMonth(addMonths(startOfMonth(firstDue), index), card.dueDay)));
+    }
+
+    const purchase = parseISO(purchaseDate);
+    return Array.from({ length: count }, (_, index) => toDateString(addMonths(purchase, index)));
+};
+
+// Split into cents so the parts add up exactly; the first one takes the remainder
+export const splitInstallmentAmounts = (total, count) => {
+    const cents = Math.round(total * 100);
+    const part = Math.floor(cents / count);
+    return Array.from({ length: count }, (_, index) => (index === 0 ? cents - part * (count - 1) : part) / 100);
+};
+
+export const isInstallment = (expense) => Boolean(expense?.installmentGroupId);
+
+/**
+ * Installments due after `today`, totalled per financial month:
+ * [{ key: 'YYYY-MM', year, month, total, count }], soonest first.
+ */
+export const getCommittedInstallments = (weeks = [], today = new Date()) => {
+    const todayString = toDateString(today);
+    const months = new Map();
+
+    weeks.forEach(week => (week.expenses || []).forEach(expense => {
+        if (!isInstallment(expense) || expense.type === 'credit' || !expense.date || expense.date.slice(0, 10) <= todayString) return;
+
+        const { year, month } = getFinancialInfo(expense.date.slice(0, 10));
+        const key = `${year}-${String(month).padStart(2, '0')}`;
+        const entry = months.get(key) || { key, year, month, total: 0, count: 0 };
+        entry.total += Number(expense.amount) || 0;
+        entry.count += 1;
+        months.set(key, entry);
+    }));
+
+    return [...months.values()].sort((left, right) => left.key.localeCompare(right.key));
+};
+
+// Installments due after today and within the next `months` months
+export const sumCommittedInstallments = (weeks = [], months = 0, today = new Date()) => {
+    const from = toDateString(today);
+    const until = toDateString(addMonths(today, months));
+
+    return weeks.reduce((total, week) => total + (week.expenses || []).reduce((sum, expense) => {
+        const date = expense.date?.slice(0, 10);
+        if (!isInstallment(expense) || expense.type === 'credit' || !date || date <= from || date > until) return sum;
+        return sum + (Number(expense.amount) || 0);
+    }, 0), 0);
+};
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { getInstallmentDates, getStatementDates, splitInstallmentAmounts } from './installments';
+
+const card = (closingDay, dueDay) => ({ type: 'credit-card', closingDay, dueDay });
+
+describe('getStatementDates', () => {
+    it('sends a purchase on the closing day to the next statement', () => {
+        expect(getStatementDates(card(10, 20), '2026-03-09')).toEqual({ closingDate: '2026-03-10', dueDate: '2026-03-20' });
+        expect(getStatementDates(card(10, 20), '2026-03-10')).toEqual({ closingDate: '2026-04-10', dueDate: '2026-04-20' });
+    });
+
+    it('pays in the following month when the due day comes before the closing day', () => {
+        expect(getStatementDates(card(25, 5), '2026-03-01')).toEqual({ closingDate: '2026-03-25', dueDate: '2026-04-05' });
+    });
+
+    it('clamps a late closing day to short months', () => {
+        expect(getStatementDates(card(31, 5), '2026-02-10')).toEqual({ closingDate: '2026-02-28', dueDate: '2026-03-05' });
+    });
+});
+
+describe('getInstallmentDates', () => {
+    it('repeats the purchase day monthly without a statement cycle, clamped to short months', () => {
+        expect(getInstallmentDates('2026-01-31', 3)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+        expect(getInstallmentDates('2026-01-31', 2, { type: 'checking' })).toEqual(['2026-01-31', '2026-02-28']);
+    });
+
+    it('falls on the due date of each following statement', () => {
+        expect(getInstallmentDates('2026-01-10', 3, card(25, 31))).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    });
+});
+
+describe('splitInstallmentAmounts', () => {
+    it('gives the remainder cents to the first installment', () => {
+        expect(splitInstallmentAmounts(100, 3)).toEqual([33.34, 33.33, 33.33]);
+        expect(splitInstallmentAmounts(0.05, 2)).toEqual([0.03, 0.02]);
+    });
+
+    it('adds up to the total', () => {
+        const parts = splitInstallmentAmounts(1234.57, 12);
+        expect(Math.round(parts.reduce((sum, part) => sum + part, 0) * 100)).toBe(123457);
+    });
+});
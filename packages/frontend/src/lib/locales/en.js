@@ -0,0 +1,829 @@
+// English messages, grouped by the screen that shows them (see lib/i18n.jsx).
+// This catalog is the fallback, so every key must exist here.
+export default {
+    formats: {
+        date: 'MM/dd/yyyy',
+        shortDate: 'MM/dd'
+    },
+    common: {
+        cancel: 'Cancel',
+        close: 'Close',
+        save: 'Save',
+        saving: 'Saving…',
+        saveChanges: 'Save Changes',
+        back: 'Back',
+        edit: 'Edit',
+        delete: 'Delete',
+        add: 'Add',
+        expense: 'Expense',
+        credit: 'Credit',
+        uncategorized: 'Uncategorized',
+        days: { one: '{count} day', other: '{count} days' },
+        saveFailed: 'Could not save these settings. Check your connection and try again.'
+    },
+    categories: {
+        market: 'Market',
+        coffee: 'Coffee',
+        savings: 'Savings',
+        refunds: 'Refunds'
+    },
+    weekStrategies: {
+        quarters: { label: '7 + 7 + 7 + rest', description: 'Three 7-day weeks; the fourth takes the remaining days.' },
+        calendar: { label: 'Calendar weeks', description: 'Sunday to Saturday; the first and last weeks may be shorter.' },
+        iso: { label: 'ISO weeks', description: 'Monday to Sunday; the first and last weeks may be shorter.' },
+        equal: { label: 'Four equal weeks', description: 'Four weeks of nearly equal length.' },
+        'five-weeks': { label: 'Five weeks', description: 'Five weeks of nearly equal length.' }
+    },
+    errors: {
+        connection: 'Connection error',
+        connectionRetry: 'Connection error. Please try again.',
+        tooManyConflicts: 'Too many conflicting updates',
+        requestFailed: 'Request failed',
+        savePlanning: 'Failed to save monthly planning',
+        restoreBackup: 'Failed to restore backup',
+        saveRecurringRule: 'Failed to save recurring rule',
+        saveExchangeRates: 'Failed to save exchange rates',
+        saveAccount: 'Failed to save account',
+        saveTransfer: 'Failed to save transfer',
+        saveAttachment: 'Failed to upload receipt',
+        saveCategoryRule: 'Failed to save category rule',
+        saveGoal: 'Failed to save savings goal',
+        notLoggedIn: 'Not logged in'
+    },
+    conflicts: {
+        thisWeek: 'This week',
+        thisTransaction: 'This transaction',
+        plan: 'The {month}/{year} plan',
+        title: 'Changed on another device',
+        message: '{label} was changed on another device since you last loaded it. Which version should be kept?',
+        keepMine: 'Keep my version',
+        keepMineHint: 'Overwrites the other device\'s change.',
+        useTheirs: 'Use the other version',
+        useTheirsHint: 'Discards your change and loads the latest copy.',
+        deleted: 'Deleted',
+        transactions: { one: '{count} transaction', other: '{count} transactions' },
+        mine: 'Yours',
+        theirs: 'Other device',
+        confirm: '{label} was changed on another device.\n\nOK: keep your version and overwrite the other one.\nCancel: discard your change and load the latest version.'
+    },
+    sync: {
+        rejected: {
+            one: 'A change made offline was refused by the server and was not saved:',
+            other: '{count} changes made offline were refused by the server and were not saved:'
+        },
+        operations: {
+            saveWeek: 'Week',
+            deleteWeek: 'Week deletion',
+            addExpense: 'New transaction',
+            addExpenses: 'Imported transactions',
+            updateExpense: 'Transaction edit',
+            deleteExpense: 'Transaction deletion',
+            saveMonthlyPlanning: 'Monthly plan'
+        }
+    },
+    paydaySettings: {
+        title: 'Payday & Weeks',
+        types: {
+            'day-of-month': { title: 'Fixed day', description: 'Paid on the same day every month.' },
+            'last-business-day': { title: 'Last business day', description: 'Paid on the last weekday of the month.' }
+        },
+        dayOfMonth: 'Day of the month',
+        splitInto: 'Split the month into',
+        thisMonth: 'This month:',
+        weekRange: 'Week {number}: {start} – {end} ({days})',
+        proratedHint: "Weekly budgets are prorated by each week's length.",
+        refileHint: 'Existing transactions are moved into the matching weeks.'
+    },
+    currency: {
+        title: 'Currencies',
+        baseCurrency: 'Base currency',
+        baseCurrencyHint: 'Budgets and totals are shown in this currency. Transactions in other currencies are converted when you add them.',
+        confirmBaseChange: 'Show every amount in {currency}? Amounts already recorded are not converted.',
+        baseChangeFailed: 'Could not change the base currency. Check your connection and try again.',
+        exchangeRates: 'Exchange rates',
+        validFrom: 'Valid from',
+        fromCurrency: 'From currency',
+        toCurrency: 'To currency',
+        rate: 'Rate',
+        importCsv: 'Import rates from CSV',
+        importCsvHint: 'Columns: date, currency, rate (in {currency}) and optionally to',
+        csvMissingColumns: 'The file needs a header row with date, currency and rate columns.',
+        noRatesInFile: 'No valid rates found in the file.',
+        imported: { one: 'Imported {count} rate.', other: 'Imported {count} rates.' },
+        skippedRows: { one: '{count} invalid row was skipped.', other: '{count} invalid rows were skipped.' },
+        empty: 'No rates yet. Transactions in another currency will ask for the rate you paid.',
+        deleteRate: 'Delete {currency} rate from {date}'
+    },
+    recurring: {
+        title: 'Recurring Transactions',
+        editTitle: 'Edit Recurring',
+        newTitle: 'New Recurring',
+        newButton: 'New recurring transaction',
+        empty: 'Rent, subscriptions or salary: add them once and they are filed into the right week automatically.',
+        confirmDelete: 'Delete "{name}"? Transactions it already added are kept.',
+        paused: 'Paused',
+        endsOn: 'Ends {date}',
+        skippedHint: 'Skipped — tap to restore',
+        skipHint: 'Tap to skip this occurrence',
+        resume: 'Resume',
+        pause: 'Pause',
+        description: 'Description',
+        descriptionPlaceholder: 'e.g. Rent, Netflix, Salary',
+        amount: 'Amount ({currency})',
+        category: 'Category',
+        repeats: 'Repeats',
+        dayOfMonth: 'Day of the month',
+        firstOccurrence: 'First occurrence',
+        starts: 'Starts',
+        ends: 'Ends (optional)',
+        cadences: {
+            weekly: 'Every week',
+            monthly: 'Every financial month (on payday)',
+            'day-of-month': 'On a day of the month'
+        },
+        describe: {
+            weekly: 'Weekly on {weekday}',
+            monthly: 'Every financial month',
+            dayOfMonth: 'Monthly on day {day}'
+        }
+    },
+    dataExport: {
+        title: 'Export Data',
+        preparing: 'Preparing…',
+        offline: 'Export needs a connection. Try again when online.',
+        includeAttachments: 'Include receipts in the full backup (larger file)',
+        formats: {
+            json: { title: 'Full backup (JSON)', description: 'Everything you saved, decrypted. Can be restored later.' },
+            'transactions-csv': { title: 'Transactions (CSV)', description: 'One row per transaction, for spreadsheets.' },
+            'planning-csv': { title: 'Monthly planning (CSV)', description: 'Salary, income sources and category budgets for each month.' }
+        }
+    },
+    restoreBackup: {
+        title: 'Restore Backup',
+        chooseFile: 'Choose a backup file',
+        chooseFileHint: 'A JSON backup from Export Data',
+        modes: {
+            merge: { title: 'Merge', description: 'Add and update from the backup, keep everything else.' },
+            replace: { title: 'Replace', description: 'Make your data exactly match the backup.' }
+        },
+        checking: 'Checking backup…',
+        months: 'Months:',
+        weeks: 'Weeks:',
+        transactions: 'Transactions:',
+        categories: 'Categories:',
+        sections: {
+            accounts: 'Accounts:',
+            transfers: 'Transfers:',
+            recurringRules: 'Recurring rules:',
+            categoryRules: 'Category rules:',
+            goals: 'Savings goals:',
+            exchangeRates: 'Exchange rates:',
+            attachments: 'Receipts:'
+        },
+        added: '{count} added',
+        updated: '{count} updated',
+        removed: '{count} removed',
+        noChanges: 'no changes',
+        offline: 'Restoring needs a connection. Try again when online.',
+        invalidFile: 'This file is not a valid JSON backup.',
+        confirmReplace: 'Replace all your data with this backup? Data not in the backup will be deleted.',
+        restore: 'Restore',
+        partiallyApplied: 'Your data changed elsewhere while restoring, so the restore stopped after these parts. Restore again to finish:',
+        applied: 'restored'
+    },
+    expenseList: {
+        empty: 'No records found in databanks.',
+        edit: 'Edit expense',
+        delete: 'Delete expense',
+        filterByTag: 'Show only this tag',
+        tagTotal: { one: '{count} transaction · {amount}', other: '{count} transactions · {amount}' },
+        clearTag: 'Show all',
+        viewReceipt: 'View receipt'
+    },
+    guide: {
+        subtitle: 'User Guide',
+        start: {
+            title: 'Getting Started',
+            text: 'Create an account with your email and a password. You will receive a **Recovery Key** during registration.',
+            tipTitle: 'CRITICAL',
+            tip: 'Save your **Recovery Key** in a safe place! It is the ONLY way to recover your account if you forget your password.'
+        },
+        dashboard: {
+            title: 'Dashboard',
+            text: 'Your home screen shows everything at a glance:',
+            features: {
+                balance: { title: 'Weekly Balance', text: 'How much of your weekly budget is left. Green = on track, red = over.' },
+                goals: { title: 'Weekly Goals', text: 'Bar chart comparing spending vs budget for each week. Badge shows monthly % remaining.' },
+                momentum: { title: 'Financial Momentum & Runway', text: 'See how your wealth is growing or how long your savings will last at your current burn rate.' },
+                categories: { title: 'Categories', text: 'Donut chart showing where your money goes — top 5 categories.' }
+            }
+        },
+        adding: {
+            title: 'Adding Expenses',
+            text: 'Tap **"➕ Add Expense"** from the Dashboard or Week History.',
+            steps: {
+                1: 'Choose **Expense** (money out) or **Credit** (money in)',
+                2: 'Enter a **description** and **amount**',
+                3: 'Pick a **category** from your Monthly Planning',
+                4: 'Select the **date** — auto-assigns to the correct week',
+                5: 'Optionally **split into installments** across weeks',
+                6: 'Tap **Add**!'
+            },
+            tipTitle: 'Splitting',
+            tip: 'Big purchase? Split it across the remaining weeks of the month. The app creates entries like "Laptop (1/3)", "Laptop (2/3)", etc.'
+        },
+        history: {
+            title: 'Week History',
+            text: 'Tap **"📊 History"** to browse your weekly expense cards:',
+            items: {
+                1: '**Swipe** left/right between the weeks of the month',
+                2: 'Use **month/year selectors** to navigate',
+                3: 'Each card lists expenses with category, name, and amount',
+                4: '**Credits** appear in green with a "+" sign',
+                5: 'Tap **"Current Week"** to jump back'
+            }
+        },
+        planning: {
+            title: 'Monthly Planning',
+            text: 'Tap **"📅 Plan"** to set up your monthly budget:',
+            credit: 'Credit',
+            spend: 'Spend',
+            steps: {
+                1: 'Add your **income sources** for the month',
+                2: 'Add **categories** with name, type, and budget',
+                3: 'Choose type: {credit} or {spend}',
+                4: 'Set **frequency**: weekly or monthly',
+                5: 'Tap **Save**'
+            },
+            tipTitle: 'How Categories Work',
+            creditTip: 'The amount is deducted from your **Global Monthly Balance** (used for planning), but it is **NOT** automatically recorded as an expense. It creates a "Credit Account" (like Market or Uber) for you to spend from throughout the month.',
+            spendTip: 'The amount is immediately considered "spent" or "saved" (like a fixed bill, debt payment, or money put into Savings). It is deducted both from the Global Balance and instantly affects your actual cash flow.'
+        },
+        security: {
+            title: 'Recovery Key & Security',
+            resetTitle: 'Resetting Your Password',
+            resetText: 'Forgot your password? You will need your Recovery Key to regain access:',
+            resetSteps: {
+                1: 'On the **Login page**, tap **"Forgot Password?"**',
+                2: 'Enter your **Email** and your **Recovery Key** (e.g., pw-rec-...)',
+                3: 'Tap **"Recover Account"**',
+                4: 'You will be prompted to create a **new password**',
+                5: 'Tap **"Reset Password"** — done! You can now log in with your new password'
+            },
+            lostTitle: 'Lost your Recovery Key?',
+            lostText: 'If you lose your Recovery Key and forget your password, your account cannot be restored under any circumstances. Keep it safe!',
+            secureTitle: 'Your Data is Secure',
+            encryptionTitle: 'End-to-End Encryption',
+            encryptionItems: {
+                1: 'All your financial data is encrypted with **AES-256-GCM** — military-grade encryption',
+                2: 'Each user has a **unique encryption key (DEK)** tied to your password',
+                3: 'Data is stored encrypted on **Cloudflare R2** — fast & globally distributed',
+                4: '**Nobody** can read your data — not even the server or the developer',
+                5: 'Your password is **never stored** in plain text — only a secure hash'
+            }
+        },
+        reference: {
+            title: 'Quick Reference',
+            items: {
+                balance: { title: 'Balance', text: 'Open app → Dashboard' },
+                add: { title: 'Add', text: 'Dashboard → "Add Expense"' },
+                plan: { title: 'Plan', text: '"Plan" → incomes + categories' },
+                trends: { title: 'Trends', text: 'Scroll → toggle weekly/monthly' },
+                split: { title: 'Split', text: 'Add Expense → installments' },
+                savings: { title: 'Savings', text: '"Savings" category tracks deposits' },
+                reset: { title: 'Reset', text: '"Forgot Password" → Recovery Key' },
+                runway: { title: 'Runway', text: 'Tap explosion icon on Dashboard!' }
+            }
+        }
+    },
+    auth: {
+        subtitles: {
+            login: 'Welcome back! Sign in to your account.',
+            register: 'Create your secure account.',
+            forgot: 'Recover your account using your Recovery Key.',
+            recoveryKey: 'CRITICAL: Save your Recovery Key',
+            linkTelegram: 'Link your Telegram to easily receive your key.',
+            reset: 'Create a new password for your account.'
+        },
+        buttons: {
+            login: 'Sign In',
+            register: 'Create Account',
+            forgot: 'Recover Account',
+            verifyCode: 'Verify Code',
+            reset: 'Reset Password',
+            submit: 'Submit'
+        },
+        email: 'Email',
+        emailPlaceholder: 'you@example.com',
+        password: 'Password',
+        confirmPassword: 'Confirm Password',
+        recoveryKey: 'Recovery Key',
+        newPassword: 'New Password',
+        confirmNewPassword: 'Confirm New Password',
+        passwordsDontMatch: 'Passwords do not match',
+        fillAllFields: 'Please fill all fields',
+        passwordReset: 'Password reset! You can now sign in.',
+        resetFailed: 'Failed to reset password',
+        unexpectedError: 'An unexpected error occurred',
+        saveKeyTitle: 'CRITICAL: Save this Recovery Key',
+        saveKeyText: 'If you lose your password AND this key, your data cannot be recovered by anyone. We do NOT store this key.',
+        copied: 'Copied!',
+        copy: 'Copy to Clipboard',
+        confirmSaved: 'Are you absolutely sure you saved your Recovery Key? Without it, you cannot reset your password.',
+        savedContinue: 'I have securely saved it, continue',
+        forgotPassword: 'Forgot password?',
+        noAccount: "Don't have an account?",
+        signUp: 'Sign Up',
+        haveAccount: 'Already have an account?',
+        signIn: 'Sign In',
+        rememberPassword: 'Remember your password?',
+        backToSignIn: 'Back to Sign In',
+        securityBadge: 'AES-256-GCM Encrypted • scrypt Hashed'
+    },
+    weekCard: {
+        confirmDelete: 'Are you sure you want to delete this expense?',
+        savedThisMonth: 'Saved this month',
+        totalSaved: 'Total saved',
+        weeklyBudget: 'Weekly Budget',
+        weeklyEqBudget: 'Weekly Eq. Budget',
+        remaining: 'Remaining',
+        weekOf: 'Week {number}/{total}',
+        status: {
+            upcoming: 'UPCOMING',
+            active: 'ACTIVE',
+            completed: 'COMPLETED',
+            unknown: 'UNKNOWN'
+        },
+        latest: 'Latest',
+        editTabs: 'Edit View Tabs',
+        selectTabs: 'Select 3 Tabs',
+        tooManyTabs: 'You can only select up to 3 categories.'
+    },
+    weekCarousel: {
+        empty: 'No weeks found for this month.',
+        createFirst: 'Create First Week'
+    },
+    importWizard: {
+        title: 'Import Statement',
+        steps: {
+            file: 'File',
+            map: 'Columns',
+            preview: 'Preview'
+        },
+        chooseFile: 'Choose a bank statement',
+        chooseFileHint: 'CSV (comma or semicolon separated) or OFX/QFX from your bank or card',
+        noTransactions: 'No transactions found in this statement.',
+        noRows: 'This file has no rows.',
+        unreadable: 'Could not read this file.',
+        rows: { one: '{count} row', other: '{count} rows' },
+        hasHeader: 'First row is a header',
+        column: 'Column {number}',
+        namedColumn: '{name} (col {number})',
+        selectColumn: 'Select column',
+        date: 'Date',
+        dateFormat: 'Date format',
+        description: 'Description',
+        amount: 'Amount',
+        numberFormat: 'Number format',
+        sign: 'Sign',
+        signColumn: 'Debit/credit column',
+        signModes: {
+            'negative-expense': 'Negative amounts are expenses',
+            'positive-expense': 'Positive amounts are expenses',
+            column: 'Use a debit/credit column'
+        },
+        toImport: '{count} to import',
+        duplicates: '{count} already imported',
+        invalid: '{count} skipped (invalid)',
+        alreadyImported: 'Already imported',
+        category: 'Category for imported rows',
+        fallbackCategory: 'Category for rows no rule matches',
+        preview: 'Preview',
+        import: 'Import {count}',
+        rejected: { one: 'The server refused {count} row. Fix or untick it and import again.', other: 'The server refused {count} rows. Fix or untick them and import again.' },
+        rowErrors: {
+            invalidDate: 'Invalid date',
+            invalidAmount: 'Invalid amount',
+            zeroAmount: 'Zero amount',
+            missingDescription: 'Missing description'
+        }
+    },
+    addExpense: {
+        addTitle: 'Add Transaction',
+        editTitle: 'Edit Transaction',
+        refund: 'Refund',
+        description: 'Description',
+        descriptionPlaceholder: 'e.g. Lightsaber Fuel',
+        split: 'Split expense',
+        splitOver: 'Over',
+        splitWeeks: 'weeks',
+        installments: 'Pay in monthly installments',
+        installmentsMonthly: 'monthly installments',
+        installmentsPreview: '{count} × {amount}, first one on {date}',
+        tags: 'Tags',
+        tagsPlaceholder: '#trip-rio, #work-reimbursable',
+        removeTag: 'Remove {tag}',
+        notes: 'Notes',
+        notesPlaceholder: 'Optional details',
+        receipt: 'Receipt',
+        attachReceipt: 'Attach a photo or PDF',
+        removeReceipt: 'Remove',
+        receiptHint: 'JPEG, PNG, WebP, HEIC or PDF up to {size}. Stored encrypted.',
+        ruleApplied: '🪄 Category set by a rule',
+        ruleTagsOnly: '🪄 A rule adds',
+        learnRule: 'Always categorize "{pattern}" as {category}',
+        receiptTooLarge: 'The receipt must be at most {size}.',
+        receiptType: 'Receipts must be an image (JPEG, PNG, WebP, HEIC) or a PDF.',
+        amount: 'Amount ({currency})',
+        currency: 'Currency',
+        exchangeRate: 'Exchange rate',
+        noStoredRate: 'No stored rate for this date; enter the rate you paid.',
+        category: 'Category',
+        selectCategory: 'Select Category',
+        categoryRequired: 'Select a category before saving.',
+        applyCreditTo: 'Apply credit to',
+        noTargets: 'No categories available yet',
+        selectTarget: 'Select target category',
+        noTargetsHint: 'Create a budget category before logging refunds.',
+        refundHint: 'Adds a credit to the selected category plus tracks the refund under Refunds.',
+        date: 'Date'
+    },
+    planning: {
+        title: 'Monthly Plannings',
+        createNext: 'Create Next Monthly Plan',
+        loading: 'Loading plans...',
+        empty: 'No Monthly Plannings yet',
+        editPlan: 'Edit Plan',
+        categoryBudgets: 'Category Budgets',
+        categoryName: 'Category name',
+        parentCategory: 'Parent category',
+        noParent: 'Top-level category',
+        under: 'Under {name}',
+        withSubcategories: 'With subcategories',
+        rollover: 'Rollover to next month',
+        rolloverCap: 'Carry at most',
+        rolledOver: 'From last month:',
+        rolloverPolicies: {
+            none: 'No rollover',
+            surplus: 'Roll over what is left',
+            deficit: 'Roll over overspending',
+            both: 'Roll over both',
+            capped: 'Roll over what is left, up to a cap'
+        },
+        incomes: {
+            title: 'Income sources',
+            empty: 'No income planned for this month yet.',
+            source: 'Source (e.g. Salary, Client A, Bonus)',
+            amount: 'Expected amount',
+            date: 'Expected date',
+            received: 'Received',
+            add: 'Add income',
+            salary: 'Salary',
+            income: 'income',
+            incomeNumber: 'Income {number}',
+            receivedTotal: 'Received so far',
+            status: {
+                matched: 'Received: {name}, {date} ({amount})',
+                received: 'Marked as received',
+                late: 'Expected date passed, no matching credit yet',
+                pending: 'Waiting for a matching credit'
+            }
+        },
+        envelopes: {
+            zeroBased: 'Zero-based budgeting: give every unit of salary an envelope',
+            unassigned: 'Left to assign',
+            overAssigned: 'Assigned beyond salary',
+            goals: 'Goal envelopes',
+            moveMoney: 'Move money between envelopes',
+            from: 'From…',
+            to: 'To…',
+            amount: 'Amount',
+            note: 'Why? (optional)',
+            move: 'Move',
+            moveInvalid: 'That envelope does not hold this much.',
+            log: 'Moves this month',
+            logEntry: '{amount} from {from} to {to}',
+            removedGoal: 'removed goal'
+        },
+        category: 'category',
+        categoryNumber: 'Category {number}',
+        confirmDeleteCategory: 'Are you sure you want to delete this category?',
+        credit: 'Credit',
+        spend: 'Spend',
+        monthly: 'Monthly',
+        weekly: 'Weekly',
+        budget: 'Budget',
+        spent: 'Spent:',
+        remaining: 'Remaining:',
+        transactions: 'Transactions',
+        noTransactions: 'No transactions',
+        remove: 'Remove',
+        newCategory: 'New Category',
+        addCategory: 'Add Category',
+        available: 'Expected income',
+        totalSpent: 'Total Spent (Calculated)',
+        remainingBalance: 'Remaining Monthly Balance',
+        save: 'Save Monthly Plan'
+    },
+    dashboard: {
+        menu: 'Menu',
+        greeting: 'Hi, {name}!',
+        friend: 'Friend',
+        healthCheck: 'Financial Health Check',
+        sync: {
+            syncing: 'Syncing…',
+            offline: 'Offline',
+            offlinePending: 'Offline · {count} pending',
+            pending: '{count} pending',
+            synced: 'Synced'
+        },
+        momentum: 'Financial Momentum',
+        howCalculated: 'How is this calculated?',
+        openMomentumInfo: 'Open Financial Momentum explanation',
+        openStrictInfo: 'Open Strict Runway explanation',
+        saveProjection: 'Save projection months',
+        editProjection: 'Edit projection months',
+        projectionInputTitle: 'Contract length / Projection months',
+        wealthGrowing: 'Wealth growing by {amount}/mo',
+        projectionFor: 'Projection for',
+        months: 'months',
+        perMonth: '{amount}/mo',
+        month: 'Dashboard month',
+        weeklyBalance: 'Weekly Balance',
+        leftToSpend: 'Left to spend',
+        monthlySpend: 'Monthly Spend',
+        ofBudget: 'Of {amount}',
+        unassigned: 'Unassigned',
+        leftToAssign: 'Salary still to give an envelope',
+        allAssigned: 'Every unit of salary has an envelope',
+        overAssigned: 'Envelopes hold more than the salary',
+        budgetProgress: 'Budget Progress',
+        thisWeek: 'This Week',
+        thisMonth: 'This Month',
+        overLimit: 'Categories Over Limit',
+        plannedSpent: 'Planned {planned} • Spent {spent}',
+        recentTransactions: 'Recent Transactions',
+        seeAll: 'See All',
+        noTransactions: 'No transactions yet.',
+        whereItGoes: 'Where it goes',
+        noExpensesMonth: 'No expenses this month',
+        today: 'Today',
+        yesterday: 'Yesterday',
+        runway: {
+            calculating: 'Calculating...',
+            error: 'Error',
+            checkConnection: 'Check connection',
+            noData: 'No data yet. Start tracking!',
+            safe: '∞ Safe',
+            noWealth: 'No current wealth. Watch your spending!',
+            noExpenses: 'No expenses recorded yet',
+            months: { one: '{value} Month', other: '{value} Months' },
+            years: '{value} Years',
+            burnZeroIncome: 'If zero income, burning {amount}/mo',
+            burnIncludingIncome: 'Including income, burning {amount}/mo',
+            burn: 'Burning {amount}/mo',
+            positiveMomentum: 'Positive monthly momentum',
+            negativeMomentum: 'Negative monthly momentum',
+            noMomentum: 'No monthly momentum'
+        },
+        worstCase: {
+            show: 'Show Worst Case Scenario',
+            escape: 'ESCAPE THE APOCALYPSE',
+            title: 'WORST CASE SCENARIO',
+            label: 'Strict Runway Survival',
+            safe: "🛡️ You'll cruise through the apocalypse! Your emergency fund is solid enough to weather any storm.",
+            tight: "⚠️ You'll survive, but it'll be tight. The apocalypse will test your limits — start stacking supplies!",
+            zombie: "🧟 You're about to join the zombie horde! Without more reserves, survival is not guaranteed...",
+            daysLeft: '⏳ ~{days} left at avg spend'
+        },
+        mathInfo: 'Math Info 🧮',
+        backToExplanation: '↩ Back to explanation',
+        strictInfo: {
+            title: "How 'Runway' Works ⏳",
+            mathTitle: 'Runway: The Math 🧮',
+            intro: 'The **Strict Runway** is a worst-case stress-test: how long could you survive if all income stopped today?',
+            netWorthTitle: '1. Global Net Worth',
+            netWorthText: 'We calculate your total real wealth by adding: the **Remaining Monthly Balance** of all your added months + your total **Savings**.',
+            burnTitle: '2. Monthly Burn Rate',
+            burnText: "We take the **Income Received** in the latest Monthly Plan and subtract the **Current Remaining Monthly Balance** (Income received - All budgets). If no plan exists, we estimate by multiplying your **current week's spending × 4**.",
+            resultTitle: '3. The Result',
+            resultText: 'We divide your **Net Worth** by your **Monthly Burn** — assuming zero future income. This tells you exactly how many months you could survive.',
+            resultLegend: '≥ 3 months = **Safe 🟢** · under 3 months = **Danger 🔴**. If under 90 days, a countdown badge appears.',
+            cashPile: 'Total Cash Pile (Net Worth)',
+            remainingBalances: '+ Remaining Monthly Balances:',
+            totalSavings: '+ Total Savings:',
+            netWorthResult: '= Net Worth:',
+            calculation: 'Runway Calculation',
+            netWorth: 'Net Worth:',
+            monthlyBurn: '÷ Monthly Burn:',
+            runwayResult: '= Runway:'
+        },
+        momentumInfo: {
+            title: "How 'Financial Momentum' Works 🚀",
+            mathTitle: 'Financial Momentum: The Math 🧮',
+            intro: 'The **Financial Momentum** card shows the monthly balance generated by your latest manual plan.',
+            baseTitle: '1. Base Month',
+            baseText: 'We read your most recent month with **source: manual**. Propagated months are ignored so the card reflects the month you actually planned.',
+            flowTitle: '2. Net Monthly Flow',
+            flowText: 'We subtract your **Total Budget** from the **Income Received** that month: credits matched to its income sources plus the entries marked as received. Weekly categories are converted to their monthly equivalent before the total is calculated.',
+            readingTitle: '3. Reading the Result',
+            readingText: 'If the result is positive, the card shows how much you are adding per month. If it is negative, the card shows your monthly deficit. The amount is always displayed per month in your **base currency ({currency})**.',
+            projectionTitle: '4. Projection Block',
+            projectionText: 'The projection underneath uses that same monthly flow together with your current net worth, so positive flow grows the projection and negative flow reduces it.',
+            netFlowTitle: 'Net Monthly Flow',
+            salary: '+ Income Received:',
+            totalBudget: '- Total Budget:',
+            netFlow: '= Net Flow:',
+            futureTitle: 'Future Projection Formula',
+            deficitTitle: 'Deficit Projection',
+            currentNetWorth: 'Current Net Worth:',
+            netWorth: 'Net Worth:',
+            flowTimesMonths: '+ (Net Flow × Months):',
+            futureWealth: '= Future Wealth:'
+        },
+        avatarZoomed: 'Avatar Zoomed'
+    },
+    app: {
+        initializing: 'INITIALIZING HYPERDRIVE...',
+        loadingData: 'LOADING YOUR DATA...',
+        installManual: 'To install Weekly Wallet, tap the Share button in Safari and choose "Add to Home Screen".',
+        menu: {
+            changePassword: 'Change Password',
+            search: 'Search transactions',
+            accounts: 'Accounts',
+            categoryRules: 'Auto-categorization',
+            goals: 'Savings goals',
+            importStatement: 'Import Statement',
+            exportData: 'Export Data',
+            restoreBackup: 'Restore Backup',
+            payday: 'Payday & Weeks',
+            currencies: 'Currencies',
+            language: 'Language: {language}',
+            help: 'Help',
+            editAvatar: 'Edit Avatar',
+            installApp: 'Install App',
+            logout: 'Logout'
+        },
+        selectAvatar: 'Select Avatar',
+        avatarAlt: 'Avatar {number}',
+        history: 'History',
+        currentWeek: 'Current Week',
+        changePassword: {
+            currentPassword: 'Current Password',
+            recoveryKeyHint: 'Required to prove ownership mathematically.',
+            mismatch: 'New passwords do not match',
+            recoveryKeyRequired: 'Recovery Key is required to verify ownership',
+            success: 'Password changed successfully!',
+            failed: 'Failed to change password'
+        },
+        quickActions: {
+            label: 'Primary navigation',
+            dashboard: 'Dashboard',
+            week: 'Week',
+            plan: 'Plan',
+            addExpense: 'Add Expense'
+        }
+    },
+    accounts: {
+        title: 'Accounts',
+        newAccount: 'New Account',
+        editAccount: 'Edit Account',
+        newTransfer: 'New Transfer',
+        editTransfer: 'Edit Transfer',
+        addAccount: 'Add account',
+        addTransfer: 'Transfer between accounts',
+        empty: 'No accounts yet. Add your checking account, credit card or cash wallet to see real balances.',
+        transfers: 'Transfers',
+        noTransfers: 'No transfers yet.',
+        total: 'Total across accounts',
+        archived: 'Archived',
+        archive: 'Archive',
+        unarchive: 'Restore',
+        name: 'Name',
+        namePlaceholder: 'e.g. Nubank, Wallet',
+        type: 'Type',
+        types: {
+            checking: 'Checking',
+            'credit-card': 'Credit card',
+            cash: 'Cash',
+            savings: 'Savings'
+        },
+        openingBalance: 'Opening balance ({currency})',
+        openingBalanceHint: 'What the account held before your first transaction here. Use a negative amount for a card that already has a bill.',
+        from: 'From',
+        to: 'To',
+        amount: 'Amount ({currency})',
+        date: 'Date',
+        note: 'Note',
+        notePlaceholder: 'Optional',
+        sameAccount: 'Pick two different accounts.',
+        needTwoAccounts: 'Add at least two accounts to move money between them.',
+        transferLine: '{from} → {to}',
+        confirmDeleteAccount: 'Delete "{name}"? Its transfers are deleted too; transactions paid from it become unassigned.',
+        confirmDeleteTransfer: 'Delete this transfer?',
+        account: 'Account',
+        noAccount: 'No account',
+        dashboardTitle: 'Accounts',
+        manage: 'Manage',
+        reconcile: 'Total Cash Pile {cashPile} · difference {difference}',
+        closingDay: 'Statement closes on day',
+        dueDay: 'Bill due on day',
+        cycleHint: 'Optional. Installments bought with this card land on the due dates of its statements.',
+        cycleLine: 'closes {closing} · due {due}'
+    },
+    installments: {
+        title: 'Committed installments',
+        count: { one: '{count} installment', other: '{count} installments' },
+        total: { one: 'Total over {count} month', other: 'Total over {count} months' },
+        committedRow: '− Committed installments',
+        projectionNote: 'Includes {amount} of installments already committed'
+    },
+    tags: {
+        title: 'Tags',
+        transactions: { one: '{count} transaction', other: '{count} transactions' },
+        categories: { one: '{count} category', other: '{count} categories' }
+    },
+    search: {
+        title: 'Search',
+        placeholder: 'Description, notes, category or #tag',
+        type: 'Type',
+        category: 'Category',
+        tag: 'Tag',
+        any: 'Any',
+        minAmount: 'Min amount',
+        maxAmount: 'Max amount',
+        from: 'From',
+        to: 'To',
+        hint: 'Search every month at once by text, amount, date, category, type or tag.',
+        results: { one: '{count} transaction', other: '{count} transactions' },
+        noResults: 'No transactions match these filters.',
+        truncated: 'Showing the {count} most recent. Narrow the filters to see the rest.',
+        clear: 'Clear filters',
+        edit: 'Edit transaction',
+        openWeek: 'Open week'
+    },
+    attachments: {
+        loading: 'Decrypting receipt…',
+        download: 'Download'
+    },
+    categoryRules: {
+        title: 'Auto-categorization rules',
+        editTitle: 'Edit rule',
+        newTitle: 'New rule',
+        newButton: 'New rule',
+        empty: 'Rules pick the category and tags of new and imported transactions for you, e.g. everything containing "uber" goes to Transport.',
+        orderHint: 'Rules are checked from top to bottom; the first one that matches is used.',
+        confirmDelete: 'Delete this rule? Transactions it already categorized are kept as they are.',
+        unknownAccount: 'removed account',
+        when: 'When a transaction…',
+        then: 'then…',
+        description: 'Description',
+        patternPlaceholder: 'e.g. uber, netflix',
+        invalidRegex: 'This is not a valid regular expression.',
+        minAmount: 'Amount at least ({currency})',
+        maxAmount: 'Amount at most ({currency})',
+        account: 'Account',
+        anyAccount: 'Any account',
+        category: 'Set category',
+        keepCategory: 'Keep the chosen category',
+        tags: 'Add tags',
+        matchCount: { one: 'Matches {count} existing transaction', other: 'Matches {count} existing transactions' },
+        matches: {
+            contains: 'contains',
+            regex: 'matches regex'
+        },
+        describe: {
+            contains: 'contains "{pattern}"',
+            regex: 'matches /{pattern}/',
+            minAmount: '≥ {amount}',
+            maxAmount: '≤ {amount}',
+            account: 'on {name}'
+        }
+    },
+    goals: {
+        title: 'Savings goals',
+        editTitle: 'Edit goal',
+        newTitle: 'New goal',
+        newButton: 'New goal',
+        empty: 'Set a target, an optional deadline and the category you save into, and follow how close you are on the Dashboard.',
+        confirmDelete: 'Delete the goal "{name}"? Its transactions are kept.',
+        name: 'Name',
+        namePlaceholder: 'e.g. Emergency fund, Trip to Japan',
+        targetAmount: 'Target ({currency})',
+        startingAmount: 'Already saved ({currency})',
+        deadline: 'Deadline (optional)',
+        category: 'Linked category',
+        categoryHint: 'Credits in this category (and its subcategories) add to the goal; expenses in it take from it.',
+        noCategory: 'No linked category',
+        savedOf: '{saved} of {target}',
+        by: 'by {date}',
+        dashboardTitle: 'Savings Goals',
+        manage: 'Manage',
+        requiredMonthly: '{amount}/month to make the deadline',
+        projected: 'Reached by {month} at the current pace',
+        offPace: 'Not getting closer at the current pace',
+        noCategoryPace: 'Link a category to project a date',
+        reached: 'Goal reached 🎉',
+        overdue: 'Deadline passed, {amount} to go'
+    }
+};
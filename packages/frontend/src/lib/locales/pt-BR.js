@@ -0,0 +1,829 @@
+// Mensagens em português do Brasil, agrupadas pela tela que as mostra
+// (veja lib/i18n.jsx). Chaves ausentes caem para o inglês.
+export default {
+    formats: {
+        date: 'dd/MM/yyyy',
+        shortDate: 'dd/MM'
+    },
+    common: {
+        cancel: 'Cancelar',
+        close: 'Fechar',
+        save: 'Salvar',
+        saving: 'Salvando…',
+        saveChanges: 'Salvar alterações',
+        back: 'Voltar',
+        edit: 'Editar',
+        delete: 'Excluir',
+        add: 'Adicionar',
+        expense: 'Despesa',
+        credit: 'Crédito',
+        uncategorized: 'Sem categoria',
+        days: { one: '{count} dia', other: '{count} dias' },
+        saveFailed: 'Não foi possível salvar estas configurações. Verifique sua conexão e tente novamente.'
+    },
+    categories: {
+        market: 'Mercado',
+        coffee: 'Café',
+        savings: 'Poupança',
+        refunds: 'Reembolsos'
+    },
+    weekStrategies: {
+        quarters: { label: '7 + 7 + 7 + resto', description: 'Três semanas de 7 dias; a quarta fica com os dias restantes.' },
+        calendar: { label: 'Semanas do calendário', description: 'De domingo a sábado; a primeira e a última semana podem ser mais curtas.' },
+        iso: { label: 'Semanas ISO', description: 'De segunda a domingo; a primeira e a última semana podem ser mais curtas.' },
+        equal: { label: 'Quatro semanas iguais', description: 'Quatro semanas de tamanho quase igual.' },
+        'five-weeks': { label: 'Cinco semanas', description: 'Cinco semanas de tamanho quase igual.' }
+    },
+    errors: {
+        connection: 'Erro de conexão',
+        connectionRetry: 'Erro de conexão. Tente novamente.',
+        tooManyConflicts: 'Muitas atualizações em conflito',
+        requestFailed: 'Falha na requisição',
+        savePlanning: 'Falha ao salvar o planejamento mensal',
+        restoreBackup: 'Falha ao restaurar o backup',
+        saveRecurringRule: 'Falha ao salvar a recorrência',
+        saveExchangeRates: 'Falha ao salvar as cotações',
+        saveAccount: 'Falha ao salvar a conta',
+        saveTransfer: 'Falha ao salvar a transferência',
+        saveAttachment: 'Falha ao enviar o comprovante',
+        saveCategoryRule: 'Falha ao salvar a regra de categoria',
+        saveGoal: 'Falha ao salvar a meta de economia',
+        notLoggedIn: 'Sessão não iniciada'
+    },
+    conflicts: {
+        thisWeek: 'Esta semana',
+        thisTransaction: 'Esta transação',
+        plan: 'O plano de {month}/{year}',
+        title: 'Alterado em outro dispositivo',
+        message: '{label} foi alterado em outro dispositivo desde a última vez que você carregou. Qual versão deve ser mantida?',
+        keepMine: 'Manter a minha versão',
+        keepMineHint: 'Sobrescreve a alteração do outro dispositivo.',
+        useTheirs: 'Usar a outra versão',
+        useTheirsHint: 'Descarta a sua alteração e carrega a cópia mais recente.',
+        deleted: 'Excluído',
+        transactions: { one: '{count} transação', other: '{count} transações' },
+        mine: 'Sua',
+        theirs: 'Outro dispositivo',
+        confirm: '{label} foi alterado em outro dispositivo.\n\nOK: manter a sua versão e sobrescrever a outra.\nCancelar: descartar a sua alteração e carregar a versão mais recente.'
+    },
+    sync: {
+        rejected: {
+            one: 'Uma alteração feita offline foi recusada pelo servidor e não foi salva:',
+            other: '{count} alterações feitas offline foram recusadas pelo servidor e não foram salvas:'
+        },
+        operations: {
+            saveWeek: 'Semana',
+            deleteWeek: 'Exclusão de semana',
+            addExpense: 'Nova transação',
+            addExpenses: 'Transações importadas',
+            updateExpense: 'Edição de transação',
+            deleteExpense: 'Exclusão de transação',
+            saveMonthlyPlanning: 'Plano mensal'
+        }
+    },
+    paydaySettings: {
+        title: 'Pagamento e semanas',
+        types: {
+            'day-of-month': { title: 'Dia fixo', description: 'Recebe no mesmo dia todo mês.' },
+            'last-business-day': { title: 'Último dia útil', description: 'Recebe no último dia útil do mês.' }
+        },
+        dayOfMonth: 'Dia do mês',
+        splitInto: 'Dividir o mês em',
+        thisMonth: 'Este mês:',
+        weekRange: 'Semana {number}: {start} – {end} ({days})',
+        proratedHint: 'Os orçamentos semanais são proporcionais à duração de cada semana.',
+        refileHint: 'As transações existentes são movidas para as semanas correspondentes.'
+    },
+    currency: {
+        title: 'Moedas',
+        baseCurrency: 'Moeda principal',
+        baseCurrencyHint: 'Orçamentos e totais são exibidos nesta moeda. Transações em outras moedas são convertidas ao serem adicionadas.',
+        confirmBaseChange: 'Exibir todos os valores em {currency}? Os valores já registrados não são convertidos.',
+        baseChangeFailed: 'Não foi possível alterar a moeda principal. Verifique sua conexão e tente novamente.',
+        exchangeRates: 'Cotações',
+        validFrom: 'Válida a partir de',
+        fromCurrency: 'Moeda de origem',
+        toCurrency: 'Moeda de destino',
+        rate: 'Cotação',
+        importCsv: 'Importar cotações de CSV',
+        importCsvHint: 'Colunas: data, moeda, cotação (em {currency}) e, opcionalmente, destino',
+        csvMissingColumns: 'O arquivo precisa de uma linha de cabeçalho com as colunas data, moeda e cotação.',
+        noRatesInFile: 'Nenhuma cotação válida encontrada no arquivo.',
+        imported: { one: '{count} cotação importada.', other: '{count} cotações importadas.' },
+        skippedRows: { one: '{count} linha inválida foi ignorada.', other: '{count} linhas inválidas foram ignoradas.' },
+        empty: 'Nenhuma cotação ainda. Transações em outra moeda pedirão a cotação que você pagou.',
+        deleteRate: 'Excluir cotação de {currency} de {date}'
+    },
+    recurring: {
+        title: 'Transações recorrentes',
+        editTitle: 'Editar recorrência',
+        newTitle: 'Nova recorrência',
+        newButton: 'Nova transação recorrente',
+        empty: 'Aluguel, assinaturas ou salário: adicione uma vez e eles entram na semana certa automaticamente.',
+        confirmDelete: 'Excluir "{name}"? As transações que ela já adicionou são mantidas.',
+        paused: 'Pausada',
+        endsOn: 'Termina em {date}',
+        skippedHint: 'Pulada — toque para restaurar',
+        skipHint: 'Toque para pular esta ocorrência',
+        resume: 'Retomar',
+        pause: 'Pausar',
+        description: 'Descrição',
+        descriptionPlaceholder: 'ex.: Aluguel, Netflix, Salário',
+        amount: 'Valor ({currency})',
+        category: 'Categoria',
+        repeats: 'Repete',
+        dayOfMonth: 'Dia do mês',
+        firstOccurrence: 'Primeira ocorrência',
+        starts: 'Começa em',
+        ends: 'Termina em (opcional)',
+        cadences: {
+            weekly: 'Toda semana',
+            monthly: 'Todo mês financeiro (no dia do pagamento)',
+            'day-of-month': 'Em um dia do mês'
+        },
+        describe: {
+            weekly: 'Semanal ({weekday})',
+            monthly: 'Todo mês financeiro',
+            dayOfMonth: 'Mensal no dia {day}'
+        }
+    },
+    dataExport: {
+        title: 'Exportar dados',
+        preparing: 'Preparando…',
+        offline: 'A exportação precisa de conexão. Tente novamente quando estiver online.',
+        includeAttachments: 'Incluir comprovantes no backup completo (arquivo maior)',
+        formats: {
+            json: { title: 'Backup completo (JSON)', description: 'Tudo o que você salvou, descriptografado. Pode ser restaurado depois.' },
+            'transactions-csv': { title: 'Transações (CSV)', description: 'Uma linha por transação, para planilhas.' },
+            'planning-csv': { title: 'Planejamento mensal (CSV)', description: 'Salário, fontes de renda e orçamentos por categoria de cada mês.' }
+        }
+    },
+    restoreBackup: {
+        title: 'Restaurar backup',
+        chooseFile: 'Escolha um arquivo de backup',
+        chooseFileHint: 'Um backup JSON de Exportar dados',
+        modes: {
+            merge: { title: 'Mesclar', description: 'Adiciona e atualiza a partir do backup, mantendo todo o resto.' },
+            replace: { title: 'Substituir', description: 'Deixa seus dados exatamente iguais ao backup.' }
+        },
+        checking: 'Verificando backup…',
+        months: 'Meses:',
+        weeks: 'Semanas:',
+        transactions: 'Transações:',
+        categories: 'Categorias:',
+        sections: {
+            accounts: 'Contas:',
+            transfers: 'Transferências:',
+            recurringRules: 'Regras recorrentes:',
+            categoryRules: 'Regras de categoria:',
+            goals: 'Metas de economia:',
+            exchangeRates: 'Cotações:',
+            attachments: 'Comprovantes:'
+        },
+        added: { one: '{count} adicionado', other: '{count} adicionados' },
+        updated: { one: '{count} atualizado', other: '{count} atualizados' },
+        removed: { one: '{count} removido', other: '{count} removidos' },
+        noChanges: 'sem alterações',
+        offline: 'A restauração precisa de conexão. Tente novamente quando estiver online.',
+        invalidFile: 'Este arquivo não é um backup JSON válido.',
+        confirmReplace: 'Substituir todos os seus dados por este backup? Os dados que não estão no backup serão excluídos.',
+        restore: 'Restaurar',
+        partiallyApplied: 'Seus dados mudaram em outro lugar durante a restauração, então ela parou depois destas partes. Restaure de novo para concluir:',
+        applied: 'restaurado'
+    },
+    expenseList: {
+        empty: 'Nenhum registro encontrado.',
+        edit: 'Editar despesa',
+        delete: 'Excluir despesa',
+        filterByTag: 'Mostrar só esta tag',
+        tagTotal: { one: '{count} lançamento · {amount}', other: '{count} lançamentos · {amount}' },
+        clearTag: 'Mostrar tudo',
+        viewReceipt: 'Ver comprovante'
+    },
+    guide: {
+        subtitle: 'Guia do usuário',
+        start: {
+            title: 'Primeiros passos',
+            text: 'Crie uma conta com seu e-mail e uma senha. Você receberá uma **Chave de recuperação** durante o cadastro.',
+            tipTitle: 'IMPORTANTE',
+            tip: 'Guarde sua **Chave de recuperação** em um lugar seguro! Ela é a ÚNICA forma de recuperar sua conta se você esquecer a senha.'
+        },
+        dashboard: {
+            title: 'Painel',
+            text: 'A tela inicial mostra tudo de relance:',
+            features: {
+                balance: { title: 'Saldo semanal', text: 'Quanto resta do orçamento da semana. Verde = dentro do plano, vermelho = estourado.' },
+                goals: { title: 'Metas semanais', text: 'Gráfico de barras comparando gastos e orçamento de cada semana. O selo mostra o % restante do mês.' },
+                momentum: { title: 'Ritmo financeiro e fôlego', text: 'Veja como seu patrimônio está crescendo ou quanto tempo sua poupança dura no ritmo atual de gastos.' },
+                categories: { title: 'Categorias', text: 'Gráfico de rosca mostrando para onde vai seu dinheiro — as 5 maiores categorias.' }
+            }
+        },
+        adding: {
+            title: 'Adicionando despesas',
+            text: 'Toque em **"➕ Adicionar despesa"** no Painel ou no Histórico semanal.',
+            steps: {
+                1: 'Escolha **Despesa** (dinheiro saindo) ou **Crédito** (dinheiro entrando)',
+                2: 'Informe uma **descrição** e o **valor**',
+                3: 'Escolha uma **categoria** do seu Planejamento mensal',
+                4: 'Selecione a **data** — a semana certa é escolhida automaticamente',
+                5: 'Opcionalmente, **divida em parcelas** entre as semanas',
+                6: 'Toque em **Adicionar**!'
+            },
+            tipTitle: 'Parcelamento',
+            tip: 'Compra grande? Divida entre as semanas restantes do mês. O app cria lançamentos como "Notebook (1/3)", "Notebook (2/3)" etc.'
+        },
+        history: {
+            title: 'Histórico semanal',
+            text: 'Toque em **"📊 Histórico"** para ver os cartões de despesas de cada semana:',
+            items: {
+                1: '**Deslize** para a esquerda/direita entre as semanas do mês',
+                2: 'Use os **seletores de mês/ano** para navegar',
+                3: 'Cada cartão lista as despesas com categoria, nome e valor',
+                4: '**Créditos** aparecem em verde com o sinal "+"',
+                5: 'Toque em **"Semana atual"** para voltar'
+            }
+        },
+        planning: {
+            title: 'Planejamento mensal',
+            text: 'Toque em **"📅 Planejar"** para montar o orçamento do mês:',
+            credit: 'Crédito',
+            spend: 'Gasto',
+            steps: {
+                1: 'Adicione suas **fontes de renda** do mês',
+                2: 'Adicione **categorias** com nome, tipo e orçamento',
+                3: 'Escolha o tipo: {credit} ou {spend}',
+                4: 'Defina a **frequência**: semanal ou mensal',
+                5: 'Toque em **Salvar**'
+            },
+            tipTitle: 'Como as categorias funcionam',
+            creditTip: 'O valor é descontado do seu **Saldo mensal global** (usado no planejamento), mas **NÃO** é registrado automaticamente como despesa. Ele cria uma "Conta de crédito" (como Mercado ou Uber) para você gastar ao longo do mês.',
+            spendTip: 'O valor é considerado imediatamente "gasto" ou "guardado" (como uma conta fixa, pagamento de dívida ou dinheiro na Poupança). Ele é descontado do Saldo global e afeta na hora seu fluxo de caixa real.'
+        },
+        security: {
+            title: 'Chave de recuperação e segurança',
+            resetTitle: 'Redefinindo sua senha',
+            resetText: 'Esqueceu a senha? Você vai precisar da sua Chave de recuperação para entrar de novo:',
+            resetSteps: {
+                1: 'Na **tela de login**, toque em **"Esqueceu a senha?"**',
+                2: 'Informe seu **E-mail** e sua **Chave de recuperação** (ex.: pw-rec-...)',
+                3: 'Toque em **"Recuperar conta"**',
+                4: 'Você será solicitado a criar uma **nova senha**',
+                5: 'Toque em **"Redefinir senha"** — pronto! Agora você pode entrar com a nova senha'
+            },
+            lostTitle: 'Perdeu sua Chave de recuperação?',
+            lostText: 'Se você perder a Chave de recuperação e esquecer a senha, sua conta não poderá ser restaurada em nenhuma circunstância. Guarde-a bem!',
+            secureTitle: 'Seus dados estão seguros',
+            encryptionTitle: 'Criptografia de ponta a ponta',
+            encryptionItems: {
+                1: 'Todos os seus dados financeiros são criptografados com **AES-256-GCM** — criptografia de nível militar',
+                2: 'Cada usuário tem uma **chave de criptografia única (DEK)** ligada à sua senha',
+                3: 'Os dados ficam criptografados no **Cloudflare R2** — rápido e distribuído globalmente',
+                4: '**Ninguém** consegue ler seus dados — nem o servidor nem o desenvolvedor',
+                5: 'Sua senha **nunca é armazenada** em texto puro — apenas um hash seguro'
+            }
+        },
+        reference: {
+            title: 'Referência rápida',
+            items: {
+                balance: { title: 'Saldo', text: 'Abra o app → Painel' },
+                add: { title: 'Adicionar', text: 'Painel → "Adicionar despesa"' },
+                plan: { title: 'Planejar', text: '"Planejar" → rendas + categorias' },
+                trends: { title: 'Tendências', text: 'Role a tela → alterne semanal/mensal' },
+                split: { title: 'Parcelar', text: 'Adicionar despesa → parcelas' },
+                savings: { title: 'Poupança', text: 'A categoria "Poupança" acompanha os depósitos' },
+                reset: { title: 'Redefinir', text: '"Esqueceu a senha" → Chave de recuperação' },
+                runway: { title: 'Fôlego', text: 'Toque no ícone de explosão no Painel!' }
+            }
+        }
+    },
+    auth: {
+        subtitles: {
+            login: 'Que bom te ver de novo! Entre na sua conta.',
+            register: 'Crie sua conta segura.',
+            forgot: 'Recupere sua conta usando sua Chave de recuperação.',
+            recoveryKey: 'IMPORTANTE: Guarde sua Chave de recuperação',
+            linkTelegram: 'Vincule seu Telegram para receber sua chave com facilidade.',
+            reset: 'Crie uma nova senha para sua conta.'
+        },
+        buttons: {
+            login: 'Entrar',
+            register: 'Criar conta',
+            forgot: 'Recuperar conta',
+            verifyCode: 'Verificar código',
+            reset: 'Redefinir senha',
+            submit: 'Enviar'
+        },
+        email: 'E-mail',
+        emailPlaceholder: 'voce@exemplo.com',
+        password: 'Senha',
+        confirmPassword: 'Confirmar senha',
+        recoveryKey: 'Chave de recuperação',
+        newPassword: 'Nova senha',
+        confirmNewPassword: 'Confirmar nova senha',
+        passwordsDontMatch: 'As senhas não coincidem',
+        fillAllFields: 'Preencha todos os campos',
+        passwordReset: 'Senha redefinida! Agora você já pode entrar.',
+        resetFailed: 'Falha ao redefinir a senha',
+        unexpectedError: 'Ocorreu um erro inesperado',
+        saveKeyTitle: 'IMPORTANTE: Guarde esta Chave de recuperação',
+        saveKeyText: 'Se você perder a senha E esta chave, ninguém conseguirá recuperar seus dados. NÃO armazenamos esta chave.',
+        copied: 'Copiada!',
+        copy: 'Copiar',
+        confirmSaved: 'Tem certeza absoluta de que guardou sua Chave de recuperação? Sem ela, não é possível redefinir a senha.',
+        savedContinue: 'Guardei em local seguro, continuar',
+        forgotPassword: 'Esqueceu a senha?',
+        noAccount: 'Não tem uma conta?',
+        signUp: 'Cadastre-se',
+        haveAccount: 'Já tem uma conta?',
+        signIn: 'Entrar',
+        rememberPassword: 'Lembrou a senha?',
+        backToSignIn: 'Voltar para o login',
+        securityBadge: 'Criptografia AES-256-GCM • Hash scrypt'
+    },
+    weekCard: {
+        confirmDelete: 'Tem certeza de que deseja excluir esta despesa?',
+        savedThisMonth: 'Guardado este mês',
+        totalSaved: 'Total guardado',
+        weeklyBudget: 'Orçamento semanal',
+        weeklyEqBudget: 'Orçamento semanal equiv.',
+        remaining: 'Restante',
+        weekOf: 'Semana {number}/{total}',
+        status: {
+            upcoming: 'PRÓXIMA',
+            active: 'ATUAL',
+            completed: 'CONCLUÍDA',
+            unknown: 'DESCONHECIDA'
+        },
+        latest: 'Recentes',
+        editTabs: 'Editar abas',
+        selectTabs: 'Escolha 3 abas',
+        tooManyTabs: 'Você só pode escolher até 3 categorias.'
+    },
+    weekCarousel: {
+        empty: 'Nenhuma semana encontrada neste mês.',
+        createFirst: 'Criar primeira semana'
+    },
+    importWizard: {
+        title: 'Importar extrato',
+        steps: {
+            file: 'Arquivo',
+            map: 'Colunas',
+            preview: 'Prévia'
+        },
+        chooseFile: 'Escolha um extrato bancário',
+        chooseFileHint: 'CSV (separado por vírgula ou ponto e vírgula) ou OFX/QFX do seu banco ou cartão',
+        noTransactions: 'Nenhuma transação encontrada neste extrato.',
+        noRows: 'Este arquivo não tem linhas.',
+        unreadable: 'Não foi possível ler este arquivo.',
+        rows: { one: '{count} linha', other: '{count} linhas' },
+        hasHeader: 'A primeira linha é um cabeçalho',
+        column: 'Coluna {number}',
+        namedColumn: '{name} (col. {number})',
+        selectColumn: 'Selecione a coluna',
+        date: 'Data',
+        dateFormat: 'Formato da data',
+        description: 'Descrição',
+        amount: 'Valor',
+        numberFormat: 'Formato dos números',
+        sign: 'Sinal',
+        signColumn: 'Coluna de débito/crédito',
+        signModes: {
+            'negative-expense': 'Valores negativos são despesas',
+            'positive-expense': 'Valores positivos são despesas',
+            column: 'Usar uma coluna de débito/crédito'
+        },
+        toImport: '{count} para importar',
+        duplicates: { one: '{count} já importada', other: '{count} já importadas' },
+        invalid: { one: '{count} ignorada (inválida)', other: '{count} ignoradas (inválidas)' },
+        alreadyImported: 'Já importada',
+        category: 'Categoria das linhas importadas',
+        fallbackCategory: 'Categoria das linhas sem regra correspondente',
+        preview: 'Prévia',
+        import: 'Importar {count}',
+        rejected: { one: 'O servidor recusou {count} linha. Corrija ou desmarque e importe novamente.', other: 'O servidor recusou {count} linhas. Corrija ou desmarque e importe novamente.' },
+        rowErrors: {
+            invalidDate: 'Data inválida',
+            invalidAmount: 'Valor inválido',
+            zeroAmount: 'Valor zerado',
+            missingDescription: 'Descrição ausente'
+        }
+    },
+    addExpense: {
+        addTitle: 'Adicionar transação',
+        editTitle: 'Editar transação',
+        refund: 'Reembolso',
+        description: 'Descrição',
+        descriptionPlaceholder: 'ex.: Combustível do sabre de luz',
+        split: 'Dividir despesa',
+        splitOver: 'Em',
+        splitWeeks: 'semanas',
+        installments: 'Parcelar em meses',
+        installmentsMonthly: 'parcelas mensais',
+        installmentsPreview: '{count} × {amount}, a primeira em {date}',
+        tags: 'Tags',
+        tagsPlaceholder: '#viagem-rio, #reembolso-trabalho',
+        removeTag: 'Remover {tag}',
+        notes: 'Observações',
+        notesPlaceholder: 'Detalhes opcionais',
+        receipt: 'Comprovante',
+        attachReceipt: 'Anexar foto ou PDF',
+        removeReceipt: 'Remover',
+        receiptHint: 'JPEG, PNG, WebP, HEIC ou PDF de até {size}. Armazenado criptografado.',
+        ruleApplied: '🪄 Categoria definida por uma regra',
+        ruleTagsOnly: '🪄 Uma regra adiciona',
+        learnRule: 'Sempre categorizar "{pattern}" como {category}',
+        receiptTooLarge: 'O comprovante deve ter no máximo {size}.',
+        receiptType: 'Comprovantes devem ser imagem (JPEG, PNG, WebP, HEIC) ou PDF.',
+        amount: 'Valor ({currency})',
+        currency: 'Moeda',
+        exchangeRate: 'Cotação',
+        noStoredRate: 'Não há cotação salva para esta data; informe a cotação que você pagou.',
+        category: 'Categoria',
+        selectCategory: 'Selecione a categoria',
+        categoryRequired: 'Selecione uma categoria antes de salvar.',
+        applyCreditTo: 'Aplicar crédito em',
+        noTargets: 'Nenhuma categoria disponível ainda',
+        selectTarget: 'Selecione a categoria de destino',
+        noTargetsHint: 'Crie uma categoria de orçamento antes de registrar reembolsos.',
+        refundHint: 'Adiciona um crédito à categoria selecionada e registra o reembolso em Reembolsos.',
+        date: 'Data'
+    },
+    planning: {
+        title: 'Planejamentos mensais',
+        createNext: 'Criar o próximo plano mensal',
+        loading: 'Carregando planos...',
+        empty: 'Nenhum planejamento mensal ainda',
+        editPlan: 'Editar plano',
+        categoryBudgets: 'Orçamento por categoria',
+        categoryName: 'Nome da categoria',
+        parentCategory: 'Categoria pai',
+        noParent: 'Categoria principal',
+        under: 'Dentro de {name}',
+        withSubcategories: 'Com subcategorias',
+        rollover: 'Transferir para o próximo mês',
+        rolloverCap: 'Transferir no máximo',
+        rolledOver: 'Do mês anterior:',
+        rolloverPolicies: {
+            none: 'Sem transferência',
+            surplus: 'Transferir a sobra',
+            deficit: 'Transferir o excesso de gastos',
+            both: 'Transferir sobra e excesso',
+            capped: 'Transferir a sobra, até um limite'
+        },
+        incomes: {
+            title: 'Fontes de renda',
+            empty: 'Nenhuma renda planejada para este mês ainda.',
+            source: 'Fonte (ex.: Salário, Cliente A, Bônus)',
+            amount: 'Valor previsto',
+            date: 'Data prevista',
+            received: 'Recebido',
+            add: 'Adicionar renda',
+            salary: 'Salário',
+            income: 'renda',
+            incomeNumber: 'Renda {number}',
+            receivedTotal: 'Recebido até agora',
+            status: {
+                matched: 'Recebido: {name}, {date} ({amount})',
+                received: 'Marcado como recebido',
+                late: 'Data prevista passou, sem crédito correspondente ainda',
+                pending: 'Aguardando um crédito correspondente'
+            }
+        },
+        envelopes: {
+            zeroBased: 'Orçamento base zero: dê um envelope a cada centavo do salário',
+            unassigned: 'Falta distribuir',
+            overAssigned: 'Distribuído além do salário',
+            goals: 'Envelopes de metas',
+            moveMoney: 'Mover dinheiro entre envelopes',
+            from: 'De…',
+            to: 'Para…',
+            amount: 'Valor',
+            note: 'Motivo (opcional)',
+            move: 'Mover',
+            moveInvalid: 'Esse envelope não tem esse valor.',
+            log: 'Movimentações do mês',
+            logEntry: '{amount} de {from} para {to}',
+            removedGoal: 'meta removida'
+        },
+        category: 'categoria',
+        categoryNumber: 'Categoria {number}',
+        confirmDeleteCategory: 'Tem certeza de que deseja excluir esta categoria?',
+        credit: 'Crédito',
+        spend: 'Gasto',
+        monthly: 'Mensal',
+        weekly: 'Semanal',
+        budget: 'Orçamento',
+        spent: 'Gasto:',
+        remaining: 'Restante:',
+        transactions: 'Transações',
+        noTransactions: 'Nenhuma transação',
+        remove: 'Remover',
+        newCategory: 'Nova categoria',
+        addCategory: 'Adicionar categoria',
+        available: 'Renda prevista',
+        totalSpent: 'Total gasto (calculado)',
+        remainingBalance: 'Saldo mensal restante',
+        save: 'Salvar plano mensal'
+    },
+    dashboard: {
+        menu: 'Menu',
+        greeting: 'Olá, {name}!',
+        friend: 'amigo',
+        healthCheck: 'Saúde financeira',
+        sync: {
+            syncing: 'Sincronizando…',
+            offline: 'Offline',
+            offlinePending: 'Offline · {count} pendente(s)',
+            pending: '{count} pendente(s)',
+            synced: 'Sincronizado'
+        },
+        momentum: 'Ritmo financeiro',
+        howCalculated: 'Como isso é calculado?',
+        openMomentumInfo: 'Abrir explicação do ritmo financeiro',
+        openStrictInfo: 'Abrir explicação da autonomia estrita',
+        saveProjection: 'Salvar meses da projeção',
+        editProjection: 'Editar meses da projeção',
+        projectionInputTitle: 'Duração do contrato / meses da projeção',
+        wealthGrowing: 'Patrimônio crescendo {amount}/mês',
+        projectionFor: 'Projeção para',
+        months: 'meses',
+        perMonth: '{amount}/mês',
+        month: 'Mês do painel',
+        weeklyBalance: 'Saldo semanal',
+        leftToSpend: 'Disponível para gastar',
+        monthlySpend: 'Gasto do mês',
+        ofBudget: 'De {amount}',
+        unassigned: 'Não distribuído',
+        leftToAssign: 'Salário ainda sem envelope',
+        allAssigned: 'Todo o salário tem um envelope',
+        overAssigned: 'Os envelopes somam mais que o salário',
+        budgetProgress: 'Progresso do orçamento',
+        thisWeek: 'Esta semana',
+        thisMonth: 'Este mês',
+        overLimit: 'Categorias acima do limite',
+        plannedSpent: 'Planejado {planned} • Gasto {spent}',
+        recentTransactions: 'Transações recentes',
+        seeAll: 'Ver todas',
+        noTransactions: 'Nenhuma transação ainda.',
+        whereItGoes: 'Para onde vai',
+        noExpensesMonth: 'Nenhuma despesa neste mês',
+        today: 'Hoje',
+        yesterday: 'Ontem',
+        runway: {
+            calculating: 'Calculando...',
+            error: 'Erro',
+            checkConnection: 'Verifique a conexão',
+            noData: 'Ainda sem dados. Comece a registrar!',
+            safe: '∞ Seguro',
+            noWealth: 'Sem patrimônio no momento. Cuidado com os gastos!',
+            noExpenses: 'Nenhuma despesa registrada ainda',
+            months: { one: '{value} mês', other: '{value} meses' },
+            years: '{value} anos',
+            burnZeroIncome: 'Sem renda, queimando {amount}/mês',
+            burnIncludingIncome: 'Contando a renda, queimando {amount}/mês',
+            burn: 'Queimando {amount}/mês',
+            positiveMomentum: 'Ritmo mensal positivo',
+            negativeMomentum: 'Ritmo mensal negativo',
+            noMomentum: 'Sem ritmo mensal'
+        },
+        worstCase: {
+            show: 'Mostrar o pior cenário',
+            escape: 'FUJA DO APOCALIPSE',
+            title: 'PIOR CENÁRIO',
+            label: 'Sobrevivência pela autonomia estrita',
+            safe: '🛡️ Você vai atravessar o apocalipse tranquilo! Sua reserva de emergência aguenta qualquer tempestade.',
+            tight: '⚠️ Você vai sobreviver, mas vai ser apertado. O apocalipse vai testar seus limites — comece a estocar suprimentos!',
+            zombie: '🧟 Você está prestes a entrar para a horda de zumbis! Sem mais reservas, a sobrevivência não está garantida...',
+            daysLeft: '⏳ ~{days} restantes no gasto médio'
+        },
+        mathInfo: 'Ver as contas 🧮',
+        backToExplanation: '↩ Voltar à explicação',
+        strictInfo: {
+            title: "Como funciona a 'Autonomia' ⏳",
+            mathTitle: 'Autonomia: as contas 🧮',
+            intro: 'A **Autonomia estrita** é um teste de estresse do pior caso: por quanto tempo você sobreviveria se toda a renda parasse hoje?',
+            netWorthTitle: '1. Patrimônio global',
+            netWorthText: 'Calculamos seu patrimônio real somando: o **Saldo mensal restante** de todos os meses adicionados + o total da sua **Poupança**.',
+            burnTitle: '2. Queima mensal',
+            burnText: 'Pegamos a **Renda recebida** no planejamento mensal mais recente e subtraímos o **Saldo mensal restante atual** (renda recebida - todos os orçamentos). Sem planejamento, estimamos multiplicando o **gasto da semana atual × 4**.',
+            resultTitle: '3. O resultado',
+            resultText: 'Dividimos o seu **Patrimônio** pela sua **Queima mensal** — supondo renda futura zero. Isso mostra exatamente quantos meses você sobreviveria.',
+            resultLegend: '≥ 3 meses = **Seguro 🟢** · menos de 3 meses = **Perigo 🔴**. Abaixo de 90 dias, aparece uma contagem regressiva.',
+            cashPile: 'Dinheiro total (patrimônio)',
+            remainingBalances: '+ Saldos mensais restantes:',
+            totalSavings: '+ Poupança total:',
+            netWorthResult: '= Patrimônio:',
+            calculation: 'Cálculo da autonomia',
+            netWorth: 'Patrimônio:',
+            monthlyBurn: '÷ Queima mensal:',
+            runwayResult: '= Autonomia:'
+        },
+        momentumInfo: {
+            title: "Como funciona o 'Ritmo financeiro' 🚀",
+            mathTitle: 'Ritmo financeiro: as contas 🧮',
+            intro: 'O cartão **Ritmo financeiro** mostra o saldo mensal gerado pelo seu planejamento manual mais recente.',
+            baseTitle: '1. Mês base',
+            baseText: 'Lemos o mês mais recente com **origem: manual**. Meses propagados são ignorados para que o cartão reflita o mês que você realmente planejou.',
+            flowTitle: '2. Fluxo mensal líquido',
+            flowText: 'Subtraímos o seu **Orçamento total** da **Renda recebida** no mês: créditos associados às fontes de renda mais as entradas marcadas como recebidas. Categorias semanais são convertidas para o equivalente mensal antes do cálculo do total.',
+            readingTitle: '3. Lendo o resultado',
+            readingText: 'Se o resultado for positivo, o cartão mostra quanto você acumula por mês. Se for negativo, mostra o seu déficit mensal. O valor é sempre exibido por mês na sua **moeda base ({currency})**.',
+            projectionTitle: '4. Bloco de projeção',
+            projectionText: 'A projeção abaixo usa o mesmo fluxo mensal junto com o seu patrimônio atual, então um fluxo positivo aumenta a projeção e um negativo a reduz.',
+            netFlowTitle: 'Fluxo mensal líquido',
+            salary: '+ Renda recebida:',
+            totalBudget: '- Orçamento total:',
+            netFlow: '= Fluxo líquido:',
+            futureTitle: 'Fórmula da projeção futura',
+            deficitTitle: 'Projeção do déficit',
+            currentNetWorth: 'Patrimônio atual:',
+            netWorth: 'Patrimônio:',
+            flowTimesMonths: '+ (Fluxo líquido × meses):',
+            futureWealth: '= Patrimônio futuro:'
+        },
+        avatarZoomed: 'Avatar ampliado'
+    },
+    app: {
+        initializing: 'INICIALIZANDO HIPERPROPULSÃO...',
+        loadingData: 'CARREGANDO SEUS DADOS...',
+        installManual: 'Para instalar o Weekly Wallet, toque no botão Compartilhar do Safari e escolha "Adicionar à Tela de Início".',
+        menu: {
+            changePassword: 'Alterar senha',
+            search: 'Buscar transações',
+            accounts: 'Contas',
+            categoryRules: 'Categorização automática',
+            goals: 'Metas de economia',
+            importStatement: 'Importar extrato',
+            exportData: 'Exportar dados',
+            restoreBackup: 'Restaurar backup',
+            payday: 'Pagamento e semanas',
+            currencies: 'Moedas',
+            language: 'Idioma: {language}',
+            help: 'Ajuda',
+            editAvatar: 'Editar avatar',
+            installApp: 'Instalar app',
+            logout: 'Sair'
+        },
+        selectAvatar: 'Escolha um avatar',
+        avatarAlt: 'Avatar {number}',
+        history: 'Histórico',
+        currentWeek: 'Semana atual',
+        changePassword: {
+            currentPassword: 'Senha atual',
+            recoveryKeyHint: 'Necessária para provar matematicamente que a conta é sua.',
+            mismatch: 'As novas senhas não coincidem',
+            recoveryKeyRequired: 'A chave de recuperação é obrigatória para confirmar que a conta é sua',
+            success: 'Senha alterada com sucesso!',
+            failed: 'Não foi possível alterar a senha'
+        },
+        quickActions: {
+            label: 'Navegação principal',
+            dashboard: 'Painel',
+            week: 'Semana',
+            plan: 'Planejar',
+            addExpense: 'Adicionar despesa'
+        }
+    },
+    accounts: {
+        title: 'Contas',
+        newAccount: 'Nova conta',
+        editAccount: 'Editar conta',
+        newTransfer: 'Nova transferência',
+        editTransfer: 'Editar transferência',
+        addAccount: 'Adicionar conta',
+        addTransfer: 'Transferir entre contas',
+        empty: 'Nenhuma conta ainda. Adicione sua conta corrente, cartão de crédito ou carteira para ver os saldos reais.',
+        transfers: 'Transferências',
+        noTransfers: 'Nenhuma transferência ainda.',
+        total: 'Total nas contas',
+        archived: 'Arquivada',
+        archive: 'Arquivar',
+        unarchive: 'Restaurar',
+        name: 'Nome',
+        namePlaceholder: 'ex.: Nubank, Carteira',
+        type: 'Tipo',
+        types: {
+            checking: 'Conta corrente',
+            'credit-card': 'Cartão de crédito',
+            cash: 'Dinheiro',
+            savings: 'Poupança'
+        },
+        openingBalance: 'Saldo inicial ({currency})',
+        openingBalanceHint: 'Quanto a conta tinha antes da primeira transação registrada nela. Use um valor negativo para um cartão que já tem fatura.',
+        from: 'De',
+        to: 'Para',
+        amount: 'Valor ({currency})',
+        date: 'Data',
+        note: 'Observação',
+        notePlaceholder: 'Opcional',
+        sameAccount: 'Escolha duas contas diferentes.',
+        needTwoAccounts: 'Adicione pelo menos duas contas para transferir dinheiro entre elas.',
+        transferLine: '{from} → {to}',
+        confirmDeleteAccount: 'Excluir "{name}"? As transferências dela também serão excluídas; as transações pagas por ela ficarão sem conta.',
+        confirmDeleteTransfer: 'Excluir esta transferência?',
+        account: 'Conta',
+        noAccount: 'Sem conta',
+        dashboardTitle: 'Contas',
+        manage: 'Gerenciar',
+        reconcile: 'Dinheiro total {cashPile} · diferença {difference}',
+        closingDay: 'Fatura fecha no dia',
+        dueDay: 'Vencimento no dia',
+        cycleHint: 'Opcional. Compras parceladas neste cartão caem nos vencimentos das faturas.',
+        cycleLine: 'fecha dia {closing} · vence dia {due}'
+    },
+    installments: {
+        title: 'Parcelas a vencer',
+        count: { one: '{count} parcela', other: '{count} parcelas' },
+        total: { one: 'Total em {count} mês', other: 'Total em {count} meses' },
+        committedRow: '− Parcelas a vencer',
+        projectionNote: 'Já desconta {amount} em parcelas a vencer'
+    },
+    tags: {
+        title: 'Tags',
+        transactions: { one: '{count} lançamento', other: '{count} lançamentos' },
+        categories: { one: '{count} categoria', other: '{count} categorias' }
+    },
+    search: {
+        title: 'Buscar',
+        placeholder: 'Descrição, notas, categoria ou #tag',
+        type: 'Tipo',
+        category: 'Categoria',
+        tag: 'Tag',
+        any: 'Qualquer',
+        minAmount: 'Valor mínimo',
+        maxAmount: 'Valor máximo',
+        from: 'De',
+        to: 'Até',
+        hint: 'Busque em todos os meses de uma vez por texto, valor, data, categoria, tipo ou tag.',
+        results: { one: '{count} transação', other: '{count} transações' },
+        noResults: 'Nenhuma transação corresponde a estes filtros.',
+        truncated: 'Mostrando as {count} mais recentes. Refine os filtros para ver o restante.',
+        clear: 'Limpar filtros',
+        edit: 'Editar transação',
+        openWeek: 'Abrir semana'
+    },
+    attachments: {
+        loading: 'Descriptografando comprovante…',
+        download: 'Baixar'
+    },
+    categoryRules: {
+        title: 'Regras de categorização automática',
+        editTitle: 'Editar regra',
+        newTitle: 'Nova regra',
+        newButton: 'Nova regra',
+        empty: 'As regras escolhem a categoria e as tags das transações novas e importadas por você, ex.: tudo que contém "uber" vai para Transporte.',
+        orderHint: 'As regras são verificadas de cima para baixo; a primeira que corresponder é usada.',
+        confirmDelete: 'Excluir esta regra? As transações que ela já categorizou continuam como estão.',
+        unknownAccount: 'conta removida',
+        when: 'Quando uma transação…',
+        then: 'então…',
+        description: 'Descrição',
+        patternPlaceholder: 'ex.: uber, netflix',
+        invalidRegex: 'Esta não é uma expressão regular válida.',
+        minAmount: 'Valor mínimo ({currency})',
+        maxAmount: 'Valor máximo ({currency})',
+        account: 'Conta',
+        anyAccount: 'Qualquer conta',
+        category: 'Definir categoria',
+        keepCategory: 'Manter a categoria escolhida',
+        tags: 'Adicionar tags',
+        matchCount: { one: 'Corresponde a {count} transação existente', other: 'Corresponde a {count} transações existentes' },
+        matches: {
+            contains: 'contém',
+            regex: 'corresponde à regex'
+        },
+        describe: {
+            contains: 'contém "{pattern}"',
+            regex: 'corresponde a /{pattern}/',
+            minAmount: '≥ {amount}',
+            maxAmount: '≤ {amount}',
+            account: 'em {name}'
+        }
+    },
+    goals: {
+        title: 'Metas de economia',
+        editTitle: 'Editar meta',
+        newTitle: 'Nova meta',
+        newButton: 'Nova meta',
+        empty: 'Defina um valor, um prazo opcional e a categoria em que você guarda o dinheiro, e acompanhe o progresso no Painel.',
+        confirmDelete: 'Excluir a meta "{name}"? As transações dela são mantidas.',
+        name: 'Nome',
+        namePlaceholder: 'ex.: Reserva de emergência, Viagem ao Japão',
+        targetAmount: 'Valor da meta ({currency})',
+        startingAmount: 'Já guardado ({currency})',
+        deadline: 'Prazo (opcional)',
+        category: 'Categoria vinculada',
+        categoryHint: 'Créditos nesta categoria (e nas subcategorias) somam na meta; despesas nela descontam.',
+        noCategory: 'Sem categoria vinculada',
+        savedOf: '{saved} de {target}',
+        by: 'até {date}',
+        dashboardTitle: 'Metas de Economia',
+        manage: 'Gerenciar',
+        requiredMonthly: '{amount}/mês para cumprir o prazo',
+        projected: 'Atingida em {month} no ritmo atual',
+        offPace: 'Sem avanço no ritmo atual',
+        noCategoryPace: 'Vincule uma categoria para projetar uma data',
+        reached: 'Meta atingida 🎉',
+        overdue: 'Prazo vencido, faltam {amount}'
+    }
+};
@@ -0,0 +1,102 @@
+// ──────────────────────────────────────────────
+// IndexedDB persistence for offline use
+//
+// snapshots: last known copy of server data, keyed by name
+//            ('weeks', 'planning-list', 'planning:2026-4', ...)
+// outbox:    mutations made while offline, replayed in insertion order
+// ──────────────────────────────────────────────
+
+const DB_NAME = 'weekly-wallet';
+const DB_VERSION = 1;
+const SNAPSHOTS_STORE = 'snapshots';
+const OUTBOX_STORE = 'outbox';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+                db.createObjectStore(SNAPSHOTS_STORE);
+            }
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+async function runTransaction(storeName, mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Storage failures must never break the online flow, so every helper
+// logs and falls back instead of throwing.
+async function safely(operation, fallback) {
+    try {
+        return await operation();
+    } catch (e) {
+        console.error('Offline store error', e);
+        return fallback;
+    }
+}
+
+export const offlineStore = {
+    getSnapshot: (key) => safely(
+        () => runTransaction(SNAPSHOTS_STORE, 'readonly', store => store.get(key)),
+        undefined
+    ),
+
+    putSnapshot: (key, value) => safely(
+        () => runTransaction(SNAPSHOTS_STORE, 'readwrite', store => store.put(value, key)),
+        undefined
+    ),
+
+    addToOutbox: (entry) => safely(
+        () => runTransaction(OUTBOX_STORE, 'readwrite', store => store.add({ ...entry, createdAt: new Date().toISOString() })),
+        undefined
+    ),
+
+    listOutbox: () => safely(
+        () => runTransaction(OUTBOX_STORE, 'readonly', store => store.getAll()),
+        []
+    ),
+
+    removeFromOutbox: (id) => safely(
+        () => runTransaction(OUTBOX_STORE, 'readwrite', store => store.delete(id)),
+        undefined
+    ),
+
+    clear: () => safely(async () => {
+        await runTransaction(SNAPSHOTS_STORE, 'readwrite', store => store.clear());
+        await runTransaction(OUTBOX_STORE, 'readwrite', store => store.clear());
+    }, undefined)
+};
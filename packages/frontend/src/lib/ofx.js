@@ -0,0 +1,89 @@
+// ──────────────────────────────────────────────
+// OFX / QFX statement parsing
+//
+// Handles both OFX 1.x (SGML, leaf tags left unclosed) and OFX 2.x (XML).
+// Aggregates such as <STMTTRN> are closed in both, so we cut the document
+// into those blocks and read leaf values with a tag-prefix match.
+// ──────────────────────────────────────────────
+
+import { clampDescription, parseAmount } from './csv';
+import { t } from './i18n';
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+const decodeEntities = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, entity => ENTITIES[entity]);
+
+const readTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? decodeEntities(match[1].trim()) : '';
+};
+
+const readBlocks = (source, tag) => {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+    return [...source.matchAll(pattern)].map(match => match[1]);
+};
+
+// DTPOSTED looks like 20260305 or 20260305120000[-3:BRT]
+const parseOfxDate = (value) => {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+    return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+/**
+ * Decode an OFX file. Brazilian banks often export 1.x files in
+ * Windows-1252, which the header declares as CHARSET:1252.
+ */
+export const decodeOfxFile = async (file) => {
+    const buffer = await file.arrayBuffer();
+    const head = new TextDecoder('ascii').decode(buffer.slice(0, 512));
+    const isLatin = /CHARSET:\s*(1252|ISO-?8859-?1)/i.test(head) || /encoding="(windows-1252|iso-8859-1)"/i.test(head);
+    return new TextDecoder(isLatin ? 'windows-1252' : 'utf-8').decode(buffer);
+};
+
+export const isOfxFile = (fileName = '') => /\.(ofx|qfx)$/i.test(fileName);
+
+/**
+ * Key used to recognise a transaction that was already imported.
+ * FITID is only unique within an account, so the account id is prefixed.
+ */
+export const getOfxImportKey = (accountId, fitId) => (accountId ? `${accountId}:${fitId}` : fitId);
+
+/**
+ * Parse OFX text into import candidates shaped like the CSV ones:
+ * { date, name, amount, type, fitId, error }. `amount` is always positive;
+ * negative TRNAMT values become expenses.
+ */
+export const parseOfx = (text) => {
+    const body = text.slice(Math.max(0, text.search(/<OFX>/i)));
+    const statements = [
+        ...readBlocks(body, 'STMTRS'),
+        ...readBlocks(body, 'CCSTMTRS')
+    ];
+
+    return (statements.length > 0 ? statements : [body]).flatMap(statement => {
+        const accountId = readTag(statement, 'ACCTID');
+
+        return readBlocks(statement, 'STMTTRN').map(transaction => {
+            const date = parseOfxDate(readTag(transaction, 'DTPOSTED'));
+            const amount = parseAmount(readTag(transaction, 'TRNAMT'));
+            const rawFitId = readTag(transaction, 'FITID');
+            const name = clampDescription(readTag(transaction, 'NAME') || readTag(transaction, 'MEMO'));
+
+            let error = null;
+            if (!date) error = t('importWizard.rowErrors.invalidDate');
+            else if (Number.isNaN(amount)) error = t('importWizard.rowErrors.invalidAmount');
+            else if (amount === 0) error = t('importWizard.rowErrors.zeroAmount');
+            else if (!name) error = t('importWizard.rowErrors.missingDescription');
+
+            return {
+                date,
+                name,
+                amount: Math.abs(amount),
+                type: amount < 0 ? 'expense' : 'credit',
+                fitId: rawFitId ? getOfxImportKey(accountId, rawFitId) : null,
+                error
+            };
+        });
+    });
+};
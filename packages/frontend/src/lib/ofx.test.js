@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { decodeOfxFile, getOfxImportKey, isOfxFile, parseOfx } from './ofx';
+
+// OFX 1.x: SGML header, leaf tags left unclosed
+const SGML_STATEMENT = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+CHARSET:1252
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKACCTFROM><BANKID>001<ACCTID>12345-6</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20260305120000[-3:BRT]
+<TRNAMT>-45.90
+<FITID>A1
+<MEMO>Padaria &amp; Café
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20260306
+<TRNAMT>3000,00
+<FITID>A2
+<NAME>Salary
+<MEMO>Transfer
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+// OFX 2.x: XML, every tag closed, credit card statement
+const XML_STATEMENT = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="211"?>
+<OFX>
+<CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT</TRNTYPE>
+<DTPOSTED>20260310</DTPOSTED>
+<TRNAMT>-12.50</TRNAMT>
+<FITID>B1</FITID>
+<NAME>Coffee</NAME>
+</STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1>
+</OFX>`;
+
+const statementWith = (transaction) => `<OFX><STMTRS><ACCTID>1<STMTTRN>${transaction}</STMTTRN></STMTRS></OFX>`;
+
+describe('parseOfx', () => {
+    it('reads SGML statements with unclosed leaf tags', () => {
+        expect(parseOfx(SGML_STATEMENT)).toEqual([
+            { date: '2026-03-05', name: 'Padaria & Café', amount: 45.9, type: 'expense', fitId: '12345-6:A1', error: null },
+            { date: '2026-03-06', name: 'Salary', amount: 3000, type: 'credit', fitId: '12345-6:A2', error: null }
+        ]);
+    });
+
+    it('reads XML credit card statements', () => {
+        expect(parseOfx(XML_STATEMENT)).toEqual([
+            { date: '2026-03-10', name: 'Coffee', amount: 12.5, type: 'expense', fitId: '4111:B1', error: null }
+        ]);
+    });
+
+    it('reads transactions outside a statement block without an account prefix', () => {
+        const [transaction] = parseOfx('<OFX><STMTTRN><DTPOSTED>20260301<TRNAMT>5<FITID>X<NAME>Gift</STMTTRN></OFX>');
+        expect(transaction.fitId).toBe('X');
+        expect(transaction.type).toBe('credit');
+    });
+
+    it('cuts long memos to the server limit', () => {
+        const [transaction] = parseOfx(statementWith(`<DTPOSTED>20260301<TRNAMT>-5<MEMO>${'x'.repeat(300)}`));
+        expect(transaction.name).toHaveLength(200);
+        expect(transaction.error).toBeNull();
+    });
+
+    it('leaves fitId empty when the bank sends none', () => {
+        expect(parseOfx(statementWith('<DTPOSTED>20260301<TRNAMT>-5<NAME>Shop'))[0].fitId).toBeNull();
+    });
+
+    it('explains why a transaction cannot be imported', () => {
+        expect([
+            statementWith('<DTPOSTED>bad<TRNAMT>-5<NAME>Shop'),
+            statementWith('<DTPOSTED>20260301<TRNAMT>x<NAME>Shop'),
+            statementWith('<DTPOSTED>20260301<TRNAMT>0<NAME>Shop'),
+            statementWith('<DTPOSTED>20260301<TRNAMT>-5')
+        ].map(text => parseOfx(text)[0].error)).toEqual([
+            'Invalid date',
+            'Invalid amount',
+            'Zero amount',
+            'Missing description'
+        ]);
+    });
+});
+
+describe('decodeOfxFile', () => {
+    const fileOf = (bytes) => ({ arrayBuffer: async () => Uint8Array.from(bytes).buffer });
+    const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+    it('decodes files that declare CHARSET:1252 as Windows-1252', async () => {
+        const text = await decodeOfxFile(fileOf([...ascii('CHARSET:1252\n<MEMO>Caf'), 0xe9]));
+        expect(text.endsWith('Café')).toBe(true);
+    });
+
+    it('decodes everything else as UTF-8', async () => {
+        const text = await decodeOfxFile(fileOf([...ascii('<?xml version="1.0"?>\n<MEMO>Caf'), 0xc3, 0xa9]));
+        expect(text.endsWith('Café')).toBe(true);
+    });
+});
+
+describe('helpers', () => {
+    it('recognises OFX and QFX file names', () => {
+        expect(isOfxFile('extrato.OFX')).toBe(true);
+        expect(isOfxFile('card.qfx')).toBe(true);
+        expect(isOfxFile('statement.csv')).toBe(false);
+    });
+
+    it('prefixes the FITID with the account id when there is one', () => {
+        expect(getOfxImportKey('123', 'A1')).toBe('123:A1');
+        expect(getOfxImportKey('', 'A1')).toBe('A1');
+    });
+});
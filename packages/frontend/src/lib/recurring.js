@@ -0,0 +1,155 @@
+// ──────────────────────────────────────────────
+// Recurring transactions
+//
+// Rules live on the server; this module turns them into dated expenses.
+// Occurrences get deterministic ids, so two devices generating the same
+// occurrence upsert one transaction instead of duplicating it.
+// Dates are 'YYYY-MM-DD' strings and compare lexicographically.
+// ──────────────────────────────────────────────
+
+import { format } from 'date-fns';
+import { getDateLocale, t } from './i18n';
+import { getFinancialInfo, getMonthQuarters } from './utils';
+
+export const RECURRING_CADENCES = [
+    { id: 'weekly' },
+    { id: 'monthly' },
+    { id: 'day-of-month' }
+];
+
+const MAX_OCCURRENCES = 500;
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+const parseDateString = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const addDays = (value, days) => {
+    const date = parseDateString(value);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+};
+
+// The index-th candidate date counted from the rule's start. Candidates
+// before startDate are filtered out by the caller.
+const getCandidateDate = (rule, index) => {
+    if (rule.cadence === 'weekly') {
+        return addDays(rule.startDate, index * 7);
+    }
+
+    if (rule.cadence === 'monthly') {
+        const { year, month } = getFinancialInfo(parseDateString(rule.startDate));
+        const target = new Date(year, month - 1 + index, 1);
+        return getMonthQuarters(target.getFullYear(), target.getMonth() + 1)[0].start;
+    }
+
+    // day-of-month: clamp the 29th-31st to the last day of shorter months
+    const start = parseDateString(rule.startDate);
+    const daysInMonth = new Date(start.getFullYear(), start.getMonth() + index + 1, 0).getDate();
+    return toDateString(new Date(start.getFullYear(), start.getMonth() + index, Math.min(rule.dayOfMonth, daysInMonth)));
+};
+
+/**
+ * Occurrence dates of a rule between `fromDate` and `toDate` (inclusive),
+ * ignoring pauses and skips.
+ */
+export const getRecurringOccurrences = (rule, fromDate, toDate, limit = MAX_OCCURRENCES) => {
+    const lowerBound = fromDate > rule.startDate ? fromDate : rule.startDate;
+    const upperBound = rule.endDate && rule.endDate < toDate ? rule.endDate : toDate;
+    const dates = [];
+
+    for (let index = 0; dates.length < limit; index += 1) {
+        const date = getCandidateDate(rule, index);
+        if (date > upperBound) break;
+        if (date >= lowerBound) dates.push(date);
+    }
+
+    return dates;
+};
+
+export const getRecurringExpenseId = (ruleId, date) => `recurring-${ruleId}-${date}`;
+
+export const buildRecurringExpense = (rule, date) => ({
+    id: getRecurringExpenseId(rule.id, date),
+    name: rule.name,
+    amount: rule.amount,
+    date,
+    type: rule.type,
+    category: rule.category || 'Uncategorized',
+    recurringRuleId: rule.id
+});
+
+// Upcoming occurrences the management screen offers to skip
+export const getUpcomingOccurrences = (rule, count = 3, today = new Date()) => {
+    const todayString = toDateString(today);
+    const from = rule.generatedThrough && rule.generatedThrough >= todayString
+        ? addDays(rule.generatedThrough, 1)
+        : todayString;
+    return getRecurringOccurrences(rule, from, '9999-12-31', count);
+};
+
+/**
+ * Expenses due up to `today` that have not been generated yet, plus the
+ * rules with `generatedThrough` advanced. Unchanged rules keep their
+ * identity so callers only persist the ones that moved.
+ */
+export const materializeRecurringRules = (rules = [], today = new Date()) => {
+    const todayString = toDateString(today);
+    const expenses = [];
+
+    const nextRules = rules.map(rule => {
+        if (rule.paused) return rule;
+
+        const from = rule.generatedThrough ? addDays(rule.generatedThrough, 1) : rule.startDate;
+        const dates = getRecurringOccurrences(rule, from, todayString);
+        if (dates.length === 0) return rule;
+
+        const skippedDates = rule.skippedDates || [];
+        dates
+            .filter(date => !skippedDates.includes(date))
+            .forEach(date => expenses.push(buildRecurringExpense(rule, date)));
+
+        // A capped run stops at its last occurrence; the next run picks up the rest
+        const generatedThrough = dates.length === MAX_OCCURRENCES ? dates[dates.length - 1] : todayString;
+
+        return {
+            ...rule,
+            generatedThrough,
+            skippedDates: skippedDates.filter(date => date > generatedThrough)
+        };
+    });
+
+    return { expenses, rules: nextRules };
+};
+
+// Resuming does not backfill the occurrences that fell inside the pause
+export const resumeRecurringRule = (rule, today = new Date()) => {
+    const yesterday = addDays(toDateString(today), -1);
+    return {
+        ...rule,
+        paused: false,
+        generatedThrough: rule.generatedThrough && rule.generatedThrough > yesterday ? rule.generatedThrough : yesterday
+    };
+};
+
+export const toggleSkippedOccurrence = (rule, date) => {
+    const skippedDates = rule.skippedDates || [];
+    return {
+        ...rule,
+        skippedDates: skippedDates.includes(date)
+            ? skippedDates.filter(skipped => skipped !== date)
+            : [...skippedDates, date].sort()
+    };
+};
+
+export const describeCadence = (rule) => {
+    if (rule.cadence === 'weekly') {
+        return t('recurring.describe.weekly', { weekday: format(parseDateString(rule.startDate), 'EEEE', { locale: getDateLocale() }) });
+    }
+    if (rule.cadence === 'monthly') {
+        return t('recurring.describe.monthly');
+    }
+    return t('recurring.describe.dayOfMonth', { day: rule.dayOfMonth });
+};
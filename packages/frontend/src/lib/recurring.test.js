@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { getRecurringOccurrences, materializeRecurringRules } from './recurring';
+
+const rule = (overrides = {}) => ({
+    id: 'r1',
+    name: 'Gym',
+    amount: 50,
+    type: 'expense',
+    category: 'Health',
+    cadence: 'weekly',
+    startDate: '2026-01-05',
+    ...overrides
+});
+
+describe('getRecurringOccurrences', () => {
+    it('clamps day-of-month rules to short months', () => {
+        const monthly = rule({ cadence: 'day-of-month', dayOfMonth: 31, startDate: '2026-01-31' });
+        expect(getRecurringOccurrences(monthly, '2026-01-01', '2026-04-30')).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    });
+
+    it('stops at the end date', () => {
+        expect(getRecurringOccurrences(rule({ endDate: '2026-01-19' }), '2026-01-01', '2026-12-31')).toEqual(['2026-01-05', '2026-01-12', '2026-01-19']);
+    });
+});
+
+describe('materializeRecurringRules', () => {
+    it('generates due occurrences once, with deterministic ids, minus skipped dates', () => {
+        const today = new Date(2026, 0, 20);
+        const { expenses, rules } = materializeRecurringRules([rule({ skippedDates: ['2026-01-12', '2026-02-02'] })], today);
+
+        expect(expenses.map(expense => expense.id)).toEqual(['recurring-r1-2026-01-05', 'recurring-r1-2026-01-19']);
+        expect(rules[0]).toMatchObject({ generatedThrough: '2026-01-20', skippedDates: ['2026-02-02'] });
+        expect(materializeRecurringRules(rules, today).expenses).toEqual([]);
+    });
+
+    it('leaves paused and up-to-date rules untouched', () => {
+        const rules = [rule({ paused: true }), rule({ id: 'r2', generatedThrough: '2026-01-20' })];
+        const result = materializeRecurringRules(rules, new Date(2026, 0, 20));
+
+        expect(result.expenses).toEqual([]);
+        expect(result.rules[0]).toBe(rules[0]);
+        expect(result.rules[1]).toBe(rules[1]);
+    });
+
+    it('resumes after the last generated occurrence when a run hits the cap', () => {
+        const today = new Date(2026, 9, 18);
+        const first = materializeRecurringRules([rule({ startDate: '2000-01-03' })], today);
+        const lastDate = first.expenses[first.expenses.length - 1].date;
+
+        expect(first.expenses).toHaveLength(500);
+        expect(first.rules[0].generatedThrough).toBe(lastDate);
+
+        const second = materializeRecurringRules(first.rules, today);
+        expect(second.expenses[0].date > lastDate).toBe(true);
+        expect(new Set([...first.expenses, ...second.expenses].map(expense => expense.id)).size).toBe(1000);
+    });
+});
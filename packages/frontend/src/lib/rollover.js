@@ -0,0 +1,97 @@
+// ──────────────────────────────────────────────
+// Budget rollover across financial months
+//
+// A planning category may carry what is left of its budget into the next
+// financial month: { rollover: 'none' | 'surplus' | 'deficit' | 'both' |
+// 'capped', rolloverCap }. 'capped' carries a surplus up to rolloverCap and
+// no deficit. What a month passes on includes what it received, so balances
+// keep running from month to month; only months that have ended pass on
+// anything. Categories are matched by name, like expenses.
+// ──────────────────────────────────────────────
+
+import { roundMoney } from './currency';
+import { calculateCategoryNet, getFinancialInfo, getFinancialMonthStart, normalizeRefundExpense } from './utils';
+
+export const ROLLOVER_POLICIES = [
+    { id: 'none' },
+    { id: 'surplus' },
+    { id: 'deficit' },
+    { id: 'both' },
+    { id: 'capped' }
+];
+
+// The part of a month's leftover (negative when overspent) that carries over
+export const applyRolloverPolicy = (category, leftover) => {
+    switch (category?.rollover) {
+        case 'surplus':
+            return Math.max(leftover, 0);
+        case 'deficit':
+            return Math.min(leftover, 0);
+        case 'both':
+            return leftover;
+        case 'capped':
+            return Math.min(Math.max(leftover, 0), Number(category.rolloverCap) || 0);
+        default:
+            return 0;
+    }
+};
+
+const toMonthIndex = (year, month) => year * 12 + month - 1;
+
+const getMonthlyBudget = (category) => (
+    category.frequency === 'weekly' ? (category.budget || 0) * 4 : (category.budget || 0)
+);
+
+/**
+ * What each category carries into a financial month, as a Map keyed by the
+ * lower-cased category name. `plans` are { year, month, categories }; a month
+ * without categories of its own follows the closest earlier plan, as Monthly
+ * Planning does.
+ */
+export const calculateCategoryRollovers = (plans = [], weeks = [], year, month) => {
+    const plannedMonths = plans
+        .filter(plan => Array.isArray(plan.categories) && plan.categories.length > 0)
+        .map(plan => ({ index: toMonthIndex(plan.year, plan.month), categories: plan.categories }))
+        .sort((leftPlan, rightPlan) => leftPlan.index - rightPlan.index);
+    if (plannedMonths.length === 0) return new Map();
+
+    const expensesByMonth = new Map();
+    weeks.forEach(week => (week.expenses || []).forEach(expense => {
+        if (!expense.date) return;
+        const info = getFinancialInfo(expense.date);
+        const index = toMonthIndex(info.year, info.month);
+        expensesByMonth.set(index, [...(expensesByMonth.get(index) || []), normalizeRefundExpense(expense)]);
+    }));
+
+    const now = new Date();
+    let carried = new Map();
+    let categories = [];
+    let planCursor = 0;
+
+    for (let index = plannedMonths[0].index; index < toMonthIndex(year, month); index += 1) {
+        const monthYear = Math.floor(index / 12);
+        const monthNumber = (index % 12) + 1;
+
+        // Later months have not ended either
+        if (getFinancialMonthStart(monthYear, monthNumber + 1) > now) return new Map();
+
+        while (planCursor < plannedMonths.length && plannedMonths[planCursor].index <= index) {
+            categories = plannedMonths[planCursor].categories;
+            planCursor += 1;
+        }
+
+        const expenses = expensesByMonth.get(index) || [];
+        const next = new Map();
+        categories.forEach(category => {
+            if (!category?.name) return;
+
+            const key = category.name.toLowerCase();
+            const leftover = getMonthlyBudget(category) + (carried.get(key) || 0) - calculateCategoryNet(expenses, category.name);
+            const amount = roundMoney(applyRolloverPolicy(category, leftover));
+            if (amount !== 0) next.set(key, amount);
+        });
+        carried = next;
+    }
+
+    return carried;
+};
@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { applyRolloverPolicy, calculateCategoryRollovers } from './rollover';
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('applyRolloverPolicy', () => {
+    const carry = (rollover, leftover, rolloverCap) => applyRolloverPolicy({ rollover, rolloverCap }, leftover);
+
+    it('carries what each policy allows of a surplus and a deficit', () => {
+        expect([30, -20].map(leftover => carry('none', leftover))).toEqual([0, 0]);
+        expect([30, -20].map(leftover => carry('surplus', leftover))).toEqual([30, 0]);
+        expect([30, -20].map(leftover => carry('deficit', leftover))).toEqual([0, -20]);
+        expect([30, -20].map(leftover => carry('both', leftover))).toEqual([30, -20]);
+        expect([30, 10, -20].map(leftover => carry('capped', leftover, 25))).toEqual([25, 10, 0]);
+    });
+
+    it('carries nothing without a policy or a cap', () => {
+        expect(applyRolloverPolicy(undefined, 30)).toBe(0);
+        expect(carry('capped', 30)).toBe(0);
+    });
+});
+
+describe('calculateCategoryRollovers', () => {
+    // Default payday: November 2025 runs Oct 26 – Nov 25, December Nov 26 – Dec 25
+    const plans = [{
+        year: 2025,
+        month: 11,
+        categories: [
+            { name: 'Food', budget: 100, frequency: 'monthly', rollover: 'both' },
+            { name: 'Fun', budget: 50, frequency: 'monthly', rollover: 'none' },
+            { name: 'Snacks', budget: 10, frequency: 'weekly', rollover: 'surplus' }
+        ]
+    }];
+    const weeks = [{
+        id: 'w',
+        expenses: [
+            { id: 'a', name: 'Market', amount: 80, date: '2025-11-10', type: 'expense', category: 'Food' },
+            { id: 'b', name: 'Party', amount: 150, date: '2025-12-20', type: 'expense', category: 'Food' }
+        ]
+    }];
+
+    it('keeps balances running across the turn of the year', () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date(2026, 1, 10));
+
+        expect(calculateCategoryRollovers(plans, weeks, 2026, 1)).toEqual(new Map([['food', -30], ['snacks', 80]]));
+        expect(calculateCategoryRollovers(plans, weeks, 2026, 2)).toEqual(new Map([['food', 70], ['snacks', 120]]));
+    });
+
+    it('passes nothing on from a month that has not ended', () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date(2025, 11, 10));
+
+        expect(calculateCategoryRollovers(plans, weeks, 2026, 2)).toEqual(new Map());
+    });
+
+    it('starts from the first month with a plan', () => {
+        expect(calculateCategoryRollovers([], weeks, 2026, 2)).toEqual(new Map());
+        expect(calculateCategoryRollovers(plans, weeks, 2025, 11)).toEqual(new Map());
+    });
+});
@@ -0,0 +1,68 @@
+// ──────────────────────────────────────────────
+// Transaction search
+//
+// Searches every loaded week (the whole of weeks-data.json) at once. Text
+// matches the description, notes, category and tags ignoring case and
+// accents, so "uber" finds "Über"; a word starting with '#' must be a tag.
+// ──────────────────────────────────────────────
+
+import { expenseMatchesCategory } from './utils';
+import { getExpenseTags, normalizeTag } from './tags';
+
+export const EMPTY_SEARCH = {
+    text: '',
+    minAmount: '',
+    maxAmount: '',
+    from: '',
+    to: '',
+    category: '',
+    type: '',
+    tag: ''
+};
+
+// Lowercase without accents: 'Über' -> 'uber'
+export const foldText = (value = '') => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export const isSearchEmpty = (filters = EMPTY_SEARCH) => Object.keys(EMPTY_SEARCH).every(key => !String(filters[key] ?? '').trim());
+
+const matchesText = (expense, words) => {
+    const tags = getExpenseTags(expense);
+    const haystack = foldText([expense.name, expense.notes, expense.category, ...tags].filter(Boolean).join(' '));
+
+    return words.every(word => (word.startsWith('#')
+        ? tags.some(tag => tag.startsWith(normalizeTag(word)))
+        : haystack.includes(foldText(word))));
+};
+
+/**
+ * Transactions across all weeks matching every filter that is set, newest
+ * first: [{ ...expense, weekId }]. Amount bounds compare the base-currency
+ * amount; dates are inclusive 'YYYY-MM-DD' strings.
+ */
+export const searchTransactions = (weeks = [], filters = EMPTY_SEARCH) => {
+    const words = String(filters.text || '').trim().split(/\s+/).filter(Boolean);
+    const minAmount = parseFloat(filters.minAmount);
+    const maxAmount = parseFloat(filters.maxAmount);
+
+    const results = [];
+    weeks.forEach(week => (week.expenses || []).forEach(expense => {
+        const amount = Number(expense.amount) || 0;
+        const date = String(expense.date || '').slice(0, 10);
+
+        if (words.length > 0 && !matchesText(expense, words)) return;
+        if (!Number.isNaN(minAmount) && amount < minAmount) return;
+        if (!Number.isNaN(maxAmount) && amount > maxAmount) return;
+        if (filters.from && date < filters.from) return;
+        if (filters.to && date > filters.to) return;
+        if (filters.type && (expense.type || 'expense') !== filters.type) return;
+        if (filters.category && !expenseMatchesCategory(expense, filters.category)) return;
+        if (filters.tag && !getExpenseTags(expense).includes(filters.tag)) return;
+
+        results.push({ ...expense, weekId: week.id });
+    }));
+
+    return results.sort((left, right) => {
+        const byDate = String(right.date || '').localeCompare(String(left.date || ''));
+        return byDate !== 0 ? byDate : String(right.id || '').localeCompare(String(left.id || ''));
+    });
+};
@@ -0,0 +1,77 @@
+// ──────────────────────────────────────────────
+// Tags & notes
+//
+// A transaction may carry tags (e.g. #trip-rio, #work-reimbursable) that cut
+// across categories, and free-form notes. Tags are stored lowercase without
+// the '#': { tags: ['trip-rio'], notes: 'Paid for Ana too' }.
+// ──────────────────────────────────────────────
+
+export const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+export const normalizeTag = (value = '') => String(value)
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '')
+    .slice(0, MAX_TAG_LENGTH);
+
+// "#trip-rio, work" -> ['trip-rio', 'work']
+export const parseTags = (input = '') => [...new Set(String(input).split(/[,\s]+/).map(normalizeTag).filter(Boolean))];
+
+export const formatTag = (tag) => `#${tag}`;
+
+export const getExpenseTags = (expense) => (Array.isArray(expense?.tags) ? expense.tags : []);
+
+/**
+ * Every tag used in the weeks with how often, most used first:
+ * [{ tag, count }]. Feeds the autocomplete in AddExpenseModal.
+ */
+export const collectTags = (weeks = []) => {
+    const counts = new Map();
+    weeks.forEach(week => (week.expenses || []).forEach(expense => {
+        getExpenseTags(expense).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    }));
+
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((left, right) => right.count - left.count || left.tag.localeCompare(right.tag));
+};
+
+export const filterExpensesByTag = (expenses = [], tag) => expenses.filter(expense => getExpenseTags(expense).includes(tag));
+
+// Net cost of a tag: expenses minus credits (e.g. a reimbursement tagged the same)
+export const calculateTagNet = (expenses = [], tag) => filterExpensesByTag(expenses, tag).reduce((sum, expense) => {
+    return expense.type === 'credit' ? sum - Number(expense.amount) : sum + Number(expense.amount);
+}, 0);
+
+/**
+ * Net cost of every tag across the given expenses, with the categories it
+ * spans: [{ tag, total, count, categories: [{ name, total }] }], costliest first.
+ */
+export const getTagTotals = (expenses = []) => {
+    const totals = new Map();
+
+    expenses.forEach(expense => {
+        const amount = expense.type === 'credit' ? -Number(expense.amount) : Number(expense.amount);
+        const category = expense.category || 'Uncategorized';
+
+        getExpenseTags(expense).forEach(tag => {
+            const entry = totals.get(tag) || { tag, total: 0, count: 0, categories: new Map() };
+            entry.total += amount;
+            entry.count += 1;
+            entry.categories.set(category, (entry.categories.get(category) || 0) + amount);
+            totals.set(tag, entry);
+        });
+    });
+
+    return [...totals.values()]
+        .map(entry => ({
+            ...entry,
+            categories: [...entry.categories.entries()]
+                .map(([name, total]) => ({ name, total }))
+                .sort((left, right) => right.total - left.total)
+        }))
+        .sort((left, right) => right.total - left.total);
+};
@@ -1,17 +1,38 @@
-import { format, startOfWeek, endOfWeek, addWeeks, subWeeks } from 'date-fns';
+import { format, parseISO, startOfWeek, endOfWeek, addWeeks, subWeeks } from 'date-fns';
+import { getAllTranslations, getDateLocale, getLocale, t } from './i18n';
 
-export const formatCurrency = (value) => {
-    return new Intl.NumberFormat('pt-BR', {
+// ── Base currency ─────────────────────────────
+// Every stored amount is in the user's base currency (see lib/currency.js
+// for foreign-currency transactions)
+export const DEFAULT_BASE_CURRENCY = 'BRL';
+
+let currentBaseCurrency = DEFAULT_BASE_CURRENCY;
+
+// Set from the user profile (AuthContext), like the payday
+export const setBaseCurrency = (currency) => {
+    currentBaseCurrency = /^[A-Z]{3}$/.test(currency || '') ? currency : DEFAULT_BASE_CURRENCY;
+};
+
+export const getBaseCurrency = () => currentBaseCurrency;
+
+export const formatCurrency = (value, currency = currentBaseCurrency) => {
+    return new Intl.NumberFormat(getLocale(), {
         style: 'currency',
-        currency: 'BRL',
+        currency,
     }).format(value);
 };
 
 export const formatDate = (dateString) => {
     if (!dateString) return '';
-    return format(new Date(dateString), 'dd/MM/yyyy');
+    return format(new Date(dateString), t('formats.date'), { locale: getDateLocale() });
 };
 
+// Day and month only, in the order the current locale writes them
+export const formatShortDate = (date) => format(date, t('formats.shortDate'), { locale: getDateLocale() });
+
+// month is 1-12
+export const getMonthName = (month, style = 'long') => new Date(2000, month - 1, 1).toLocaleString(getLocale(), { month: style });
+
 export const getWeekId = (date) => {
     return format(startOfWeek(date, { weekStartsOn: 0 }), 'yyyy-MM-dd');
 };
@@ -20,7 +41,7 @@ export const getWeekRange = (startDateStr) => {
     const date = new Date(startDateStr);
     const start = startOfWeek(date, { weekStartsOn: 0 });
     const end = endOfWeek(date, { weekStartsOn: 0 });
-    return `${format(start, 'dd/MM')} - ${format(end, 'dd/MM')}`;
+    return `${formatShortDate(start)} - ${formatShortDate(end)}`;
 };
 
 export const calculateRemaining = (initialBalance, expenses) => {
@@ -28,74 +49,165 @@ export const calculateRemaining = (initialBalance, expenses) => {
     return initialBalance - totalSpent;
 };
 
-export const getMonthQuarters = (year, month) => {
-    // month is 1-12 (representing the Financial Month)
-    // Fin Month X starts on (X-1)/26
+// ── Payday / financial month ──────────────────
+// A financial month runs from one payday to the day before the next and is
+// named after the calendar month holding most of its days: with the default
+// payday on the 26th, March runs Feb 26 – Mar 25; with payday on the 5th,
+// March runs Mar 5 – Apr 4.
+// payday: { type: 'day-of-month', day: 1-31 } | { type: 'last-business-day' }
+export const DEFAULT_PAYDAY = { type: 'day-of-month', day: 26 };
+
+let currentPayday = DEFAULT_PAYDAY;
+
+export const normalizePayday = (payday) => {
+    if (payday?.type === 'last-business-day') return { type: 'last-business-day' };
+    const day = Number(payday?.day);
+    if (payday?.type === 'day-of-month' && Number.isInteger(day) && day >= 1 && day <= 31) {
+        return { type: 'day-of-month', day };
+    }
+    return DEFAULT_PAYDAY;
+};
+
+// Set from the user profile (AuthContext); every helper below defaults to it
+export const setPayday = (payday) => {
+    currentPayday = normalizePayday(payday);
+};
+
+export const getPayday = () => currentPayday;
+
+export const getPaydayKey = (payday = currentPayday) => (
+    payday.type === 'last-business-day' ? 'last-business-day' : `day-${payday.day}`
+);
+
+// Payday within a calendar month (monthIndex is 0-based and may overflow)
+const getPaydayDate = (year, monthIndex, payday) => {
+    const lastDay = new Date(year, monthIndex + 1, 0);
+
+    if (payday.type === 'last-business-day') {
+        while (lastDay.getDay() === 0 || lastDay.getDay() === 6) {
+            lastDay.setDate(lastDay.getDate() - 1);
+        }
+        return lastDay;
+    }
+
+    return new Date(year, monthIndex, Math.min(payday.day, lastDay.getDate()));
+};
+
+// First day of financial month `month` (1-12)
+export const getFinancialMonthStart = (year, month, payday = currentPayday) => {
+    const paidInPreviousMonth = payday.type === 'last-business-day' || payday.day > 15;
+    return getPaydayDate(year, paidInPreviousMonth ? month - 2 : month - 1, payday);
+};
+
+// ── Week splitting ────────────────────────────
+// How a financial month is cut into weeks. Week ids stay
+// `${year}-${month}-Q${n}` whatever the strategy, so switching only moves
+// transactions between weeks (refileExpensesByDate) instead of orphaning them.
+// Labels and descriptions are translated under weekStrategies.<id>.
+export const WEEK_STRATEGIES = [
+    { id: 'quarters' },
+    { id: 'calendar' },
+    { id: 'iso' },
+    { id: 'equal' },
+    { id: 'five-weeks' }
+];
+
+export const DEFAULT_WEEK_STRATEGY = 'quarters';
+
+let currentWeekStrategy = DEFAULT_WEEK_STRATEGY;
+
+export const normalizeWeekStrategy = (strategy) => (
+    WEEK_STRATEGIES.some(option => option.id === strategy) ? strategy : DEFAULT_WEEK_STRATEGY
+);
+
+// Set from the user profile (AuthContext), like the payday
+export const setWeekStrategy = (strategy) => {
+    currentWeekStrategy = normalizeWeekStrategy(strategy);
+};
 
-    // Calculate Start Date: 26th of Previous Month
-    // If month is 1 (Jan), previous is 0 (Dec of Year-1); but Date handles month wraparound/underflow.
-    // Date(2024, 0, 26) -> Jan 26.
-    // Date(2024, -1, 26) -> Dec 26, 2023. 
-    // JS Date month is 0-indexed.
+export const getWeekStrategy = () => currentWeekStrategy;
 
-    // Start: Year, Month-2 (because input is 1-based, so Jan=1 -> Month 0. Previous is -1).
-    const startDate = new Date(year, month - 2, 26);
+// Changes whenever a preference moves week boundaries
+export const getWeekLayoutKey = () => `${getPaydayKey()}|${currentWeekStrategy}`;
 
-    // We need 4 weeks. Let's calculate standard 7-day intervals + remainder.
-    // Actually, simple fixed logic:
-    // W1: 26 (prev) - 01 (curr) [approx 6-7 days]
-    // W2: 02 - 09
-    // W3: 10 - 17
-    // W4: 18 - 25
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Inclusive number of days between two 'YYYY-MM-DD' dates
+// (rounded, so DST shifts do not matter)
+export const countDays = (start, end) => Math.round((parseISO(end) - parseISO(start)) / DAY_MS) + 1;
+
+const splitEvenly = (totalDays, parts) => {
+    const base = Math.floor(totalDays / parts);
+    return Array.from({ length: parts }, (_, index) => base + (index < totalDays % parts ? 1 : 0));
+};
 
+// Cut at every `firstWeekday` (0 = Sunday, 1 = Monday)
+const splitAtWeekday = (monthStart, totalDays, firstWeekday) => {
+    const lengths = [];
+    let remaining = totalDays;
+    let length = ((firstWeekday - monthStart.getDay() + 6) % 7) + 1;
+
+    while (remaining > 0) {
+        lengths.push(Math.min(length, remaining));
+        remaining -= length;
+        length = 7;
+    }
+
+    return lengths;
+};
+
+const getWeekLengths = (monthStart, totalDays, strategy) => {
+    switch (strategy) {
+        case 'calendar':
+            return splitAtWeekday(monthStart, totalDays, 0);
+        case 'iso':
+            return splitAtWeekday(monthStart, totalDays, 1);
+        case 'equal':
+            return splitEvenly(totalDays, 4);
+        case 'five-weeks':
+            return splitEvenly(totalDays, 5);
+        default:
+            // 7-7-7-rest
+            return [7, 7, 7, totalDays - 21];
+    }
+};
+
+export const getMonthQuarters = (year, month, payday = currentPayday, strategy = currentWeekStrategy) => {
+    // month is 1-12 (representing the Financial Month); the financial month
+    // runs from its payday to the day before the next one
     const f = (d) => format(d, 'yyyy-MM-dd');
-    const mkDate = (d) => new Date(d); // Clone
-
-    // Generate ranges
-    // Q1: Start - Start+6 days? 
-    // Let's stick to the "26th to 1st" style if possible, but months vary.
-    // Jan 26 (31 days in Jan) -> Jan 31 (6 days) + Feb 1 = 7 days.
-    // Feb 26 (28 days) -> Feb 28 (3 days) + Mar 1 = 4 days? Short week.
-    // Let's just use +7 days logic for consistency?
-    // User asked "divide... into 4 week cards".
-    // 26th to 25th is fixed.
-
-    // We need 4 weeks logic matching user preference (7-7-7-Rest).
-    // W1: 26th - +6 days (7 days total)
-    // W2: +7 days - +13 days
-    // W3: +14 days - +20 days
-    // W4: +21 days - 25th of current month
-
-    // Helper helpers
+
     const addDays = (d, days) => {
         const result = new Date(d);
         result.setDate(result.getDate() + days);
         return result;
     }
 
-    // W1: Start (26th prev)
-    const q1Start = startDate;
-    const q1End = addDays(q1Start, 6); // 26, 27, 28, 29, 30, 31, 1 (e.g.) or 26..1
-
-    // W2
-    const q2Start = addDays(q1End, 1);
-    const q2End = addDays(q2Start, 6);
+    const monthStart = getFinancialMonthStart(year, month, payday);
+    const nextMonthStart = getFinancialMonthStart(year, month + 1, payday);
+    const totalDays = countDays(f(monthStart), f(nextMonthStart)) - 1;
 
-    // W3
-    const q3Start = addDays(q2End, 1);
-    const q3End = addDays(q3Start, 6);
-
-    // W4
-    const q4Start = addDays(q3End, 1);
-    // End is ALWAYS 25th of current month
-    const q4End = new Date(year, month - 1, 25);
+    let weekStart = monthStart;
+    return getWeekLengths(monthStart, totalDays, normalizeWeekStrategy(strategy)).map((length, index) => {
+        const weekEnd = addDays(weekStart, length - 1);
+        const week = { id: `${year}-${month}-Q${index + 1}`, start: f(weekStart), end: f(weekEnd), weekNumber: index + 1 };
+        weekStart = addDays(weekEnd, 1);
+        return week;
+    });
+};
 
-    return [
-        { id: `${year}-${month}-Q1`, start: f(q1Start), end: f(q1End), weekNumber: 1 },
-        { id: `${year}-${month}-Q2`, start: f(q2Start), end: f(q2End), weekNumber: 2 },
-        { id: `${year}-${month}-Q3`, start: f(q3Start), end: f(q3End), weekNumber: 3 },
-        { id: `${year}-${month}-Q4`, start: f(q4Start), end: f(q4End), weekNumber: 4 },
-    ];
+/**
+ * A category's budget for one week. The default quarters keep their fixed
+ * shares (a full weekly budget, a quarter of a monthly one) however long Q4
+ * runs; other strategies prorate by the week's length: weekly budgets cover
+ * 7 days, monthly budgets are spread over the month's days.
+ */
+export const getWeekCategoryBudget = (category, weekDays, monthDays, strategy = currentWeekStrategy) => {
+    const budget = Number(category?.budget) || 0;
+    const isWeekly = category?.frequency === 'weekly';
+    if (normalizeWeekStrategy(strategy) === 'quarters') return isWeekly ? budget : budget / 4;
+    if (isWeekly) return budget * weekDays / 7;
+    return monthDays > 0 ? budget * weekDays / monthDays : 0;
 };
 
 export const findCurrentWeekIndex = (weekList) => {
@@ -121,49 +233,43 @@ export const findCurrentWeekIndex = (weekList) => {
     return index !== -1 ? index : 0; // Default to first week if not found
 };
 // Helper to determine Financial Info for a given Date
-export const getFinancialInfo = (dateInput) => {
-    const date = new Date(dateInput);
+export const getFinancialInfo = (dateInput, payday = currentPayday) => {
+    // 'YYYY-MM-DD' strings are local dates; new Date() would read them as UTC
+    const date = typeof dateInput === 'string' ? parseISO(dateInput) : new Date(dateInput);
     date.setHours(0, 0, 0, 0);
 
-    // 1. Determine Financial Month/Year
-    // If date >= 26th, it belongs to NEXT month
-    let financialMonth = date.getMonth() + 1; // 1-12
+    // 1. Determine Financial Month/Year: the calendar month, or its
+    // neighbour when the date falls before its start / after the next payday
     let financialYear = date.getFullYear();
+    let financialMonth = date.getMonth() + 1; // 1-12
 
-    if (date.getDate() >= 26) {
+    if (date >= getFinancialMonthStart(financialYear, financialMonth + 1, payday)) {
         financialMonth += 1;
-        if (financialMonth > 12) {
-            financialMonth = 1;
-            financialYear += 1;
-        }
-    } else {
-        // If date < 26th, it belongs to CURRENT month
-        // But what about Jan 15? It is Jan.
-        // What about Jan 27? It is Feb.
-        // Logic holds.
-        // Wait, what about Dec 2023 27th? -> Jan 2024.
-        // Logic holds.
+    } else if (date < getFinancialMonthStart(financialYear, financialMonth, payday)) {
+        financialMonth -= 1;
+    }
+
+    if (financialMonth > 12) {
+        financialMonth = 1;
+        financialYear += 1;
+    } else if (financialMonth < 1) {
+        financialMonth = 12;
+        financialYear -= 1;
     }
 
     // 2. Generate Quarters for this Financial Month
-    const quarters = getMonthQuarters(financialYear, financialMonth);
+    const quarters = getMonthQuarters(financialYear, financialMonth, payday);
 
     // 3. Find which Quarter spans this date
+    // (parseISO reads 'YYYY-MM-DD' as local midnight, unlike new Date())
     let foundQuarter = quarters.find(q => {
-        const start = new Date(q.start);
-        const end = new Date(q.end);
-        // Normalize time
-        start.setHours(0, 0, 0, 0);
+        const start = parseISO(q.start);
+        const end = parseISO(q.end);
         end.setHours(23, 59, 59, 999);
         return date >= start && date <= end;
     });
 
-    // Fallback: if not found (edge case?), default to Q1 or something safe?
-    // With 26th-25th logic, it should always cover. 
-    // Wait, getMonthQuarters ends at 25th of financial month. 
-    // And starts at 26th of prev month.
-    // So it should cover all dates.
-
+    // Quarters cover the whole financial month, so this should not happen
     if (!foundQuarter) {
         console.warn("Date out of range??", dateInput, quarters);
         foundQuarter = quarters[0];
@@ -176,6 +282,75 @@ export const getFinancialInfo = (dateInput) => {
     };
 };
 
+const QUARTER_WEEK_ID = /^\d{4}-\d{1,2}-Q\d$/;
+
+/**
+ * Move expenses into the quarter their date belongs to, e.g. after the
+ * payday or week strategy changed. Legacy (non-quarter) weeks are left
+ * alone. Returns the same array when nothing moved; changed weeks are new
+ * objects.
+ */
+export const refileExpensesByDate = (weeks = []) => {
+    const moved = new Map();
+
+    const nextWeeks = weeks.map(week => {
+        if (!QUARTER_WEEK_ID.test(week.id)) return week;
+
+        const expenses = week.expenses || [];
+        const staying = expenses.filter(expense => {
+            if (!expense.date) return true;
+
+            const { quarter } = getFinancialInfo(expense.date);
+            if (quarter.id === week.id) return true;
+
+            if (!moved.has(quarter.id)) moved.set(quarter.id, { quarter, expenses: [] });
+            moved.get(quarter.id).expenses.push(expense);
+            return false;
+        });
+
+        return staying.length === expenses.length ? week : { ...week, expenses: staying };
+    });
+
+    if (moved.size === 0) return weeks;
+
+    moved.forEach(({ quarter, expenses }, weekId) => {
+        const index = nextWeeks.findIndex(week => week.id === weekId);
+        if (index !== -1) {
+            nextWeeks[index] = { ...nextWeeks[index], expenses: [...nextWeeks[index].expenses, ...expenses] };
+        } else {
+            nextWeeks.push({
+                id: weekId,
+                startDate: quarter.start,
+                endDate: quarter.end,
+                initialBalance: 0,
+                expenses,
+                isQuarter: true
+            });
+        }
+    });
+
+    return nextWeeks;
+};
+
+/**
+ * The expenses that changed week between `previousWeeks` and `nextWeeks`
+ * (e.g. refileExpensesByDate), as moves the server applies in one write:
+ * [{ expenseId, fromWeekId, toWeekId, week: { startDate, endDate } }]
+ */
+export const getExpenseMoves = (previousWeeks = [], nextWeeks = []) => {
+    const previousWeekIds = new Map();
+    previousWeeks.forEach(week => (week.expenses || []).forEach(expense => previousWeekIds.set(expense.id, week.id)));
+
+    return nextWeeks.flatMap(week => (week.expenses || [])
+        .filter(expense => previousWeekIds.has(expense.id) && previousWeekIds.get(expense.id) !== week.id)
+        .map(expense => ({
+            expenseId: expense.id,
+            fromWeekId: previousWeekIds.get(expense.id),
+            toWeekId: week.id,
+            week: { startDate: week.startDate, endDate: week.endDate }
+        })));
+};
+
 export const isWeekCompleted = (week) => {
     if (!week) return false;
     let end;
@@ -191,12 +366,51 @@ export const isWeekCompleted = (week) => {
     return new Date() > end;
 };
 
-export const REFUNDS_CATEGORY_NAME = 'Refunds';
+// ── Built-in categories ───────────────────────
+// Categories with special behaviour are identified by a stable `key`, so
+// their names can be translated. Categories saved before keys existed (or
+// created in another language) are recognised by any translation of the
+// key's name, plus legacy spellings.
+export const CATEGORY_KEYS = {
+    MARKET: 'market',
+    COFFEE: 'coffee',
+    SAVINGS: 'savings',
+    REFUNDS: 'refunds'
+};
 
-const REFUNDS_CATEGORY_ALIASES = new Set(['refunds', 'refounds']);
+const LEGACY_CATEGORY_ALIASES = {
+    refunds: ['refounds']
+};
+
+const CATEGORY_ALIASES = Object.values(CATEGORY_KEYS).map(key => [
+    key,
+    new Set([...getAllTranslations(`categories.${key}`), ...(LEGACY_CATEGORY_ALIASES[key] || [])].map(name => name.toLowerCase()))
+]);
+
+/**
+ * The built-in key of a category object or name, or null for the user's own
+ * categories.
+ */
+export const getCategoryKey = (category) => {
+    if (category && typeof category === 'object' && category.key) return category.key;
+
+    const name = String((typeof category === 'string' ? category : category?.name) || '').trim().toLowerCase();
+    if (!name) return null;
+
+    const match = CATEGORY_ALIASES.find(([, aliases]) => aliases.has(name));
+    return match ? match[0] : null;
+};
+
+// Refunds keeps its English name in stored data because expenses point at it
+// by name; only its label is translated
+export const REFUNDS_CATEGORY_NAME = 'Refunds';
 
 export const isRefundsCategory = (categoryName = '') => {
-    return REFUNDS_CATEGORY_ALIASES.has(String(categoryName).trim().toLowerCase());
+    return getCategoryKey(String(categoryName)) === CATEGORY_KEYS.REFUNDS;
+};
+
+export const getCategoryLabel = (categoryName = '') => {
+    return isRefundsCategory(categoryName) ? t('categories.refunds') : categoryName;
 };
 
 export const normalizeRefundsCategoryName = (categoryName = '') => {
@@ -287,13 +501,70 @@ export const calculateCategoryNet = (expenses = [], categoryName) => {
     }, 0);
 };
 
-export const getWeeklyCategoryCarryover = (weeks = [], targetIndex, category) => {
-    if (!category || category.frequency !== 'weekly' || targetIndex <= 0) {
+// ── Category hierarchy ───────────────────────────
+// A planning category may name a top-level category as its `parent`
+// (Food → Market, Coffee, Restaurants); nesting is one level deep. Every
+// category keeps its own budget and spending, and rollups add a parent's
+// to its subcategories', so plan totals never count anything twice.
+
+const isSameCategoryName = (left, right) => String(left || '').trim().toLowerCase() === String(right || '').trim().toLowerCase();
+
+export const getSubcategories = (categories = [], parentName) => {
+    return categories.filter(category => category?.parent && isSameCategoryName(category.parent, parentName));
+};
+
+// The category a name rolls up into: its parent when it has one, else itself
+export const getTopLevelCategoryName = (categories = [], categoryName) => {
+    const category = categories.find(candidate => candidate?.name && isSameCategoryName(candidate.name, categoryName));
+    const parent = category?.parent && categories.find(candidate => candidate?.name && isSameCategoryName(candidate.name, category.parent));
+    return parent ? parent.name : categoryName;
+};
+
+export const getCategoryTree = (categories = [], categoryName) => {
+    const category = categories.find(candidate => candidate?.name && isSameCategoryName(candidate.name, categoryName));
+    return [...(category ? [category] : []), ...getSubcategories(categories, categoryName)];
+};
+
+// Subcategories whose parent was removed count as top-level
+export const isTopLevelCategory = (categories = [], category) => {
+    return !category?.parent || getTopLevelCategoryName(categories, category.name) === category.name;
+};
+
+// Top-level categories in their order, each followed by its subcategories
+export const orderCategoryTree = (categories = []) => {
+    return categories
+        .filter(category => isTopLevelCategory(categories, category))
+        .flatMap(category => [category, ...getSubcategories(categories, category.name)]);
+};
+
+export const filterExpensesByCategoryTree = (expenses = [], categories = [], categoryName) => {
+    const names = [categoryName, ...getSubcategories(categories, categoryName).map(category => category.name)];
+    return expenses.filter(expense => names.some(name => expenseMatchesCategory(expense, name)));
+};
+
+export const calculateCategoryTreeNet = (expenses = [], categories = [], categoryName) => {
+    return filterExpensesByCategoryTree(expenses, categories, categoryName).reduce((sum, expense) => {
+        return expense.type === 'credit' ? sum - Number(expense.amount) : sum + Number(expense.amount);
+    }, 0);
+};
+
+export const getCategoryTreeMonthlyBudget = (categories = [], categoryName) => {
+    return getCategoryTree(categories, categoryName).reduce((sum, category) => {
+        return sum + (category.frequency === 'weekly' ? (category.budget || 0) * 4 : (category.budget || 0));
+    }, 0);
+};
+
+// `openingBalance` is what the category carried in from the previous month;
+// it enters in the first week and keeps rolling while weeks are completed
+export const getWeeklyCategoryCarryover = (weeks = [], targetIndex, category, openingBalance = 0) => {
+    if (!category || category.frequency !== 'weekly') {
         return 0;
     }
+    if (targetIndex <= 0) {
+        return openingBalance;
+    }
 
-    const weeklyBudget = Number(category.budget) || 0;
-    let carryover = 0;
+    let carryover = openingBalance;
 
     for (let index = 0; index < targetIndex; index += 1) {
         const week = weeks[index];
@@ -303,8 +574,9 @@ export const getWeeklyCategoryCarryover = (weeks = [], targetIndex, category) =>
             break;
         }
 
+        const weekDays = week.startDate && week.endDate ? countDays(week.startDate, week.endDate) : 7;
         const spent = calculateCategoryNet(week.expenses || [], category.name);
-        carryover = weeklyBudget + carryover - spent;
+        carryover = getWeekCategoryBudget(category, weekDays) + carryover - spent;
     }
 
     return carryover;
@@ -335,6 +607,7 @@ export const ensureRefundsCategory = (categories = []) => {
             if (cat && cat.name && isRefundsCategory(cat.name)) {
                 return {
                     ...cat,
+                    key: CATEGORY_KEYS.REFUNDS,
                     name: REFUNDS_CATEGORY_NAME,
                     type: 'credit',
                     frequency: cat.frequency || 'monthly',
@@ -348,6 +621,7 @@ export const ensureRefundsCategory = (categories = []) => {
     return [
         ...dedupedCategories,
         {
+            key: CATEGORY_KEYS.REFUNDS,
             name: REFUNDS_CATEGORY_NAME,
             budget: 0,
             type: 'credit',
@@ -0,0 +1,223 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import {
+    DEFAULT_PAYDAY,
+    DEFAULT_WEEK_STRATEGY,
+    countDays,
+    getExpenseMoves,
+    getFinancialInfo,
+    getFinancialMonthStart,
+    getMonthQuarters,
+    getWeekCategoryBudget,
+    getWeekLayoutKey,
+    normalizePayday,
+    normalizeWeekStrategy,
+    refileExpensesByDate,
+    setPayday,
+    setWeekStrategy
+} from './utils';
+
+const LAST_BUSINESS_DAY = { type: 'last-business-day' };
+const dayOfMonth = (day) => ({ type: 'day-of-month', day });
+const toDateString = (date) => [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+const toRanges = (weeks) => weeks.map(week => `${week.start}..${week.end}`);
+
+afterEach(() => {
+    setPayday(DEFAULT_PAYDAY);
+    setWeekStrategy(DEFAULT_WEEK_STRATEGY);
+});
+
+describe('payday', () => {
+    it('falls back to the 26th for anything it does not understand', () => {
+        expect(normalizePayday(undefined)).toEqual(DEFAULT_PAYDAY);
+        expect(normalizePayday({ type: 'day-of-month', day: 32 })).toEqual(DEFAULT_PAYDAY);
+        expect(normalizePayday({ type: 'day-of-month', day: '5' })).toEqual(dayOfMonth(5));
+        expect(normalizePayday({ type: 'last-business-day', day: 3 })).toEqual(LAST_BUSINESS_DAY);
+    });
+
+    it('names a financial month after the calendar month holding most of its days', () => {
+        expect(toDateString(getFinancialMonthStart(2026, 3, DEFAULT_PAYDAY))).toBe('2026-02-26');
+        expect(toDateString(getFinancialMonthStart(2026, 3, dayOfMonth(5)))).toBe('2026-03-05');
+        expect(toDateString(getFinancialMonthStart(2026, 1, DEFAULT_PAYDAY))).toBe('2025-12-26');
+    });
+
+    it('clamps late paydays to short months', () => {
+        expect(toDateString(getFinancialMonthStart(2026, 3, dayOfMonth(31)))).toBe('2026-02-28');
+    });
+
+    it('moves a last-business-day payday off the weekend', () => {
+        // Feb 28 2026 is a Saturday
+        expect(toDateString(getFinancialMonthStart(2026, 3, LAST_BUSINESS_DAY))).toBe('2026-02-27');
+        expect(toDateString(getFinancialMonthStart(2026, 4, LAST_BUSINESS_DAY))).toBe('2026-03-31');
+    });
+
+    it('files dates into the financial month and week that contain them', () => {
+        expect(getFinancialInfo('2026-03-25')).toMatchObject({ year: 2026, month: 3, quarter: { id: '2026-3-Q4' } });
+        expect(getFinancialInfo('2026-03-26')).toMatchObject({ year: 2026, month: 4, quarter: { id: '2026-4-Q1' } });
+        expect(getFinancialInfo('2025-12-26')).toMatchObject({ year: 2026, month: 1, quarter: { id: '2026-1-Q1' } });
+        expect(getFinancialInfo('2026-03-04', dayOfMonth(5))).toMatchObject({ year: 2026, month: 2 });
+        expect(getFinancialInfo('2026-03-05', dayOfMonth(5))).toMatchObject({ year: 2026, month: 3, quarter: { id: '2026-3-Q1' } });
+    });
+
+    it('uses the payday set from the profile by default', () => {
+        setPayday(dayOfMonth(5));
+        expect(getFinancialInfo('2026-03-26')).toMatchObject({ year: 2026, month: 3 });
+        expect(getWeekLayoutKey()).toBe('day-5|quarters');
+    });
+});
+
+describe('getMonthQuarters', () => {
+    // April 2026 with the default payday runs Thu Mar 26 – Sat Apr 25 (31 days)
+    const april = (strategy) => getMonthQuarters(2026, 4, DEFAULT_PAYDAY, strategy);
+
+    it('splits into 7-7-7-rest quarters by default', () => {
+        expect(toRanges(april('quarters'))).toEqual([
+            '2026-03-26..2026-04-01',
+            '2026-04-02..2026-04-08',
+            '2026-04-09..2026-04-15',
+            '2026-04-16..2026-04-25'
+        ]);
+        expect(april('quarters').map(week => week.id)).toEqual(['2026-4-Q1', '2026-4-Q2', '2026-4-Q3', '2026-4-Q4']);
+    });
+
+    it('cuts calendar weeks on Sundays and ISO weeks on Mondays', () => {
+        expect(toRanges(april('calendar'))).toEqual([
+            '2026-03-26..2026-03-28',
+            '2026-03-29..2026-04-04',
+            '2026-04-05..2026-04-11',
+            '2026-04-12..2026-04-18',
+            '2026-04-19..2026-04-25'
+        ]);
+        expect(toRanges(april('iso'))).toEqual([
+            '2026-03-26..2026-03-29',
+            '2026-03-30..2026-04-05',
+            '2026-04-06..2026-04-12',
+            '2026-04-13..2026-04-19',
+            '2026-04-20..2026-04-25'
+        ]);
+    });
+
+    it('spreads the leftover days over the first weeks of even splits', () => {
+        expect(april('equal').map(week => countDays(week.start, week.end))).toEqual([8, 8, 8, 7]);
+        expect(april('five-weeks').map(week => countDays(week.start, week.end))).toEqual([7, 6, 6, 6, 6]);
+    });
+
+    it('covers the whole financial month without gaps for every strategy and payday', () => {
+        const strategies = ['quarters', 'calendar', 'iso', 'equal', 'five-weeks'];
+        const paydays = [DEFAULT_PAYDAY, dayOfMonth(1), dayOfMonth(5), dayOfMonth(31), LAST_BUSINESS_DAY];
+
+        strategies.forEach(strategy => paydays.forEach(payday => {
+            for (let month = 1; month <= 12; month += 1) {
+                const weeks = getMonthQuarters(2026, month, payday, strategy);
+                expect(weeks[0].start).toBe(toDateString(getFinancialMonthStart(2026, month, payday)));
+                expect(countDays(weeks[weeks.length - 1].end, toDateString(getFinancialMonthStart(2026, month + 1, payday)))).toBe(2);
+                weeks.slice(1).forEach((week, index) => {
+                    expect(countDays(weeks[index].end, week.start)).toBe(2);
+                    expect(countDays(week.start, week.end)).toBeGreaterThan(0);
+                });
+            }
+        }));
+    });
+
+    it('falls back to quarters for an unknown strategy', () => {
+        expect(normalizeWeekStrategy('fortnights')).toBe('quarters');
+        expect(april('fortnights')).toEqual(april('quarters'));
+    });
+
+    it('uses the strategy set from the profile by default', () => {
+        setWeekStrategy('iso');
+        expect(getMonthQuarters(2026, 4, DEFAULT_PAYDAY)).toEqual(april('iso'));
+    });
+});
+
+describe('getWeekCategoryBudget', () => {
+    const weekly = { name: 'Market', frequency: 'weekly', budget: 70 };
+    const monthly = { name: 'Rent', frequency: 'monthly', budget: 310 };
+
+    it('keeps fixed shares under the default quarters, however long Q4 is', () => {
+        // A 31-day month: Q4 runs 10 days
+        expect(getWeekCategoryBudget(weekly, 10, 31, 'quarters')).toBe(70);
+        expect(getWeekCategoryBudget(monthly, 10, 31, 'quarters')).toBe(77.5);
+        expect(getWeekCategoryBudget(weekly, 7, 31)).toBe(70);
+    });
+
+    it('prorates by day count under the other strategies', () => {
+        expect(getWeekCategoryBudget(weekly, 3, 31, 'calendar')).toBe(30);
+        expect(getWeekCategoryBudget(weekly, 7, 31, 'calendar')).toBe(70);
+        expect(getWeekCategoryBudget(monthly, 10, 31, 'equal')).toBe(100);
+        expect(getWeekCategoryBudget(monthly, 10, undefined, 'equal')).toBe(0);
+    });
+
+    it('hands out exactly the monthly budget across the weeks of any strategy', () => {
+        ['quarters', 'calendar', 'iso', 'equal', 'five-weeks'].forEach(strategy => {
+            const weeks = getMonthQuarters(2026, 4, DEFAULT_PAYDAY, strategy);
+            const monthDays = countDays(weeks[0].start, weeks[weeks.length - 1].end);
+            const total = weeks.reduce((sum, week) => sum + getWeekCategoryBudget(monthly, countDays(week.start, week.end), monthDays, strategy), 0);
+            expect(total).toBeCloseTo(310);
+        });
+    });
+
+    it('treats a missing budget as zero', () => {
+        expect(getWeekCategoryBudget({ frequency: 'weekly' }, 7, 31, 'calendar')).toBe(0);
+        expect(getWeekCategoryBudget(undefined, 7, 31)).toBe(0);
+    });
+});
+
+describe('refileExpensesByDate', () => {
+    const expense = (id, date) => ({ id, name: id, amount: 1, date, type: 'expense' });
+
+    it('returns the same array when every expense is in its week', () => {
+        const weeks = [{ id: '2026-4-Q1', expenses: [expense('a', '2026-03-27')] }];
+        expect(refileExpensesByDate(weeks)).toBe(weeks);
+    });
+
+    it('moves expenses into the week their date now belongs to', () => {
+        setWeekStrategy('calendar');
+        const weeks = [
+            { id: '2026-4-Q1', expenses: [expense('a', '2026-03-27'), expense('b', '2026-03-30')] },
+            { id: '2026-4-Q2', expenses: [] },
+            { id: 'legacy', expenses: [expense('c', '2026-03-30')] }
+        ];
+
+        const next = refileExpensesByDate(weeks);
+
+        expect(next[0].expenses.map(item => item.id)).toEqual(['a']);
+        expect(next[1].expenses.map(item => item.id)).toEqual(['b']);
+        expect(next[2]).toBe(weeks[2]);
+    });
+
+    it('creates the target week when it does not exist yet', () => {
+        setWeekStrategy('five-weeks');
+        const next = refileExpensesByDate([{ id: '2026-4-Q4', expenses: [expense('a', '2026-04-24')] }]);
+
+        expect(next[0].expenses).toEqual([]);
+        expect(next[1]).toEqual({
+            id: '2026-4-Q5',
+            startDate: '2026-04-20',
+            endDate: '2026-04-25',
+            initialBalance: 0,
+            expenses: [expense('a', '2026-04-24')],
+            isQuarter: true
+        });
+    });
+});
+
+describe('getExpenseMoves', () => {
+    const expense = (id, date) => ({ id, name: id, amount: 1, date, type: 'expense' });
+
+    it('lists the expenses refiling moved, with the target week dates', () => {
+        setWeekStrategy('calendar');
+        const weeks = [
+            { id: '2026-4-Q1', expenses: [expense('a', '2026-03-27'), expense('b', '2026-03-30')] },
+            { id: '2026-4-Q2', startDate: '2026-03-29', endDate: '2026-04-04', expenses: [] }
+        ];
+
+        expect(getExpenseMoves(weeks, refileExpensesByDate(weeks))).toEqual([
+            { expenseId: 'b', fromWeekId: '2026-4-Q1', toWeekId: '2026-4-Q2', week: { startDate: '2026-03-29', endDate: '2026-04-04' } }
+        ]);
+    });
+
+    it('ignores expenses that are new or stayed in their week', () => {
+        const weeks = [{ id: 'w1', expenses: [expense('a', '2026-03-27')] }];
+        expect(getExpenseMoves(weeks, [{ id: 'w1', expenses: [expense('a', '2026-03-27'), expense('b', '2026-03-28')] }])).toEqual([]);
+    });
+});
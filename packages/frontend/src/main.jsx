@@ -2,12 +2,18 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import { AuthProvider } from './lib/AuthContext.jsx'
+import { I18nProvider } from './lib/i18n.jsx'
+import { registerServiceWorker } from './lib/installPrompt.js'
 import './styles/global.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
-        <AuthProvider>
-            <App />
-        </AuthProvider>
+        <I18nProvider>
+            <AuthProvider>
+                <App />
+            </AuthProvider>
+        </I18nProvider>
     </React.StrictMode>,
 )
+
+registerServiceWorker()
@@ -0,0 +1,15 @@
+// Node has no localStorage, and no navigator before v21. With nothing saved,
+// lib/i18n starts in English, which is what the tests assert against.
+
+const store = new Map();
+
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+    clear: () => store.clear()
+};
+
+if (!globalThis.navigator) {
+    globalThis.navigator = { language: 'en', onLine: true };
+}
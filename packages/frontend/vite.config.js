@@ -1,7 +1,47 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs'
+import { join, resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const BUILD_VERSION_PLACEHOLDER = '__BUILD_VERSION__'
+
+// public/sw.js is copied as is; stamp its cache version with a hash of what
+// this build ships (bundles and public files), so the service worker changes,
+// and its caches are replaced, exactly when the app does
+function serviceWorkerVersion() {
+    let config
+    let version
+
+    return {
+        name: 'service-worker-version',
+        apply: 'build',
+        configResolved(resolvedConfig) {
+            config = resolvedConfig
+        },
+        generateBundle(options, bundle) {
+            const hash = createHash('sha256')
+            Object.values(bundle)
+                .sort((left, right) => left.fileName.localeCompare(right.fileName))
+                .forEach(file => hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source))
+            readdirSync(config.publicDir, { recursive: true })
+                .filter(name => statSync(join(config.publicDir, name)).isFile())
+                .sort()
+                .forEach(name => hash.update(name).update(readFileSync(join(config.publicDir, name))))
+            version = hash.digest('hex').slice(0, 12)
+        },
+        writeBundle() {
+            const swPath = join(resolve(config.root, config.build.outDir), 'sw.js')
+            writeFileSync(swPath, readFileSync(swPath, 'utf8').replace(BUILD_VERSION_PLACEHOLDER, version))
+        },
+    }
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), serviceWorkerVersion()],
+    test: {
+        // lib/i18n reads the saved locale from localStorage on import
+        setupFiles: ['./src/test/setup.js'],
+    },
 })